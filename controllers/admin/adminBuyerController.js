@@ -7,6 +7,7 @@ const mongoose = require("mongoose");
 const { validationResult } = require("express-validator");
 const { cloudinary } = require("../../middleware/upload");
 const NotificationService = require("../../services/notificationService");
+const SessionService = require("../../services/sessionService");
 
 // ================================
 // BUYER MANAGEMENT
@@ -601,6 +602,7 @@ exports.deactivateBuyer = async (req, res, next) => {
         adminNotes: reason
       }
     );
+    await SessionService.revokeSessionsWhere({ buyerId: restaurant._id }, 'account_deactivated');
 
     // Log the deactivation
     await AuditLog.logAction({
@@ -695,6 +697,7 @@ exports.safeDeleteBuyer = async (req, res, next) => {
         adminNotes: reason || 'Buyer deleted by admin'
       }
     );
+    await SessionService.revokeSessionsWhere({ buyerId: restaurant._id }, 'account_deactivated');
 
     // Log the deletion
     await AuditLog.logAction({
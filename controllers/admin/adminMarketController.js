@@ -28,6 +28,7 @@ exports.createMarket = async (req, res, next) => {
     const marketData = {
       name: req.body.name,
       description: req.body.description,
+      orderNumberPrefix: req.body.orderNumberPrefix || undefined,
       location: {
         division: req.body['location.division'] || req.body.division,
         district: req.body['location.district'] || req.body.district,
@@ -269,7 +270,8 @@ exports.updateMarket = async (req, res, next) => {
     const oldValues = {
       name: market.name,
       isActive: market.isActive,
-      isAvailable: market.isAvailable
+      isAvailable: market.isAvailable,
+      orderNumberPrefix: market.orderNumberPrefix
     };
 
     // Update data - only include allowed fields
@@ -281,6 +283,8 @@ exports.updateMarket = async (req, res, next) => {
     if (req.body.name) updateData.name = req.body.name;
     if (req.body.description !== undefined) updateData.description = req.body.description;
     if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive !== 'false' && req.body.isActive !== false;
+    // An empty prefix falls back to the global one
+    if (req.body.orderNumberPrefix !== undefined) updateData.orderNumberPrefix = req.body.orderNumberPrefix || null;
 
     // Handle location updates - BD address hierarchy
     const hasLocationUpdates = req.body['location.division'] || req.body.division ||
@@ -328,6 +332,7 @@ exports.updateMarket = async (req, res, next) => {
     if (oldValues.name !== market.name) changes.push(`name changed from '${oldValues.name}' to '${market.name}'`);
     if (oldValues.isActive !== market.isActive) changes.push(`status changed to ${market.isActive ? 'active' : 'inactive'}`);
     if (oldValues.isAvailable !== market.isAvailable) changes.push(`availability changed to ${market.isAvailable ? 'available' : 'unavailable'}`);
+    if ((oldValues.orderNumberPrefix || null) !== (market.orderNumberPrefix || null)) changes.push(`order number prefix set to '${market.orderNumberPrefix || 'default'}'`);
 
     if (changes.length > 0) {
       await AuditLog.logAction({
@@ -0,0 +1,128 @@
+const NotificationDelivery = require("../../models/NotificationDelivery");
+const { ErrorResponse } = require("../../middleware/error");
+const deliveryDispatcher = require("../../services/deliveryDispatcher");
+const EmailTemplateService = require("../../services/emailTemplateService");
+
+/**
+ * @desc    List email/SMS/push deliveries in the outbox (dead-lettered first by default)
+ * @route   GET /api/v1/admin/notification-deliveries
+ * @access  Private/Admin
+ */
+exports.getNotificationDeliveries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'dead', channel, recipient } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (channel) query.channel = channel;
+    if (recipient) query.recipient = recipient;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, total, statusCounts] = await Promise.all([
+      NotificationDelivery.find(query)
+        .populate('notificationId', 'title type priority createdAt')
+        .populate('recipient', 'name email phone role')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      NotificationDelivery.countDocuments(query),
+      NotificationDelivery.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = {};
+    statusCounts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      summary,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: deliveries
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Re-queue a dead-lettered delivery
+ * @route   POST /api/v1/admin/notification-deliveries/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryNotificationDelivery = async (req, res, next) => {
+  try {
+    const delivery = await deliveryDispatcher.retry(req.params.id);
+
+    if (!delivery) {
+      return next(new ErrorResponse('Dead-lettered delivery not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery queued for retry',
+      data: delivery
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List transactional email templates and their languages
+ * @route   GET /api/v1/admin/email-templates
+ * @access  Private/Admin
+ */
+exports.getEmailTemplates = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        templates: EmailTemplateService.TEMPLATES,
+        languages: EmailTemplateService.LANGUAGES
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Render an email template with sample data
+ * @route   GET /api/v1/admin/email-templates/:name/preview
+ * @access  Private/Admin
+ */
+exports.previewEmailTemplate = async (req, res, next) => {
+  try {
+    const { language = 'en', format = 'json' } = req.query;
+    const { name } = req.params;
+
+    const email = EmailTemplateService.render(
+      name,
+      EmailTemplateService.sampleData(name),
+      language,
+      { notification: name !== 'email_verification' && name !== 'password_reset' }
+    );
+
+    if (format === 'html') {
+      return res.status(200).type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.status(200).type('text').send(email.text);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { template: name, ...email }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
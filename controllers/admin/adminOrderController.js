@@ -1,7 +1,12 @@
 const Order = require("../../models/Order");
 const Listing = require("../../models/Listing");
 const AuditLog = require("../../models/AuditLog");
+const Dispute = require("../../models/Dispute");
 const { ErrorResponse } = require("../../middleware/error");
+const { validationResult } = require("express-validator");
+const DisputeService = require("../../services/disputeService");
+const OrderDocumentService = require("../../services/orderDocumentService");
+const PriceHistoryService = require("../../services/priceHistoryService");
 
 // ================================
 // LISTING MANAGEMENT
@@ -212,6 +217,7 @@ exports.updateListingStatus = async (req, res, next) => {
     listing.updatedBy = req.user.id;
 
     await listing.save();
+    await PriceHistoryService.recordListingPrices([listing._id], 'status_changed');
 
     // Log the action
     await AuditLog.logAction({
@@ -423,6 +429,7 @@ exports.softDeleteListing = async (req, res, next) => {
     listing.deletedBy = req.user.id;
     listing.status = 'discontinued';
     await listing.save();
+    await PriceHistoryService.recordListingPrices([listing._id], 'status_changed');
 
     // Log the action
     await AuditLog.logAction({
@@ -560,6 +567,10 @@ exports.bulkUpdateListings = async (req, res, next) => {
       }
     }
 
+    if (action === 'updateStatus' || action === 'delete') {
+      await PriceHistoryService.recordListingPrices(listings.map(listing => listing._id), 'status_changed');
+    }
+
     // Log bulk action
     await AuditLog.logAction({
       userId: req.user.id,
@@ -586,3 +597,123 @@ exports.bulkUpdateListings = async (req, res, next) => {
     next(err);
   }
 };
+
+// ================================
+// ORDER DISPUTES
+// ================================
+
+/**
+ * @desc    Get order disputes (escalated first)
+ * @route   GET /api/v1/admin/disputes
+ * @access  Private/Admin
+ */
+exports.getAdminDisputes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, vendor, buyer } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (vendor) query.vendorId = vendor;
+    if (buyer) query.buyerId = buyer;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .populate('buyerId', 'name')
+        .populate('vendorId', 'businessName')
+        .populate('raisedBy', 'name phone')
+        .sort({ status: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Dispute.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: disputes
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Arbitrate an order dispute (final decision)
+ * @route   PUT /api/v1/admin/disputes/:id/arbitrate
+ * @access  Private/Admin
+ */
+exports.arbitrateDispute = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return next(new ErrorResponse(`Dispute not found with id of ${req.params.id}`, 404));
+    }
+
+    const { outcome, creditAmount, notes } = req.body;
+    const result = await DisputeService.arbitrateDispute(dispute, req.user, {
+      outcome,
+      creditAmount,
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute arbitrated successfully',
+      data: {
+        dispute: result.dispute,
+        paymentInfo: result.order.paymentInfo
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ================================
+// ORDER DOCUMENTS
+// ================================
+
+/**
+ * @desc    Download the invoice PDF for an order
+ * @route   GET /api/v1/admin/orders/:id/invoice
+ * @access  Private/Admin
+ */
+exports.getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await OrderDocumentService.loadOrder(req.params.id);
+    const document = await OrderDocumentService.generateInvoice(order);
+
+    OrderDocumentService.sendPdf(req, res, document);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download the delivery challan PDF for an order
+ * @route   GET /api/v1/admin/orders/:id/challan
+ * @access  Private/Admin
+ */
+exports.getOrderChallan = async (req, res, next) => {
+  try {
+    const order = await OrderDocumentService.loadOrder(req.params.id);
+    const document = await OrderDocumentService.generateChallan(order);
+
+    OrderDocumentService.sendPdf(req, res, document);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,6 +1,7 @@
 const User = require("../../models/User");
 const Order = require("../../models/Order");
 const { ErrorResponse } = require("../../middleware/error");
+const SessionService = require("../../services/sessionService");
 const { validationResult } = require("express-validator");
 
 // ================================
@@ -117,6 +118,12 @@ exports.updateUser = async (req, res, next) => {
       updates.profileImage = req.file.path; // Cloudinary URL
     }
 
+    // A new number has to be verified again
+    if (updates.phone && updates.phone !== user.phone) {
+      updates.isPhoneVerified = false;
+      updates.phoneVerifiedAt = null;
+    }
+
     // If role is being changed, role-specific rules
     if (updates.role && updates.role !== user.role) {
       if (updates.role === "vendor") {
@@ -159,6 +166,11 @@ exports.updateUser = async (req, res, next) => {
       .populate("vendorId")
       .populate("buyerId");
 
+    // Deactivated users are signed out of every device
+    if (user.isActive === false) {
+      await SessionService.revokeUserSessions(user._id, "account_deactivated");
+    }
+
     res.status(200).json({
       success: true,
       data: user,
@@ -196,6 +208,7 @@ exports.deleteUser = async (req, res, next) => {
     }
 
     await user.deleteOne();
+    await SessionService.revokeUserSessions(user._id, "account_deactivated");
 
     res.status(200).json({
       success: true,
@@ -8,6 +8,7 @@ const mongoose = require("mongoose");
 const { validationResult } = require("express-validator");
 const { cloudinary } = require("../../middleware/upload");
 const NotificationService = require("../../services/notificationService");
+const SessionService = require("../../services/sessionService");
 
 // ================================
 // VENDOR MANAGEMENT
@@ -214,7 +215,8 @@ exports.updateVendor = async (req, res, next) => {
       phone: vendor.phone,
       businessAddress: vendor.businessAddress,
       tradeLicenseNo: vendor.tradeLicenseNo,
-      logo: vendor.logo
+      logo: vendor.logo,
+      orderNumberPrefix: vendor.orderNumberPrefix
     };
 
     // Handle logo upload if provided
@@ -264,6 +266,11 @@ exports.updateVendor = async (req, res, next) => {
       updateData.logo = req.file.path;
     }
 
+    // An empty prefix falls back to the market or global one
+    if (updateData.orderNumberPrefix === '') {
+      updateData.orderNumberPrefix = null;
+    }
+
     // Check if email/phone is being changed and ensure uniqueness
     if (updateData.email && updateData.email !== vendor.email) {
       const existingVendor = await Vendor.findOne({
@@ -305,6 +312,7 @@ exports.updateVendor = async (req, res, next) => {
     if (oldValues.phone !== vendor.phone) changes.push(`phone changed from '${oldValues.phone}' to '${vendor.phone}'`);
     if (oldValues.tradeLicenseNo !== vendor.tradeLicenseNo) changes.push('trade license updated');
     if (oldValues.logo !== vendor.logo) changes.push('logo updated');
+    if ((oldValues.orderNumberPrefix || null) !== (vendor.orderNumberPrefix || null)) changes.push(`order number prefix set to '${vendor.orderNumberPrefix || 'default'}'`);
 
     if (changes.length > 0) {
       await AuditLog.logAction({
@@ -583,6 +591,7 @@ exports.safeDeleteVendor = async (req, res, next) => {
         adminNotes: reason || 'Vendor deleted by admin'
       }
     );
+    await SessionService.revokeSessionsWhere({ vendorId: vendor._id }, 'account_deactivated');
 
     // Log the deletion
     await AuditLog.logAction({
@@ -671,6 +680,7 @@ exports.deactivateVendor = async (req, res, next) => {
         adminNotes: reason
       }
     );
+    await SessionService.revokeSessionsWhere({ vendorId: vendor._id }, 'account_deactivated');
 
     // Log the deactivation
     await AuditLog.logAction({
@@ -3,7 +3,48 @@ const User = require('../models/User');
 const Vendor = require('../models/Vendor');
 const Buyer = require('../models/Buyer');
 const { ErrorResponse } = require('../middleware/error');
-const sendEmail = require('../utils/email');
+const { sendEmail } = require('../utils/email');
+const SessionService = require('../services/sessionService');
+const OtpService = require('../services/otpService');
+const TwoFactorService = require('../services/twoFactorService');
+const { normalizePhone } = require('../utils/helpers');
+const { sendSms } = require('../utils/sms');
+
+/**
+ * Finish a successful first login step: open a session, or return a two-factor
+ * challenge when the user has 2FA enabled or their role requires it
+ */
+const sendLoginResponse = async (user, req, res, { statusCode = 200, message } = {}) => {
+  const enabled = Boolean(user.twoFactor?.enabled);
+
+  if (enabled || await TwoFactorService.isRequiredFor(user.role)) {
+    return res.status(statusCode).json({
+      success: true,
+      twoFactorRequired: true,
+      // Users whose role requires 2FA but who haven't set it up must enroll first
+      enrollmentRequired: !enabled,
+      challengeToken: TwoFactorService.createChallenge(user),
+      message
+    });
+  }
+
+  user.lastLogin = new Date();
+  await User.updateOne({ _id: user._id }, { lastLogin: user.lastLogin });
+
+  const tokens = await SessionService.createSession(user, req);
+
+  // Get user data without password for response
+  const userData = await User.findById(user._id)
+    .populate('vendorId')
+    .populate('buyerId');
+
+  res.status(statusCode).json({
+    success: true,
+    ...tokens,
+    user: userData,
+    message
+  });
+};
 const { canUserCreateListings, canUserPlaceOrders, canUserManageBuyer } = require('../middleware/approval');
 
 /**
@@ -152,19 +193,7 @@ exports.register = async (req, res, next) => {
 
     // Send welcome email (code omitted for brevity)
 
-    // Generate JWT token
-    const token = user.getSignedJwtToken();
-
-    // Get user data without password for response
-    const userData = await User.findById(user._id)
-      .populate('vendorId')
-      .populate('buyerId');
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: userData
-    });
+    await sendLoginResponse(user, req, res, { statusCode: 201 });
   } catch (error) {
     next(error);
   }
@@ -254,28 +283,99 @@ exports.login = async (req, res, next) => {
         return next(new ErrorResponse('Invalid credentials', 401));
       }
   
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save({ validateBeforeSave: false });
-  
-      // Generate JWT token
-      const token = user.getSignedJwtToken();
-
-      // Get user data without password for response
-      const userData = await User.findById(user._id)
-        .populate('vendorId')
-        .populate('buyerId');
-  
-      res.status(200).json({
-        success: true,
-        token,
-        user: userData
-      });
+      await sendLoginResponse(user, req, res);
     } catch (error) {
       next(error);
     }
   };
 
+/**
+ * @desc    Text a one-time login code to a registered phone number
+ * @route   POST /api/v1/auth/otp/request
+ * @access  Public
+ */
+exports.requestLoginOtp = async (req, res, next) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+
+    // Same throttling and response whether or not the number is registered (no account enumeration)
+    await OtpService.checkThrottle(phone, 'login', req.ip);
+
+    const user = await User.findOne({ phone, isActive: true });
+    const delivery = user
+      ? await OtpService.issueCode(phone, 'login', { userId: user._id, ipAddress: req.ip })
+      : await OtpService.recordUnsentRequest(phone, 'login', { ipAddress: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: 'If this number is registered, a login code has been sent',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Login with phone number and one-time code
+ * @route   POST /api/v1/auth/otp/login
+ * @access  Public
+ */
+exports.loginWithOtp = async (req, res, next) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+
+    try {
+      await OtpService.verifyCode(phone, 'login', req.body.code);
+    } catch (otpError) {
+      try {
+        const AuditLog = require('../models/AuditLog');
+        await AuditLog.logAction({
+          userId: null,
+          userRole: 'unknown',
+          action: 'login_failed',
+          entityType: 'User',
+          entityId: null,
+          description: 'Failed OTP login attempt',
+          severity: 'medium',
+          impactLevel: 'minor',
+          status: 'failed',
+          metadata: {
+            phone,
+            reason: 'invalid_otp',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+          }
+        });
+      } catch (auditError) {
+        console.error('Audit log error:', auditError);
+      }
+      return next(otpError);
+    }
+
+    const user = await User.findOne({ phone });
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid credentials', 401));
+    }
+
+    if (!user.isActive) {
+      return next(new ErrorResponse('Account has been deactivated', 401));
+    }
+
+    // Receiving the code proves the user holds this number
+    if (!user.isPhoneVerified) {
+      user.isPhoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current logged in user profile
  * @route   GET /api/auth/me
@@ -389,6 +489,7 @@ exports.getUserStatus = async (req, res, next) => {
         email: user.email,
         phone: user.phone,
         role: user.role,
+        ...(user.role === 'vendor' && { vendorRole: user.vendorRole || 'owner' }),
         isActive: user.isActive
       },
       businessVerification: {
@@ -403,7 +504,11 @@ exports.getUserStatus = async (req, res, next) => {
         canPlaceOrders: canUserPlaceOrders(user),
         canManageBuyer: canUserManageBuyer(user),
         canAccessDashboard: businessStatus.verificationStatus === 'approved' || user.role === 'admin',
-        canUpdateProfile: true // Everyone can update basic profile
+        canUpdateProfile: true, // Everyone can update basic profile
+        // Which vendor-dashboard areas this staff member can use
+        ...(user.role === 'vendor' && {
+          vendorPermissions: User.VENDOR_PERMISSIONS.filter(permission => user.hasPermission(permission))
+        })
       },
       restrictions: {
         hasRestrictions: businessStatus.verificationStatus !== 'approved' && user.role !== 'admin',
@@ -467,13 +572,17 @@ exports.updateProfile = async (req, res, next) => {
       return next(new ErrorResponse(errors.array()[0].msg, 400));
     }
 
-    const { name } = req.body;
+    const { name, preferredLanguage } = req.body;
     const updatedFields = {};
     
     if (name) {
       updatedFields.name = name;
     }
 
+    if (preferredLanguage) {
+      updatedFields.preferredLanguage = preferredLanguage;
+    }
+
     // Handle optional profile image upload
     if (req.file) {
       updatedFields.profileImage = req.file.path; // Cloudinary URL
@@ -545,6 +654,11 @@ exports.changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; the session making the change stays signed in
+    const revokedSessions = await SessionService.revokeUserSessions(user._id, 'password_changed', {
+      exceptSessionId: req.sessionId
+    });
+
     // Audit log for password change
     try {
       const AuditLog = require('../models/AuditLog');
@@ -560,7 +674,8 @@ exports.changePassword = async (req, res, next) => {
         status: 'success',
         metadata: {
           ipAddress: req.ip,
-          userAgent: req.get('User-Agent')
+          userAgent: req.get('User-Agent'),
+          revokedSessions
         }
       });
     } catch (auditError) {
@@ -569,13 +684,27 @@ exports.changePassword = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      revokedSessions
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Permission fields an owner may set on a manager (unknown keys are ignored)
+ */
+const pickManagerPermissions = (input = {}) => {
+  const permissions = {};
+  ['spendLimitPerOrder', 'allowedCategories', 'allowedVendors', 'analyticsAccess'].forEach(key => {
+    if (input[key] !== undefined) {
+      permissions[key] = input[key];
+    }
+  });
+  return permissions;
+};
+
 /**
  * @desc    Create manager account (Owner only)
  * @route   POST /api/auth/create-manager
@@ -615,7 +744,8 @@ exports.createManager = async (req, res, next) => {
       password,
       phone,
       role: 'buyerManager',
-      buyerId: req.user.buyerId._id
+      buyerId: req.user.buyerId._id,
+      managerPermissions: pickManagerPermissions(req.body.permissions)
     });
 
     // Add manager to buyer's managers array
@@ -656,6 +786,60 @@ exports.getManagers = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Update a manager's permissions (spend limit, categories, vendors, analytics)
+ * @route   PUT /api/auth/managers/:id/permissions
+ * @access  Private (Owner only)
+ */
+exports.updateManagerPermissions = async (req, res, next) => {
+  try {
+    const manager = await User.findOne({
+      _id: req.params.id,
+      role: 'buyerManager',
+      buyerId: req.user.buyerId._id
+    });
+
+    if (!manager) {
+      return next(new ErrorResponse('Manager not found', 404));
+    }
+
+    const before = manager.managerPermissions.toObject();
+    Object.entries(pickManagerPermissions(req.body)).forEach(([key, value]) => {
+      manager.set(`managerPermissions.${key}`, value);
+    });
+    await manager.save();
+
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.logAction({
+        userId: req.user._id,
+        userRole: req.user.role,
+        action: 'user_updated',
+        entityType: 'User',
+        entityId: manager._id,
+        description: `Updated permissions for manager ${manager.name}`,
+        changes: {
+          before,
+          after: manager.managerPermissions.toObject()
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        impactLevel: 'minor'
+      });
+    } catch (auditError) {
+      console.error('Audit log error:', auditError);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: manager
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Deactivate manager account (Owner only)
  * @route   PUT /api/auth/managers/:id/deactivate
@@ -676,6 +860,8 @@ exports.deactivateManager = async (req, res, next) => {
     manager.isActive = false;
     await manager.save();
 
+    await SessionService.revokeUserSessions(manager._id, 'account_deactivated');
+
     res.status(200).json({
       success: true,
       message: 'Manager account deactivated successfully'
@@ -685,6 +871,276 @@ exports.deactivateManager = async (req, res, next) => {
   }
 };
 
+/**
+ * Text a staff member their invite link. The account exists either way, and
+ * the owner can resend the link if the text fails.
+ * @returns {Promise<Boolean>} Whether the SMS went out
+ */
+const sendStaffInvite = async (staff, owner) => {
+  const inviteToken = staff.getStaffInviteToken();
+  await staff.save({ validateBeforeSave: false });
+
+  const inviteUrl = `${process.env.CLIENT_URL || 'http://localhost:3001'}/staff-invite/${inviteToken}`;
+
+  try {
+    await sendSms({
+      phone: staff.phone,
+      message: `${owner.name} added you to ${owner.vendorId.businessName} on Aaroth Fresh as ${staff.vendorRole}. ` +
+        `Set your password within ${User.STAFF_INVITE_HOURS} hours: ${inviteUrl}`
+    });
+    return true;
+  } catch (smsError) {
+    console.error('Staff invite SMS error:', smsError.message);
+    return false;
+  }
+};
+
+/**
+ * @desc    Invite a vendor staff member (sales, dispatcher, accountant or co-owner)
+ * @route   POST /api/auth/vendor-staff
+ * @access  Private (Vendor owner only)
+ */
+exports.inviteVendorStaff = async (req, res, next) => {
+  try {
+    const crypto = require('crypto');
+    const { name, email, vendorRole } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    const existingUser = await User.findOne({ $or: [{ email }, { phone }] });
+
+    if (existingUser) {
+      if (existingUser.email === email) {
+        return next(new ErrorResponse('A user with this email already exists', 400));
+      }
+      return next(new ErrorResponse('A user with this phone number already exists', 400));
+    }
+
+    // The owner never knows the password: the account starts with a random one
+    // and the staff member sets their own from the invite link
+    const staff = await User.create({
+      name,
+      email,
+      password: crypto.randomBytes(32).toString('hex'),
+      phone,
+      role: 'vendor',
+      vendorRole,
+      vendorId: req.user.vendorId._id
+    });
+
+    const inviteSent = await sendStaffInvite(staff, req.user);
+
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.logAction({
+        userId: req.user._id,
+        userRole: req.user.role,
+        action: 'user_created',
+        entityType: 'User',
+        entityId: staff._id,
+        description: `Added ${vendorRole} ${staff.name} to vendor staff`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        impactLevel: 'minor'
+      });
+    } catch (auditError) {
+      console.error('Audit log error:', auditError);
+    }
+
+    res.status(201).json({
+      success: true,
+      inviteSent,
+      data: staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the vendor's staff accounts
+ * @route   GET /api/auth/vendor-staff
+ * @access  Private (Vendor owner only)
+ */
+exports.getVendorStaff = async (req, res, next) => {
+  try {
+    const query = {
+      role: 'vendor',
+      vendorId: req.user.vendorId._id
+    };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const staff = await User.find(query)
+      .select('name email phone vendorRole isActive lastLogin staffInviteExpire createdAt')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      data: staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a staff member of the current vendor other than the acting user
+ */
+const findOtherVendorStaff = async (req) => {
+  if (req.params.id === req.user._id.toString()) {
+    throw new ErrorResponse('You cannot change your own staff account', 400);
+  }
+
+  const staff = await User.findOne({
+    _id: req.params.id,
+    role: 'vendor',
+    vendorId: req.user.vendorId._id
+  });
+
+  if (!staff) {
+    throw new ErrorResponse('Staff member not found', 404);
+  }
+  return staff;
+};
+
+/**
+ * @desc    Change a staff member's sub-role
+ * @route   PUT /api/auth/vendor-staff/:id/role
+ * @access  Private (Vendor owner only)
+ */
+exports.updateVendorStaffRole = async (req, res, next) => {
+  try {
+    const staff = await findOtherVendorStaff(req);
+    const previousRole = staff.vendorRole || 'owner';
+
+    // Permissions are checked on every request, so the new role applies without signing out
+    staff.vendorRole = req.body.vendorRole;
+    await staff.save();
+
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.logAction({
+        userId: req.user._id,
+        userRole: req.user.role,
+        action: 'user_updated',
+        entityType: 'User',
+        entityId: staff._id,
+        description: `Changed ${staff.name} from ${previousRole} to ${staff.vendorRole}`,
+        changes: {
+          before: { vendorRole: previousRole },
+          after: { vendorRole: staff.vendorRole }
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        impactLevel: 'minor'
+      });
+    } catch (auditError) {
+      console.error('Audit log error:', auditError);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: staff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a staff member a new invite link (the previous one stops working)
+ * @route   POST /api/auth/vendor-staff/:id/resend-invite
+ * @access  Private (Vendor owner only)
+ */
+exports.resendVendorStaffInvite = async (req, res, next) => {
+  try {
+    const staff = await findOtherVendorStaff(req);
+
+    if (!staff.isActive) {
+      return next(new ErrorResponse('Staff account is deactivated', 400));
+    }
+    if (!staff.staffInviteExpire) {
+      return next(new ErrorResponse('Staff member has already accepted the invite', 400));
+    }
+
+    const inviteSent = await sendStaffInvite(staff, req.user);
+    if (!inviteSent) {
+      return next(new ErrorResponse('Invite SMS could not be sent', 500));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite sent',
+      data: { staffInviteExpire: staff.staffInviteExpire }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a vendor staff invite by setting a password, then sign in
+ * @route   PUT /api/v1/auth/staff-invite/:inviteToken
+ * @access  Public
+ */
+exports.acceptStaffInvite = async (req, res, next) => {
+  try {
+    const crypto = require('crypto');
+
+    // Get hashed token
+    const staffInviteToken = crypto
+      .createHash('sha256')
+      .update(req.params.inviteToken)
+      .digest('hex');
+
+    const user = await User.findOne({
+      staffInviteToken,
+      staffInviteExpire: { $gt: Date.now() },
+      isActive: true
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid or expired invite link', 400));
+    }
+
+    user.password = req.body.password;
+    user.staffInviteToken = undefined;
+    user.staffInviteExpire = undefined;
+    await user.save();
+
+    await sendLoginResponse(user, req, res, { message: 'Invite accepted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Deactivate a vendor staff account
+ * @route   PUT /api/auth/vendor-staff/:id/deactivate
+ * @access  Private (Vendor owner only)
+ */
+exports.deactivateVendorStaff = async (req, res, next) => {
+  try {
+    const staff = await findOtherVendorStaff(req);
+
+    staff.isActive = false;
+    await staff.save();
+
+    await SessionService.revokeUserSessions(staff._id, 'account_deactivated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff account deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Forgot password - send reset token via email
  * @route   POST /api/v1/auth/forgot-password
@@ -708,20 +1164,12 @@ exports.forgotPassword = async (req, res, next) => {
     // Create reset URL
     const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3001'}/reset-password/${resetToken}`;
 
-    const message = `
-      <h2>Password Reset Request</h2>
-      <p>You are receiving this email because you (or someone else) has requested a password reset.</p>
-      <p>Please click the link below to reset your password:</p>
-      <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a>
-      <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-      <p>This link will expire in 10 minutes.</p>
-    `;
-
     try {
       await sendEmail({
         email: user.email,
-        subject: 'Aaroth Fresh - Password Reset Request',
-        message
+        template: 'password_reset',
+        data: { name: user.name, resetUrl, expiresInMinutes: 10 },
+        language: user.preferredLanguage
       });
 
       res.status(200).json({
@@ -771,13 +1219,26 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate new token for auto-login
-    const token = user.getSignedJwtToken();
+    // Whoever had the old password is signed out everywhere, then auto-login on this device
+    await SessionService.revokeUserSessions(user._id, 'password_reset');
+    await sendLoginResponse(user, req, res, { message: 'Password reset successful' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token (the refresh token rotates)
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const tokens = await SessionService.rotateRefreshToken(req.body.refreshToken, req);
 
     res.status(200).json({
       success: true,
-      token,
-      message: 'Password reset successful'
+      ...tokens
     });
   } catch (error) {
     next(error);
@@ -785,12 +1246,21 @@ exports.resetPassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user (revokes the current session, or all with ?all=true)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
+    if (req.query.all === 'true') {
+      await SessionService.revokeUserSessions(req.user._id, 'logout');
+    } else if (req.sessionId) {
+      await SessionService.revokeSession(req.sessionId, 'logout', req.user._id);
+    } else {
+      // Legacy token without a session: it can only be revoked with the user's other legacy tokens
+      await SessionService.revokeLegacyTokens(req.user._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -800,6 +1270,72 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    List active sessions (signed-in devices) of the current user
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one session of the current user
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await SessionService.revokeSession(req.params.sessionId, 'user_revoked', req.user._id);
+
+    if (!revoked) {
+      return next(new ErrorResponse('Session not found or already signed out', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke all other sessions (or every session with ?includeCurrent=true)
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.includeCurrent !== 'true';
+    const revoked = await SessionService.revokeUserSessions(req.user._id, 'user_revoked', {
+      exceptSessionId: keepCurrent ? req.sessionId : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      count: revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Send email verification token
  * @route   POST /api/v1/auth/send-verification-email
@@ -825,19 +1361,12 @@ exports.sendVerificationEmail = async (req, res, next) => {
     // Create verification URL
     const verificationUrl = `${process.env.CLIENT_URL || 'http://localhost:3001'}/verify-email/${verificationToken}`;
 
-    const message = `
-      <h2>Email Verification</h2>
-      <p>Please click the link below to verify your email address:</p>
-      <a href="${verificationUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a>
-      <p>If you did not create an account, please ignore this email.</p>
-      <p>This link will expire in 24 hours.</p>
-    `;
-
     try {
       await sendEmail({
         email: user.email,
-        subject: 'Aaroth Fresh - Email Verification',
-        message
+        template: 'email_verification',
+        data: { name: user.name, verificationUrl, expiresInHours: 24 },
+        language: user.preferredLanguage
       });
 
       res.status(200).json({
@@ -895,3 +1424,277 @@ exports.verifyEmail = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Text a verification code to the current user's phone
+ * @route   POST /api/v1/auth/send-phone-verification
+ * @access  Private
+ */
+exports.sendPhoneVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new ErrorResponse('User not found', 404));
+    }
+
+    if (user.isPhoneVerified) {
+      return next(new ErrorResponse('Phone number is already verified', 400));
+    }
+
+    const delivery = await OtpService.sendCode(user.phone, 'verify_phone', {
+      userId: user._id,
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify the current user's phone with the texted code
+ * @route   POST /api/v1/auth/verify-phone
+ * @access  Private
+ */
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new ErrorResponse('User not found', 404));
+    }
+
+    if (user.isPhoneVerified) {
+      return next(new ErrorResponse('Phone number is already verified', 400));
+    }
+
+    await OtpService.verifyCode(user.phone, 'verify_phone', req.body.code);
+
+    user.isPhoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get two-factor status (enabled, required by role, recovery codes left)
+ * @route   GET /api/v1/auth/2fa
+ * @access  Private
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment - returns the secret and a QR code for the authenticator app
+ * @route   POST /api/v1/auth/2fa/setup (logged in) or POST /api/v1/auth/2fa/challenge/setup (during login)
+ * @access  Private / Two-factor challenge
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const enrollment = await TwoFactorService.beginEnrollment(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with a code; returns one-time recovery codes
+ *          (and a session when enrolling during login)
+ * @route   POST /api/v1/auth/2fa/enable (logged in) or POST /api/v1/auth/2fa/challenge/enable (during login)
+ * @access  Private / Two-factor challenge
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user, req.body.code);
+
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.logAction({
+        userId: req.user._id,
+        userRole: req.user.role,
+        action: 'two_factor_enabled',
+        entityType: 'User',
+        entityId: req.user._id,
+        description: 'User enabled two-factor authentication',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'high',
+        impactLevel: 'minor'
+      });
+    } catch (auditError) {
+      console.error('Audit log error:', auditError);
+    }
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+      recoveryCodes
+    };
+
+    if (req.twoFactorChallenge) {
+      req.user.lastLogin = new Date();
+      await User.updateOne({ _id: req.user._id }, { lastLogin: req.user.lastLogin });
+      Object.assign(response, await SessionService.createSession(req.user, req));
+      response.user = await User.findById(req.user._id)
+        .populate('vendorId')
+        .populate('buyerId');
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete login with an authenticator code or a recovery code
+ * @route   POST /api/v1/auth/2fa/verify
+ * @access  Two-factor challenge
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const result = await TwoFactorService.verify(req.user, { code, recoveryCode });
+
+    if (!result) {
+      const { locked } = await TwoFactorService.recordFailure(req.user, req, 'login');
+      return next(new ErrorResponse(
+        locked ? 'Too many failed attempts. Two-factor login is locked for 15 minutes.' : 'Invalid authentication code',
+        locked ? 429 : 401
+      ));
+    }
+
+    await TwoFactorService.resetFailures(req.user);
+
+    req.user.lastLogin = new Date();
+    await User.updateOne({ _id: req.user._id }, { lastLogin: req.user.lastLogin });
+
+    const tokens = await SessionService.createSession(req.user, req);
+    const userData = await User.findById(req.user._id)
+      .populate('vendorId')
+      .populate('buyerId');
+
+    res.status(200).json({
+      success: true,
+      ...tokens,
+      user: userData,
+      ...(result.method === 'recovery_code' && { recoveryCodesRemaining: result.recoveryCodesRemaining })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-check password and a current code before changing 2FA on a logged-in account
+ */
+const confirmTwoFactorChange = async (req) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!(await user.matchPassword(req.body.password || ''))) {
+    throw new ErrorResponse('Password is incorrect', 400);
+  }
+
+  const result = await TwoFactorService.verify(user, {
+    code: req.body.code,
+    recoveryCode: req.body.recoveryCode
+  });
+
+  if (!result) {
+    await TwoFactorService.recordFailure(user, req, 'settings');
+    throw new ErrorResponse('Invalid authentication code', 400);
+  }
+
+  await TwoFactorService.resetFailures(user);
+  return user;
+};
+
+/**
+ * @desc    Turn off 2FA (not allowed for roles where it is required)
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    if (await TwoFactorService.isRequiredFor(req.user.role)) {
+      return next(new ErrorResponse('Two-factor authentication is required for your role and cannot be turned off', 403));
+    }
+
+    const user = await confirmTwoFactorChange(req);
+    await TwoFactorService.disable(user);
+
+    try {
+      const AuditLog = require('../models/AuditLog');
+      await AuditLog.logAction({
+        userId: user._id,
+        userRole: user.role,
+        action: 'two_factor_disabled',
+        entityType: 'User',
+        entityId: user._id,
+        description: 'User disabled two-factor authentication',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'high',
+        impactLevel: 'moderate'
+      });
+    } catch (auditError) {
+      console.error('Audit log error:', auditError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace all recovery codes (old ones stop working)
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await confirmTwoFactorChange(req);
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the previous ones no longer work',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -9,6 +9,13 @@ const ProductCategory = require('../models/ProductCategory');
 const Vendor = require('../models/Vendor');
 const Budget = require('../models/Budget');
 const { ErrorResponse } = require('../middleware/error');
+const OrderDocumentService = require('../services/orderDocumentService');
+const LedgerService = require('../services/ledgerService');
+const PriceHistoryService = require('../services/priceHistoryService');
+const { comparisonUnit, convertQuantity } = require('../utils/units');
+
+// Products (by spend) shown against market prices in price analytics
+const MARKET_TREND_PRODUCTS = 5;
 
 /**
  * Helper function to get date range based on period or custom dates
@@ -1328,7 +1335,111 @@ exports.updateBudget = async (req, res, next) => {
 };
 
 /**
- * @desc    Get price analytics and average price tracking
+ * Market price trends (from price snapshots) for the products the buyer spent
+ * most on in the period, next to what the buyer paid per kg/liter/piece/bunch
+ */
+const getMarketTrends = async (buyerId, { productId, categoryId, start, end }) => {
+  const purchases = await Order.aggregate([
+    {
+      $match: {
+        // Aggregates aren't cast, so use the id even when buyerId is the populated buyer
+        buyerId: buyerId._id,
+        createdAt: { $gte: start, $lte: end },
+        status: { $ne: 'cancelled' }
+      }
+    },
+    { $unwind: '$items' },
+    ...(productId ? [{ $match: { 'items.productId': new mongoose.Types.ObjectId(productId) } }] : []),
+    ...(categoryId ? [
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.productId',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $match: { 'product.category': new mongoose.Types.ObjectId(categoryId) } }
+    ] : []),
+    {
+      $group: {
+        _id: { productId: '$items.productId', unit: '$items.unit' },
+        productName: { $first: '$items.productName' },
+        totalQuantity: { $sum: '$items.quantity' },
+        totalSpent: { $sum: '$items.totalPrice' }
+      }
+    }
+  ]);
+
+  // What the buyer paid per comparison unit, per product
+  const paidByProduct = new Map();
+  for (const row of purchases) {
+    const unit = comparisonUnit(row._id.unit);
+    const quantity = convertQuantity(row.totalQuantity, row._id.unit, unit);
+    if (!unit || !quantity) continue;
+
+    const key = row._id.productId.toString();
+    if (!paidByProduct.has(key)) {
+      paidByProduct.set(key, { productId: row._id.productId, name: row.productName, totalSpent: 0, units: new Map() });
+    }
+    const entry = paidByProduct.get(key);
+    entry.totalSpent += row.totalSpent;
+
+    const paid = entry.units.get(unit) || { totalSpent: 0, quantity: 0 };
+    paid.totalSpent += row.totalSpent;
+    paid.quantity += quantity;
+    entry.units.set(unit, paid);
+  }
+
+  const products = [...paidByProduct.values()]
+    .sort((a, b) => b.totalSpent - a.totalSpent)
+    .slice(0, MARKET_TREND_PRODUCTS);
+  // Snapshots can only go up to today, so the market series runs from the period start to now
+  const days = Math.ceil((Date.now() - start.getTime()) / (24 * 60 * 60 * 1000));
+
+  const trends = await Promise.all(products.map(async (entry) => {
+    let stats;
+    try {
+      stats = await PriceHistoryService.dailyStats(entry.productId, { days });
+    } catch (error) {
+      // Products removed from the catalogue have no market to compare against
+      if (error instanceof ErrorResponse) return null;
+      throw error;
+    }
+
+    const paidPrices = [...entry.units].map(([unit, paid]) => {
+      const medians = stats.markets
+        .filter(market => market.unit === unit)
+        .flatMap(market => market.days.map(day => day.median));
+      const averagePaid = paid.totalSpent / paid.quantity;
+      const marketMedian = medians.length
+        ? medians.reduce((sum, price) => sum + price, 0) / medians.length
+        : null;
+
+      return {
+        unit,
+        averagePaid: Math.round(averagePaid * 100) / 100,
+        averageMarketMedian: marketMedian === null ? null : Math.round(marketMedian * 100) / 100,
+        differencePercentage: marketMedian
+          ? Math.round(((averagePaid - marketMedian) / marketMedian) * 100)
+          : null
+      };
+    });
+
+    return {
+      productId: entry.productId,
+      name: entry.name,
+      paid: paidPrices,
+      markets: stats.markets
+    };
+  }));
+
+  return trends.filter(Boolean);
+};
+
+/**
+ * @desc    Get price analytics and average price tracking, with market price
+ *          trends for the products the buyer spends most on
  * @route   GET /api/v1/buyer-dashboard/price-analytics
  * @access  Private (Buyer Owner/Manager only)
  */
@@ -1348,7 +1459,7 @@ exports.getPriceAnalytics = async (req, res, next) => {
     const last12Months = new Date();
     last12Months.setMonth(currentDate.getMonth() - 12);
 
-    const [monthlyPricesByCategory, monthlyPricesByProduct, currentPeriodPrices] = await Promise.all([
+    const [monthlyPricesByCategory, monthlyPricesByProduct, currentPeriodPrices, marketTrends] = await Promise.all([
       // Monthly average prices by category over last 12 months
       Order.aggregate([
         {
@@ -1504,7 +1615,10 @@ exports.getPriceAnalytics = async (req, res, next) => {
         },
         { $sort: { totalSpent: -1 } },
         { $limit: 50 }
-      ])
+      ]),
+
+      // Market prices for the products the buyer spent most on
+      getMarketTrends(buyerId, { productId, categoryId, start, end })
     ]);
 
     // Process historical price trends
@@ -1574,6 +1688,7 @@ exports.getPriceAnalytics = async (req, res, next) => {
         averageMonthlyPrice: entity.monthlyPrices.length ? 
           Math.round(entity.monthlyPrices.reduce((sum, p) => sum + p.averagePrice, 0) / entity.monthlyPrices.length * 100) / 100 : 0
       })),
+      marketTrends,
       insights: {
         mostVolatilePrices: Object.values(priceAnalytics)
           .filter(entity => entity.monthlyPrices.length >= 3)
@@ -2441,4 +2556,100 @@ exports.getReorderSuggestions = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Load an order for a document download, checking it belongs to the user's business
+ */
+const loadOrderForDocument = async (orderId, user) => {
+  const order = await OrderDocumentService.loadOrder(orderId);
+
+  if (order.buyerId._id.toString() !== user.buyerId._id.toString()) {
+    throw new ErrorResponse('Not authorized to access this order', 403);
+  }
+
+  return order;
+};
+
+/**
+ * @desc    Download the invoice PDF for an order
+ * @route   GET /api/v1/buyer-dashboard/orders/:id/invoice
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await loadOrderForDocument(req.params.id, req.user);
+    const document = await OrderDocumentService.generateInvoice(order);
+
+    OrderDocumentService.sendPdf(req, res, document);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the delivery challan PDF for an order
+ * @route   GET /api/v1/buyer-dashboard/orders/:id/challan
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getOrderChallan = async (req, res, next) => {
+  try {
+    const order = await loadOrderForDocument(req.params.id, req.user);
+    const document = await OrderDocumentService.generateChallan(order);
+
+    OrderDocumentService.sendPdf(req, res, document);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get outstanding payables per vendor with due dates from the payment terms
+ * @route   GET /api/v1/buyer-dashboard/payables
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getOutstandingPayables = async (req, res, next) => {
+  try {
+    const payables = await LedgerService.getOutstandingPayables(req.user.buyerId._id);
+
+    res.status(200).json({
+      success: true,
+      count: payables.vendors.length,
+      data: {
+        paymentTerms: req.user.buyerId.paymentTerms,
+        ...payables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the ledger statement with one vendor
+ * @route   GET /api/v1/buyer-dashboard/ledger/:vendorId
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getVendorLedger = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const statement = await LedgerService.getStatement(
+      req.user.buyerId._id,
+      req.params.vendorId,
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: statement.entries.length,
+      data: statement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,352 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Order = require("../models/Order");
+const { ErrorResponse } = require("../middleware/error");
+const { validationResult } = require("express-validator");
+const { canUserPlaceOrders } = require("../middleware/approval");
+const OrderService = require("../services/orderService");
+const NotificationService = require("../services/notificationService");
+const stockReservationService = require("../services/stockReservationService");
+const realtimeService = require("../services/realtimeService");
+
+/**
+ * Build the cart response with items grouped by vendor
+ */
+const buildCartResponse = async (cart) => {
+  await cart.populate([
+    {
+      path: "items.listingId",
+      select: "productId pricing availability status qualityGrade images marketId",
+      populate: { path: "productId", select: "name" },
+    },
+    { path: "items.vendorId", select: "businessName" },
+    { path: "items.marketId", select: "name" },
+  ]);
+
+  const vendors = [];
+  const vendorIndex = new Map();
+  let estimatedTotal = 0;
+
+  for (const item of cart.items) {
+    const listing = item.listingId;
+    const vendorKey = item.vendorId._id.toString();
+
+    if (!vendorIndex.has(vendorKey)) {
+      vendorIndex.set(vendorKey, vendors.length);
+      vendors.push({
+        vendor: item.vendorId,
+        items: [],
+        subtotal: 0,
+      });
+    }
+
+    const pricing = listing && listing.pricing && listing.pricing[0];
+    const unitPrice = pricing ? pricing.pricePerBaseUnit : 0;
+    const lineTotal = unitPrice * item.quantity;
+    const isAvailable = !!listing && listing.status === "active" &&
+      item.quantity <= listing.freeQuantity;
+
+    const group = vendors[vendorIndex.get(vendorKey)];
+    group.items.push({
+      listing,
+      market: item.marketId,
+      quantity: item.quantity,
+      specialInstructions: item.specialInstructions,
+      addedAt: item.addedAt,
+      unitPrice,
+      unit: pricing ? pricing.unit : undefined,
+      lineTotal,
+      isAvailable,
+    });
+    group.subtotal += lineTotal;
+    estimatedTotal += lineTotal;
+  }
+
+  return {
+    _id: cart._id,
+    itemCount: cart.items.length,
+    vendorCount: vendors.length,
+    estimatedTotal,
+    vendors,
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * @desc    Get current user's cart grouped by vendor
+ * @route   GET /api/v1/cart
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartResponse(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add an item to the cart (increments quantity if already present)
+ * @route   POST /api/v1/cart/items
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.addCartItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { listingId, quantity, specialInstructions } = req.body;
+    const cart = await Cart.findOrCreateForUser(req.user);
+
+    const existingItem = cart.findItem(listingId);
+    const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+    // Validate against the listing's pack rules and current availability
+    const listing = await OrderService.getOrderableListing(listingId);
+    OrderService.buildOrderItem(listing, { listingId, quantity: newQuantity });
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity;
+      if (specialInstructions !== undefined) {
+        existingItem.specialInstructions = specialInstructions;
+      }
+    } else {
+      cart.items.push({
+        listingId: listing._id,
+        vendorId: listing.vendorId,
+        marketId: listing.marketId._id,
+        productId: listing.productId._id,
+        quantity: newQuantity,
+        specialInstructions,
+      });
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartResponse(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update quantity of a cart item
+ * @route   PUT /api/v1/cart/items/:listingId
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.updateCartItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { quantity, specialInstructions } = req.body;
+    const cart = await Cart.findOrCreateForUser(req.user);
+
+    const item = cart.findItem(req.params.listingId);
+    if (!item) {
+      return next(new ErrorResponse("Item not found in cart", 404));
+    }
+
+    const listing = await OrderService.getOrderableListing(req.params.listingId);
+    OrderService.buildOrderItem(listing, { listingId: listing._id, quantity });
+
+    item.quantity = quantity;
+    if (specialInstructions !== undefined) {
+      item.specialInstructions = specialInstructions;
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartResponse(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove an item from the cart
+ * @route   DELETE /api/v1/cart/items/:listingId
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.removeCartItem = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user);
+
+    const item = cart.findItem(req.params.listingId);
+    if (!item) {
+      return next(new ErrorResponse("Item not found in cart", 404));
+    }
+
+    cart.items.pull(item);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      data: await buildCartResponse(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove all items from the cart
+ * @route   DELETE /api/v1/cart
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.clearCart = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOrCreateForUser(req.user);
+    cart.items = [];
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared successfully",
+      data: await buildCartResponse(cart),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Check out the cart, creating one order per vendor
+ * @route   POST /api/v1/cart/checkout
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.checkout = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    if (!canUserPlaceOrders(req.user)) {
+      return next(new ErrorResponse(
+        "Your business must be approved by admin before you can place orders.",
+        403
+      ));
+    }
+
+    const { deliveryInfo, paymentInfo, notes } = req.body;
+    const cart = await Cart.findOne({ userId: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      return next(new ErrorResponse("Cart is empty", 400));
+    }
+
+    // Revalidate every item against current listings, grouped by vendor
+    const vendorGroups = new Map();
+    for (const cartItem of cart.items) {
+      const listing = await OrderService.getOrderableListing(cartItem.listingId);
+      const orderItem = OrderService.buildOrderItem(listing, {
+        listingId: listing._id,
+        quantity: cartItem.quantity,
+        specialInstructions: cartItem.specialInstructions,
+      });
+
+      // Listing may have been reassigned since it was added to the cart
+      const vendorKey = listing.vendorId.toString();
+      if (!vendorGroups.has(vendorKey)) {
+        vendorGroups.set(vendorKey, { vendorId: listing.vendorId, prepared: [] });
+      }
+      vendorGroups.get(vendorKey).prepared.push({ listing, orderItem });
+    }
+
+    const checkoutGroupId = new mongoose.Types.ObjectId();
+    const orderDocs = [...vendorGroups.values()].map(({ vendorId, prepared }) => ({
+      buyerId: req.user.buyerId._id,
+      vendorId,
+      placedBy: req.user.id,
+      checkoutGroupId,
+      items: prepared.map(({ orderItem }) => orderItem),
+      deliveryInfo,
+      paymentInfo,
+      notes,
+      // Manager limits apply to each vendor's order separately
+      ownerApproval: OrderService.checkManagerPermissions(req.user, vendorId, prepared),
+    }));
+
+    let orders;
+    let reservedListings;
+    await session.withTransaction(async () => {
+      // Reserve stock for every vendor's items; any shortfall aborts the whole checkout
+      reservedListings = await stockReservationService.reserveItems(
+        orderDocs.flatMap((doc) => doc.items),
+        session
+      );
+
+      const stockReservation = await stockReservationService.createReservationInfo();
+      for (const doc of orderDocs) {
+        doc.stockReservation = { ...stockReservation };
+      }
+
+      // ordered: true saves sequentially; a transaction session cannot run operations in parallel
+      orders = await Order.create(orderDocs, { session, ordered: true });
+
+      cart.items = [];
+      await cart.save({ session });
+    });
+
+    for (const order of orders) {
+      await realtimeService.publishOrderPlaced(order);
+
+      try {
+        await NotificationService.createOrderNotification(order, "order_placed", {
+          buyerName: req.user.buyerId?.name,
+        });
+      } catch (notificationError) {
+        console.error("Failed to send order placed notification:", notificationError.message);
+      }
+    }
+
+    for (const order of orders.filter((created) => created.ownerApproval?.required)) {
+      try {
+        await NotificationService.createOrderNotification(order, "owner_approval_required", {
+          placedByName: req.user.name,
+        });
+      } catch (notificationError) {
+        console.error("Failed to send owner approval notification:", notificationError.message);
+      }
+    }
+
+    const grandTotal = orders.reduce((sum, order) => sum + order.totalAmount, 0);
+
+    res.status(201).json({
+      success: true,
+      message: `Checkout complete: ${orders.length} order(s) created`,
+      count: orders.length,
+      data: {
+        checkoutGroupId,
+        grandTotal,
+        orders,
+      },
+      stockReservations: stockReservationService.summarizeStock(
+        reservedListings,
+        orderDocs.flatMap((doc) => doc.items)
+      ),
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    session.endSession();
+  }
+};
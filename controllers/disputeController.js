@@ -0,0 +1,182 @@
+const Order = require("../models/Order");
+const Dispute = require("../models/Dispute");
+const { ErrorResponse } = require("../middleware/error");
+const { validationResult } = require("express-validator");
+const DisputeService = require("../services/disputeService");
+const OrderService = require("../services/orderService");
+const { removeUploadedFiles } = require("../middleware/upload");
+
+/**
+ * Load an order and check the user is its buyer or vendor
+ */
+const loadOrderForUser = async (orderId, user) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+  }
+
+  if (!OrderService.canAccessOrder(order, user)) {
+    throw new ErrorResponse("Not authorized to access this order", 403);
+  }
+
+  return order;
+};
+
+/**
+ * Load a dispute belonging to the given order
+ */
+const loadDispute = async (order, disputeId) => {
+  const dispute = await Dispute.findOne({ _id: disputeId, orderId: order._id });
+
+  if (!dispute) {
+    throw new ErrorResponse(`Dispute not found with id of ${disputeId}`, 404);
+  }
+
+  return dispute;
+};
+
+/**
+ * Load the order into req.order and check access before any photos are
+ * uploaded, so nobody can push files against an order they can't see
+ */
+exports.loadDisputeOrder = async (req, res, next) => {
+  try {
+    req.order = await loadOrderForUser(req.params.id, req.user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Open a dispute on lines of a delivered order (with photos)
+ * @route   POST /api/v1/orders/:id/disputes
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.openDispute = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeUploadedFiles(req.files);
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const order = req.order;
+
+    // Multipart requests send the lines as a JSON string
+    let { items } = req.body;
+    if (typeof items === "string") {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        await removeUploadedFiles(req.files);
+        return next(new ErrorResponse("Items must be valid JSON", 400));
+      }
+    }
+
+    const photos = (req.files || []).map((file) => ({
+      url: file.path, // Cloudinary URL
+      publicId: file.filename,
+    }));
+
+    const dispute = await DisputeService.openDispute(order, req.user, {
+      items,
+      description: req.body.description,
+      photos,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: dispute,
+    });
+  } catch (err) {
+    // Nothing was saved, so the photos have nothing to belong to
+    await removeUploadedFiles(req.files);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get disputes for an order
+ * @route   GET /api/v1/orders/:id/disputes
+ * @access  Private (order buyer, vendor or admin)
+ */
+exports.getOrderDisputes = async (req, res, next) => {
+  try {
+    const order = await loadOrderForUser(req.params.id, req.user);
+
+    const disputes = await Dispute.find({ orderId: order._id })
+      .populate("raisedBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      data: disputes,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Vendor response to a dispute (credit, replacement or rejection)
+ * @route   POST /api/v1/orders/:id/disputes/:disputeId/respond
+ * @access  Private/Vendor
+ */
+exports.respondToDispute = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const order = await loadOrderForUser(req.params.id, req.user);
+    const dispute = await loadDispute(order, req.params.disputeId);
+
+    const { type, creditAmount, notes } = req.body;
+    const result = await DisputeService.respondToDispute(dispute, req.user, {
+      type,
+      creditAmount,
+      notes,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dispute: result.dispute,
+        paymentInfo: result.order.paymentInfo,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Escalate a dispute to admin arbitration
+ * @route   POST /api/v1/orders/:id/disputes/:disputeId/escalate
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.escalateDispute = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const order = await loadOrderForUser(req.params.id, req.user);
+    const dispute = await loadDispute(order, req.params.disputeId);
+
+    await DisputeService.escalateDispute(dispute, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: "Dispute escalated to admin",
+      data: dispute,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
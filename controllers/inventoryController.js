@@ -1,6 +1,7 @@
 const VendorInventory = require('../models/VendorInventory');
 const Product = require('../models/Product');
 const Listing = require('../models/Listing');
+const realtimeService = require('../services/realtimeService');
 const { ErrorResponse } = require('../middleware/error');
 const { validationResult } = require('express-validator');
 
@@ -718,6 +719,9 @@ exports.syncListingsWithInventory = async (req, res, next) => {
     }
 
     const successCount = syncResults.filter(r => r.success).length;
+    await realtimeService.publishStockChanges(
+      syncResults.filter(r => r.success).map(r => r.listingId)
+    );
 
     res.status(200).json({
       success: true,
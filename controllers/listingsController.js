@@ -1,5 +1,10 @@
 const Listing = require('../models/Listing');
 const Product = require('../models/Product');
+const realtimeService = require('../services/realtimeService');
+const searchService = require('../services/searchService');
+const DeliveryAreaService = require('../services/deliveryAreaService');
+const PriceComparisonService = require('../services/priceComparisonService');
+const PriceHistoryService = require('../services/priceHistoryService');
 const { ErrorResponse } = require('../middleware/error');
 const { validationResult } = require('express-validator');
 
@@ -112,6 +117,8 @@ exports.createListing = async (req, res, next) => {
     // Create listing
     const listing = await Listing.create(listingData);
 
+    await PriceHistoryService.recordListingPrices([listing._id], 'created');
+
     res.status(201).json({
       success: true,
       data: listing
@@ -140,6 +147,73 @@ exports.getListings = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Listings from vendors who deliver to the buyer, nearest first, with estimated delivery fees
+ * @route   GET /api/v1/listings/nearby
+ * @access  Private/Buyer Users
+ */
+exports.getNearbyListings = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      category: req.query.category,
+      marketId: req.query.marketId
+    };
+
+    if (req.query.productId) {
+      filters.productIds = [req.query.productId];
+    }
+    if (req.query.search) {
+      const matches = await searchService.matchProductIds(req.query.search);
+      filters.productIds = filters.productIds
+        ? filters.productIds.filter(id => matches.includes(id))
+        : matches;
+    }
+
+    const [origin, rates] = await Promise.all([
+      DeliveryAreaService.resolveOrigin(req.query, req.user),
+      DeliveryAreaService.getFeeRates()
+    ]);
+    const listings = await DeliveryAreaService.findDeliverableListings(origin.coordinates, filters, rates);
+
+    const data = listings.slice((page - 1) * limit, page * limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: listings.length,
+      page,
+      pages: Math.ceil(listings.length / limit),
+      origin,
+      freeDeliveryThreshold: rates.freeDeliveryThreshold,
+      data
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cheapest combination of vendors for a shopping list, delivery fees included
+ * @route   POST /api/v1/listings/compare-basket
+ * @access  Private/Buyer Users
+ */
+exports.compareBasket = async (req, res, next) => {
+  try {
+    const origin = await DeliveryAreaService.findOrigin(req.body, req.user);
+    const plan = await PriceComparisonService.optimizeBasket(req.body.items, { origin });
+
+    res.status(200).json({
+      success: true,
+      origin,
+      data: plan
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get vendor's own listings with filtering and pagination
  * @route   GET /api/v1/listings/vendor
@@ -324,6 +398,14 @@ exports.updateListing = async (req, res, next) => {
     .populate('productId', 'name description category')
     .populate('marketId', 'name location.city');
 
+    if (req.body.availability || req.body.status) {
+      await realtimeService.publishStockChanges([listing._id]);
+    }
+
+    if (req.body.pricing || req.body.discount || req.body.status || req.body.qualityGrade || req.body.marketId) {
+      await PriceHistoryService.recordListingPrices([listing._id], req.body.status ? 'status_changed' : 'updated');
+    }
+
     res.status(200).json({
       success: true,
       data: listing
@@ -352,6 +434,7 @@ exports.deleteListing = async (req, res, next) => {
     }
 
     await listing.deleteOne();
+    await PriceHistoryService.recordRemoval(listing);
 
     res.status(200).json({
       success: true,
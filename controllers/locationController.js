@@ -2,6 +2,7 @@ const Division = require('../models/Division');
 const District = require('../models/District');
 const Upazila = require('../models/Upazila');
 const Union = require('../models/Union');
+const DeliveryAreaService = require('../services/deliveryAreaService');
 const { ErrorResponse } = require('../middleware/error');
 
 /**
@@ -633,6 +634,34 @@ exports.getMarketsByLocation = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/v1/locations/markets/nearby
+ * @desc    Markets near a point (lat/lng, or a signed-in buyer's saved address), nearest first
+ * @access  Public
+ */
+exports.getNearbyMarkets = async (req, res, next) => {
+  try {
+    const radius = parseFloat(req.query.radius) || 25;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const origin = await DeliveryAreaService.resolveOrigin(req.query, req.user);
+    const markets = await DeliveryAreaService.findNearbyMarkets(origin.coordinates, {
+      maxDistanceKm: radius,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: markets.length,
+      origin,
+      radius,
+      data: markets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/v1/locations/markets/:id
  * @desc    Get single market with full location hierarchy
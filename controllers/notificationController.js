@@ -0,0 +1,465 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const PushSubscription = require('../models/PushSubscription');
+const Digest = require('../models/Digest');
+const NotificationService = require('../services/notificationService');
+const digestService = require('../services/digestService');
+const { ErrorResponse } = require('../middleware/error');
+
+/**
+ * Ids targeted by a request: the :id route parameter, or `ids` in the body for bulk updates
+ */
+const targetIds = (req) => (req.params.id ? [req.params.id] : req.body.ids);
+
+/**
+ * A single targeted notification must belong to the user and not be dismissed
+ */
+const assertNotificationExists = async (req) => {
+  if (!req.params.id) return;
+
+  const exists = await Notification.exists({
+    _id: req.params.id,
+    recipient: req.user._id,
+    dismissedAt: null
+  });
+
+  if (!exists) {
+    throw new ErrorResponse(`Notification not found with id of ${req.params.id}`, 404);
+  }
+};
+
+/**
+ * @desc    List the current user's notifications
+ * @route   GET /api/v1/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { type, priority, view = 'inbox', isRead, page = 1, limit = 20 } = req.query;
+
+    const [result, unreadCounts] = await Promise.all([
+      NotificationService.getUserNotifications(req.user._id, {
+        type,
+        priority,
+        view,
+        isRead: isRead === undefined ? undefined : isRead === 'true',
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }),
+      NotificationService.getUnreadCounts(req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: result.notifications.length,
+      unread: unreadCounts.unread,
+      pagination: result.pagination,
+      data: result.notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unread inbox count, in total and per notification type
+ * @route   GET /api/v1/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const counts = await NotificationService.getUnreadCounts(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: counts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark one or several notifications as read
+ * @route   PUT /api/v1/notifications/:id/read
+ * @route   PUT /api/v1/notifications/read
+ * @access  Private
+ */
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    await assertNotificationExists(req);
+    const result = await NotificationService.markAsRead(req.user._id, targetIds(req));
+
+    res.status(200).json({
+      success: true,
+      data: { modified: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark every inbox notification as read (optionally only one type)
+ * @route   PUT /api/v1/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const result = await NotificationService.markAllAsRead(req.user._id, req.body.type);
+
+    res.status(200).json({
+      success: true,
+      data: { modified: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that dismisses, archives or unarchives the targeted notifications
+ */
+const inboxStateHandler = (state) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    await assertNotificationExists(req);
+    const result = await NotificationService.setInboxState(req.user._id, targetIds(req), state);
+
+    res.status(200).json({
+      success: true,
+      data: { modified: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dismiss notifications (removed for the user)
+ * @route   PUT /api/v1/notifications/:id/dismiss
+ * @route   PUT /api/v1/notifications/dismiss
+ * @access  Private
+ */
+exports.dismissNotifications = inboxStateHandler('dismiss');
+
+/**
+ * @desc    Move notifications out of the inbox into the archive
+ * @route   PUT /api/v1/notifications/:id/archive
+ * @route   PUT /api/v1/notifications/archive
+ * @access  Private
+ */
+exports.archiveNotifications = inboxStateHandler('archive');
+
+/**
+ * @desc    Move archived notifications back to the inbox
+ * @route   PUT /api/v1/notifications/:id/unarchive
+ * @access  Private
+ */
+exports.unarchiveNotifications = inboxStateHandler('unarchive');
+
+/**
+ * @desc    Get the channels the user accepts for each notification type
+ * @route   GET /api/v1/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const preference = await NotificationPreference.getForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        channels: preference.channels,
+        availableChannels: NotificationPreference.CHANNELS,
+        configurableTypes: NotificationPreference.CONFIGURABLE_TYPES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the channels for one or more notification types
+ * @route   PUT /api/v1/notifications/preferences
+ * @access  Private
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const update = {};
+    for (const type of NotificationPreference.CONFIGURABLE_TYPES) {
+      if (req.body.channels[type] !== undefined) {
+        update[`channels.${type}`] = [...new Set(req.body.channels[type])];
+      }
+    }
+
+    const preference = await NotificationPreference.findOneAndUpdate(
+      { userId: req.user._id },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        channels: preference.channels,
+        availableChannels: NotificationPreference.CHANNELS,
+        configurableTypes: NotificationPreference.CONFIGURABLE_TYPES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const digestSettings = (preference) => ({
+  frequency: preference.digest.frequency,
+  sendTime: preference.digest.sendTime,
+  dayOfWeek: preference.digest.dayOfWeek,
+  timeZone: preference.digest.timeZone,
+  nextSendAt: preference.digest.nextSendAt || null,
+  lastSentAt: preference.digest.lastSentAt || null,
+  availableFrequencies: NotificationPreference.DIGEST_FREQUENCIES
+});
+
+/**
+ * @desc    Daily/weekly digest settings
+ * @route   GET /api/v1/notifications/digest
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+exports.getDigestSettings = async (req, res, next) => {
+  try {
+    const preference = await NotificationPreference.getForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: digestSettings(preference)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Opt in to (or out of) the digest and pick when it is sent
+ * @route   PUT /api/v1/notifications/digest
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+exports.updateDigestSettings = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const preference = await NotificationPreference.getForUser(req.user._id);
+
+    for (const field of ['frequency', 'sendTime', 'dayOfWeek', 'timeZone']) {
+      if (req.body[field] !== undefined) {
+        preference.digest[field] = req.body[field];
+      }
+    }
+    await preference.save();
+
+    res.status(200).json({
+      success: true,
+      data: digestSettings(preference)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Build the digest for the last day or week without sending it
+ * @route   GET /api/v1/notifications/digest/preview
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+exports.previewDigest = async (req, res, next) => {
+  try {
+    const frequency = req.query.frequency === 'weekly' ? 'weekly' : 'daily';
+    const periodEnd = new Date();
+    const periodStart = new Date(periodEnd.getTime() - (frequency === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000);
+
+    const digest = await digestService.buildDigest(req.user, { periodStart, periodEnd });
+
+    res.status(200).json({
+      success: true,
+      data: { frequency, periodStart, periodEnd, ...digest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Digests generated for the current user, newest first
+ * @route   GET /api/v1/notifications/digests
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+exports.getDigests = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { userId: req.user._id };
+
+    const [digests, total] = await Promise.all([
+      Digest.find(query)
+        .select('-sections')
+        .sort({ periodEnd: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Digest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: digests.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: digests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    A generated digest with its full content
+ * @route   GET /api/v1/notifications/digests/:id
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+exports.getDigest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const digest = await Digest.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!digest) {
+      return next(new ErrorResponse(`Digest not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: digest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    VAPID public key browsers need to create a push subscription
+ * @route   GET /api/v1/notifications/push/public-key
+ * @access  Private
+ */
+exports.getPushPublicKey = async (req, res, next) => {
+  try {
+    if (!process.env.VAPID_PUBLIC_KEY) {
+      return next(new ErrorResponse('Push notifications are not configured', 503));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { publicKey: process.env.VAPID_PUBLIC_KEY }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register this browser's push subscription
+ * @route   POST /api/v1/notifications/push-subscriptions
+ * @access  Private
+ */
+exports.subscribePush = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // A browser has one subscription; whoever signs in on it last receives its pushes
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          userId: req.user._id,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          userAgent: req.get('User-Agent')
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { id: subscription._id, endpoint: subscription.endpoint }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a push subscription (e.g. on logout or when the user turns push off)
+ * @route   DELETE /api/v1/notifications/push-subscriptions
+ * @access  Private
+ */
+exports.unsubscribePush = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, userId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Push subscription removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,8 +1,16 @@
+const mongoose = require("mongoose");
 const Order = require("../models/Order");
-const Listing = require("../models/Listing");
+const AuditLog = require("../models/AuditLog");
 const { ErrorResponse } = require("../middleware/error");
 const { validationResult } = require("express-validator");
 const { canUserPlaceOrders } = require("../middleware/approval");
+const Payment = require("../models/Payment");
+const OrderService = require("../services/orderService");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../services/notificationService");
+const stockReservationService = require("../services/stockReservationService");
+const realtimeService = require("../services/realtimeService");
+const { getAllowedTransitions } = require("../services/orderStateMachine");
 
 /**
  * @desc    Place a new order
@@ -10,6 +18,8 @@ const { canUserPlaceOrders } = require("../middleware/approval");
  * @access  Private/Restaurant Users (Owner/Manager)
  */
 exports.placeOrder = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -41,158 +51,83 @@ exports.placeOrder = async (req, res, next) => {
     const { items, deliveryInfo, paymentInfo, notes } = req.body;
     const buyerId = req.user.buyerId;
 
-    // --- Start of new logic ---
-    // Find the listing from the first item to get the vendorId
     if (!items || items.length === 0) {
       return next(
         new ErrorResponse("Order must contain at least one item", 400)
       );
     }
 
-    const firstListingId = items[0].listingId;
-    const listing = await Listing.findById(firstListingId).populate('marketId', 'name isActive isAvailable');
-
-    if (!listing) {
-      return next(
-        new ErrorResponse(`Listing with ID ${firstListingId} not found`, 404)
-      );
-    }
-    const vendorId = listing.vendorId;
-
-    // Validate market exists and is available
-    if (!listing.marketId) {
-      return next(new ErrorResponse('Listing does not have a valid market assigned', 400));
-    }
-
-    if (!listing.marketId.isActive || !listing.marketId.isAvailable) {
-      return next(new ErrorResponse(`Market "${listing.marketId.name}" is currently unavailable for orders`, 400));
-    }
-
-    const orderMarketId = listing.marketId._id.toString();
-    // --- End of new logic ---
-
     // Validate and enrich order items with pack-based selling information
-    const enrichedItems = [];
-    for (const item of items) {
-      const itemListing = await Listing.findById(item.listingId)
-        .populate('productId', 'name')
-        .populate('marketId', 'name isActive isAvailable');
-
-      if (!itemListing) {
-        return next(new ErrorResponse(`Listing with ID ${item.listingId} not found`, 404));
-      }
+    const preparedItems = await OrderService.prepareOrderItems(items);
 
-      // Validate all listings belong to the same market
-      if (!itemListing.marketId || itemListing.marketId._id.toString() !== orderMarketId) {
+    // The vendor is taken from the first listing
+    const vendorId = preparedItems[0].listing.vendorId;
+    const orderMarketId = preparedItems[0].listing.marketId._id.toString();
+
+    // Validate all listings belong to the same market
+    for (const { listing: itemListing } of preparedItems) {
+      if (itemListing.marketId._id.toString() !== orderMarketId) {
         return next(new ErrorResponse(
           `All items in an order must be from the same market. Item "${itemListing.productId.name}" is from a different market.`,
           400
         ));
       }
+    }
 
-      // Validate market is active and available
-      if (!itemListing.marketId.isActive || !itemListing.marketId.isAvailable) {
-        return next(new ErrorResponse(`Market "${itemListing.marketId.name}" is currently unavailable for orders`, 400));
-      }
-
-      // Check if listing is active and available
-      if (itemListing.status !== 'active') {
-        return next(new ErrorResponse(`Listing "${itemListing.productId.name}" is not currently available`, 400));
-      }
-
-      const pricing = itemListing.pricing && itemListing.pricing[0];
-
-      // Validate pack-based selling
-      if (pricing && pricing.enablePackSelling) {
-        const packSize = pricing.packSize;
-
-        // Check if quantity is a multiple of packSize
-        const numberOfPacks = item.quantity / packSize;
-        if (!Number.isInteger(numberOfPacks)) {
-          return next(new ErrorResponse(
-            `${itemListing.productId.name}: Quantity must be in multiples of ${packSize} ${pricing.unit}. ` +
-            `You can order ${Math.floor(numberOfPacks)} or ${Math.ceil(numberOfPacks)} pack(s).`,
-            400
-          ));
-        }
-
-        // Validate against minimum packs
-        if (pricing.minimumPacks && numberOfPacks < pricing.minimumPacks) {
-          return next(new ErrorResponse(
-            `${itemListing.productId.name}: Minimum order is ${pricing.minimumPacks} pack(s) (${pricing.minimumPacks * packSize} ${pricing.unit})`,
-            400
-          ));
-        }
-
-        // Validate against maximum packs
-        if (pricing.maximumPacks && numberOfPacks > pricing.maximumPacks) {
-          return next(new ErrorResponse(
-            `${itemListing.productId.name}: Maximum order is ${pricing.maximumPacks} pack(s) (${pricing.maximumPacks * packSize} ${pricing.unit})`,
-            400
-          ));
-        }
+    // Manager limits: disallowed vendors/categories are rejected, going over the spend limit needs the owner
+    const ownerApproval = OrderService.checkManagerPermissions(req.user, vendorId, preparedItems);
+
+    const enrichedItems = preparedItems.map(({ orderItem }) => orderItem);
+
+    // Reserve stock and create the order atomically so two buyers
+    // can never both claim the last units of a listing
+    let order;
+    let reservedListings;
+    await session.withTransaction(async () => {
+      reservedListings = await stockReservationService.reserveItems(enrichedItems, session);
+
+      [order] = await Order.create([{
+        buyerId,
+        vendorId,
+        placedBy: req.user.id,
+        items: enrichedItems, // Use enriched items with pack-based information
+        deliveryInfo,
+        paymentInfo,
+        notes,
+        ownerApproval,
+        stockReservation: await stockReservationService.createReservationInfo(),
+      }], { session });
+    });
 
-        // Check inventory availability
-        if (item.quantity > itemListing.availability.quantityAvailable) {
-          return next(new ErrorResponse(
-            `${itemListing.productId.name}: Only ${itemListing.availability.quantityAvailable} ${pricing.unit} available ` +
-            `(${Math.floor(itemListing.availability.quantityAvailable / packSize)} packs)`,
-            400
-          ));
-        }
+    await realtimeService.publishOrderPlaced(order);
 
-        // Enrich item with pack-based information
-        enrichedItems.push({
-          ...item,
-          productId: itemListing.productId._id,
-          productName: itemListing.productId.name,
-          isPackBased: true,
-          numberOfPacks,
-          packSize,
-          pricePerPack: pricing.pricePerBaseUnit * packSize,
-          unitPrice: pricing.pricePerBaseUnit,
-          unit: pricing.unit,
-          qualityGrade: itemListing.qualityGrade
-        });
-      } else {
-        // Standard non-pack based item
-        // Check inventory availability
-        if (item.quantity > itemListing.availability.quantityAvailable) {
-          return next(new ErrorResponse(
-            `${itemListing.productId.name}: Only ${itemListing.availability.quantityAvailable} ${itemListing.availability.unit} available`,
-            400
-          ));
-        }
+    try {
+      await NotificationService.createOrderNotification(order, "order_placed", {
+        buyerName: req.user.buyerId?.name,
+      });
+    } catch (notificationError) {
+      console.error("Failed to send order placed notification:", notificationError.message);
+    }
 
-        enrichedItems.push({
-          ...item,
-          productId: itemListing.productId._id,
-          productName: itemListing.productId.name,
-          isPackBased: false,
-          unitPrice: pricing ? pricing.pricePerBaseUnit || pricing.pricePerUnit : item.unitPrice,
-          unit: pricing ? pricing.unit : itemListing.availability.unit,
-          qualityGrade: itemListing.qualityGrade
+    if (ownerApproval.required) {
+      try {
+        await NotificationService.createOrderNotification(order, "owner_approval_required", {
+          placedByName: req.user.name,
         });
+      } catch (notificationError) {
+        console.error("Failed to send owner approval notification:", notificationError.message);
       }
     }
 
-    // Create the order with enriched items
-    const order = await Order.create({
-      buyerId,
-      vendorId,
-      placedBy: req.user.id,
-      items: enrichedItems, // Use enriched items with pack-based information
-      deliveryInfo,
-      paymentInfo,
-      notes,
-    });
-
     res.status(201).json({
       success: true,
       data: order,
+      stockReservations: stockReservationService.summarizeStock(reservedListings, enrichedItems),
     });
   } catch (err) {
     next(err);
+  } finally {
+    session.endSession();
   }
 };
 
@@ -240,24 +175,199 @@ exports.approveOrder = async (req, res, next) => {
     }
 
     // Check if user owns this restaurant
-    if (order.buyerId.toString() !== req.user.buyerId.toString()) {
+    if (order.buyerId.toString() !== req.user.buyerId._id.toString()) {
       return next(
         new ErrorResponse("Not authorized to approve this order", 403)
       );
     }
 
-    // Check if order is in pending_approval status
-    if (order.status !== "pending_approval") {
-      return next(new ErrorResponse("Order is not pending approval", 400));
+    const result = await OrderService.transitionOrder(order, "confirmed", req.user, {
+      reason: req.body.reason || "Approved by buyer owner",
+      notes: req.body.notes,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.order,
+      stockReservations: result.stockReservations,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel an order (buyer side)
+ * @route   POST /api/v1/orders/:id/cancel
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.cancelOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(
+        new ErrorResponse(`Order not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (!OrderService.canAccessOrder(order, req.user)) {
+      return next(new ErrorResponse("Not authorized to cancel this order", 403));
+    }
+
+    if (!order.canBeCancelled()) {
+      return next(new ErrorResponse(
+        `Order cannot be cancelled in its current status (${order.status})`,
+        409,
+        { currentStatus: order.status }
+      ));
+    }
+
+    // The transition table limits buyers to cancelling before confirmation
+    const { reason } = req.body;
+    const result = await OrderService.transitionOrder(order, "cancelled", req.user, {
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    try {
+      await NotificationService.createOrderNotification(result.order, "order_cancelled", {
+        cancelReason: reason,
+      });
+    } catch (notificationError) {
+      console.error("Failed to send order cancellation notification:", notificationError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: result.order,
+      stockReservations: result.stockReservations,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Amend the items of an order pending approval (buyer side)
+ * @route   PUT /api/v1/orders/:id/items
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.amendOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(
+        new ErrorResponse(`Order not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (!OrderService.canAccessOrder(order, req.user)) {
+      return next(new ErrorResponse("Not authorized to modify this order", 403));
+    }
+
+    const previousAmount = order.totalAmount;
+    const { items, notes } = req.body;
+
+    const result = await OrderService.amendOrder(order, items, req.user, {
+      notes,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    try {
+      await NotificationService.createOrderNotification(result.order, "order_amended", {
+        previousAmount,
+      });
+      if (result.ownerApprovalRequested) {
+        await NotificationService.createOrderNotification(result.order, "owner_approval_required", {
+          placedByName: req.user.name,
+        });
+      }
+    } catch (notificationError) {
+      console.error("Failed to send order amendment notification:", notificationError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Order updated successfully",
+      data: result.order,
+      stockReservations: result.stockReservations,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Confirm the delivered goods were received (closes the dispute window)
+ * @route   POST /api/v1/orders/:id/receive
+ * @access  Private/Buyer Users (Owner/Manager)
+ */
+exports.confirmReceipt = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(
+        new ErrorResponse(`Order not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (!OrderService.canAccessOrder(order, req.user)) {
+      return next(new ErrorResponse("Not authorized to update this order", 403));
+    }
+
+    if (order.status !== "delivered") {
+      return next(new ErrorResponse(
+        "Only delivered orders can be confirmed as received",
+        409,
+        { currentStatus: order.status }
+      ));
     }
 
-    order.status = "confirmed";
-    order.approvedBy = req.user.id;
-    order.approvalDate = new Date();
+    if (order.receipt?.confirmedAt) {
+      return next(new ErrorResponse("Receipt has already been confirmed", 409));
+    }
+
+    order.receipt = {
+      confirmedBy: req.user.id,
+      confirmedAt: new Date(),
+      notes: req.body.notes,
+    };
     await order.save();
 
+    await AuditLog.logAction({
+      userId: req.user.id,
+      userRole: req.user.role,
+      action: "order_received",
+      entityType: "Order",
+      entityId: order._id,
+      description: `Buyer confirmed receipt of order ${order.orderNumber}`,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+      severity: "low",
+      impactLevel: "none",
+    });
+
     res.status(200).json({
       success: true,
+      message: "Receipt confirmed",
       data: order,
     });
   } catch (err) {
@@ -265,6 +375,92 @@ exports.approveOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Record a (partial) payment received for an order
+ * @route   POST /api/v1/orders/:id/payments
+ * @access  Private/Vendor/Admin
+ */
+exports.recordPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(
+        new ErrorResponse(`Order not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (!OrderService.canAccessOrder(order, req.user)) {
+      return next(new ErrorResponse("Not authorized to record payments for this order", 403));
+    }
+
+    const { amount, method, walletProvider, reference, paidAt, notes } = req.body;
+
+    const { payment, order: updatedOrder, ledgerEntry } = await LedgerService.recordPayment(
+      order,
+      req.user,
+      { amount, method, walletProvider, reference, paidAt, notes }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Payment recorded",
+      data: {
+        payment,
+        paymentInfo: updatedOrder.paymentInfo,
+        balanceDue: updatedOrder.balanceDue,
+        ledgerBalance: ledgerEntry.balanceAfter,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get payments recorded for an order
+ * @route   GET /api/v1/orders/:id/payments
+ * @access  Private
+ */
+exports.getOrderPayments = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id).select("orderNumber buyerId vendorId status totalAmount paymentInfo");
+
+    if (!order) {
+      return next(
+        new ErrorResponse(`Order not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (!OrderService.canAccessOrder(order, req.user)) {
+      return next(new ErrorResponse("Not authorized to view this order", 403));
+    }
+
+    const payments = await Payment.find({ orderId: order._id })
+      .populate("recordedBy", "name")
+      .sort({ paidAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: {
+        orderNumber: order.orderNumber,
+        totalAmount: order.totalAmount,
+        paymentInfo: order.paymentInfo,
+        balanceDue: order.balanceDue,
+        payments,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Update order status
  * @route   PUT /api/v1/orders/:id/status
@@ -272,7 +468,14 @@ exports.approveOrder = async (req, res, next) => {
  */
 exports.updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    // items: optional per-line delivered quantities when marking delivered
+    const { status, reason, notes, items: deliveries } = req.body;
 
     const order = await Order.findById(req.params.id)
       .populate({
@@ -292,89 +495,77 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
 
     // Check if vendor has items in this order
-    const hasVendorItems = order.items.some(
-      (item) =>
-        item.listingId.vendorId.toString() === req.user.vendorId._id.toString()
-    );
-
-    if (!hasVendorItems) {
-      return next(
-        new ErrorResponse("Not authorized to update this order", 403)
+    if (req.user.role === "vendor") {
+      const hasVendorItems = order.items.some(
+        (item) =>
+          item.listingId.vendorId.toString() === req.user.vendorId._id.toString()
       );
-    }
 
-    const previousStatus = order.status;
-    order.status = status;
-    order.updatedBy = req.user.id;
-
-    // If order is being marked as delivered, update listing analytics
-    if (status === 'delivered' && previousStatus !== 'delivered') {
-      const listingUpdates = [];
-
-      for (let item of order.items) {
-        try {
-          // Get the listing
-          const listing = await Listing.findById(item.listingId._id);
-          if (listing) {
-            // Update listing statistics directly (non-inventory based for MVP)
-            listing.totalQuantitySold = (listing.totalQuantitySold || 0) + item.quantity;
-            listing.totalOrders = (listing.totalOrders || 0) + 1;
-
-            // Update availability quantity (reduce stock)
-            if (listing.availability && listing.availability.quantityAvailable !== undefined) {
-              listing.availability.quantityAvailable = Math.max(
-                0,
-                listing.availability.quantityAvailable - item.quantity
-              );
-
-              // Auto-mark as out of stock if quantity reaches 0
-              if (listing.availability.quantityAvailable === 0) {
-                listing.status = 'out_of_stock';
-              }
-            }
-
-            await listing.save();
-
-            listingUpdates.push({
-              listingId: listing._id,
-              productName: item.productName,
-              quantitySold: item.quantity,
-              newAvailableQuantity: listing.availability.quantityAvailable,
-              success: true
-            });
-          }
-        } catch (updateError) {
-          console.error(`Failed to update listing for item ${item._id}:`, updateError.message);
-
-          listingUpdates.push({
-            itemId: item._id,
-            productName: item.productName,
-            error: updateError.message,
-            success: false
-          });
-
-          // Continue processing other items even if one fails
-        }
+      if (!hasVendorItems) {
+        return next(
+          new ErrorResponse("Not authorized to update this order", 403)
+        );
       }
+    }
 
-      await order.save();
+    // The transition table decides whether this role may make this move
+    const { order: updatedOrder, listingUpdates, stockReservations } =
+      await OrderService.transitionOrder(order, status, req.user, {
+        reason,
+        notes,
+        deliveries,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
 
-      res.status(200).json({
+    if (status === 'delivered') {
+      return res.status(200).json({
         success: true,
         message: 'Order status updated successfully',
         data: {
-          order,
+          order: updatedOrder,
           listingUpdates
         }
       });
-    } else {
-      await order.save();
+    }
 
-      res.status(200).json({
-        success: true,
-        data: order,
-      });
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+      stockReservations,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the status transitions the current user may make
+ * @route   GET /api/v1/orders/:id/transitions
+ * @access  Private
+ */
+exports.getOrderTransitions = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id).select("status deliveryInfo buyerId vendorId orderNumber ownerApproval approvedBy");
+
+    if (!order) {
+      return next(
+        new ErrorResponse(`Order not found with id of ${req.params.id}`, 404)
+      );
     }
+
+    if (!OrderService.canAccessOrder(order, req.user)) {
+      return next(new ErrorResponse("Not authorized to view this order", 403));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        currentStatus: order.status,
+        allowedTransitions: getAllowedTransitions(order, req.user.role, req.user),
+      },
+    });
   } catch (err) {
     next(err);
   }
@@ -392,6 +583,7 @@ exports.getOrder = async (req, res, next) => {
       .populate("vendorId", "businessName phone address")
       .populate("placedBy", "name email")
       .populate("approvedBy", "name email")
+      .populate("statusHistory.changedBy", "name role vendorRole")
       .populate("items.listingId", "productId")
       .populate("items.productId", "name");
 
@@ -402,20 +594,7 @@ exports.getOrder = async (req, res, next) => {
     }
 
     // Authorization check
-    let authorized = false;
-
-    if (req.user.role === "admin") {
-      authorized = true;
-    } else if (
-      req.user.role === "buyerOwner" ||
-      req.user.role === "buyerManager"
-    ) {
-      authorized =
-        order.buyerId._id.toString() === req.user.buyerId.toString();
-    } else if (req.user.role === "vendor") {
-      authorized =
-        order.vendorId._id.toString() === req.user.vendorId.toString();
-    }
+    const authorized = OrderService.canAccessOrder(order, req.user);
 
     if (!authorized) {
       return next(new ErrorResponse("Not authorized to view this order", 403));
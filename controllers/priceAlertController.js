@@ -0,0 +1,169 @@
+const { validationResult } = require('express-validator');
+const PriceAlert = require('../models/PriceAlert');
+const Product = require('../models/Product');
+const Market = require('../models/Market');
+const { ErrorResponse } = require('../middleware/error');
+const PriceHistoryService = require('../services/priceHistoryService');
+
+// Fields a buyer can set on an alert
+const ALERT_FIELDS = ['productId', 'marketId', 'qualityGrade', 'condition', 'targetPrice', 'unit', 'isActive'];
+
+/**
+ * Load a price alert belonging to the user
+ */
+const loadPriceAlert = async (id, user) => {
+  const alert = await PriceAlert.findOne({ _id: id, userId: user.id });
+
+  if (!alert) {
+    throw new ErrorResponse(`Price alert not found with id of ${id}`, 404);
+  }
+
+  return alert;
+};
+
+/**
+ * Check the product and market an alert watches exist
+ */
+const checkAlertScope = async ({ productId, marketId }) => {
+  if (productId) {
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) {
+      throw new ErrorResponse(`Product not found with id of ${productId}`, 404);
+    }
+  }
+
+  if (marketId) {
+    const market = await Market.findOne({ _id: marketId, isActive: true });
+    if (!market) {
+      throw new ErrorResponse(`Market not found with id of ${marketId}`, 404);
+    }
+  }
+};
+
+/**
+ * Alert with the best price currently on offer for what it watches
+ */
+const withCurrentPrice = async (alert, listings = null) => {
+  const best = await PriceHistoryService.bestPriceFor(alert, listings);
+
+  return {
+    ...alert.toObject(),
+    currentPrice: best ? best.price : null
+  };
+};
+
+/**
+ * @desc    Get the user's price alerts
+ * @route   GET /api/v1/buyer-dashboard/price-alerts
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getPriceAlerts = async (req, res, next) => {
+  try {
+    const alerts = await PriceAlert.find({ userId: req.user.id })
+      .populate('productId', 'name')
+      .populate('marketId', 'name')
+      .sort({ createdAt: -1 });
+
+    const listings = await PriceHistoryService.listingsOnSale(alerts.map(alert => alert.productId?._id).filter(Boolean));
+    const data = await Promise.all(alerts.map(alert => withCurrentPrice(alert, listings)));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a price alert; it fires straight away if the target is already met
+ * @route   POST /api/v1/buyer-dashboard/price-alerts
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.createPriceAlert = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    await checkAlertScope(req.body);
+
+    const alert = await PriceAlert.create({
+      ...Object.fromEntries(ALERT_FIELDS.filter(field => req.body[field] != null).map(field => [field, req.body[field]])),
+      userId: req.user.id,
+      buyerId: req.user.buyerId._id
+    });
+
+    await PriceHistoryService.checkAlerts([alert.productId], [alert]);
+
+    res.status(201).json({
+      success: true,
+      data: await withCurrentPrice(alert)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a price alert; changing what it watches re-arms it
+ * @route   PUT /api/v1/buyer-dashboard/price-alerts/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.updatePriceAlert = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const alert = await loadPriceAlert(req.params.id, req.user);
+    await checkAlertScope(req.body);
+
+    for (const field of ALERT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        alert[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    }
+
+    if (alert.isModified('productId') || alert.isModified('marketId') || alert.isModified('qualityGrade') ||
+        alert.isModified('condition') || alert.isModified('targetPrice') || alert.isModified('unit')) {
+      alert.triggeredAt = undefined;
+    }
+
+    await alert.save();
+
+    if (alert.isActive) {
+      await PriceHistoryService.checkAlerts([alert.productId], [alert]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await withCurrentPrice(alert)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a price alert
+ * @route   DELETE /api/v1/buyer-dashboard/price-alerts/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.deletePriceAlert = async (req, res, next) => {
+  try {
+    const alert = await loadPriceAlert(req.params.id, req.user);
+    await alert.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
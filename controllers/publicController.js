@@ -2,8 +2,22 @@ const Product = require('../models/Product');
 const ProductCategory = require('../models/ProductCategory');
 const Listing = require('../models/Listing');
 const Market = require('../models/Market');
+const searchService = require('../services/searchService');
+const DeliveryAreaService = require('../services/deliveryAreaService');
+const PriceComparisonService = require('../services/priceComparisonService');
+const PriceHistoryService = require('../services/priceHistoryService');
 const { ErrorResponse } = require('../middleware/error');
 
+/**
+ * Sort docs by the position of their id in rankedIds (search relevance, best
+ * first); docs not in the ranking go last in their current order
+ */
+const sortByRank = (docs, rankedIds, idOf = (doc) => doc._id) => {
+  const rank = new Map(rankedIds.map((id, index) => [String(id), index]));
+  const rankOf = (doc) => rank.get(String(idOf(doc))) ?? rankedIds.length;
+  return docs.sort((a, b) => rankOf(a) - rankOf(b));
+};
+
 /**
  * @desc    Get all products (public)
  * @route   GET /api/v1/public/products
@@ -18,12 +32,11 @@ exports.getPublicProducts = async (req, res, next) => {
       isDeleted: { $ne: true }
     };
 
-    // Search by name or tags
+    // Search by name, aliases, tags or category (transliteration and typo tolerant)
+    let rankedIds = null;
     if (req.query.search) {
-      query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $regex: req.query.search, $options: 'i' } }
-      ];
+      rankedIds = await searchService.matchProductIds(req.query.search);
+      query._id = { $in: rankedIds };
     }
 
     // Filter by category (optional)
@@ -36,14 +49,34 @@ exports.getPublicProducts = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 100;
     const skip = (page - 1) * limit;
 
-    // Fetch products with category population
-    const products = await Product.find(query)
-      .populate('category', 'name slug')
-      .select('name description category images isOrganic isSeasonal variety')
-      .sort({ name: 1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    // Fetch products with category population; search results keep their
+    // ranking (best match first), otherwise sorted by name
+    let products;
+    let total;
+    if (rankedIds) {
+      const matching = await Product.find(query).select('_id').lean();
+      const pageIds = sortByRank(matching, rankedIds).slice(skip, skip + limit).map(p => p._id);
+      total = matching.length;
+
+      products = sortByRank(
+        await Product.find({ _id: { $in: pageIds } })
+          .populate('category', 'name slug')
+          .select('name description category images isOrganic isSeasonal variety')
+          .lean(),
+        rankedIds
+      );
+    } else {
+      [products, total] = await Promise.all([
+        Product.find(query)
+          .populate('category', 'name slug')
+          .select('name description category images isOrganic isSeasonal variety')
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Product.countDocuments(query)
+      ]);
+    }
 
     // Get active listing count for each product
     const productIds = products.map(p => p._id);
@@ -76,8 +109,6 @@ exports.getPublicProducts = async (req, res, next) => {
       hasListings: (listingCountMap[product._id.toString()] || 0) > 0
     }));
 
-    const total = await Product.countDocuments(query);
-
     res.status(200).json({
       success: true,
       count: products.length,
@@ -135,6 +166,54 @@ exports.getPublicProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Compare a product's listings by normalised, delivered price per kg/piece
+ * @route   GET /api/v1/public/products/:id/compare
+ * @access  Public
+ */
+exports.compareProductPrices = async (req, res, next) => {
+  try {
+    const origin = await DeliveryAreaService.findOrigin(req.query, req.user);
+    const comparison = await PriceComparisonService.compareProduct(req.params.id, {
+      quantity: parseFloat(req.query.quantity) || 0,
+      unit: req.query.unit || null,
+      origin
+    });
+
+    res.status(200).json({
+      success: true,
+      count: comparison.listings.length,
+      origin,
+      data: comparison
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Daily min/median/max price of a product per market
+ * @route   GET /api/v1/public/products/:id/price-history
+ * @access  Public
+ */
+exports.getProductPriceHistory = async (req, res, next) => {
+  try {
+    const history = await PriceHistoryService.dailyStats(req.params.id, {
+      marketId: req.query.marketId,
+      qualityGrade: req.query.qualityGrade,
+      days: req.query.days
+    });
+
+    res.status(200).json({
+      success: true,
+      count: history.markets.length,
+      data: history
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get all categories (public)
  * @route   GET /api/v1/public/categories
@@ -179,9 +258,11 @@ exports.getPublicListings = async (req, res, next) => {
     // Build product-based filters (search, category, etc.)
     const productFilters = [];
 
-    // Search by product name
+    // Search by product name, aliases, tags or category (transliteration and typo tolerant)
+    let rankedIds = null;
     if (req.query.search) {
-      productFilters.push({ name: { $regex: req.query.search, $options: 'i' } });
+      rankedIds = await searchService.matchProductIds(req.query.search);
+      productFilters.push({ _id: { $in: rankedIds } });
     }
 
     // Filter by category (skip if 'all')
@@ -246,10 +327,10 @@ exports.getPublicListings = async (req, res, next) => {
       const sortOrder = req.query.sort.startsWith('-') ? -1 : 1;
       sortBy[sortField] = sortOrder;
     } else {
-      sortBy.createdAt = -1; // Default: newest first
+      sortBy.createdAt = -1; // Default: newest first (best search match first when searching)
     }
 
-    const listings = await Listing.find(query)
+    const findListings = (filter) => Listing.find(filter)
       .populate({
         path: 'productId',
         select: 'name description category images',
@@ -260,12 +341,25 @@ exports.getPublicListings = async (req, res, next) => {
       })
       .populate('vendorId', 'businessName rating')
       .populate('marketId', 'name location.city location.address')
-      .select('productId vendorId marketId pricing qualityGrade availability images createdAt rating')
-      .sort(sortBy)
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Listing.countDocuments(query);
+      .select('productId vendorId marketId pricing qualityGrade availability images createdAt rating');
+
+    let listings;
+    let total;
+    if (rankedIds && !req.query.sort) {
+      // Rank by the listing's product, newest first within a product
+      const matching = await Listing.find(query).select('_id productId').sort(sortBy).lean();
+      const pageIds = sortByRank(matching, rankedIds, listing => listing.productId)
+        .slice(skip, skip + limit)
+        .map(listing => listing._id);
+      total = matching.length;
+
+      listings = sortByRank(await findListings({ _id: { $in: pageIds } }), pageIds);
+    } else {
+      [listings, total] = await Promise.all([
+        findListings(query).sort(sortBy).skip(skip).limit(limit),
+        Listing.countDocuments(query)
+      ]);
+    }
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const realtimeService = require('../services/realtimeService');
+const SessionService = require('../services/sessionService');
+const { ErrorResponse } = require('../middleware/error');
+
+const MAX_MARKETS = 20;
+
+/**
+ * @desc    Open a Server-Sent Events stream of notifications, order and stock events.
+ *          Resumes after the `Last-Event-ID` header (or `cursor` query) when given.
+ * @route   GET /api/v1/realtime/stream
+ * @access  Private
+ */
+exports.stream = async (req, res, next) => {
+  try {
+    const rawCursor = req.get('Last-Event-ID') || req.query.cursor;
+    let cursor;
+
+    if (rawCursor !== undefined && rawCursor !== '') {
+      cursor = Number(rawCursor);
+      if (!Number.isInteger(cursor) || cursor < 0) {
+        return next(new ErrorResponse('Cursor must be a non-negative integer', 400));
+      }
+    }
+
+    const marketIds = req.query.markets
+      ? String(req.query.markets).split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+
+    if (marketIds.length > MAX_MARKETS) {
+      return next(new ErrorResponse(`You can follow at most ${MAX_MARKETS} markets`, 400));
+    }
+    if (marketIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return next(new ErrorResponse('Each market ID must be valid', 400));
+    }
+
+    await realtimeService.connect(req, res, { cursor, marketIds });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Latest event cursor. Read it before loading state over REST,
+ *          then open the stream from it so nothing in between is missed.
+ * @route   GET /api/v1/realtime/cursor
+ * @access  Private
+ */
+exports.getCursor = async (req, res, next) => {
+  try {
+    const cursor = await Counter.currentSequence('realtime_event');
+
+    res.status(200).json({
+      success: true,
+      data: { cursor }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Single-use ticket (valid 60 seconds) for opening the event stream
+ *          from a browser EventSource, which can't send an Authorization header
+ * @route   POST /api/v1/realtime/ticket
+ * @access  Private
+ */
+exports.createStreamTicket = async (req, res, next) => {
+  try {
+    const ticket = await SessionService.issueStreamTicket(req.user._id, req.sessionId);
+
+    res.status(201).json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    next(error);
+  }
+};
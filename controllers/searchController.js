@@ -0,0 +1,74 @@
+const { validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const Listing = require('../models/Listing');
+const searchService = require('../services/searchService');
+const { ErrorResponse } = require('../middleware/error');
+
+/**
+ * @desc    Relevance-ranked search over listings or products with facet counts
+ * @route   GET /api/v1/search
+ * @access  Public
+ */
+exports.search = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const type = req.query.type || 'listings';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {};
+    searchService.FACETS.forEach(facet => {
+      if (req.query[facet] !== undefined) filters[facet] = req.query[facet];
+    });
+
+    const { total, hits, facets } = await searchService.search({
+      q: req.query.q,
+      type,
+      filters,
+      page,
+      limit
+    });
+
+    const ids = hits.map(hit => hit.id);
+    const documents = type === 'products'
+      ? await Product.find({ _id: { $in: ids }, isActive: true, adminStatus: 'active' })
+        .populate('category', 'name slug')
+        .select('name description category images isOrganic isSeasonal variety aliases')
+        .lean()
+      : await Listing.find({ _id: { $in: ids }, status: 'active' })
+        .populate({
+          path: 'productId',
+          select: 'name description category images aliases',
+          populate: { path: 'category', select: 'name' }
+        })
+        .populate('vendorId', 'businessName rating')
+        .populate('marketId', 'name location.city location.address')
+        .select('productId vendorId marketId pricing qualityGrade availability images createdAt rating')
+        .lean();
+
+    // Keep the ranking; anything removed since the index was built drops out
+    const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+    const data = hits
+      .filter(hit => byId.has(hit.id))
+      .map(hit => ({ ...byId.get(hit.id), score: hit.score }));
+
+    res.status(200).json({
+      success: true,
+      type,
+      count: data.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      facets,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -527,7 +527,10 @@ function getDefaultSettings() {
     'min_order_amount': 100,
     'max_order_amount': 50000,
     'delivery_fee': 50,
+    'delivery_fee_per_km': 10,
     'free_delivery_threshold': 1000,
+    'order_number_prefix': 'ORD',
+    'invoice_number_prefix': 'INV',
     
     // Notification settings
     'email_notifications': true,
@@ -538,6 +541,7 @@ function getDefaultSettings() {
     // Security settings
     'session_timeout': 3600, // 1 hour
     'max_login_attempts': 5,
+    'two_factor_required_roles': ['admin'], // admin is always required
     'password_min_length': 8,
     'require_email_verification': true,
     
@@ -0,0 +1,400 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const ShoppingList = require('../models/ShoppingList');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Listing = require('../models/Listing');
+const { ErrorResponse } = require('../middleware/error');
+const OrderService = require('../services/orderService');
+const ShoppingListService = require('../services/shoppingListService');
+const DeliveryAreaService = require('../services/deliveryAreaService');
+const NotificationService = require('../services/notificationService');
+const stockReservationService = require('../services/stockReservationService');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Load a shopping list belonging to the user's buyer
+ */
+const loadShoppingList = async (id, user) => {
+  const list = await ShoppingList.findOne({
+    _id: id,
+    buyerId: user.buyerId._id
+  });
+
+  if (!list) {
+    throw new ErrorResponse(`Shopping list not found with id of ${id}`, 404);
+  }
+
+  return list;
+};
+
+/**
+ * Check list names are unique per buyer (case-insensitive)
+ */
+const assertNameAvailable = async (name, buyerId, exceptId = null) => {
+  const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const existing = await ShoppingList.findOne({
+    buyerId,
+    name: new RegExp(`^${escaped}$`, 'i'),
+    ...(exceptId && { _id: { $ne: exceptId } })
+  });
+
+  if (existing) {
+    throw new ErrorResponse(`A shopping list named "${existing.name}" already exists`, 400);
+  }
+};
+
+/**
+ * Check every item's product exists and fill in names; a preferred listing
+ * also sets the preferred vendor
+ */
+const prepareListItems = async (items) => {
+  const productIds = [...new Set(items.map(item => item.productId.toString()))];
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true }).select('name');
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const listingIds = items.map(item => item.preferredListingId).filter(Boolean);
+  const listings = await Listing.findWithDeleted({ _id: { $in: listingIds } }).select('productId vendorId');
+  const listingById = new Map(listings.map(listing => [listing._id.toString(), listing]));
+
+  return items.map(item => {
+    const product = productById.get(item.productId.toString());
+    if (!product) {
+      throw new ErrorResponse(`Product not found with id of ${item.productId}`, 404);
+    }
+
+    let preferredVendorId = item.preferredVendorId || undefined;
+    if (item.preferredListingId) {
+      const listing = listingById.get(item.preferredListingId.toString());
+      if (!listing || listing.productId.toString() !== product._id.toString()) {
+        throw new ErrorResponse(`Listing ${item.preferredListingId} is not a listing for ${product.name}`, 400);
+      }
+      preferredVendorId = listing.vendorId;
+    }
+
+    return {
+      productId: product._id,
+      productName: product.name,
+      quantity: item.quantity,
+      unit: item.unit || undefined,
+      preferredVendorId,
+      preferredListingId: item.preferredListingId || undefined,
+      qualityGrade: item.qualityGrade || undefined,
+      specialInstructions: item.specialInstructions
+    };
+  });
+};
+
+/**
+ * List items from a past order, keeping its vendor and listings as preferred
+ */
+const itemsFromOrder = async (orderId, user) => {
+  const order = await Order.findOne({ _id: orderId, buyerId: user.buyerId._id });
+  if (!order) {
+    throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+  }
+
+  return order.items.map(item => ({
+    productId: item.productId,
+    quantity: item.quantity,
+    unit: item.unit,
+    preferredVendorId: order.vendorId,
+    preferredListingId: item.listingId,
+    qualityGrade: item.qualityGrade,
+    specialInstructions: item.specialInstructions
+  }));
+};
+
+/**
+ * @desc    Get the buyer's shopping lists
+ * @route   GET /api/v1/buyer-dashboard/shopping-lists
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getShoppingLists = async (req, res, next) => {
+  try {
+    const lists = await ShoppingList.find({ buyerId: req.user.buyerId._id })
+      .populate('createdBy', 'name')
+      .populate('lastOrderedBy', 'name')
+      .sort({ lastOrderedAt: -1, updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: lists
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a shopping list
+ * @route   GET /api/v1/buyer-dashboard/shopping-lists/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getShoppingList = async (req, res, next) => {
+  try {
+    const list = await loadShoppingList(req.params.id, req.user);
+    await list.populate([
+      { path: 'items.preferredVendorId', select: 'businessName' },
+      { path: 'createdBy', select: 'name' },
+      { path: 'lastModifiedBy', select: 'name' },
+      { path: 'lastOrderedBy', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a shopping list, from items or from a past order (fromOrderId)
+ * @route   POST /api/v1/buyer-dashboard/shopping-lists
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.createShoppingList = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { name, description, items, fromOrderId } = req.body;
+    if (!fromOrderId && (!items || items.length === 0)) {
+      return next(new ErrorResponse('Items or fromOrderId is required', 400));
+    }
+
+    await assertNameAvailable(name, req.user.buyerId._id);
+    const sourceItems = fromOrderId ? await itemsFromOrder(fromOrderId, req.user) : items;
+
+    const list = await ShoppingList.create({
+      name,
+      description,
+      buyerId: req.user.buyerId._id,
+      createdBy: req.user.id,
+      items: await prepareListItems(sourceItems)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rename a shopping list or replace its items
+ * @route   PUT /api/v1/buyer-dashboard/shopping-lists/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.updateShoppingList = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const list = await loadShoppingList(req.params.id, req.user);
+    const { name, description, items } = req.body;
+
+    if (name !== undefined) {
+      await assertNameAvailable(name, list.buyerId, list._id);
+      list.name = name;
+    }
+    if (description !== undefined) list.description = description;
+    if (items !== undefined) list.items = await prepareListItems(items);
+    list.lastModifiedBy = req.user.id;
+
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a shopping list (owner, or the manager who created it)
+ * @route   DELETE /api/v1/buyer-dashboard/shopping-lists/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.deleteShoppingList = async (req, res, next) => {
+  try {
+    const list = await loadShoppingList(req.params.id, req.user);
+
+    if (req.user.role !== 'buyerOwner' && list.createdBy.toString() !== req.user.id.toString()) {
+      return next(new ErrorResponse('Only the owner or the manager who created this list can delete it', 403));
+    }
+
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Match each list item to a current listing, with alternatives where
+ *          the preferred vendor can no longer supply it
+ * @route   GET /api/v1/buyer-dashboard/shopping-lists/:id/resolve
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.resolveShoppingList = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const list = await loadShoppingList(req.params.id, req.user);
+    const origin = await DeliveryAreaService.findOrigin(req.query, req.user);
+    const resolution = await ShoppingListService.resolve(list, req.user, { origin });
+
+    res.status(200).json({
+      success: true,
+      data: resolution
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Order a shopping list, creating one order per vendor and market.
+ *          Lines whose preferred vendor can't supply them are left out unless
+ *          substituted or acceptAlternatives is set.
+ * @route   POST /api/v1/buyer-dashboard/shopping-lists/:id/order
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.orderShoppingList = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { deliveryInfo, paymentInfo, notes, acceptAlternatives = false, substitutions = [] } = req.body;
+    const list = await loadShoppingList(req.params.id, req.user);
+    const origin = await DeliveryAreaService.findOrigin(req.body, req.user);
+    const resolution = await ShoppingListService.resolve(list, req.user, { origin });
+
+    const { chosen, skipped } = await ShoppingListService.chooseListings(resolution, list, {
+      substitutions: new Map(substitutions.map(({ itemId, listingId }) => [itemId.toString(), listingId])),
+      acceptAlternatives
+    });
+
+    if (chosen.length === 0) {
+      return next(new ErrorResponse('None of the items on this list can be ordered right now', 400));
+    }
+
+    // One order per vendor and market, as in cart checkout
+    const groups = new Map();
+    for (const { item, listing, quantity } of chosen) {
+      const key = `${listing.vendorId}:${listing.marketId._id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { vendorId: listing.vendorId, prepared: [] });
+      }
+      groups.get(key).prepared.push({
+        listing,
+        orderItem: OrderService.buildOrderItem(listing, {
+          listingId: listing._id,
+          quantity,
+          specialInstructions: item.specialInstructions
+        })
+      });
+    }
+
+    const checkoutGroupId = new mongoose.Types.ObjectId();
+    const orderDocs = [...groups.values()].map(({ vendorId, prepared }) => ({
+      buyerId: req.user.buyerId._id,
+      vendorId,
+      placedBy: req.user.id,
+      checkoutGroupId,
+      items: prepared.map(({ orderItem }) => orderItem),
+      deliveryInfo,
+      paymentInfo,
+      notes: notes || `From shopping list "${list.name}"`,
+      ownerApproval: OrderService.checkManagerPermissions(req.user, vendorId, prepared)
+    }));
+
+    let orders;
+    let reservedListings;
+    await session.withTransaction(async () => {
+      reservedListings = await stockReservationService.reserveItems(
+        orderDocs.flatMap((doc) => doc.items),
+        session
+      );
+
+      const stockReservation = await stockReservationService.createReservationInfo();
+      for (const doc of orderDocs) {
+        doc.stockReservation = { ...stockReservation };
+      }
+
+      // ordered: true saves sequentially; a transaction session cannot run operations in parallel
+      orders = await Order.create(orderDocs, { session, ordered: true });
+
+      list.lastOrderedAt = new Date();
+      list.lastOrderedBy = req.user.id;
+      list.orderCount += 1;
+      await list.save({ session });
+    });
+
+    for (const order of orders) {
+      await realtimeService.publishOrderPlaced(order);
+
+      try {
+        await NotificationService.createOrderNotification(order, 'order_placed', {
+          buyerName: req.user.buyerId.name
+        });
+      } catch (notificationError) {
+        console.error('Failed to send order placed notification:', notificationError.message);
+      }
+    }
+
+    for (const order of orders.filter((created) => created.ownerApproval?.required)) {
+      try {
+        await NotificationService.createOrderNotification(order, 'owner_approval_required', {
+          placedByName: req.user.name
+        });
+      } catch (notificationError) {
+        console.error('Failed to send owner approval notification:', notificationError.message);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${orders.length} order(s) created from "${list.name}"` +
+        (skipped.length > 0 ? `; ${skipped.length} item(s) left out` : ''),
+      count: orders.length,
+      data: {
+        checkoutGroupId,
+        grandTotal: orders.reduce((sum, order) => sum + order.totalAmount, 0),
+        orders,
+        skipped
+      },
+      stockReservations: stockReservationService.summarizeStock(
+        reservedListings,
+        orderDocs.flatMap((doc) => doc.items)
+      )
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,333 @@
+const { validationResult } = require('express-validator');
+const StandingOrder = require('../models/StandingOrder');
+const Order = require('../models/Order');
+const { ErrorResponse } = require('../middleware/error');
+const OrderService = require('../services/orderService');
+
+/**
+ * Load a standing order belonging to the user's buyer
+ */
+const loadStandingOrder = async (id, user) => {
+  const standingOrder = await StandingOrder.findOne({
+    _id: id,
+    buyerId: user.buyerId._id
+  });
+
+  if (!standingOrder) {
+    throw new ErrorResponse(`Standing order not found with id of ${id}`, 404);
+  }
+
+  return standingOrder;
+};
+
+/**
+ * Check every line is currently listed by a single vendor in a single market
+ * and, for buyer managers, that they may buy it.
+ * Quantities are checked against stock when each order is generated.
+ */
+const prepareStandingItems = async (items, user) => {
+  const prepared = [];
+  const listings = [];
+  let vendorId;
+  let marketId;
+
+  for (const item of items) {
+    const listing = await OrderService.getOrderableListing(item.listingId);
+
+    if (!vendorId) {
+      vendorId = listing.vendorId.toString();
+      marketId = listing.marketId._id.toString();
+    } else if (listing.vendorId.toString() !== vendorId) {
+      throw new ErrorResponse('All items in a standing order must be from the same vendor', 400);
+    } else if (listing.marketId._id.toString() !== marketId) {
+      throw new ErrorResponse(
+        `All items in a standing order must be from the same market. Item "${listing.productId.name}" is from a different market.`,
+        400
+      );
+    }
+
+    listings.push(listing);
+    prepared.push({
+      listingId: listing._id,
+      productId: listing.productId._id,
+      productName: listing.productId.name,
+      quantity: item.quantity,
+      specialInstructions: item.specialInstructions
+    });
+  }
+
+  // Managers can only set up standing orders for vendors and categories they may buy from
+  OrderService.assertManagerCatalogAccess(user, vendorId, listings);
+
+  return { items: prepared, vendorId, marketId };
+};
+
+/**
+ * @desc    Get the buyer's standing orders
+ * @route   GET /api/v1/buyer-dashboard/standing-orders
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getStandingOrders = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const query = { buyerId: req.user.buyerId._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const standingOrders = await StandingOrder.find(query)
+      .populate('vendorId', 'businessName')
+      .populate('marketId', 'name')
+      .populate('createdBy', 'name')
+      .sort({ status: 1, nextRunAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: standingOrders.length,
+      data: standingOrders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a standing order with the orders generated from it
+ * @route   GET /api/v1/buyer-dashboard/standing-orders/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.getStandingOrder = async (req, res, next) => {
+  try {
+    const standingOrder = await loadStandingOrder(req.params.id, req.user);
+    await standingOrder.populate([
+      { path: 'vendorId', select: 'businessName' },
+      { path: 'marketId', select: 'name' },
+      { path: 'createdBy', select: 'name' }
+    ]);
+
+    const recentOrders = await Order.find({ standingOrderId: standingOrder._id })
+      .select('orderNumber status totalAmount estimatedDeliveryDate orderDate')
+      .sort({ orderDate: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        standingOrder,
+        recentOrders
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a recurring standing order
+ * @route   POST /api/v1/buyer-dashboard/standing-orders
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.createStandingOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { name, items, schedule, deliveryInfo, deliverySlot, paymentMethod, notes } = req.body;
+    const prepared = await prepareStandingItems(items, req.user);
+
+    const standingOrder = await StandingOrder.create({
+      name,
+      buyerId: req.user.buyerId._id,
+      createdBy: req.user.id,
+      vendorId: prepared.vendorId,
+      marketId: prepared.marketId,
+      items: prepared.items,
+      schedule,
+      deliveryInfo,
+      deliverySlot,
+      paymentMethod,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: standingOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update items, schedule or delivery details of a standing order
+ * @route   PUT /api/v1/buyer-dashboard/standing-orders/:id
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.updateStandingOrder = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const standingOrder = await loadStandingOrder(req.params.id, req.user);
+
+    if (standingOrder.status === 'ended') {
+      return next(new ErrorResponse('An ended standing order cannot be changed', 409));
+    }
+
+    const { name, items, schedule, deliveryInfo, deliverySlot, paymentMethod, notes } = req.body;
+
+    if (items) {
+      const prepared = await prepareStandingItems(items, req.user);
+      standingOrder.items = prepared.items;
+      standingOrder.vendorId = prepared.vendorId;
+      standingOrder.marketId = prepared.marketId;
+    }
+    if (schedule) {
+      standingOrder.schedule = { ...standingOrder.schedule.toObject(), ...schedule };
+    }
+    if (deliveryInfo) standingOrder.deliveryInfo = deliveryInfo;
+    if (deliverySlot) standingOrder.deliverySlot = deliverySlot;
+    if (name !== undefined) standingOrder.name = name;
+    if (paymentMethod !== undefined) standingOrder.paymentMethod = paymentMethod;
+    if (notes !== undefined) standingOrder.notes = notes;
+    standingOrder.lastModifiedBy = req.user.id;
+
+    await standingOrder.save();
+
+    res.status(200).json({
+      success: true,
+      data: standingOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pause a standing order (no orders are generated while paused)
+ * @route   POST /api/v1/buyer-dashboard/standing-orders/:id/pause
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.pauseStandingOrder = async (req, res, next) => {
+  try {
+    const standingOrder = await loadStandingOrder(req.params.id, req.user);
+
+    if (standingOrder.status !== 'active') {
+      return next(new ErrorResponse(`Only active standing orders can be paused (current status: ${standingOrder.status})`, 409));
+    }
+
+    standingOrder.status = 'paused';
+    standingOrder.pausedAt = new Date();
+    standingOrder.nextRunAt = undefined;
+    standingOrder.lastModifiedBy = req.user.id;
+    await standingOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Standing order paused',
+      data: standingOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a paused standing order from the next scheduled delivery
+ * @route   POST /api/v1/buyer-dashboard/standing-orders/:id/resume
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.resumeStandingOrder = async (req, res, next) => {
+  try {
+    const standingOrder = await loadStandingOrder(req.params.id, req.user);
+
+    if (standingOrder.status !== 'paused') {
+      return next(new ErrorResponse(`Only paused standing orders can be resumed (current status: ${standingOrder.status})`, 409));
+    }
+
+    standingOrder.status = 'active';
+    standingOrder.pausedAt = undefined;
+    standingOrder.lastModifiedBy = req.user.id;
+    await standingOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: standingOrder.status === 'active'
+        ? 'Standing order resumed'
+        : 'Standing order has no deliveries left and was ended',
+      data: standingOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Skip the next scheduled delivery
+ * @route   POST /api/v1/buyer-dashboard/standing-orders/:id/skip-next
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.skipNextDelivery = async (req, res, next) => {
+  try {
+    const standingOrder = await loadStandingOrder(req.params.id, req.user);
+
+    if (standingOrder.status !== 'active' || !standingOrder.nextDeliveryDate) {
+      return next(new ErrorResponse('There is no upcoming delivery to skip', 409));
+    }
+
+    const skippedDate = standingOrder.nextDeliveryDate;
+    const today = StandingOrder.startOfDay(new Date());
+
+    // Past skips no longer matter
+    standingOrder.skippedDates = standingOrder.skippedDates
+      .filter(date => date >= today)
+      .concat(skippedDate);
+    standingOrder.lastModifiedBy = req.user.id;
+    await standingOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Delivery on ${skippedDate.toDateString()} skipped`,
+      data: standingOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set or clear the date after which no more orders are generated
+ * @route   PUT /api/v1/buyer-dashboard/standing-orders/:id/end-date
+ * @access  Private (Buyer Owner/Manager only)
+ */
+exports.setStandingOrderEndDate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const standingOrder = await loadStandingOrder(req.params.id, req.user);
+
+    if (standingOrder.status === 'ended') {
+      return next(new ErrorResponse('Standing order has already ended', 409));
+    }
+
+    standingOrder.schedule.endDate = req.body.endDate || undefined;
+    standingOrder.lastModifiedBy = req.user.id;
+    await standingOrder.save();
+
+    res.status(200).json({
+      success: true,
+      data: standingOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,8 @@ const { validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Listing = require('../models/Listing');
 const { ErrorResponse } = require('../middleware/error');
+const OrderDocumentService = require('../services/orderDocumentService');
+const LedgerService = require('../services/ledgerService');
 
 /**
  * Helper function to get date range based on period or custom dates
@@ -1684,4 +1686,103 @@ exports.getNotifications = async (req, res, next) => {
   }
 };
 
+/**
+ * Load an order for a document download, checking it belongs to the user's business
+ */
+const loadOrderForDocument = async (orderId, user) => {
+  const order = await OrderDocumentService.loadOrder(orderId);
+
+  if (order.vendorId._id.toString() !== user.vendorId._id.toString()) {
+    throw new ErrorResponse('Not authorized to access this order', 403);
+  }
+
+  return order;
+};
+
+/**
+ * @desc    Download the invoice PDF for an order
+ * @route   GET /api/v1/vendor-dashboard/orders/:id/invoice
+ * @access  Private (Vendor only)
+ */
+exports.getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await loadOrderForDocument(req.params.id, req.user);
+    const document = await OrderDocumentService.generateInvoice(order);
+
+    OrderDocumentService.sendPdf(req, res, document);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the delivery challan PDF for an order
+ * @route   GET /api/v1/vendor-dashboard/orders/:id/challan
+ * @access  Private (Vendor only)
+ */
+exports.getOrderChallan = async (req, res, next) => {
+  try {
+    const order = await loadOrderForDocument(req.params.id, req.user);
+    const document = await OrderDocumentService.generateChallan(order);
+
+    OrderDocumentService.sendPdf(req, res, document);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get receivables aging (0-30, 31-60, 61-90, 90+ days) grouped by buyer
+ * @route   GET /api/v1/vendor-dashboard/receivables-aging
+ * @access  Private (Vendor only)
+ */
+exports.getReceivablesAging = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const aging = await LedgerService.getReceivablesAging(req.user.vendorId._id, asOf);
+
+    res.status(200).json({
+      success: true,
+      count: aging.buyers.length,
+      data: aging
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the ledger statement with one buyer
+ * @route   GET /api/v1/vendor-dashboard/ledger/:buyerId
+ * @access  Private (Vendor only)
+ */
+exports.getBuyerLedger = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorResponse(errors.array()[0].msg, 400));
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const statement = await LedgerService.getStatement(
+      req.params.buyerId,
+      req.user.vendorId._id,
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: statement.entries.length,
+      data: statement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Helper function to calculate date ranges for analytics
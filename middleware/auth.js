@@ -1,7 +1,48 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
 const { ErrorResponse } = require('./error');
 
+/**
+ * Reason an authenticated user's account can't be used, or null if it can
+ */
+const accountError = (user) => {
+  if (!user) {
+    return new ErrorResponse('No user found with this token', 401);
+  }
+
+  // Check if user account is active
+  if (!user.isActive) {
+    return new ErrorResponse('Account has been deactivated. Contact admin for assistance.', 401);
+  }
+
+  // Check if user account is deleted
+  if (user.isDeleted) {
+    return new ErrorResponse('Account not found', 401);
+  }
+
+  return null;
+};
+
+/**
+ * Only populate related data if needed (reduces database load)
+ */
+const populateAccount = async (user) => {
+  try {
+    if (user.vendorId) {
+      await user.populate('vendorId');
+    }
+    if (user.buyerId) {
+      await user.populate('buyerId');
+    }
+  } catch (populationError) {
+    console.warn('User population warning:', populationError.message);
+    // Continue with user object even if population fails
+    // This prevents authentication failure due to population issues
+  }
+};
+
 /**
  * Protect routes - JWT verification middleware
  * @param {Object} req - Express request object
@@ -30,36 +71,25 @@ const protect = async (req, res, next) => {
 
       // Get user from token - populate selectively to avoid N+1 queries
       const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return next(new ErrorResponse('No user found with this token', 401));
-      }
 
-      // Check if user account is active
-      if (!user.isActive) {
-        return next(new ErrorResponse('Account has been deactivated. Contact admin for assistance.', 401));
+      const userError = accountError(user);
+      if (userError) {
+        return next(userError);
       }
 
-      // Check if user account is deleted
-      if (user.isDeleted) {
-        return next(new ErrorResponse('Account not found', 401));
+      // Access tokens are only valid while their session is (logout/revocation takes effect immediately);
+      // tokens from before sessions existed are accepted until they expire
+      const sessionValid = decoded.sid
+        ? await SessionService.findActiveSession(decoded.sid, user._id)
+        : SessionService.acceptsLegacyToken(decoded, user);
+      if (!sessionValid) {
+        return next(new ErrorResponse('Session has expired or was signed out. Please log in again.', 401));
       }
 
-      // Only populate related data if needed (reduces database load)
-      try {
-        if (user.vendorId) {
-          await user.populate('vendorId');
-        }
-        if (user.buyerId) {
-          await user.populate('buyerId');
-        }
-      } catch (populationError) {
-        console.warn('User population warning:', populationError.message);
-        // Continue with user object even if population fails
-        // This prevents authentication failure due to population issues
-      }
+      await populateAccount(user);
 
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return next(new ErrorResponse('Not authorized to access this route', 401));
@@ -69,6 +99,59 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Event stream authentication. Browsers' EventSource can't send headers, so it
+ * opens the stream with a single-use `?ticket=` from POST /realtime/ticket;
+ * other clients can send the usual Bearer header instead.
+ */
+const protectStream = async (req, res, next) => {
+  if (!req.query.ticket) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const ticket = await SessionService.redeemStreamTicket(req.query.ticket);
+    if (!ticket) {
+      return next(new ErrorResponse('Stream ticket is invalid, expired or already used', 401));
+    }
+
+    const user = await User.findById(ticket.userId);
+    const userError = accountError(user);
+    if (userError) {
+      return next(userError);
+    }
+
+    if (ticket.sessionId && !(await SessionService.findActiveSession(ticket.sessionId, user._id))) {
+      return next(new ErrorResponse('Session has expired or was signed out. Please log in again.', 401));
+    }
+
+    await populateAccount(user);
+
+    req.user = user;
+    req.sessionId = ticket.sessionId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Two-factor login step - loads the user from the challenge token issued after the password step
+ */
+const requireTwoFactorChallenge = async (req, res, next) => {
+  try {
+    if (!req.body.challengeToken) {
+      return next(new ErrorResponse('Two-factor challenge token is required', 400));
+    }
+
+    req.user = await TwoFactorService.verifyChallenge(req.body.challengeToken);
+    req.twoFactorChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Role-based authorization middleware
  * @param {...string} roles - Allowed roles
@@ -92,6 +175,31 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Permission-based authorization for buyer managers and vendor staff (other roles pass through)
+ * @param {...string} permissions - Required permissions, e.g. 'view_analytics', 'manage_listings'
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorResponse('Please login to access this route', 401));
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return next(
+        new ErrorResponse(
+          `Your account does not have permission to access this route. Missing: ${missing.join(', ')}`,
+          403
+        )
+      );
+    }
+    next();
+  };
+};
+
 /**
  * Check if user owns the resource
  * @param {string} resourceModel - The model name to check ownership
@@ -163,4 +271,12 @@ const authorizeApproved = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize, authorizeApproved, checkOwnership };
\ No newline at end of file
+module.exports = {
+  protect,
+  protectStream,
+  requireTwoFactorChallenge,
+  authorize,
+  requirePermission,
+  authorizeApproved,
+  checkOwnership
+};
\ No newline at end of file
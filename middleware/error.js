@@ -2,10 +2,14 @@
  * Custom Error Response
  */
 class ErrorResponse extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, details = null) {
       super(message);
       this.statusCode = statusCode;
       this.isOperational = true;
+      // Optional structured payload returned alongside the message
+      if (details) {
+        this.details = details;
+      }
   
       Error.captureStackTrace(this, this.constructor);
     }
@@ -55,6 +59,7 @@ class ErrorResponse extends Error {
     res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Server Error',
+      ...(error.details && { details: error.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack || 'No stack trace' })
     });
   };
@@ -90,6 +90,16 @@ const generalStorage = new CloudinaryStorage({
   }
 });
 
+// Create storage engine for order dispute evidence photos
+const disputeStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'aaroth-fresh/disputes',
+    allowed_formats: ['jpg', 'jpeg', 'png'],
+    transformation: [{ width: 1280, height: 960, crop: 'limit' }]
+  }
+});
+
 // Create storage engine for listing videos
 const listingVideoStorage = new CloudinaryStorage({
   cloudinary: cloudinary,
@@ -143,6 +153,18 @@ const handleMulterError = (err, req, res, next) => {
   next(err);
 };
 
+// Delete files a request already uploaded when the request is then rejected
+const removeUploadedFiles = async (files) => {
+  const uploaded = Array.isArray(files) ? files : Object.values(files || {}).flat();
+
+  await Promise.all(uploaded.map(async (file) => {
+    try {
+      await cloudinary.uploader.destroy(file.filename);
+    } catch (deleteError) {
+      console.error('Error deleting uploaded file:', deleteError);
+    }
+  }));
+};
 
 // EXPORT SPECIFIC UPLOAD HANDLERS
 module.exports = {
@@ -232,6 +254,19 @@ module.exports = {
     return [upload.single(fieldName), handleMulterError];
   },
 
+  // Use this for order dispute photos
+  uploadDisputePhotos: (fieldName, maxCount = 5) => {
+    const upload = multer({
+      storage: disputeStorage,
+      fileFilter,
+      limits: {
+        fileSize: 1 * 1024 * 1024, // 1MB
+        files: maxCount
+      }
+    });
+    return [upload.array(fieldName, maxCount), handleMulterError];
+  },
+
   // General purpose uploads
   uploadGeneralImage: (fieldName) => {
     const upload = multer({
@@ -323,6 +358,8 @@ module.exports = {
     ];
   },
 
+  removeUploadedFiles,
+
   // Cloudinary instance for manual operations
   cloudinary
 };
\ No newline at end of file
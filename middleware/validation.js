@@ -1,5 +1,6 @@
 const { body, validationResult, check } = require("express-validator");
 const { ErrorResponse } = require("./error");
+const { UNITS } = require("../utils/units");
 
 /**
  * Handle validation results
@@ -232,6 +233,10 @@ const updateProfileValidation = [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage("Name must be between 2 and 50 characters"),
+  body("preferredLanguage")
+    .optional()
+    .isIn(["en", "bn"])
+    .withMessage("Preferred language must be en or bn"),
   handleValidationErrors,
 ];
 
@@ -258,6 +263,34 @@ const changePasswordValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Buyer manager permission fields (prefix "permissions." when nested in a request body)
+ */
+const managerPermissionRules = (prefix = "") => [
+  body(`${prefix}spendLimitPerOrder`)
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Spend limit must be a positive number (or null for no limit)"),
+  body(`${prefix}allowedCategories`)
+    .optional()
+    .isArray()
+    .withMessage("Allowed categories must be an array"),
+  body(`${prefix}allowedCategories.*`)
+    .isMongoId()
+    .withMessage("Each allowed category must be a valid ID"),
+  body(`${prefix}allowedVendors`)
+    .optional()
+    .isArray()
+    .withMessage("Allowed vendors must be an array"),
+  body(`${prefix}allowedVendors.*`)
+    .isMongoId()
+    .withMessage("Each allowed vendor must be a valid ID"),
+  body(`${prefix}analyticsAccess`)
+    .optional()
+    .isIn(["none", "read_only"])
+    .withMessage("Analytics access must be none or read_only"),
+];
+
 /**
  * Manager creation validation rules
  */
@@ -280,6 +313,46 @@ const managerValidation = [
   body("phone")
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage("Please provide a valid phone number"),
+  ...managerPermissionRules("permissions."),
+  handleValidationErrors,
+];
+
+/**
+ * Buyer manager permission validation rules
+ */
+const managerPermissionsValidation = [
+  ...managerPermissionRules(),
+  handleValidationErrors,
+];
+
+/**
+ * Vendor staff invite validation rules
+ */
+const vendorStaffValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+  body("phone")
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage("Please provide a valid phone number"),
+  body("vendorRole")
+    .isIn(["owner", "sales", "dispatcher", "accountant"])
+    .withMessage("Staff role must be owner, sales, dispatcher or accountant"),
+  handleValidationErrors,
+];
+
+/**
+ * Vendor staff role change validation rules
+ */
+const vendorStaffRoleValidation = [
+  body("vendorRole")
+    .isIn(["owner", "sales", "dispatcher", "accountant"])
+    .withMessage("Staff role must be owner, sales, dispatcher or accountant"),
   handleValidationErrors,
 ];
 
@@ -782,6 +855,12 @@ const marketValidation = [
     .matches(/^\d{4}$/)
     .withMessage('Postal code must be 4 digits'),
 
+  body('orderNumberPrefix')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[A-Za-z0-9]{0,10}$/)
+    .withMessage('Order number prefix must be up to 10 letters or digits (empty to clear)'),
+
   // Note: Image validation is handled in controller middleware as files are processed there
   handleValidationErrors,
 ];
@@ -858,6 +937,55 @@ const resetPasswordValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Refresh token validation rules
+ */
+const refreshTokenValidation = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+  handleValidationErrors,
+];
+
+/**
+ * OTP request validation rules
+ */
+const otpRequestValidation = [
+  body("phone").notEmpty().withMessage("Phone number is required"),
+  handleValidationErrors,
+];
+
+/**
+ * OTP code validation rules (phone is only needed when not logged in)
+ */
+const otpCodeValidation = (requirePhone = true) => [
+  ...(requirePhone
+    ? [body("phone").notEmpty().withMessage("Phone number is required")]
+    : []),
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor code validation rules (an authenticator code, or a recovery code where allowed)
+ */
+const twoFactorCodeValidation = ({ allowRecoveryCode = false, requirePassword = false } = {}) => [
+  ...(requirePassword
+    ? [body("password").notEmpty().withMessage("Password is required")]
+    : []),
+  body("code")
+    .if((value, { req }) => !(allowRecoveryCode && req.body.recoveryCode))
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+  ...(allowRecoveryCode
+    ? [body("recoveryCode").optional().isString().trim().isLength({ min: 10, max: 12 }).withMessage("Invalid recovery code")]
+    : []),
+  handleValidationErrors,
+];
+
 /**
  * Division validation rules
  */
@@ -1063,6 +1191,139 @@ const unionValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * "Near me" search validation rules (lat/lng together, radius in km)
+ */
+const nearbyValidation = [
+  check("lat")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .custom((lat, { req }) => {
+      if (req.query.lng === undefined) {
+        throw new Error("lat and lng must be given together");
+      }
+      return true;
+    }),
+
+  check("lng")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .custom((lng, { req }) => {
+      if (req.query.lat === undefined) {
+        throw new Error("lat and lng must be given together");
+      }
+      return true;
+    }),
+
+  check("radius")
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage("Radius must be between 1 and 100 km"),
+
+  check(["productId", "category", "marketId"])
+    .optional()
+    .isMongoId()
+    .withMessage("productId, category and marketId must be valid IDs"),
+
+  check("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  check("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Single-product price comparison validation rules (query)
+ */
+const priceComparisonValidation = [
+  check("quantity")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than 0"),
+
+  check("unit")
+    .optional()
+    .isIn(UNITS)
+    .withMessage(`Unit must be one of: ${UNITS.join(", ")}`),
+
+  check(["lat", "lng"])
+    .optional()
+    .isFloat()
+    .withMessage("lat and lng must be numbers"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Shopping-list price comparison validation rules (body)
+ */
+const basketComparisonValidation = [
+  body("items")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("items must list 1 to 50 products"),
+
+  body("items.*.productId")
+    .isMongoId()
+    .withMessage("Each item needs a valid productId"),
+
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Each item quantity must be greater than 0")
+    .toFloat(),
+
+  body("items.*.unit")
+    .optional()
+    .isIn(UNITS)
+    .withMessage(`Item unit must be one of: ${UNITS.join(", ")}`),
+
+  body("lat")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90"),
+
+  body("lng")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Daily price history validation rules
+ */
+const priceHistoryValidation = [
+  check("id")
+    .isMongoId()
+    .withMessage("Invalid product ID"),
+
+  check("marketId")
+    .optional()
+    .isMongoId()
+    .withMessage("marketId must be a valid ID"),
+
+  check("qualityGrade")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Quality grade cannot be empty"),
+
+  check("days")
+    .optional()
+    .isInt({ min: 1, max: 180 })
+    .withMessage("Days must be between 1 and 180"),
+
+  handleValidationErrors,
+];
+
 module.exports = {
   handleValidationErrors,
   registerValidation,
@@ -1070,6 +1331,9 @@ module.exports = {
   updateProfileValidation,
   changePasswordValidation,
   managerValidation,
+  managerPermissionsValidation,
+  vendorStaffValidation,
+  vendorStaffRoleValidation,
   userUpdateValidation,
   productValidation,
   categoryValidation,
@@ -1098,9 +1362,19 @@ module.exports = {
   // Password reset validations
   forgotPasswordValidation,
   resetPasswordValidation,
+  refreshTokenValidation,
+  otpRequestValidation,
+  otpCodeValidation,
+  twoFactorCodeValidation,
   // Location management validations
   divisionValidation,
   districtValidation,
   upazilaValidation,
   unionValidation,
+  // Nearby market/listing discovery
+  nearbyValidation,
+  // Price comparison
+  priceComparisonValidation,
+  basketComparisonValidation,
+  priceHistoryValidation,
 };
@@ -36,7 +36,11 @@ const AuditLogSchema = new mongoose.Schema({
       'listing_flagged', 'listing_unflagged', 'listing_featured', 'listing_unfeatured', 'listing_status_changed',
       'listings_viewed', 'featured_listings_viewed', 'flagged_listings_viewed', 'listing_viewed',
       // Order management
-      'order_approved', 'order_cancelled', 'order_status_changed',
+      'order_approved', 'order_cancelled', 'order_status_changed', 'order_amended', 'order_received',
+      // Order disputes
+      'dispute_opened', 'dispute_responded', 'dispute_escalated', 'dispute_arbitrated',
+      // Order payments
+      'payment_recorded',
       // System management
       'settings_updated', 'bulk_operation', 'system_backup', 'system_maintenance', 'analytics_viewed',
       // Security and monitoring
@@ -46,7 +50,7 @@ const AuditLogSchema = new mongoose.Schema({
       // Dashboard and performance
       'performance_dashboard_accessed', 'dashboard_viewed',
       // Authentication tracking
-      'login_failed', 'profile_updated', 'password_changed'
+      'login_failed', 'profile_updated', 'password_changed', 'two_factor_enabled', 'two_factor_disabled'
     ]
   },
   
@@ -54,7 +58,7 @@ const AuditLogSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: [true, 'Entity type is required'],
-    enum: ['User', 'Vendor', 'Buyer', 'Product', 'ProductCategory', 'Listing', 'Order', 'Settings', 'System', 'AdminMetrics', 'SLAConfig', 'Inventory']
+    enum: ['User', 'Vendor', 'Buyer', 'Product', 'ProductCategory', 'Listing', 'Order', 'Dispute', 'Payment', 'Settings', 'System', 'AdminMetrics', 'SLAConfig', 'Inventory']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
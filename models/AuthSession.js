@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One signed-in device; holds the hash of its current refresh token
+const AuthSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token replaced by the last rotation; presenting it again means the token leaked
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'account_deactivated', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+AuthSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+AuthSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Drop sessions a week after they expire
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -186,6 +186,23 @@ BudgetSchema.methods.getCategorySpending = async function() {
   ]);
 };
 
+// Start of the budget period and the end of its last day
+BudgetSchema.methods.getPeriodRange = function() {
+  const start = this.budgetPeriod === 'monthly'
+    ? new Date(this.year, this.month - 1, 1)
+    : this.budgetPeriod === 'quarterly'
+    ? new Date(this.year, (this.quarter - 1) * 3, 1)
+    : new Date(this.year, 0, 1);
+
+  const end = this.budgetPeriod === 'monthly'
+    ? new Date(this.year, this.month, 0, 23, 59, 59, 999)
+    : this.budgetPeriod === 'quarterly'
+    ? new Date(this.year, this.quarter * 3, 0, 23, 59, 59, 999)
+    : new Date(this.year, 11, 31, 23, 59, 59, 999);
+
+  return { start, end };
+};
+
 BudgetSchema.statics.getCurrentBudget = async function(buyerId, period = 'monthly') {
   const now = new Date();
   const query = {
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const CartItemSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: [true, 'Listing ID is required']
+  },
+  // Denormalised from the listing so the cart can be grouped without lookups
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor ID is required']
+  },
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market'
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  specialInstructions: {
+    type: String,
+    maxlength: [200, 'Special instructions cannot exceed 200 characters']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CartSchema = new mongoose.Schema({
+  // One active cart per user (owners and managers keep separate carts)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  items: [CartItemSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for number of distinct vendors in the cart
+CartSchema.virtual('vendorCount').get(function() {
+  return new Set(this.items.map(item => item.vendorId.toString())).size;
+});
+
+// Find an item by listing
+CartSchema.methods.findItem = function(listingId) {
+  return this.items.find(item => item.listingId.toString() === listingId.toString());
+};
+
+// Group cart items by vendor
+CartSchema.methods.groupByVendor = function() {
+  const groups = new Map();
+
+  for (const item of this.items) {
+    const key = item.vendorId.toString();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+
+  return groups;
+};
+
+// Get or create the cart for a user
+CartSchema.statics.findOrCreateForUser = async function(user) {
+  let cart = await this.findOne({ userId: user._id });
+
+  if (!cart) {
+    cart = await this.create({
+      userId: user._id,
+      buyerId: user.buyerId._id || user.buyerId,
+      items: []
+    });
+  }
+
+  return cart;
+};
+
+CartSchema.index({ buyerId: 1 });
+
+module.exports = mongoose.model('Cart', CartSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const CounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Counter key is required'],
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Counter cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment a counter and return the new value.
+// When called with a transaction session the increment rolls back with the
+// transaction, which is what keeps gapless sequences (e.g. invoices) gapless.
+CounterSchema.statics.nextSequence = async function(key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+// Read the current value without incrementing
+CounterSchema.statics.currentSequence = async function(key) {
+  const counter = await this.findOne({ key });
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
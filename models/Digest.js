@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A generated daily/weekly summary for one user, kept whether or not it was emailed
+const DigestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  audience: {
+    type: String,
+    enum: ['buyer', 'vendor'],
+    required: [true, 'Digest audience is required']
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer'
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: [true, 'Digest frequency is required']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Section data as built by digestService (orders, budget, priceChanges, ...)
+  sections: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // skipped: nothing to report; queued: handed to the notification outbox
+  status: {
+    type: String,
+    enum: ['skipped', 'queued', 'failed'],
+    required: true
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+// One digest per user and period, even if two workers pick up the same run
+DigestSchema.index({ userId: 1, periodEnd: 1 }, { unique: true });
+DigestSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Digest', DigestSchema);
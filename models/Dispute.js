@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+// Days a buyer has to escalate a vendor's resolution or rejection to admin
+const ESCALATION_WINDOW_DAYS = 7;
+
+const DisputeSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required']
+  },
+  orderNumber: String,
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor ID is required']
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Raised by user ID is required']
+  },
+
+  // Disputed order lines
+  items: [{
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Order item ID is required']
+    },
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing'
+    },
+    productName: String,
+    issueType: {
+      type: String,
+      enum: ['spoiled', 'wrong_grade', 'underweight', 'missing', 'other'],
+      required: [true, 'Issue type is required']
+    },
+    quantityAffected: {
+      type: Number,
+      required: [true, 'Affected quantity is required'],
+      min: [0.01, 'Affected quantity must be greater than 0']
+    },
+    // Value of the affected quantity at the billed unit price
+    claimedAmount: {
+      type: Number,
+      min: [0, 'Claimed amount cannot be negative']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    }
+  }],
+  description: {
+    type: String,
+    required: [true, 'Dispute description is required'],
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  photos: [{
+    url: String,
+    publicId: String
+  }],
+
+  // open -> vendor responds (resolved | rejected) -> buyer may escalate within
+  // ESCALATION_WINDOW_DAYS -> admin arbitrates
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'rejected', 'escalated'],
+    default: 'open'
+  },
+
+  vendorResponse: {
+    type: {
+      type: String,
+      enum: ['credit', 'replacement', 'rejection']
+    },
+    creditAmount: Number,
+    notes: String,
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+
+  escalation: {
+    reason: String,
+    escalatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    escalatedAt: Date
+  },
+
+  // Final outcome (from the vendor response or admin arbitration)
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['credit', 'replacement', 'rejection']
+    },
+    creditAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit amount cannot be negative']
+    },
+    notes: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedByRole: {
+      type: String,
+      enum: ['vendor', 'admin']
+    },
+    decidedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for total claimed amount across lines
+DisputeSchema.virtual('totalClaimed').get(function() {
+  return (this.items || []).reduce((total, item) => total + (item.claimedAmount || 0), 0);
+});
+
+// Awaiting action from vendor or admin
+DisputeSchema.methods.isOpen = function() {
+  return ['open', 'escalated'].includes(this.status);
+};
+
+// Admin decisions are final
+DisputeSchema.methods.isFinal = function() {
+  return this.resolution?.decidedByRole === 'admin';
+};
+
+// Last moment the buyer can escalate a vendor decision (null when there is none)
+DisputeSchema.methods.escalationDeadline = function() {
+  if (this.resolution?.decidedByRole !== 'vendor' || !this.resolution.decidedAt) {
+    return null;
+  }
+  return new Date(this.resolution.decidedAt.getTime() + ESCALATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Buyers can escalate an unanswered dispute, or a vendor's resolution or
+// rejection they don't agree with while the window is open; admin decisions are final
+DisputeSchema.methods.canBeEscalated = function() {
+  if (this.isFinal()) return false;
+  if (this.status === 'open') return true;
+
+  const deadline = this.escalationDeadline();
+  return ['resolved', 'rejected'].includes(this.status) && Boolean(deadline) && new Date() <= deadline;
+};
+
+DisputeSchema.statics.ESCALATION_WINDOW_DAYS = ESCALATION_WINDOW_DAYS;
+
+DisputeSchema.index({ orderId: 1, createdAt: -1 });
+DisputeSchema.index({ vendorId: 1, status: 1 });
+DisputeSchema.index({ buyerId: 1, status: 1 });
+DisputeSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Running balance between one buyer and one vendor (what the buyer owes)
+const LedgerAccountSchema = new mongoose.Schema({
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor ID is required']
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  totalInvoiced: {
+    type: Number,
+    default: 0
+  },
+  totalPaid: {
+    type: Number,
+    default: 0
+  },
+  lastEntryAt: Date
+}, {
+  timestamps: true
+});
+
+// Atomically move the balance; concurrent postings on the same pair are serialised
+LedgerAccountSchema.statics.applyEntry = function(buyerId, vendorId, type, amount, session = null) {
+  const inc = { balance: amount };
+  if (type === 'invoice') inc.totalInvoiced = amount;
+  if (type === 'payment') inc.totalPaid = -amount;
+
+  return this.findOneAndUpdate(
+    { buyerId, vendorId },
+    { $inc: inc, $set: { lastEntryAt: new Date() } },
+    { new: true, upsert: true, session, setDefaultsOnInsert: true }
+  );
+};
+
+LedgerAccountSchema.index({ buyerId: 1, vendorId: 1 }, { unique: true });
+LedgerAccountSchema.index({ vendorId: 1, balance: -1 });
+
+module.exports = mongoose.model('LedgerAccount', LedgerAccountSchema);
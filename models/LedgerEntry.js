@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Positive amounts increase what the buyer owes the vendor, negative amounts reduce it
+const LedgerEntrySchema = new mongoose.Schema({
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor ID is required']
+  },
+  type: {
+    type: String,
+    enum: [
+      'invoice',          // Delivered order billed (+)
+      'payment',          // Payment received (-)
+      'credit_note',      // Dispute credit (-, or + when an arbitration lowers a credit)
+      'invoice_reversal', // Delivered order refunded (-)
+      'refund'            // Money returned to the buyer (+)
+    ],
+    required: [true, 'Entry type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  // Buyer-vendor balance after this entry
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  disputeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  // Invoices only: when the buyer's payment terms make it due
+  dueDate: Date,
+  // Makes one-off postings (e.g. the invoice for an order) idempotent
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  description: String,
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+LedgerEntrySchema.index({ vendorId: 1, buyerId: 1, entryDate: -1 });
+LedgerEntrySchema.index({ buyerId: 1, entryDate: -1 });
+LedgerEntrySchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
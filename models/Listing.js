@@ -141,6 +141,13 @@ const ListingSchema = new mongoose.Schema({
       required: [true, 'Available quantity is required'],
       min: [0, 'Available quantity cannot be negative']
     },
+    // Quantity held by placed orders that have not been delivered yet.
+    // Only changed through the atomic reserve/release statics below.
+    quantityReserved: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved quantity cannot be negative']
+    },
     unit: {
       type: String,
       required: [true, 'Availability unit is required']
@@ -572,6 +579,15 @@ ListingSchema.virtual('market', {
   justOne: true
 });
 
+// Virtual for quantity not held by any order reservation
+ListingSchema.virtual('freeQuantity').get(function() {
+  if (!this.availability) return 0;
+  return Math.max(
+    0,
+    (this.availability.quantityAvailable || 0) - (this.availability.quantityReserved || 0)
+  );
+});
+
 // Method to check if listing is available for order
 ListingSchema.methods.isAvailableForOrder = function(quantity = 1, isPacks = false) {
   const pricing = this.pricing && this.pricing[0];
@@ -613,11 +629,71 @@ ListingSchema.methods.isAvailableForOrder = function(quantity = 1, isPacks = fal
 
   return (
     this.status === 'active' &&
-    this.availability.quantityAvailable >= requiredQuantity &&
+    this.freeQuantity >= requiredQuantity &&
     (!this.availability.expiryDate || this.availability.expiryDate > new Date())
   );
 };
 
+// Atomically reserve stock for an order.
+// Returns the updated listing, or null if not enough free stock is left.
+ListingSchema.statics.reserveStock = function(listingId, quantity, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: listingId,
+      status: 'active',
+      $expr: {
+        $gte: [
+          {
+            $subtract: [
+              '$availability.quantityAvailable',
+              { $ifNull: ['$availability.quantityReserved', 0] }
+            ]
+          },
+          quantity
+        ]
+      }
+    },
+    { $inc: { 'availability.quantityReserved': quantity } },
+    { new: true, session }
+  );
+};
+
+// Atomically release previously reserved stock (never drops below zero)
+ListingSchema.statics.releaseStock = function(listingId, quantity, session = null) {
+  return this.findOneAndUpdate(
+    { _id: listingId },
+    [{
+      $set: {
+        'availability.quantityReserved': {
+          $max: [0, { $subtract: [{ $ifNull: ['$availability.quantityReserved', 0] }, quantity] }]
+        }
+      }
+    }],
+    { new: true, session }
+  );
+};
+
+// Atomically take delivered stock off the shelf, releasing its reservation
+// and updating sales statistics in the same write
+ListingSchema.statics.consumeStock = function(listingId, quantity, reservedQuantity = 0, session = null) {
+  return this.findOneAndUpdate(
+    { _id: listingId },
+    [{
+      $set: {
+        'availability.quantityAvailable': {
+          $max: [0, { $subtract: ['$availability.quantityAvailable', quantity] }]
+        },
+        'availability.quantityReserved': {
+          $max: [0, { $subtract: [{ $ifNull: ['$availability.quantityReserved', 0] }, reservedQuantity] }]
+        },
+        totalQuantitySold: { $add: [{ $ifNull: ['$totalQuantitySold', 0] }, quantity] },
+        totalOrders: { $add: [{ $ifNull: ['$totalOrders', 0] }, 1] }
+      }
+    }],
+    { new: true, session }
+  );
+};
+
 // Static method for advanced search
 ListingSchema.statics.searchListings = async function(filters = {}) {
   const {
@@ -14,6 +14,13 @@ const MarketSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // Order numbers for vendors in this market start with this (a vendor's own prefix wins)
+  orderNumberPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{1,10}$/, 'Order number prefix must be 1-10 letters or digits']
+  },
   slug: {
     type: String,
     unique: true,
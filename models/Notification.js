@@ -13,7 +13,7 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['order', 'inventory', 'budget', 'vendor', 'payment', 'system', 'promotion'],
+    enum: ['order', 'inventory', 'budget', 'vendor', 'payment', 'system', 'promotion', 'digest', 'price_alert'],
     required: [true, 'Notification type is required']
   },
   title: {
@@ -51,7 +51,7 @@ const NotificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['order', 'listing', 'product', 'vendor', 'buyer', 'payment']
+      enum: ['order', 'listing', 'product', 'vendor', 'buyer', 'payment', 'inventory']
     },
     entityId: mongoose.Schema.Types.ObjectId,
     entityData: mongoose.Schema.Types.Mixed // Store relevant entity data snapshot
@@ -67,13 +67,20 @@ const NotificationSchema = new mongoose.Schema({
     enum: ['in-app', 'email', 'sms', 'push'],
     default: ['in-app']
   }],
+  // Derived from the per-channel NotificationDelivery entries (see deliveryDispatcher):
+  // delivered when every channel got through, failed when none did, partial when
+  // some did and the rest were dead-lettered, pending while any is still in flight
   deliveryStatus: {
     type: String,
-    enum: ['pending', 'delivered', 'failed', 'read'],
+    enum: ['pending', 'delivered', 'partial', 'failed', 'read'],
     default: 'pending'
   },
+  // First channel that got through
   deliveredAt: Date,
   readAt: Date,
+  // Dismissed notifications are gone for the user; archived ones move out of the inbox
+  dismissedAt: Date,
+  archivedAt: Date,
   // Expiration
   expiresAt: {
     type: Date,
@@ -92,6 +99,7 @@ const NotificationSchema = new mongoose.Schema({
 
 // Indexes for efficient queries
 NotificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, dismissedAt: 1, archivedAt: 1, createdAt: -1 });
 NotificationSchema.index({ recipientType: 1, type: 1, priority: 1 });
 NotificationSchema.index({ deliveryStatus: 1, createdAt: 1 });
 NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -146,18 +154,37 @@ NotificationSchema.statics.createNotification = async function(notificationData)
   return await notification.save();
 };
 
+/**
+ * Query for a user's notifications in one view:
+ * inbox (default), archived, or all (everything not dismissed).
+ * Notifications sent only by email/SMS/push never show in the app.
+ */
+NotificationSchema.statics.viewFilter = function(userId, view = 'inbox') {
+  const filter = {
+    recipient: userId,
+    dismissedAt: null,
+    $or: [{ deliveryChannel: 'in-app' }, { deliveryChannel: { $size: 0 } }]
+  };
+
+  if (view === 'inbox') filter.archivedAt = null;
+  if (view === 'archived') filter.archivedAt = { $ne: null };
+
+  return filter;
+};
+
 // Static method to get user notifications with pagination
 NotificationSchema.statics.getUserNotifications = async function(userId, options = {}) {
   const {
     type,
     isRead,
     priority,
+    view,
     page = 1,
     limit = 20,
     sort = { createdAt: -1 }
   } = options;
   
-  const match = { recipient: userId };
+  const match = this.viewFilter(userId, view);
   
   if (type) match.type = type;
   if (isRead !== undefined) match.isRead = isRead;
@@ -204,10 +231,52 @@ NotificationSchema.statics.markMultipleAsRead = async function(userId, notificat
   return result;
 };
 
+// Static method to mark all of a user's inbox notifications as read (optionally one type)
+NotificationSchema.statics.markAllAsRead = async function(userId, type) {
+  const filter = { ...this.viewFilter(userId), isRead: false };
+  if (type) filter.type = type;
+
+  return this.updateMany(filter, {
+    isRead: true,
+    readAt: new Date(),
+    deliveryStatus: 'read'
+  });
+};
+
+// Static method to dismiss or archive (or unarchive) several notifications
+NotificationSchema.statics.setInboxState = async function(userId, notificationIds, state) {
+  const update = {
+    dismiss: { $set: { dismissedAt: new Date() } },
+    archive: { $set: { archivedAt: new Date() } },
+    unarchive: { $unset: { archivedAt: 1 } }
+  }[state];
+
+  return this.updateMany(
+    { recipient: userId, _id: { $in: notificationIds }, dismissedAt: null },
+    update
+  );
+};
+
+// Static method to count unread inbox notifications, in total and per type
+NotificationSchema.statics.getUnreadCounts = async function(userId) {
+  const counts = await this.aggregate([
+    { $match: { ...this.viewFilter(new mongoose.Types.ObjectId(userId)), isRead: false } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+
+  const byType = {};
+  counts.forEach(({ _id, count }) => { byType[_id] = count; });
+
+  return {
+    unread: counts.reduce((sum, { count }) => sum + count, 0),
+    byType
+  };
+};
+
 // Static method to get notification statistics
 NotificationSchema.statics.getNotificationStats = async function(userId) {
   const stats = await this.aggregate([
-    { $match: { recipient: userId } },
+    { $match: this.viewFilter(new mongoose.Types.ObjectId(userId)) },
     {
       $group: {
         _id: null,
@@ -222,13 +291,4 @@ NotificationSchema.statics.getNotificationStats = async function(userId) {
   return stats[0] || { total: 0, unread: 0, urgent: 0, actionRequired: 0 };
 };
 
-// Pre-save hook to set delivery status
-NotificationSchema.pre('save', function(next) {
-  if (this.isNew) {
-    this.deliveryStatus = 'delivered';
-    this.deliveredAt = new Date();
-  }
-  next();
-});
-
 module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Delivery of one channel of one notification. In-app entries are recorded as
+// sent once the notification is in the inbox; email, sms and push entries are
+// the outbox the delivery dispatcher works through, retrying with backoff and
+// dead-lettering entries that keep failing.
+const NotificationDeliverySchema = new mongoose.Schema({
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: [true, 'Notification ID is required']
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  channel: {
+    type: String,
+    enum: ['in-app', 'email', 'sms', 'push'],
+    required: [true, 'Delivery channel is required']
+  },
+  // pending -> processing -> sent | retrying -> ... | dead
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'retrying', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker owns a processing entry until then; after that it is picked up again
+  lockedUntil: Date,
+  provider: String,
+  providerMessageId: String,
+  lastError: String,
+  sentAt: Date,
+  deadLetteredAt: Date
+}, {
+  timestamps: true
+});
+
+NotificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationDeliverySchema.index({ notificationId: 1 });
+NotificationDeliverySchema.index({ status: 1, deadLetteredAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
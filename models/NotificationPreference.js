@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, zonedParts, zonedTime } = require('../utils/timeZone');
+
+const CHANNELS = ['in-app', 'email', 'sms', 'push'];
+
+// Notification types users can tune; others (system, vendor) always go out as sent
+const CONFIGURABLE_TYPES = ['order', 'inventory', 'budget', 'payment', 'promotion', 'price_alert'];
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const channelList = () => ({
+  type: [{
+    type: String,
+    enum: CHANNELS
+  }],
+  default: () => [...CHANNELS]
+});
+
+// Channels a user accepts for each notification type (all channels unless turned off)
+const NotificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  channels: {
+    order: channelList(),
+    inventory: channelList(),
+    budget: channelList(),
+    payment: channelList(),
+    promotion: channelList(),
+    price_alert: channelList()
+  },
+  // Opt-in summary email (see digestService), sent at sendTime in timeZone
+  digest: {
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'off'
+    },
+    sendTime: {
+      type: String,
+      default: '08:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Send time must be in HH:mm format']
+    },
+    // Weekly digests only (0 = Sunday)
+    dayOfWeek: {
+      type: Number,
+      default: 0,
+      min: [0, 'Day of week must be between 0 and 6'],
+      max: [6, 'Day of week must be between 0 and 6']
+    },
+    // IANA time zone sendTime and dayOfWeek are read in
+    timeZone: {
+      type: String,
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Time zone must be a valid IANA time zone (e.g. Asia/Dhaka)'
+      }
+    },
+    nextSendAt: Date,
+    lastSentAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+NotificationPreferenceSchema.statics.CHANNELS = CHANNELS;
+NotificationPreferenceSchema.statics.CONFIGURABLE_TYPES = CONFIGURABLE_TYPES;
+NotificationPreferenceSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+/**
+ * First digest send time after `from` for the current settings (null when off).
+ * sendTime and dayOfWeek are wall-clock values in the user's time zone.
+ */
+NotificationPreferenceSchema.methods.nextDigestTime = function(from = new Date()) {
+  const { frequency, sendTime, dayOfWeek } = this.digest;
+  if (!frequency || frequency === 'off') {
+    return null;
+  }
+
+  const timeZone = this.digest.timeZone || DEFAULT_TIME_ZONE;
+  const [hours, minutes] = sendTime.split(':').map(Number);
+  const { year, month, day: today } = zonedParts(from, timeZone);
+
+  let day = today;
+  if (zonedTime({ year, month, day, hours, minutes }, timeZone) <= from) {
+    day += 1;
+  }
+  if (frequency === 'weekly') {
+    const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+    day += (dayOfWeek - weekday + 7) % 7;
+  }
+  return zonedTime({ year, month, day, hours, minutes }, timeZone);
+};
+
+/**
+ * Stored preferences, or an unsaved document holding the defaults
+ */
+NotificationPreferenceSchema.statics.getForUser = async function(userId) {
+  return (await this.findOne({ userId })) || new this({ userId });
+};
+
+/**
+ * Narrow the channels a sender asked for to the ones the user accepts for this type
+ * @returns {Promise<string[]>} Empty when the user turned off every requested channel
+ */
+NotificationPreferenceSchema.statics.filterChannels = async function(userId, type, requested) {
+  if (!CONFIGURABLE_TYPES.includes(type)) {
+    return requested;
+  }
+
+  const preference = await this.findOne({ userId }).select(`channels.${type}`).lean();
+  const allowed = preference?.channels?.[type];
+
+  if (!allowed) {
+    return requested;
+  }
+  return requested.filter(channel => allowed.includes(channel));
+};
+
+// Keep the next digest in step with the settings
+NotificationPreferenceSchema.pre('save', function(next) {
+  if (this.isModified('digest.frequency') || this.isModified('digest.sendTime') ||
+      this.isModified('digest.dayOfWeek') || this.isModified('digest.timeZone')) {
+    this.digest.nextSendAt = this.nextDigestTime() || undefined;
+  }
+  next();
+});
+
+NotificationPreferenceSchema.index({ 'digest.frequency': 1, 'digest.nextSendAt': 1 });
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
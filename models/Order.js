@@ -1,10 +1,20 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const Settings = require('./Settings');
+const Listing = require('./Listing');
 
 const OrderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true,
   },
+  // Gapless accounting sequence, assigned once when the invoice is issued
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoiceIssuedAt: Date,
   buyerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Buyer',
@@ -81,7 +91,26 @@ const OrderSchema = new mongoose.Schema({
     },
 
     qualityGrade: String,
-    specialInstructions: String
+    specialInstructions: String,
+
+    // Fulfillment recorded by the vendor on delivery (short shipments, substitutions)
+    deliveredQuantity: {
+      type: Number,
+      min: [0, 'Delivered quantity cannot be negative']
+    },
+    fulfillmentStatus: {
+      type: String,
+      enum: ['pending', 'full', 'short', 'substituted', 'not_delivered'],
+      default: 'pending'
+    },
+    fulfillmentReason: {
+      type: String,
+      maxlength: [500, 'Fulfillment reason cannot exceed 500 characters']
+    },
+    substitutedWith: {
+      type: String,
+      maxlength: [200, 'Substitution description cannot exceed 200 characters']
+    }
   }],
   // Order totals
   subtotal: {
@@ -128,10 +157,28 @@ const OrderSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Placed by user ID is required']
   },
+  // Shared by all orders split from the same cart checkout
+  checkoutGroupId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Set when the order was generated from a recurring standing order
+  standingOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StandingOrder'
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Set when a buyer manager's order breaks one of their limits; the vendor
+  // can't confirm it until a buyer owner approves
+  ownerApproval: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    reason: String
+  },
   // Delivery information
   deliveryInfo: {
     type: {
@@ -229,7 +276,34 @@ const OrderSchema = new mongoose.Schema({
       min: [0, 'Paid amount cannot be negative']
     },
     paymentDate: Date,
-    dueDate: Date
+    dueDate: Date,
+    // Credits granted through dispute resolution
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credited amount cannot be negative']
+    },
+    // Amount paid beyond what is now owed (after credits)
+    refundDue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refund due cannot be negative']
+    }
+  },
+
+  // Buyer confirmation that the delivered goods were received
+  receipt: {
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confirmedAt: Date,
+    notes: String
+  },
+  disputeStatus: {
+    type: String,
+    enum: ['none', 'open', 'resolved'],
+    default: 'none'
   },
   // Notes and communication
   notes: {
@@ -248,6 +322,9 @@ const OrderSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    changedByRole: String,
+    // Vendor staff sub-role (owner, sales, dispatcher, accountant) of whoever made the change
+    staffRole: String,
     changedAt: {
       type: Date,
       default: Date.now
@@ -289,6 +366,19 @@ const OrderSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'processed', 'failed']
     }
+  },
+
+  // Stock held for this order from placement until delivery or cancellation
+  stockReservation: {
+    status: {
+      type: String,
+      enum: ['none', 'active', 'released', 'consumed', 'expired'],
+      default: 'none'
+    },
+    reservedAt: Date,
+    expiresAt: Date,
+    releasedAt: Date,
+    releaseReason: String
   }
 }, {
   timestamps: true,
@@ -296,24 +386,50 @@ const OrderSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Format a date as YYYYMMDD for number sequences
+const formatDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+// Resolve the order number prefix: the vendor's own > its market's > the
+// order_number_prefix setting. Each lookup only runs if the previous one had none.
+const resolveOrderNumberPrefix = async (vendorId, listingId) => {
+  const vendor = vendorId && await mongoose.model('Vendor').findById(vendorId).select('orderNumberPrefix');
+  if (vendor?.orderNumberPrefix) {
+    return vendor.orderNumberPrefix;
+  }
+
+  if (listingId) {
+    const listing = await Listing.findById(listingId)
+      .select('marketId')
+      .populate('marketId', 'orderNumberPrefix');
+    if (listing?.marketId?.orderNumberPrefix) {
+      return listing.marketId.orderNumberPrefix;
+    }
+  }
+
+  const setting = await Settings.findOne({ key: 'order_number_prefix' }).select('value');
+  return String(setting?.value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10) || 'ORD';
+};
+
 // Generate unique order number before saving
 OrderSchema.pre('save', async function(next) {
   if (this.isNew && !this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Count orders for today to generate sequence
-    const startOfDay = new Date(year, date.getMonth(), date.getDate());
-    const endOfDay = new Date(year, date.getMonth(), date.getDate() + 1);
-    
-    const todayOrderCount = await this.constructor.countDocuments({
-      createdAt: { $gte: startOfDay, $lt: endOfDay }
-    });
-    
-    const sequence = String(todayOrderCount + 1).padStart(4, '0');
-    this.orderNumber = `ORD-${year}${month}${day}-${sequence}`;
+    try {
+      const prefix = await resolveOrderNumberPrefix(this.vendorId, this.items[0]?.listingId);
+      const dateKey = formatDateKey(new Date());
+
+      // Atomic counter per prefix and day. Deliberately outside any transaction:
+      // order numbers may skip a value if a checkout aborts, but never collide.
+      const sequence = await Counter.nextSequence(`order:${prefix}:${dateKey}`);
+
+      this.orderNumber = `${prefix}-${dateKey}-${String(sequence).padStart(4, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
   }
   next();
 });
@@ -324,6 +440,8 @@ OrderSchema.pre('save', function(next) {
     this.statusHistory.push({
       status: this.status,
       changedBy: this.updatedBy || this.placedBy,
+      changedByRole: this.updatedByRole,
+      staffRole: this.updatedByStaffRole,
       changedAt: new Date(),
       reason: this.statusChangeReason || 'Status updated',
       notes: this.statusChangeNotes
@@ -347,12 +465,17 @@ OrderSchema.pre('save', function(next) {
   if (this.isModified('items') || this.isModified('deliveryFee') || this.isModified('tax') || this.isModified('discount')) {
     // Calculate subtotal
     this.subtotal = this.items.reduce((total, item) => {
+      // Once delivery is recorded, bill what was actually delivered
+      const isDeliveryRecorded = item.deliveredQuantity !== undefined && item.deliveredQuantity !== null;
+
       // For pack-based items, calculate using pack price
       if (item.isPackBased && item.numberOfPacks && item.pricePerPack) {
-        item.totalPrice = item.numberOfPacks * item.pricePerPack;
+        const packs = isDeliveryRecorded ? item.deliveredQuantity / item.packSize : item.numberOfPacks;
+        item.totalPrice = packs * item.pricePerPack;
       } else {
         // Standard calculation: quantity * unitPrice
-        item.totalPrice = item.quantity * item.unitPrice;
+        const quantity = isDeliveryRecorded ? item.deliveredQuantity : item.quantity;
+        item.totalPrice = quantity * item.unitPrice;
       }
       return total + item.totalPrice;
     }, 0);
@@ -381,6 +504,76 @@ OrderSchema.virtual('deliveryStatus').get(function() {
   return 'pending';
 });
 
+// Assign the next invoice number (idempotent).
+// Must run inside a transaction together with saving the order so a failed
+// save rolls the counter back and the sequence never has gaps.
+OrderSchema.methods.issueInvoiceNumber = async function(session) {
+  if (!session) {
+    throw new Error('Invoice numbers must be issued inside a transaction');
+  }
+
+  // Check the stored document, not memory, so transaction retries stay correct
+  const stored = await this.constructor.findById(this._id)
+    .select('invoiceNumber invoiceIssuedAt')
+    .session(session);
+
+  if (stored && stored.invoiceNumber) {
+    this.invoiceNumber = stored.invoiceNumber;
+    this.invoiceIssuedAt = stored.invoiceIssuedAt;
+    return this.invoiceNumber;
+  }
+
+  const prefix = String(await Settings.getSetting('invoice_number_prefix', 'INV'))
+    .toUpperCase().replace(/[^A-Z0-9]/g, '') || 'INV';
+  const year = new Date().getFullYear();
+
+  const sequence = await Counter.nextSequence(`invoice:${prefix}:${year}`, session);
+
+  this.invoiceNumber = `${prefix}-${year}-${String(sequence).padStart(6, '0')}`;
+  this.invoiceIssuedAt = new Date();
+  return this.invoiceNumber;
+};
+
+// Amount still owed after dispute credits and payments
+OrderSchema.virtual('balanceDue').get(function() {
+  const payment = this.paymentInfo || {};
+  return Math.max(0, (this.totalAmount || 0) - (payment.creditedAmount || 0) - (payment.paidAmount || 0));
+});
+
+// Recompute payment status and refund due against the amount owed after credits
+OrderSchema.methods.refreshPaymentStatus = function() {
+  const amountOwed = Math.max(0, (this.totalAmount || 0) - (this.paymentInfo.creditedAmount || 0));
+  const paidAmount = this.paymentInfo.paidAmount || 0;
+
+  this.paymentInfo.refundDue = Math.max(0, paidAmount - amountOwed);
+
+  if (paidAmount >= amountOwed) {
+    this.paymentInfo.status = 'paid';
+  } else if (paidAmount > 0) {
+    this.paymentInfo.status = 'partial';
+  }
+
+  return this.paymentInfo;
+};
+
+// Apply a dispute credit and recompute payment status against the reduced amount owed
+OrderSchema.methods.applyCredit = function(amount) {
+  this.paymentInfo.creditedAmount = (this.paymentInfo.creditedAmount || 0) + amount;
+  return this.refreshPaymentStatus();
+};
+
+// Apply a received payment (see Payment model) and recompute payment status
+OrderSchema.methods.applyPayment = function(amount, paidAt = new Date()) {
+  this.paymentInfo.paidAmount = (this.paymentInfo.paidAmount || 0) + amount;
+  this.paymentInfo.paymentDate = paidAt;
+  return this.refreshPaymentStatus();
+};
+
+// Disputes can be opened on delivered orders until receipt is confirmed
+OrderSchema.methods.canBeDisputed = function() {
+  return this.status === 'delivered' && !this.receipt?.confirmedAt;
+};
+
 // Method to check if order can be cancelled
 OrderSchema.methods.canBeCancelled = function() {
   const cancellableStatuses = ['pending_approval', 'confirmed', 'processing'];
@@ -466,6 +659,9 @@ OrderSchema.index({ buyerId: 1, status: 1, orderDate: -1 });
 OrderSchema.index({ vendorId: 1, status: 1, orderDate: -1 });
 OrderSchema.index({ status: 1, orderDate: -1 });
 OrderSchema.index({ placedBy: 1 });
+OrderSchema.index({ checkoutGroupId: 1 });
+OrderSchema.index({ standingOrderId: 1, orderDate: -1 });
+OrderSchema.index({ 'stockReservation.status': 1, 'stockReservation.expiresAt': 1 });
 OrderSchema.index({ 'paymentInfo.status': 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required']
+  },
+  orderNumber: String,
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor ID is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'digital_wallet', 'bank_transfer', 'check'],
+    required: [true, 'Payment method is required']
+  },
+  // Mobile wallet used for digital_wallet payments (bKash, Nagad, ...)
+  walletProvider: {
+    type: String,
+    enum: ['bkash', 'nagad', 'rocket', 'upay', 'other']
+  },
+  // Wallet transaction ID, bank reference or cheque number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recorded by user ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ orderId: 1, paidAt: -1 });
+PaymentSchema.index({ vendorId: 1, buyerId: 1, paidAt: -1 });
+PaymentSchema.index({ buyerId: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
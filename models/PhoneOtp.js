@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One-time code sent by SMS; only the hash of the code is stored
+const PhoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'verify_phone'],
+    required: [true, 'OTP purpose is required']
+  },
+  // Not set for requests to unregistered numbers, which are only kept for throttling
+  codeHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set when the code is used or replaced by a newer one
+  consumedAt: Date,
+  invalidatedAt: Date,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+PhoneOtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+PhoneOtpSchema.index({ ipAddress: 1, purpose: 1, createdAt: -1 });
+// Keep a day of history for resend throttling, then drop
+PhoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PhoneOtp', PhoneOtpSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { COMPARISON_UNITS } = require('../utils/units');
+
+const CONDITIONS = ['below', 'above'];
+
+// "Tell me when tomatoes in Kawran Bazar drop below ৳40/kg"
+const PriceAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  // Leave empty to watch every market
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market'
+  },
+  qualityGrade: {
+    type: String,
+    trim: true
+  },
+  condition: {
+    type: String,
+    enum: CONDITIONS,
+    default: 'below'
+  },
+  // Price per comparison unit (kg, liter, piece or bunch)
+  targetPrice: {
+    type: Number,
+    required: [true, 'Target price is required'],
+    min: [0.01, 'Target price must be greater than 0']
+  },
+  unit: {
+    type: String,
+    enum: COMPARISON_UNITS,
+    default: 'kg'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set when the alert fires; cleared once the price moves back past the target,
+  // so one crossing sends one notification
+  triggeredAt: Date,
+  lastTriggeredPrice: Number,
+  triggerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+PriceAlertSchema.index({ productId: 1, isActive: 1 });
+PriceAlertSchema.index({ userId: 1, createdAt: -1 });
+
+PriceAlertSchema.statics.CONDITIONS = CONDITIONS;
+
+/**
+ * Whether a price satisfies the alert's condition
+ */
+PriceAlertSchema.methods.isMetBy = function(price) {
+  return this.condition === 'below' ? price < this.targetPrice : price > this.targetPrice;
+};
+
+module.exports = mongoose.model('PriceAlert', PriceAlertSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A listing's price at the moment it was set or changed. Stored in a MongoDB
+// time-series collection; the series is keyed by `meta`.
+const PriceSnapshotSchema = new mongoose.Schema({
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    marketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Market',
+      required: true
+    },
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+      required: true
+    },
+    qualityGrade: String,
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true
+    }
+  },
+  // Price as listed, per listing unit
+  unit: {
+    type: String,
+    required: true
+  },
+  pricePerBaseUnit: {
+    type: Number,
+    required: true
+  },
+  // Normalised per kg / liter / piece / bunch so listings in g or ml compare
+  comparisonUnit: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  // Open-ended discount (no minimum quantity) running when the snapshot was taken;
+  // the discounted price applies until discountEndsAt
+  discountedPrice: Number,
+  discountEndsAt: Date,
+  // false once the listing is no longer on sale (its price stops counting)
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'updated', 'status_changed', 'baseline'],
+    default: 'updated'
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'meta',
+    granularity: 'hours'
+  }
+});
+
+PriceSnapshotSchema.index({ 'meta.productId': 1, 'meta.marketId': 1, recordedAt: 1 });
+PriceSnapshotSchema.index({ 'meta.listingId': 1, recordedAt: -1 });
+
+module.exports = mongoose.model('PriceSnapshot', PriceSnapshotSchema);
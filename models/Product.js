@@ -131,6 +131,11 @@ const ProductSchema = new mongoose.Schema({
   // SEO and search
   tags: [String],
   searchKeywords: [String],
+  // Local and Bangla names buyers search by (e.g. "alu", "আলু" for Potato)
+  aliases: [{
+    type: String,
+    trim: true
+  }],
   metaTitle: String,
   metaDescription: String,
   // Status
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription; a user has one per browser/device
+const PushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Push endpoint is required'],
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: [true, 'p256dh key is required']
+    },
+    auth: {
+      type: String,
+      required: [true, 'auth key is required']
+    }
+  },
+  userAgent: String,
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+PushSubscriptionSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Hours pushed events are kept so reconnecting clients can catch up
+const RETENTION_HOURS = 24;
+
+// An event pushed to real-time clients, kept for a while so clients can resume from a cursor
+const RealtimeEventSchema = new mongoose.Schema({
+  // Increasing sequence number; sent to clients as the event id / resume cursor
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  // Audiences the event goes to: user:<id>, vendor:<id>, buyer:<id>, market:<id>, admin
+  rooms: {
+    type: [String],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+RealtimeEventSchema.index({ rooms: 1, seq: 1 });
+RealtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_HOURS * 60 * 60 });
+
+RealtimeEventSchema.statics.RETENTION_HOURS = RETENTION_HOURS;
+
+module.exports = mongoose.model('RealtimeEvent', RealtimeEventSchema);
@@ -4,7 +4,7 @@ const SLAConfigSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['vendor', 'restaurant', 'product', 'category', 'listing', 'order', 'user_query']
+    enum: ['vendor', 'restaurant', 'product', 'category', 'listing', 'order', 'dispute', 'user_query']
   },
   actionType: {
     type: String,
@@ -348,6 +348,9 @@ SLAConfigSchema.statics.getDefaultSLATime = function(entityType, actionType, pri
     listing: {
       review: { critical: 2, high: 4, medium: 12, low: 24 },
       approval: { critical: 1, high: 2, medium: 8, low: 24 }
+    },
+    dispute: {
+      dispute_resolution: { critical: 4, high: 24, medium: 48, low: 72 }
     }
   };
   
@@ -381,6 +384,13 @@ SLAConfigSchema.statics.bulkCreateDefaults = async function(createdBy) {
       actionType: 'verification',
       priority: 'medium',
       timeTargets: { targetTime: 24, warningTime: 18, escalationTime: 36, criticalTime: 72 }
+    },
+    // Order dispute configurations
+    {
+      entityType: 'dispute',
+      actionType: 'dispute_resolution',
+      priority: 'high',
+      timeTargets: { targetTime: 24, warningTime: 18, escalationTime: 36, criticalTime: 72 }
     }
   ];
   
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { UNITS } = require('../utils/units');
+
+// Items keep their own _id so an order can substitute a single line
+const ShoppingListItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  // Unit the quantity is in; the listing's own unit when not set
+  unit: {
+    type: String,
+    enum: UNITS
+  },
+  // Resolved against current listings at order time; if these are no longer
+  // on sale the closest alternative is suggested instead
+  preferredVendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  preferredListingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing'
+  },
+  qualityGrade: {
+    type: String,
+    trim: true
+  },
+  specialInstructions: {
+    type: String,
+    maxlength: [200, 'Special instructions cannot exceed 200 characters']
+  }
+});
+
+// A saved list ("Monday prep") shared by the buyer's owner and managers
+const ShoppingListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user ID is required']
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  items: {
+    type: [ShoppingListItemSchema],
+    validate: {
+      validator: (items) => items.length > 0 && items.length <= 100,
+      message: 'A shopping list needs between 1 and 100 items'
+    }
+  },
+  lastOrderedAt: Date,
+  lastOrderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  orderCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ShoppingListSchema.index({ buyerId: 1, name: 1 }, { unique: true });
+ShoppingListSchema.index({ buyerId: 1, lastOrderedAt: -1 });
+
+module.exports = mongoose.model('ShoppingList', ShoppingListSchema);
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound when searching for the next scheduled day (covers any weekday set or interval)
+const MAX_LOOKAHEAD_DAYS = 400;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const StandingOrderItemSchema = new mongoose.Schema({
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: [true, 'Listing ID is required']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  specialInstructions: {
+    type: String,
+    maxlength: [200, 'Special instructions cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const StandingOrderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer',
+    required: [true, 'Buyer ID is required']
+  },
+  // Generated orders are placed on behalf of this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user ID is required']
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // A standing order is placed with a single vendor in a single market
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor ID is required']
+  },
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market'
+  },
+  items: {
+    type: [StandingOrderItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A standing order needs at least one item'
+    }
+  },
+
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'interval'],
+      required: [true, 'Schedule frequency is required']
+    },
+    // 0 = Sunday ... 6 = Saturday (weekly schedules)
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Every N days counted from startDate (interval schedules)
+    intervalDays: {
+      type: Number,
+      min: [1, 'Interval must be at least 1 day'],
+      max: [90, 'Interval cannot exceed 90 days']
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    endDate: Date,
+    // Days before the delivery date the order is generated
+    leadTimeDays: {
+      type: Number,
+      default: 1,
+      min: [0, 'Lead time cannot be negative'],
+      max: [7, 'Lead time cannot exceed 7 days']
+    }
+  },
+
+  // Copied onto each generated order
+  deliveryInfo: {
+    type: {
+      type: String,
+      enum: ['pickup', 'delivery'],
+      required: [true, 'Delivery type is required']
+    },
+    address: {
+      division: { type: mongoose.Schema.Types.ObjectId, ref: 'Division' },
+      district: { type: mongoose.Schema.Types.ObjectId, ref: 'District' },
+      upazila: { type: mongoose.Schema.Types.ObjectId, ref: 'Upazila' },
+      union: { type: mongoose.Schema.Types.ObjectId, ref: 'Union' },
+      street: String,
+      landmark: String,
+      postalCode: String
+    },
+    contactPerson: {
+      name: String,
+      phone: String,
+      email: String
+    },
+    instructions: String
+  },
+  deliverySlot: {
+    startTime: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format']
+    },
+    endTime: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:mm format']
+    }
+  },
+  // Falls back to the buyer's preferred payment method
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'check', 'bank_transfer', 'digital_wallet', 'credit']
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  pausedAt: Date,
+  endedAt: Date,
+
+  // Next delivery to generate an order for, and when to generate it
+  nextDeliveryDate: Date,
+  nextRunAt: Date,
+  // Delivery dates the buyer asked to skip
+  skippedDates: [Date],
+
+  // Recent generation attempts (newest last, capped)
+  runs: [{
+    deliveryDate: Date,
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    outcome: {
+      type: String,
+      enum: ['generated', 'partial', 'skipped', 'failed']
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    message: String,
+    _id: false
+  }],
+  lastGeneratedAt: Date,
+  lastOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Number of runs kept on the document
+StandingOrderSchema.statics.MAX_RUNS = 30;
+
+// Check if a calendar day matches the schedule (ignores pause/skip state)
+StandingOrderSchema.methods.isScheduledOn = function(date) {
+  const day = startOfDay(date);
+  const { frequency, daysOfWeek, intervalDays, startDate, endDate } = this.schedule;
+
+  if (day < startOfDay(startDate)) return false;
+  if (endDate && day > startOfDay(endDate)) return false;
+
+  switch (frequency) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return (daysOfWeek || []).includes(day.getDay());
+    case 'interval': {
+      const daysSinceStart = Math.round((day - startOfDay(startDate)) / DAY_MS);
+      return daysSinceStart % intervalDays === 0;
+    }
+    default:
+      return false;
+  }
+};
+
+// First scheduled, non-skipped delivery day on or after the given date
+StandingOrderSchema.methods.findNextDeliveryDate = function(fromDate) {
+  const skipped = new Set((this.skippedDates || []).map(date => startOfDay(date).getTime()));
+  let day = startOfDay(fromDate);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    if (this.schedule.endDate && day > startOfDay(this.schedule.endDate)) {
+      return null;
+    }
+    if (this.isScheduledOn(day) && !skipped.has(day.getTime())) {
+      return day;
+    }
+    day = new Date(day.getTime() + DAY_MS);
+  }
+
+  return null;
+};
+
+// Point nextDeliveryDate/nextRunAt at the next delivery that can still be generated;
+// ends the standing order when the schedule has run out
+StandingOrderSchema.methods.scheduleNext = function(fromDate = new Date()) {
+  const leadTimeMs = (this.schedule.leadTimeDays || 0) * DAY_MS;
+  // Deliveries whose generation time has already passed are too close to fulfil
+  const earliestDelivery = new Date(Math.max(
+    new Date(fromDate).getTime(),
+    startOfDay(new Date()).getTime() + leadTimeMs
+  ));
+
+  const nextDeliveryDate = this.findNextDeliveryDate(earliestDelivery);
+
+  if (!nextDeliveryDate) {
+    this.nextDeliveryDate = undefined;
+    this.nextRunAt = undefined;
+    if (this.status !== 'ended') {
+      this.status = 'ended';
+      this.endedAt = new Date();
+    }
+    return null;
+  }
+
+  this.nextDeliveryDate = nextDeliveryDate;
+  this.nextRunAt = new Date(nextDeliveryDate.getTime() - leadTimeMs);
+  return nextDeliveryDate;
+};
+
+// Each frequency needs its own schedule fields
+StandingOrderSchema.pre('validate', function(next) {
+  const { frequency, daysOfWeek, intervalDays, startDate, endDate } = this.schedule || {};
+
+  if (frequency === 'weekly' && (!daysOfWeek || daysOfWeek.length === 0)) {
+    this.invalidate('schedule.daysOfWeek', 'Select at least one weekday for a weekly schedule');
+  }
+  if (frequency === 'interval' && !intervalDays) {
+    this.invalidate('schedule.intervalDays', 'Interval in days is required for an interval schedule');
+  }
+  if (endDate && startDate && startOfDay(endDate) < startOfDay(startDate)) {
+    this.invalidate('schedule.endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+// Keep the next run in step with schedule edits, skips and resumes
+StandingOrderSchema.pre('save', function(next) {
+  const scheduleChanged = this.isNew ||
+    this.isModified('schedule') ||
+    this.isModified('skippedDates') ||
+    this.isModified('status');
+
+  if (this.status === 'active' && scheduleChanged) {
+    this.scheduleNext();
+  }
+  next();
+});
+
+StandingOrderSchema.statics.startOfDay = startOfDay;
+
+StandingOrderSchema.index({ status: 1, nextRunAt: 1 });
+StandingOrderSchema.index({ buyerId: 1, status: 1 });
+StandingOrderSchema.index({ vendorId: 1 });
+
+module.exports = mongoose.model('StandingOrder', StandingOrderSchema);
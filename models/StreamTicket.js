@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Seconds a stream ticket can be redeemed for after it is issued
+const TTL_SECONDS = 60;
+
+// Single-use ticket that opens the real-time event stream. Browsers' EventSource
+// can't send an Authorization header, so the ticket goes in the query string
+// instead of the access token; only its hash is stored.
+const StreamTicketSchema = new mongoose.Schema({
+  ticketHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Session of the access token the ticket was issued with (none for legacy tokens)
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuthSession'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Drop tickets shortly after they expire
+StreamTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+StreamTicketSchema.statics.TTL_SECONDS = TTL_SECONDS;
+
+module.exports = mongoose.model('StreamTicket', StreamTicketSchema);
@@ -38,6 +38,14 @@ const UserSchema = new mongoose.Schema({
       return this.role === 'vendor';
     }
   },
+  // Vendor staff sub-role; several users can share one vendorId
+  vendorRole: {
+    type: String,
+    enum: ['owner', 'sales', 'dispatcher', 'accountant'],
+    default: function() {
+      return this.role === 'vendor' ? 'owner' : undefined;
+    }
+  },
   buyerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Buyer',
@@ -73,17 +81,95 @@ const UserSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Language for emails and other outgoing messages
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'bn'],
+    default: 'en'
+  },
   passwordChangedAt: {
     type: Date
   },
+  // Access tokens issued before sessions existed (no sid) are rejected if
+  // issued before this; set whenever the user's sessions are revoked
+  sessionsRevokedAt: {
+    type: Date
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Vendor staff invite link; the staff member sets their own password with it
+  staffInviteToken: {
+    type: String,
+    select: false
+  },
+  staffInviteExpire: Date,
   isEmailVerified: {
     type: Boolean,
     default: false
   },
   emailVerificationToken: String,
   emailVerificationExpire: Date,
+  // Set by a phone verification code or a successful OTP login
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // TOTP two-factor authentication (secrets are encrypted, see services/twoFactorService)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being enrolled, promoted to `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    enabledAt: Date,
+    // Last accepted TOTP time step, so a code can't be used twice
+    lastUsedStep: Number,
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Limits a buyer owner sets on a buyerManager; owners and admins are never restricted
+  managerPermissions: {
+    // Orders above this subtotal go to the owner for approval (null = no limit)
+    spendLimitPerOrder: {
+      type: Number,
+      min: [0, 'Spend limit cannot be negative'],
+      default: null
+    },
+    // Empty list = every category / vendor is allowed
+    allowedCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductCategory'
+    }],
+    allowedVendors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor'
+    }],
+    analyticsAccess: {
+      type: String,
+      enum: ['none', 'read_only'],
+      default: 'read_only'
+    }
+  },
   
   // Note: Approval workflow now handled at business entity level (Vendor/Restaurant)
   
@@ -110,6 +196,7 @@ const UserSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.staffInviteToken;
       delete ret.__v;
       return ret;
     }
@@ -139,10 +226,10 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+// Sign a short-lived access token bound to a login session (see AuthSession)
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
@@ -158,6 +245,54 @@ UserSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// How long a vendor staff invite link stays valid
+const STAFF_INVITE_HOURS = 72;
+
+// What each vendor staff sub-role may do; the owner can do everything
+const VENDOR_ROLE_PERMISSIONS = {
+  sales: ['view_analytics', 'view_orders', 'manage_orders', 'manage_listings', 'manage_inventory', 'respond_disputes'],
+  dispatcher: ['view_orders', 'dispatch_orders', 'manage_inventory'],
+  accountant: ['view_analytics', 'view_orders', 'view_finance', 'record_payments']
+};
+
+// Check a named permission for buyer managers and vendor staff (see requirePermission in middleware/auth)
+UserSchema.methods.hasPermission = function(permission) {
+  if (this.role === 'vendor') {
+    if (!this.vendorRole || this.vendorRole === 'owner') {
+      return true;
+    }
+    return (VENDOR_ROLE_PERMISSIONS[this.vendorRole] || []).includes(permission);
+  }
+
+  if (this.role !== 'buyerManager') {
+    return true;
+  }
+
+  const permissions = this.managerPermissions || {};
+
+  switch (permission) {
+    case 'view_analytics':
+      return permissions.analyticsAccess !== 'none';
+    default:
+      return false;
+  }
+};
+
+// The vendor's owner account (accounts created before staff roles have no vendorRole)
+UserSchema.statics.findVendorOwner = function(vendorId) {
+  return this.findOne({
+    vendorId,
+    role: 'vendor',
+    vendorRole: { $in: ['owner', null] }
+  });
+};
+
+UserSchema.statics.VENDOR_ROLE_PERMISSIONS = VENDOR_ROLE_PERMISSIONS;
+UserSchema.statics.STAFF_INVITE_HOURS = STAFF_INVITE_HOURS;
+UserSchema.statics.VENDOR_PERMISSIONS = [
+  ...new Set([...Object.values(VENDOR_ROLE_PERMISSIONS).flat(), 'manage_staff'])
+];
+
 // Generate and hash password reset token
 UserSchema.methods.getResetPasswordToken = function() {
   const crypto = require('crypto');
@@ -177,6 +312,23 @@ UserSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Generate and hash a vendor staff invite token
+UserSchema.methods.getStaffInviteToken = function() {
+  const crypto = require('crypto');
+
+  const inviteToken = crypto.randomBytes(20).toString('hex');
+
+  this.staffInviteToken = crypto
+    .createHash('sha256')
+    .update(inviteToken)
+    .digest('hex');
+
+  // Set expire to 72 hours
+  this.staffInviteExpire = Date.now() + STAFF_INVITE_HOURS * 60 * 60 * 1000;
+
+  return inviteToken;
+};
+
 // Generate and hash email verification token
 UserSchema.methods.getEmailVerificationToken = function() {
   const crypto = require('crypto');
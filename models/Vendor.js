@@ -152,6 +152,13 @@ const VendorSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Minimum order value cannot be negative']
   },
+  // Order numbers for this vendor start with this instead of the market or global prefix
+  orderNumberPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{1,10}$/, 'Order number prefix must be 1-10 letters or digits']
+  },
   rating: {
     average: {
       type: Number,
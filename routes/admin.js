@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 // Domain-specific admin controllers (split from monolithic adminController.js)
 const {
   getDashboardOverview,
@@ -61,8 +61,19 @@ const {
   updateListingFlag,
   softDeleteListing,
   bulkUpdateListings,
+  getAdminDisputes,
+  arbitrateDispute,
+  getOrderInvoice,
+  getOrderChallan,
 } = require("../controllers/admin/adminOrderController");
 
+const {
+  getNotificationDeliveries,
+  retryNotificationDelivery,
+  getEmailTemplates,
+  previewEmailTemplate,
+} = require("../controllers/admin/adminNotificationController");
+
 const {
   createMarket,
   getMarkets,
@@ -216,6 +227,7 @@ router.route("/vendors/:id")
       body('email').optional().isEmail().withMessage('Valid email is required'),
       body('phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
       body('tradeLicenseNo').optional().isLength({ min: 3 }).withMessage('Trade license number is required'),
+      body('orderNumberPrefix').optional({ nullable: true }).trim().matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Order number prefix must be up to 10 letters or digits (empty to clear)'),
     ],
     auditSecurity('vendor_updated', 'Updated vendor details', { severity: 'medium', impactLevel: 'moderate' }),
     updateVendor
@@ -545,6 +557,76 @@ router.post("/listings/bulk",
   bulkUpdateListings
 );
 
+// ================================
+// ORDER DISPUTES
+// ================================
+
+// Get order disputes (filter by status, vendor, buyer)
+router.get("/disputes",
+  getAdminDisputes
+);
+
+// Arbitrate a dispute (final credit, replacement or rejection)
+router.put("/disputes/:id/arbitrate",
+  mongoIdValidation("id"),
+  [
+    body('outcome').isIn(['credit', 'replacement', 'rejection']).withMessage('Outcome must be credit, replacement or rejection'),
+    body('creditAmount').if(body('outcome').equals('credit')).isFloat({ gt: 0 }).withMessage('A positive credit amount is required').toFloat(),
+    body('notes').isLength({ min: 1, max: 1000 }).withMessage('Arbitration notes are required (max 1000 characters)'),
+  ],
+  arbitrateDispute
+);
+
+// ================================
+// NOTIFICATION DELIVERY OUTBOX
+// ================================
+
+// Email/SMS/push deliveries (status=dead by default; pending, retrying, sent or all)
+router.get("/notification-deliveries",
+  [
+    query('status').optional().isIn(['pending', 'processing', 'retrying', 'sent', 'dead', 'all']).withMessage('Invalid delivery status'),
+    query('channel').optional().isIn(['in-app', 'email', 'sms', 'push']).withMessage('Channel must be in-app, email, sms or push'),
+    query('recipient').optional().isMongoId().withMessage('Recipient must be a valid user ID'),
+  ],
+  handleValidationErrors,
+  getNotificationDeliveries
+);
+
+// Re-queue a dead-lettered delivery
+router.post("/notification-deliveries/:id/retry",
+  mongoIdValidation("id"),
+  retryNotificationDelivery
+);
+
+// Transactional email templates
+router.get("/email-templates", getEmailTemplates);
+
+// Render a template with sample data (format=json, html or text)
+router.get("/email-templates/:name/preview",
+  [
+    query('language').optional().isIn(['en', 'bn']).withMessage('Language must be en or bn'),
+    query('format').optional().isIn(['json', 'html', 'text']).withMessage('Format must be json, html or text'),
+  ],
+  handleValidationErrors,
+  previewEmailTemplate
+);
+
+// ================================
+// ORDER DOCUMENTS
+// ================================
+
+// Download order invoice PDF
+router.get("/orders/:id/invoice",
+  mongoIdValidation("id"),
+  getOrderInvoice
+);
+
+// Download order delivery challan PDF
+router.get("/orders/:id/challan",
+  mongoIdValidation("id"),
+  getOrderChallan
+);
+
 // ================================
 // BUSINESS ENTITY VERIFICATION MANAGEMENT
 // ================================
@@ -8,14 +8,35 @@ const {
   changePassword,
   createManager,
   getManagers,
+  updateManagerPermissions,
   deactivateManager,
+  inviteVendorStaff,
+  getVendorStaff,
+  updateVendorStaffRole,
+  resendVendorStaffInvite,
+  acceptStaffInvite,
+  deactivateVendorStaff,
   logout,
+  requestLoginOtp,
+  loginWithOtp,
+  sendPhoneVerification,
+  verifyPhone,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   forgotPassword,
   resetPassword,
   sendVerificationEmail,
   verifyEmail
 } = require('../controllers/authController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requireTwoFactorChallenge, authorize, requirePermission } = require('../middleware/auth');
 const { uploadRegistrationLogo } = require('../middleware/upload');
 const {
   registerValidation,
@@ -23,8 +44,16 @@ const {
   updateProfileValidation,
   changePasswordValidation,
   managerValidation,
+  managerPermissionsValidation,
+  vendorStaffValidation,
+  vendorStaffRoleValidation,
   forgotPasswordValidation,
-  resetPasswordValidation
+  resetPasswordValidation,
+  refreshTokenValidation,
+  otpRequestValidation,
+  otpCodeValidation,
+  twoFactorCodeValidation,
+  mongoIdValidation
 } = require('../middleware/validation');
 const { authLimiter, sensitiveOpLimiter } = require('../middleware/rateLimiter');
 
@@ -32,19 +61,48 @@ const router = express.Router();
 
 router.post('/register', authLimiter, uploadRegistrationLogo('logo'), registerValidation, register);
 router.post('/login', authLimiter, loginValidation, login);
+router.post('/otp/request', authLimiter, otpRequestValidation, requestLoginOtp);
+router.post('/otp/login', authLimiter, otpCodeValidation(), loginWithOtp);
+// Two-factor login step (challengeToken from login/register/otp/reset-password)
+router.post('/2fa/verify', authLimiter, requireTwoFactorChallenge, twoFactorCodeValidation({ allowRecoveryCode: true }), verifyTwoFactor);
+router.post('/2fa/challenge/setup', authLimiter, requireTwoFactorChallenge, setupTwoFactor);
+router.post('/2fa/challenge/enable', authLimiter, requireTwoFactorChallenge, twoFactorCodeValidation(), enableTwoFactor);
+router.post('/refresh', authLimiter, refreshTokenValidation, refreshToken);
 router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, mongoIdValidation('sessionId'), revokeSession);
 router.get('/me', protect, getMe);
 router.get('/status', protect, getUserStatus);
 router.put('/me', protect, updateProfileValidation, updateProfile);
 router.put('/change-password', protect, changePasswordValidation, changePassword);
 router.post('/create-manager', protect, authorize('buyerOwner', 'admin'), managerValidation, createManager);
 router.get('/managers', protect, authorize('buyerOwner', 'admin'), getManagers);
+router.put('/managers/:id/permissions', protect, authorize('buyerOwner', 'admin'), mongoIdValidation('id'), managerPermissionsValidation, updateManagerPermissions);
 router.put('/managers/:id/deactivate', protect, authorize('buyerOwner', 'admin'), deactivateManager);
 
+// Vendor staff (sub-roles: owner, sales, dispatcher, accountant)
+const vendorOwner = [protect, authorize('vendor'), requirePermission('manage_staff')];
+router.post('/vendor-staff', ...vendorOwner, vendorStaffValidation, inviteVendorStaff);
+router.get('/vendor-staff', ...vendorOwner, getVendorStaff);
+router.put('/vendor-staff/:id/role', ...vendorOwner, mongoIdValidation('id'), vendorStaffRoleValidation, updateVendorStaffRole);
+router.post('/vendor-staff/:id/resend-invite', sensitiveOpLimiter, ...vendorOwner, mongoIdValidation('id'), resendVendorStaffInvite);
+router.put('/vendor-staff/:id/deactivate', ...vendorOwner, mongoIdValidation('id'), deactivateVendorStaff);
+
 router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword);
 router.put('/reset-password/:resetToken', sensitiveOpLimiter, resetPasswordValidation, resetPassword);
+router.put('/staff-invite/:inviteToken', sensitiveOpLimiter, resetPasswordValidation, acceptStaffInvite);
 
 router.post('/send-verification-email', sensitiveOpLimiter, protect, sendVerificationEmail);
 router.get('/verify-email/:token', verifyEmail);
 
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', sensitiveOpLimiter, protect, setupTwoFactor);
+router.post('/2fa/enable', sensitiveOpLimiter, protect, twoFactorCodeValidation(), enableTwoFactor);
+router.post('/2fa/disable', sensitiveOpLimiter, protect, twoFactorCodeValidation({ allowRecoveryCode: true, requirePassword: true }), disableTwoFactor);
+router.post('/2fa/recovery-codes', sensitiveOpLimiter, protect, twoFactorCodeValidation({ allowRecoveryCode: true, requirePassword: true }), regenerateRecoveryCodes);
+
+router.post('/send-phone-verification', sensitiveOpLimiter, protect, sendPhoneVerification);
+router.post('/verify-phone', sensitiveOpLimiter, protect, otpCodeValidation(false), verifyPhone);
+
 module.exports = router;
\ No newline at end of file
@@ -16,10 +16,42 @@ const {
   getDeliveryTracking,
   getTeamActivity,
   getNotifications,
-  getReorderSuggestions
+  getReorderSuggestions,
+  getOrderInvoice,
+  getOrderChallan,
+  getOutstandingPayables,
+  getVendorLedger
 } = require('../controllers/buyerDashboardController');
-const { protect, authorize } = require('../middleware/auth');
-const { query, body } = require('express-validator');
+const {
+  getStandingOrders,
+  getStandingOrder,
+  createStandingOrder,
+  updateStandingOrder,
+  pauseStandingOrder,
+  resumeStandingOrder,
+  skipNextDelivery,
+  setStandingOrderEndDate
+} = require('../controllers/standingOrderController');
+const {
+  getPriceAlerts,
+  createPriceAlert,
+  updatePriceAlert,
+  deletePriceAlert
+} = require('../controllers/priceAlertController');
+const {
+  getShoppingLists,
+  getShoppingList,
+  createShoppingList,
+  updateShoppingList,
+  deleteShoppingList,
+  resolveShoppingList,
+  orderShoppingList
+} = require('../controllers/shoppingListController');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
+const { requireBuyerApproval } = require('../middleware/approval');
+const { query, body, param } = require('express-validator');
+const { mongoIdValidation } = require('../middleware/validation');
+const { UNITS, COMPARISON_UNITS } = require('../utils/units');
 
 const router = express.Router();
 
@@ -46,30 +78,31 @@ const dateRangeValidation = [
 /**
  * @route   GET /api/v1/buyer-dashboard/overview
  * @desc    Get buyer dashboard overview with key metrics
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/overview', dateRangeValidation, getDashboardOverview);
+router.get('/overview', requirePermission('view_analytics'), dateRangeValidation, getDashboardOverview);
 
 /**
  * @route   GET /api/v1/buyer-dashboard/spending
  * @desc    Get spending analytics and trends
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/spending', dateRangeValidation, getSpendingAnalytics);
+router.get('/spending', requirePermission('view_analytics'), dateRangeValidation, getSpendingAnalytics);
 
 /**
  * @route   GET /api/v1/buyer-dashboard/orders
  * @desc    Get order analytics (volume, frequency, patterns)
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/orders', dateRangeValidation, getOrderAnalytics);
+router.get('/orders', requirePermission('view_analytics'), dateRangeValidation, getOrderAnalytics);
 
 /**
  * @route   GET /api/v1/buyer-dashboard/vendors
  * @desc    Get vendor insights and performance analytics
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/vendors', 
+router.get('/vendors',
+  requirePermission('view_analytics'),
   [
     ...dateRangeValidation,
     query('sort')
@@ -87,9 +120,10 @@ router.get('/vendors',
 /**
  * @route   GET /api/v1/buyer-dashboard/budget
  * @desc    Get budget tracking and spending limits
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/budget', 
+router.get('/budget',
+  requirePermission('view_analytics'),
   [
     ...dateRangeValidation,
     query('category')
@@ -168,9 +202,9 @@ router.put('/budget/:budgetId',
 /**
  * @route   GET /api/v1/buyer-dashboard/inventory-planning
  * @desc    Get inventory planning and consumption insights
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/inventory-planning', dateRangeValidation, getInventoryPlanning);
+router.get('/inventory-planning', requirePermission('view_analytics'), dateRangeValidation, getInventoryPlanning);
 
 /**
  * @route   GET /api/v1/buyer-dashboard/order-history
@@ -200,12 +234,55 @@ router.get('/order-history',
   getOrderHistory
 );
 
+/**
+ * @route   GET /api/v1/buyer-dashboard/orders/:id/invoice
+ * @desc    Download the order invoice as PDF (?disposition=inline to view in browser)
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/orders/:id/invoice', mongoIdValidation('id'), getOrderInvoice);
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/orders/:id/challan
+ * @desc    Download the delivery challan (delivery note) as PDF
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/orders/:id/challan', mongoIdValidation('id'), getOrderChallan);
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/payables
+ * @desc    Get outstanding payables per vendor with due dates and overdue amounts
+ * @access  Private (Buyer Owner, or Manager with analytics access)
+ */
+router.get('/payables', requirePermission('view_analytics'), getOutstandingPayables);
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/ledger/:vendorId
+ * @desc    Get the running ledger (invoices, payments, credits) with a vendor
+ * @access  Private (Buyer Owner, or Manager with analytics access)
+ */
+router.get('/ledger/:vendorId',
+  requirePermission('view_analytics'),
+  [
+    param('vendorId').isMongoId().withMessage('Valid vendor ID is required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  getVendorLedger
+);
+
 /**
  * @route   GET /api/v1/buyer-dashboard/favorite-vendors
  * @desc    Get favorite vendors and frequently purchased items
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
 router.get('/favorite-vendors',
+  requirePermission('view_analytics'),
   [
     query('limit')
       .optional()
@@ -218,16 +295,17 @@ router.get('/favorite-vendors',
 /**
  * @route   GET /api/v1/buyer-dashboard/cost-analysis
  * @desc    Get detailed cost analysis and pricing trends
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/cost-analysis', dateRangeValidation, getCostAnalysis);
+router.get('/cost-analysis', requirePermission('view_analytics'), dateRangeValidation, getCostAnalysis);
 
 /**
  * @route   GET /api/v1/buyer-dashboard/price-analytics
  * @desc    Get average price tracking and price trends by product/category
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
 router.get('/price-analytics',
+  requirePermission('view_analytics'),
   [
     ...dateRangeValidation,
     query('groupBy')
@@ -249,9 +327,10 @@ router.get('/price-analytics',
 /**
  * @route   GET /api/v1/buyer-dashboard/purchase-patterns
  * @desc    Get purchase patterns and seasonal trends
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
 router.get('/purchase-patterns',
+  requirePermission('view_analytics'),
   [
     ...dateRangeValidation,
     query('groupBy')
@@ -265,9 +344,9 @@ router.get('/purchase-patterns',
 /**
  * @route   GET /api/v1/buyer-dashboard/delivery-tracking
  * @desc    Get delivery tracking and logistics analytics
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
-router.get('/delivery-tracking', dateRangeValidation, getDeliveryTracking);
+router.get('/delivery-tracking', requirePermission('view_analytics'), dateRangeValidation, getDeliveryTracking);
 
 /**
  * @route   GET /api/v1/buyer-dashboard/team-activity
@@ -289,8 +368,8 @@ router.get('/notifications',
   [
     query('type')
       .optional()
-      .isIn(['order', 'budget', 'vendor', 'system'])
-      .withMessage('Notification type must be one of: order, budget, vendor, system'),
+      .isIn(['order', 'budget', 'vendor', 'system', 'price_alert'])
+      .withMessage('Notification type must be one of: order, budget, vendor, system, price_alert'),
     query('unreadOnly')
       .optional()
       .isBoolean()
@@ -302,9 +381,10 @@ router.get('/notifications',
 /**
  * @route   GET /api/v1/buyer-dashboard/reorder-suggestions
  * @desc    Get smart reorder suggestions based on consumption patterns
- * @access  Private (Buyer Owner/Manager only)
+ * @access  Private (Buyer Owner, or Manager with analytics access)
  */
 router.get('/reorder-suggestions',
+  requirePermission('view_analytics'),
   [
     query('limit')
       .optional()
@@ -318,4 +398,353 @@ router.get('/reorder-suggestions',
   getReorderSuggestions
 );
 
-module.exports = router;
\ No newline at end of file
+// Standing order validation (optional: true for partial updates)
+const standingOrderValidation = (optional = false) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+
+  return [
+    body('name')
+      .optional()
+      .isString().trim()
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters'),
+    field(body('items'))
+      .isArray({ min: 1 })
+      .withMessage('Items array is required and cannot be empty'),
+    body('items.*.listingId')
+      .isMongoId()
+      .withMessage('Valid listing ID is required for each item'),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer'),
+    field(body('schedule.frequency'))
+      .isIn(['daily', 'weekly', 'interval'])
+      .withMessage('Frequency must be daily, weekly, or interval'),
+    body('schedule.daysOfWeek')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Days of week must be a list of weekdays'),
+    body('schedule.daysOfWeek.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)')
+      .toInt(),
+    body('schedule.intervalDays')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Interval must be between 1 and 90 days')
+      .toInt(),
+    field(body('schedule.startDate'))
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    body('schedule.endDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date'),
+    body('schedule.leadTimeDays')
+      .optional()
+      .isInt({ min: 0, max: 7 })
+      .withMessage('Lead time must be between 0 and 7 days')
+      .toInt(),
+    field(body('deliveryInfo.type'))
+      .isIn(['pickup', 'delivery'])
+      .withMessage('Delivery type must be pickup or delivery'),
+    body('deliverySlot.startTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Slot start time must be in HH:mm format'),
+    body('deliverySlot.endTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Slot end time must be in HH:mm format'),
+    body('paymentMethod')
+      .optional()
+      .isIn(['cash', 'check', 'bank_transfer', 'digital_wallet', 'credit'])
+      .withMessage('Invalid payment method'),
+    body('notes')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters')
+  ];
+};
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/standing-orders
+ * @desc    Get recurring standing orders
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/standing-orders',
+  [
+    query('status')
+      .optional()
+      .isIn(['active', 'paused', 'ended'])
+      .withMessage('Status must be active, paused, or ended')
+  ],
+  getStandingOrders
+);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/standing-orders
+ * @desc    Create a recurring standing order (daily, selected weekdays, or every N days)
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/standing-orders', standingOrderValidation(), createStandingOrder);
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/standing-orders/:id
+ * @desc    Get a standing order with its recently generated orders
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/standing-orders/:id', getStandingOrder);
+
+/**
+ * @route   PUT /api/v1/buyer-dashboard/standing-orders/:id
+ * @desc    Update items, schedule or delivery details
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.put('/standing-orders/:id',
+  standingOrderValidation(true),
+  updateStandingOrder
+);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/standing-orders/:id/pause
+ * @desc    Pause order generation
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/standing-orders/:id/pause', pauseStandingOrder);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/standing-orders/:id/resume
+ * @desc    Resume order generation from the next scheduled delivery
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/standing-orders/:id/resume', resumeStandingOrder);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/standing-orders/:id/skip-next
+ * @desc    Skip the next scheduled delivery
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/standing-orders/:id/skip-next', skipNextDelivery);
+
+/**
+ * @route   PUT /api/v1/buyer-dashboard/standing-orders/:id/end-date
+ * @desc    Set (or clear with null) the last delivery date
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.put('/standing-orders/:id/end-date',
+  [
+    body('endDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date')
+  ],
+  setStandingOrderEndDate
+);
+
+// Price alert validation middleware
+const priceAlertValidation = (optional = false) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+
+  return [
+    field(body('productId'))
+      .isMongoId()
+      .withMessage('Valid product ID is required'),
+    body('marketId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Market ID must be valid'),
+    body('qualityGrade')
+      .optional({ nullable: true })
+      .isString().trim()
+      .isLength({ max: 50 })
+      .withMessage('Quality grade cannot exceed 50 characters'),
+    body('condition')
+      .optional()
+      .isIn(['below', 'above'])
+      .withMessage('Condition must be below or above'),
+    field(body('targetPrice'))
+      .isFloat({ gt: 0 })
+      .withMessage('Target price must be greater than 0')
+      .toFloat(),
+    body('unit')
+      .optional()
+      .isIn(COMPARISON_UNITS)
+      .withMessage(`Unit must be one of: ${COMPARISON_UNITS.join(', ')}`),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/price-alerts
+ * @desc    Get the user's price alerts with the current best price for each
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/price-alerts', getPriceAlerts);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/price-alerts
+ * @desc    Get notified when a product's price drops below (or rises above) a target
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/price-alerts', priceAlertValidation(), createPriceAlert);
+
+/**
+ * @route   PUT /api/v1/buyer-dashboard/price-alerts/:id
+ * @desc    Change a price alert's target, scope or turn it on/off
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.put('/price-alerts/:id', priceAlertValidation(true), updatePriceAlert);
+
+/**
+ * @route   DELETE /api/v1/buyer-dashboard/price-alerts/:id
+ * @desc    Delete a price alert
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.delete('/price-alerts/:id', deletePriceAlert);
+
+// Shopping list validation middleware
+const shoppingListValidation = (optional = false) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+
+  return [
+    field(body('name'))
+      .isString().trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and cannot exceed 100 characters'),
+    body('description')
+      .optional()
+      .isString().trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('fromOrderId')
+      .optional()
+      .isMongoId()
+      .withMessage('Order ID must be valid'),
+    body('items')
+      .optional()
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Items must list 1 to 100 products'),
+    body('items.*.productId')
+      .isMongoId()
+      .withMessage('Valid product ID is required for each item'),
+    body('items.*.quantity')
+      .isFloat({ gt: 0 })
+      .withMessage('Quantity must be greater than 0')
+      .toFloat(),
+    body('items.*.unit')
+      .optional()
+      .isIn(UNITS)
+      .withMessage(`Unit must be one of: ${UNITS.join(', ')}`),
+    body(['items.*.preferredVendorId', 'items.*.preferredListingId'])
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Preferred vendor and listing IDs must be valid'),
+    body('items.*.qualityGrade')
+      .optional({ nullable: true })
+      .isString().trim()
+      .isLength({ max: 50 })
+      .withMessage('Quality grade cannot exceed 50 characters'),
+    body('items.*.specialInstructions')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Special instructions cannot exceed 200 characters')
+  ];
+};
+
+const locationValidation = (location) => [
+  location('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  location('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+];
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/shopping-lists
+ * @desc    Get the buyer's saved shopping lists (shared by owner and managers)
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/shopping-lists', getShoppingLists);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/shopping-lists
+ * @desc    Save a named list of products, quantities and preferred vendors, or save a past order as a list
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/shopping-lists', shoppingListValidation(), createShoppingList);
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/shopping-lists/:id
+ * @desc    Get a shopping list
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/shopping-lists/:id', getShoppingList);
+
+/**
+ * @route   PUT /api/v1/buyer-dashboard/shopping-lists/:id
+ * @desc    Rename a shopping list or replace its items
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.put('/shopping-lists/:id', shoppingListValidation(true), updateShoppingList);
+
+/**
+ * @route   DELETE /api/v1/buyer-dashboard/shopping-lists/:id
+ * @desc    Delete a shopping list (owner, or the manager who created it)
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.delete('/shopping-lists/:id', deleteShoppingList);
+
+/**
+ * @route   GET /api/v1/buyer-dashboard/shopping-lists/:id/resolve
+ * @desc    Match each item to a current listing and suggest alternatives for unavailable preferred vendors
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.get('/shopping-lists/:id/resolve', locationValidation(query), resolveShoppingList);
+
+/**
+ * @route   POST /api/v1/buyer-dashboard/shopping-lists/:id/order
+ * @desc    Order a shopping list in one call (one order per vendor and market)
+ * @access  Private (Buyer Owner/Manager only)
+ */
+router.post('/shopping-lists/:id/order',
+  requireBuyerApproval('place orders'),
+  [
+    body('deliveryInfo.type')
+      .isIn(['pickup', 'delivery'])
+      .withMessage('Delivery type must be pickup or delivery'),
+    body('paymentInfo.method')
+      .isIn(['cash', 'check', 'bank_transfer', 'digital_wallet', 'credit'])
+      .withMessage('Invalid payment method'),
+    body('notes')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters'),
+    body('acceptAlternatives')
+      .optional()
+      .isBoolean()
+      .withMessage('acceptAlternatives must be a boolean')
+      .toBoolean(),
+    body('substitutions')
+      .optional()
+      .isArray()
+      .withMessage('Substitutions must be a list'),
+    body(['substitutions.*.itemId', 'substitutions.*.listingId'])
+      .isMongoId()
+      .withMessage('Each substitution needs a valid itemId and listingId'),
+    ...locationValidation(body)
+  ],
+  orderShoppingList
+);
+
+module.exports = router;
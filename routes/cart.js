@@ -0,0 +1,86 @@
+const express = require('express');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout
+} = require('../controllers/cartController');
+const { protect, authorize } = require('../middleware/auth');
+const { requireBuyerApproval } = require('../middleware/approval');
+const { body, param } = require('express-validator');
+
+const router = express.Router();
+
+// Validation rules for adding items
+const addItemValidation = [
+  body('listingId').isMongoId().withMessage('Valid listing ID is required'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  body('specialInstructions').optional().isString().isLength({ max: 200 }).withMessage('Special instructions cannot exceed 200 characters')
+];
+
+// Validation rules for updating items
+const updateItemValidation = [
+  param('listingId').isMongoId().withMessage('Valid listing ID is required'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  body('specialInstructions').optional().isString().isLength({ max: 200 }).withMessage('Special instructions cannot exceed 200 characters')
+];
+
+// Validation rules for checkout
+const checkoutValidation = [
+  body('deliveryInfo.type').isIn(['pickup', 'delivery']).withMessage('Delivery type must be pickup or delivery'),
+  body('paymentInfo.method').isIn(['cash', 'check', 'bank_transfer', 'digital_wallet', 'credit']).withMessage('Invalid payment method')
+];
+
+// All cart routes are for buyer users
+router.use(protect);
+router.use(authorize('buyerOwner', 'buyerManager'));
+
+/**
+ * @route   GET /api/v1/cart
+ * @desc    Get current cart grouped by vendor
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.get('/', getCart);
+
+/**
+ * @route   DELETE /api/v1/cart
+ * @desc    Clear the cart
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.delete('/', clearCart);
+
+/**
+ * @route   POST /api/v1/cart/items
+ * @desc    Add an item to the cart
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.post('/items', addItemValidation, addCartItem);
+
+/**
+ * @route   PUT /api/v1/cart/items/:listingId
+ * @desc    Update quantity of a cart item
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.put('/items/:listingId', updateItemValidation, updateCartItem);
+
+/**
+ * @route   DELETE /api/v1/cart/items/:listingId
+ * @desc    Remove an item from the cart
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.delete('/items/:listingId', removeCartItem);
+
+/**
+ * @route   POST /api/v1/cart/checkout
+ * @desc    Check out the cart, creating one order per vendor
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.post('/checkout',
+  requireBuyerApproval('place orders'),
+  checkoutValidation,
+  checkout
+);
+
+module.exports = router;
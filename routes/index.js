@@ -22,13 +22,23 @@ router.use('/listings', require('./listings')); // Buyer users browsing listings
 
 // Order Management
 router.use('/orders', require('./orders'));
+router.use('/cart', require('./cart')); // Multi-vendor cart, split into per-vendor orders at checkout
 
 // Public Information (no auth required)
 router.use('/public', require('./public'));
 
+// Relevance-ranked product and listing search (Bangla/English, typo tolerant, faceted)
+router.use('/search', require('./search'));
+
 // Location Data (Bangladesh administrative divisions, districts, upazilas, unions)
 router.use('/locations', require('./locations'));
 
+// Notification inbox and channel preferences (all signed-in users)
+router.use('/notifications', require('./notifications'));
+
+// Real-time event stream (Server-Sent Events) for notifications, orders and stock
+router.use('/realtime', require('./realtime'));
+
 // Dashboard Interfaces
 router.use('/vendor-dashboard', require('./vendor-dashboard')); // Complete vendor operations + listings CRUD
 router.use('/buyer-dashboard', require('./buyer-dashboard'));
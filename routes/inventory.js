@@ -15,11 +15,12 @@ const {
   syncListingsWithInventory
 } = require('../controllers/inventoryController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 
 // All inventory routes require authentication and vendor authorization
 router.use(protect);
 router.use(authorize('vendor'));
+router.use(requirePermission('manage_inventory'));
 
 // Validation middleware
 const validatePurchase = [
@@ -9,9 +9,13 @@
 const express = require("express");
 const {
   getListings,
+  getNearbyListings,
+  compareBasket,
   getListing,
 } = require("../controllers/listingsController");
+const { getNearbyMarkets } = require("../controllers/locationController");
 const { protect, authorize } = require("../middleware/auth");
+const { nearbyValidation, basketComparisonValidation } = require("../middleware/validation");
 
 const router = express.Router();
 
@@ -25,6 +29,27 @@ router.use(protect);
  */
 router.get("/", authorize("buyerOwner", "buyerManager"), getListings);
 
+/**
+ * @route   GET /api/v1/listings/nearby
+ * @desc    Listings whose vendor delivers to lat/lng (default: the buyer's saved address), with delivery fees
+ * @access  Private (Buyer users)
+ */
+router.get("/nearby", authorize("buyerOwner", "buyerManager"), nearbyValidation, getNearbyListings);
+
+/**
+ * @route   GET /api/v1/listings/nearby-markets
+ * @desc    Markets near lat/lng (default: the buyer's saved address), nearest first
+ * @access  Private (Buyer users)
+ */
+router.get("/nearby-markets", authorize("buyerOwner", "buyerManager"), nearbyValidation, getNearbyMarkets);
+
+/**
+ * @route   POST /api/v1/listings/compare-basket
+ * @desc    Cheapest vendor combination for a shopping list ({ items: [{ productId, quantity, unit }], lat, lng })
+ * @access  Private (Buyer users)
+ */
+router.post("/compare-basket", authorize("buyerOwner", "buyerManager"), basketComparisonValidation, compareBasket);
+
 // ================================
 // NOTE: Vendor-specific listing CRUD operations have been moved to:
 // /api/v1/vendor-dashboard/listings/*
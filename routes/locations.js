@@ -12,8 +12,10 @@ const {
   searchLocations,
   getLocationsByPostalCode,
   getMarketsByLocation,
+  getNearbyMarkets,
   getMarketDetail
 } = require('../controllers/locationController');
+const { nearbyValidation } = require('../middleware/validation');
 
 // Public routes (no authentication required)
 
@@ -39,6 +41,7 @@ router.get('/postal-code/:postalCode', getLocationsByPostalCode);
 
 // Markets by location
 router.get('/markets', getMarketsByLocation);
+router.get('/markets/nearby', nearbyValidation, getNearbyMarkets);
 router.get('/markets/:id', getMarketDetail);
 
 module.exports = router;
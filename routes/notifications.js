@@ -0,0 +1,243 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  dismissNotifications,
+  archiveNotifications,
+  unarchiveNotifications,
+  getPreferences,
+  updatePreferences,
+  getDigestSettings,
+  updateDigestSettings,
+  previewDigest,
+  getDigests,
+  getDigest,
+  getPushPublicKey,
+  subscribePush,
+  unsubscribePush
+} = require('../controllers/notificationController');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { protect, authorize } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { query, body, param } = require('express-validator');
+
+const router = express.Router();
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Validation rules for listing notifications
+const listValidation = [
+  query('type').optional().isIn(NOTIFICATION_TYPES).withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Priority must be low, medium, high or urgent'),
+  query('view').optional().isIn(['inbox', 'archived', 'all']).withMessage('View must be inbox, archived or all'),
+  query('isRead').optional().isBoolean().withMessage('isRead must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Validation rules for bulk updates ({ ids: [...] })
+const bulkValidation = [
+  body('ids').isArray({ min: 1, max: 100 }).withMessage('ids must be a list of 1 to 100 notification IDs'),
+  body('ids.*').isMongoId().withMessage('Each notification ID must be valid')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Valid notification ID is required')
+];
+
+// Validation rules for channel preferences ({ channels: { order: ['in-app', 'email'], ... } })
+const preferencesValidation = [
+  body('channels').isObject().withMessage('channels must be an object keyed by notification type'),
+  body('channels').custom((channels) => {
+    const unknown = Object.keys(channels).filter(type => !NotificationPreference.CONFIGURABLE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Preferences can only be set for: ${NotificationPreference.CONFIGURABLE_TYPES.join(', ')}`);
+    }
+    return true;
+  }),
+  body('channels.*').isArray().withMessage('Each type must list its channels'),
+  body('channels.*.*').isIn(NotificationPreference.CHANNELS).withMessage(`Channels must be: ${NotificationPreference.CHANNELS.join(', ')}`)
+];
+
+// Validation rules for digest settings ({ frequency, sendTime: 'HH:mm', dayOfWeek: 0-6, timeZone })
+const digestSettingsValidation = [
+  body('frequency').optional().isIn(NotificationPreference.DIGEST_FREQUENCIES).withMessage(`Frequency must be: ${NotificationPreference.DIGEST_FREQUENCIES.join(', ')}`),
+  body('sendTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Send time must be in HH:mm format'),
+  body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6').toInt(),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone (e.g. Asia/Dhaka)')
+];
+
+// Digests summarise buyer and vendor activity
+const digestRoles = authorize('buyerOwner', 'buyerManager', 'vendor');
+
+// Validation rules for a browser PushSubscription ({ endpoint, keys: { p256dh, auth } })
+const pushSubscriptionValidation = [
+  body('endpoint').isURL({ protocols: ['https'], require_protocol: true }).withMessage('Push endpoint must be an https URL'),
+  body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+  body('keys.auth').isString().notEmpty().withMessage('keys.auth is required')
+];
+
+// Every signed-in user has a notification inbox
+router.use(protect);
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    List notifications (view=inbox|archived|all, filter by type, priority, isRead)
+ * @access  Private
+ */
+router.get('/', listValidation, getNotifications);
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Unread inbox count, in total and per type
+ * @access  Private
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @route   GET /api/v1/notifications/preferences
+ * @desc    Channels accepted for each notification type
+ * @access  Private
+ */
+router.get('/preferences', getPreferences);
+
+/**
+ * @route   PUT /api/v1/notifications/preferences
+ * @desc    Set channels for one or more notification types (an empty list turns a type off)
+ * @access  Private
+ */
+router.put('/preferences', preferencesValidation, updatePreferences);
+
+/**
+ * @route   GET /api/v1/notifications/digest
+ * @desc    Daily/weekly digest settings
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+router.get('/digest', digestRoles, getDigestSettings);
+
+/**
+ * @route   PUT /api/v1/notifications/digest
+ * @desc    Opt in to or out of the digest (frequency off|daily|weekly) and set its send time
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+router.put('/digest', digestRoles, digestSettingsValidation, updateDigestSettings);
+
+/**
+ * @route   GET /api/v1/notifications/digest/preview
+ * @desc    Digest for the last day (or week with frequency=weekly), without sending it
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+router.get('/digest/preview', digestRoles, previewDigest);
+
+/**
+ * @route   GET /api/v1/notifications/digests
+ * @desc    Digests generated for the current user
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+router.get('/digests',
+  digestRoles,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  getDigests
+);
+
+/**
+ * @route   GET /api/v1/notifications/digests/:id
+ * @desc    One generated digest with its content
+ * @access  Private (buyerOwner, buyerManager, vendor)
+ */
+router.get('/digests/:id',
+  digestRoles,
+  [param('id').isMongoId().withMessage('Valid digest ID is required')],
+  getDigest
+);
+
+/**
+ * @route   GET /api/v1/notifications/push/public-key
+ * @desc    VAPID public key for creating a browser push subscription
+ * @access  Private
+ */
+router.get('/push/public-key', getPushPublicKey);
+
+/**
+ * @route   POST /api/v1/notifications/push-subscriptions
+ * @desc    Register this browser for push notifications
+ * @access  Private
+ */
+router.post('/push-subscriptions', pushSubscriptionValidation, subscribePush);
+
+/**
+ * @route   DELETE /api/v1/notifications/push-subscriptions
+ * @desc    Remove this browser's push subscription
+ * @access  Private
+ */
+router.delete('/push-subscriptions',
+  [body('endpoint').isString().notEmpty().withMessage('Push endpoint is required')],
+  unsubscribePush
+);
+
+/**
+ * @route   PUT /api/v1/notifications/read-all
+ * @desc    Mark all inbox notifications as read (optionally only `type`)
+ * @access  Private
+ */
+router.put('/read-all',
+  [body('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type')],
+  markAllAsRead
+);
+
+/**
+ * @route   PUT /api/v1/notifications/read
+ * @desc    Mark several notifications as read
+ * @access  Private
+ */
+router.put('/read', bulkValidation, markAsRead);
+
+/**
+ * @route   PUT /api/v1/notifications/dismiss
+ * @desc    Dismiss several notifications
+ * @access  Private
+ */
+router.put('/dismiss', bulkValidation, dismissNotifications);
+
+/**
+ * @route   PUT /api/v1/notifications/archive
+ * @desc    Archive several notifications
+ * @access  Private
+ */
+router.put('/archive', bulkValidation, archiveNotifications);
+
+/**
+ * @route   PUT /api/v1/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', idValidation, markAsRead);
+
+/**
+ * @route   PUT /api/v1/notifications/:id/dismiss
+ * @desc    Dismiss a notification
+ * @access  Private
+ */
+router.put('/:id/dismiss', idValidation, dismissNotifications);
+
+/**
+ * @route   PUT /api/v1/notifications/:id/archive
+ * @desc    Archive a notification
+ * @access  Private
+ */
+router.put('/:id/archive', idValidation, archiveNotifications);
+
+/**
+ * @route   PUT /api/v1/notifications/:id/unarchive
+ * @desc    Move an archived notification back to the inbox
+ * @access  Private
+ */
+router.put('/:id/unarchive', idValidation, unarchiveNotifications);
+
+module.exports = router;
@@ -4,11 +4,26 @@ const {
   getOrders,
   approveOrder,
   updateOrderStatus,
-  getOrder
+  getOrder,
+  getOrderTransitions,
+  cancelOrder,
+  amendOrder,
+  confirmReceipt,
+  recordPayment,
+  getOrderPayments
 } = require('../controllers/ordersController');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  loadDisputeOrder,
+  openDispute,
+  getOrderDisputes,
+  respondToDispute,
+  escalateDispute
+} = require('../controllers/disputeController');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const { requireBuyerApproval } = require('../middleware/approval');
-const { body } = require('express-validator');
+const { uploadDisputePhotos } = require('../middleware/upload');
+const { ORDER_STATUSES } = require('../services/orderStateMachine');
+const { body, param } = require('express-validator');
 
 const router = express.Router();
 
@@ -19,9 +34,68 @@ const placeOrderValidation = [
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
 ];
 
-// Validation rules for status updates
+// Validation rules for buyer cancellation
+const cancelOrderValidation = [
+  body('reason').isString().trim().notEmpty().withMessage('Cancellation reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for amending order items
+const amendOrderValidation = [
+  ...placeOrderValidation,
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Validation rules for opening disputes (items may arrive as a JSON string in multipart requests)
+const openDisputeValidation = [
+  body('description').isString().trim().notEmpty().withMessage('Dispute description is required')
+    .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('items').notEmpty().withMessage('At least one disputed item is required')
+];
+
+// Validation rules for vendor dispute responses
+const disputeResponseValidation = [
+  param('disputeId').isMongoId().withMessage('Valid dispute ID is required'),
+  body('type').isIn(['credit', 'replacement', 'rejection']).withMessage('Response must be credit, replacement or rejection'),
+  body('creditAmount').if(body('type').equals('credit'))
+    .isFloat({ gt: 0 }).withMessage('A positive credit amount is required').toFloat(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Validation rules for dispute escalation
+const escalateDisputeValidation = [
+  param('disputeId').isMongoId().withMessage('Valid dispute ID is required'),
+  body('reason').isString().trim().notEmpty().withMessage('Escalation reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for status updates (legality of the move is checked by the transition table)
 const statusValidation = [
-  body('status').isIn(['confirmed', 'delivered', 'cancelled']).withMessage('Invalid status')
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  // Per-line fulfillment when marking delivered (omitted lines count as delivered in full)
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemId').optional().isMongoId().withMessage('Valid order item ID is required'),
+  body('items.*.listingId').optional().isMongoId().withMessage('Valid listing ID is required'),
+  body('items.*.deliveredQuantity').isFloat({ min: 0 }).withMessage('Delivered quantity must be zero or more').toFloat(),
+  body('items.*.reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('items.*.substitutedWith').optional().isString().trim().isLength({ max: 200 }).withMessage('Substitution description cannot exceed 200 characters')
+];
+
+// Validation rules for recording payments
+const recordPaymentValidation = [
+  body('amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0').toFloat(),
+  body('method')
+    .isIn(['cash', 'digital_wallet', 'bank_transfer', 'check'])
+    .withMessage('Payment method must be cash, digital_wallet, bank_transfer or check'),
+  body('walletProvider')
+    .optional()
+    .isIn(['bkash', 'nagad', 'rocket', 'upay', 'other'])
+    .withMessage('Invalid wallet provider'),
+  body('reference').optional().isString().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  body('paidAt').optional().isISO8601().withMessage('Payment date must be a valid date'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
 ];
 
 // Apply authentication to all routes
@@ -53,6 +127,13 @@ router.post('/',
  */
 router.get('/:id', getOrder);
 
+/**
+ * @route   GET /api/v1/orders/:id/transitions
+ * @desc    Get the status transitions the current user may make
+ * @access  Private
+ */
+router.get('/:id/transitions', getOrderTransitions);
+
 /**
  * @route   POST /api/v1/orders/:id/approve
  * @desc    Approve a pending order
@@ -60,13 +141,106 @@ router.get('/:id', getOrder);
  */
 router.post('/:id/approve', authorize('buyerOwner'), requireBuyerApproval('approve orders'), approveOrder);
 
+/**
+ * @route   POST /api/v1/orders/:id/cancel
+ * @desc    Cancel an order before the vendor confirms it
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.post('/:id/cancel',
+  authorize('buyerOwner', 'buyerManager'),
+  cancelOrderValidation,
+  cancelOrder
+);
+
+/**
+ * @route   PUT /api/v1/orders/:id/items
+ * @desc    Amend items of an order pending approval
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.put('/:id/items',
+  authorize('buyerOwner', 'buyerManager'),
+  requireBuyerApproval('modify orders'),
+  amendOrderValidation,
+  amendOrder
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/receive
+ * @desc    Confirm delivered goods were received
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.post('/:id/receive', authorize('buyerOwner', 'buyerManager'), confirmReceipt);
+
+/**
+ * @route   GET /api/v1/orders/:id/disputes
+ * @desc    Get disputes for an order
+ * @access  Private (Order buyer, vendor or admin)
+ */
+router.get('/:id/disputes', getOrderDisputes);
+
+/**
+ * @route   POST /api/v1/orders/:id/disputes
+ * @desc    Open a dispute on delivered lines (multipart, up to 5 photos in "photos")
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.post('/:id/disputes',
+  authorize('buyerOwner', 'buyerManager'),
+  // Access is checked before the photos are uploaded
+  loadDisputeOrder,
+  uploadDisputePhotos('photos', 5),
+  openDisputeValidation,
+  openDispute
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/disputes/:disputeId/respond
+ * @desc    Respond to a dispute with a credit, replacement or rejection
+ * @access  Private (Vendor staff with respond_disputes)
+ */
+router.post('/:id/disputes/:disputeId/respond',
+  authorize('vendor'),
+  requirePermission('respond_disputes'),
+  disputeResponseValidation,
+  respondToDispute
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/disputes/:disputeId/escalate
+ * @desc    Escalate a dispute to admin arbitration
+ * @access  Private (Buyer users - Owner/Manager)
+ */
+router.post('/:id/disputes/:disputeId/escalate',
+  authorize('buyerOwner', 'buyerManager'),
+  escalateDisputeValidation,
+  escalateDispute
+);
+
+/**
+ * @route   GET /api/v1/orders/:id/payments
+ * @desc    Get payments recorded for an order
+ * @access  Private (Order buyer, vendor or admin)
+ */
+router.get('/:id/payments', getOrderPayments);
+
+/**
+ * @route   POST /api/v1/orders/:id/payments
+ * @desc    Record a full or partial payment (cash, mobile wallet, bank transfer, cheque)
+ * @access  Private (Vendor staff with record_payments/Admin)
+ */
+router.post('/:id/payments',
+  authorize('vendor', 'admin'),
+  requirePermission('record_payments'),
+  recordPaymentValidation,
+  recordPayment
+);
+
 /**
  * @route   PUT /api/v1/orders/:id/status
- * @desc    Update order status
- * @access  Private (Vendor only)
+ * @desc    Update order status (illegal transitions return 409 with allowed next states)
+ * @access  Private (Vendor/Admin; vendor staff limited by sub-role)
  */
-router.put('/:id/status', 
-  authorize('vendor'), 
+router.put('/:id/status',
+  authorize('vendor', 'admin'),
   statusValidation,
   updateOrderStatus
 );
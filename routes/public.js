@@ -2,12 +2,15 @@ const express = require('express');
 const {
   getPublicProducts,
   getPublicProduct,
+  compareProductPrices,
+  getProductPriceHistory,
   getPublicCategories,
   getPublicListings,
   getPublicListing,
   getFeaturedListings,
   getPublicMarkets
 } = require('../controllers/publicController');
+const { priceComparisonValidation, priceHistoryValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -25,6 +28,20 @@ router.get('/products', getPublicProducts);
  */
 router.get('/products/:id', getPublicProduct);
 
+/**
+ * @route   GET /api/v1/public/products/:id/compare
+ * @desc    Compare vendors' prices for a product (per kg/piece, with discounts, minimums and delivery)
+ * @access  Public
+ */
+router.get('/products/:id/compare', priceComparisonValidation, compareProductPrices);
+
+/**
+ * @route   GET /api/v1/public/products/:id/price-history
+ * @desc    Daily min/median/max price per market (?marketId, ?qualityGrade, ?days up to 180)
+ * @access  Public
+ */
+router.get('/products/:id/price-history', priceHistoryValidation, getProductPriceHistory);
+
 /**
  * @route   GET /api/v1/public/categories
  * @desc    Get all categories (public)
@@ -0,0 +1,30 @@
+const express = require('express');
+const { stream, getCursor, createStreamTicket } = require('../controllers/realtimeController');
+const { protect, protectStream } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/realtime/ticket
+ * @desc    Single-use stream ticket for browsers' EventSource (expires after 60 seconds)
+ * @access  Private
+ */
+router.post('/ticket', protect, createStreamTicket);
+
+/**
+ * @route   GET /api/v1/realtime/stream
+ * @desc    Server-Sent Events stream (notification, order.*, listing.stock_changed).
+ *          Query: cursor (or Last-Event-ID header), markets (comma-separated IDs),
+ *          ticket (from POST /ticket, instead of the Bearer header)
+ * @access  Private
+ */
+router.get('/stream', protectStream, stream);
+
+/**
+ * @route   GET /api/v1/realtime/cursor
+ * @desc    Latest event cursor to resume the stream from
+ * @access  Private
+ */
+router.get('/cursor', protect, getCursor);
+
+module.exports = router;
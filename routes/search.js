@@ -0,0 +1,29 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { search } = require('../controllers/searchController');
+const searchService = require('../services/searchService');
+
+const router = express.Router();
+
+// Validation rules for search ({ q, type, facet filters, page, limit })
+const searchValidation = [
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search text cannot be more than 100 characters'),
+  query('type').optional().isIn(['listings', 'products']).withMessage('Type must be listings or products'),
+  query('category').optional().isMongoId().withMessage('Category must be a valid ID'),
+  query('market').optional().isMongoId().withMessage('Market must be a valid ID'),
+  query('qualityGrade').optional().isString().trim().notEmpty().withMessage('Quality grade cannot be empty'),
+  query('priceBand').optional().isIn(searchService.PRICE_BANDS).withMessage(`Price band must be one of: ${searchService.PRICE_BANDS.join(', ')}`),
+  query('organic').optional().isIn(['true', 'false']).withMessage('organic must be true or false'),
+  query('inSeason').optional().isIn(['true', 'false']).withMessage('inSeason must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * @route   GET /api/v1/search
+ * @desc    Relevance-ranked listing/product search (Bangla or English, typo tolerant) with facet counts
+ * @access  Public
+ */
+router.get('/', searchValidation, search);
+
+module.exports = router;
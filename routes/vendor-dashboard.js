@@ -23,7 +23,11 @@ const {
   getSalesReports,
   getSeasonalTrends,
   getFinancialSummary,
-  getNotifications
+  getNotifications,
+  getOrderInvoice,
+  getOrderChallan,
+  getReceivablesAging,
+  getBuyerLedger
 } = require('../controllers/vendorDashboardController');
 
 // Import listing controllers for vendor-specific operations
@@ -35,10 +39,11 @@ const {
   getListing,
 } = require("../controllers/listingsController");
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const { requireVendorApproval } = require('../middleware/approval');
 const { uploadListingImages, uploadListingMediaFiles } = require('../middleware/upload');
-const { query, body } = require('express-validator');
+const { query, body, param } = require('express-validator');
+const { mongoIdValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -366,30 +371,31 @@ const dateRangeValidation = [
 /**
  * @route   GET /api/v1/vendor-dashboard/overview
  * @desc    Get vendor dashboard overview with key metrics
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
-router.get('/overview', dateRangeValidation, getDashboardOverview);
+router.get('/overview', requirePermission('view_analytics'), dateRangeValidation, getDashboardOverview);
 
 /**
  * @route   GET /api/v1/vendor-dashboard/revenue
  * @desc    Get revenue analytics and trends
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
-router.get('/revenue', dateRangeValidation, getRevenueAnalytics);
+router.get('/revenue', requirePermission('view_analytics'), dateRangeValidation, getRevenueAnalytics);
 
 /**
  * @route   GET /api/v1/vendor-dashboard/orders
  * @desc    Get order analytics (volume, status distribution, trends)
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
-router.get('/orders', dateRangeValidation, getOrderAnalytics);
+router.get('/orders', requirePermission('view_analytics'), dateRangeValidation, getOrderAnalytics);
 
 /**
  * @route   GET /api/v1/vendor-dashboard/products
  * @desc    Get product performance analytics
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
-router.get('/products', 
+router.get('/products',
+  requirePermission('view_analytics'),
   [
     ...dateRangeValidation,
     query('sort')
@@ -407,9 +413,9 @@ router.get('/products',
 /**
  * @route   GET /api/v1/vendor-dashboard/customers
  * @desc    Get customer insights and analytics
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
-router.get('/customers', dateRangeValidation, getCustomerInsights);
+router.get('/customers', requirePermission('view_analytics'), dateRangeValidation, getCustomerInsights);
 
 /**
  * @note    Inventory endpoint removed - use /api/v1/inventory directly
@@ -420,9 +426,10 @@ router.get('/customers', dateRangeValidation, getCustomerInsights);
 /**
  * @route   GET /api/v1/vendor-dashboard/order-management
  * @desc    Get orders for management (pending, processing, etc.)
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_orders)
  */
 router.get('/order-management',
+  requirePermission('view_orders'),
   [
     query('status')
       .optional()
@@ -440,12 +447,64 @@ router.get('/order-management',
   getOrderManagement
 );
 
+/**
+ * @route   GET /api/v1/vendor-dashboard/orders/:id/invoice
+ * @desc    Download the order invoice as PDF (?disposition=inline to view in browser)
+ * @access  Private (Vendor staff with view_orders)
+ */
+router.get('/orders/:id/invoice', requirePermission('view_orders'), mongoIdValidation('id'), getOrderInvoice);
+
+/**
+ * @route   GET /api/v1/vendor-dashboard/orders/:id/challan
+ * @desc    Download the delivery challan (delivery note) as PDF
+ * @access  Private (Vendor staff with view_orders)
+ */
+router.get('/orders/:id/challan', requirePermission('view_orders'), mongoIdValidation('id'), getOrderChallan);
+
+/**
+ * @route   GET /api/v1/vendor-dashboard/receivables-aging
+ * @desc    Get unpaid delivered orders bucketed by age (0-30, 31-60, 61-90, 90+ days)
+ * @access  Private (Vendor staff with view_finance)
+ */
+router.get('/receivables-aging',
+  requirePermission('view_finance'),
+  [
+    query('asOf')
+      .optional()
+      .isISO8601()
+      .withMessage('As-of date must be a valid ISO 8601 date')
+  ],
+  getReceivablesAging
+);
+
+/**
+ * @route   GET /api/v1/vendor-dashboard/ledger/:buyerId
+ * @desc    Get the running ledger (invoices, payments, credits) with a buyer
+ * @access  Private (Vendor staff with view_finance)
+ */
+router.get('/ledger/:buyerId',
+  requirePermission('view_finance'),
+  [
+    param('buyerId').isMongoId().withMessage('Valid buyer ID is required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  getBuyerLedger
+);
+
 /**
  * @route   GET /api/v1/vendor-dashboard/top-products
  * @desc    Get top performing products
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
 router.get('/top-products',
+  requirePermission('view_analytics'),
   [
     ...dateRangeValidation,
     query('metric')
@@ -463,16 +522,17 @@ router.get('/top-products',
 /**
  * @route   GET /api/v1/vendor-dashboard/sales-reports
  * @desc    Get detailed sales reports
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
-router.get('/sales-reports', dateRangeValidation, getSalesReports);
+router.get('/sales-reports', requirePermission('view_analytics'), dateRangeValidation, getSalesReports);
 
 /**
  * @route   GET /api/v1/vendor-dashboard/seasonal-trends
  * @desc    Get seasonal sales trends and patterns
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
 router.get('/seasonal-trends',
+  requirePermission('view_analytics'),
   [
     query('year')
       .optional()
@@ -485,9 +545,9 @@ router.get('/seasonal-trends',
 /**
  * @route   GET /api/v1/vendor-dashboard/financial-summary
  * @desc    Get financial summary and payment tracking
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_finance)
  */
-router.get('/financial-summary', dateRangeValidation, getFinancialSummary);
+router.get('/financial-summary', requirePermission('view_finance'), dateRangeValidation, getFinancialSummary);
 
 /**
  * @route   GET /api/v1/vendor-dashboard/notifications
@@ -550,9 +610,10 @@ router.get('/listings',
 /**
  * @route   POST /api/v1/vendor-dashboard/listings
  * @desc    Create a new listing (supports both images and videos)
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with manage_listings)
  */
 router.post('/listings',
+  requirePermission('manage_listings'),
   requireVendorApproval("create listings"),
   ...uploadListingMediaFiles(),
   listingValidation,
@@ -569,9 +630,10 @@ router.get('/listings/:id', getListing);
 /**
  * @route   PUT /api/v1/vendor-dashboard/listings/:id
  * @desc    Update a listing (supports both images and videos)
- * @access  Private (Vendor only - own listings)
+ * @access  Private (Vendor staff with manage_listings - own listings)
  */
 router.put('/listings/:id',
+  requirePermission('manage_listings'),
   requireVendorApproval("update listings"),
   ...uploadListingMediaFiles(),
   updateListingValidation,
@@ -581,9 +643,10 @@ router.put('/listings/:id',
 /**
  * @route   DELETE /api/v1/vendor-dashboard/listings/:id
  * @desc    Delete a listing
- * @access  Private (Vendor only - own listings)
+ * @access  Private (Vendor staff with manage_listings - own listings)
  */
 router.delete('/listings/:id',
+  requirePermission('manage_listings'),
   requireVendorApproval("delete listings"),
   deleteListing
 );
@@ -595,9 +658,10 @@ router.delete('/listings/:id',
 /**
  * @route   GET /api/v1/vendor-dashboard/listings/analytics
  * @desc    Get detailed listing performance analytics
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
 router.get('/listings/analytics',
+  requirePermission('view_analytics'),
   [
     query('listingType')
       .optional()
@@ -636,9 +700,10 @@ router.get('/listings/analytics',
 /**
  * @route   GET /api/v1/vendor-dashboard/listings/sales-history
  * @desc    Get sales history by listing type
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
 router.get('/listings/sales-history',
+  requirePermission('view_analytics'),
   [
     query('listingId')
       .optional()
@@ -682,9 +747,10 @@ router.get('/listings/sales-history',
 /**
  * @route   GET /api/v1/vendor-dashboard/listings/revenue-breakdown
  * @desc    Get revenue breakdown by inventory vs non-inventory listings
- * @access  Private (Vendor only)
+ * @access  Private (Vendor staff with view_analytics)
  */
 router.get('/listings/revenue-breakdown',
+  requirePermission('view_analytics'),
   dateRangeValidation,
   async (req, res, next) => {
     try {
@@ -0,0 +1,85 @@
+/**
+ * Script to Migrate Order Number Prefixes
+ *
+ * Order number prefixes used to be stored as free-form Settings keys
+ * (order_number_prefix_vendor_<vendorId>, order_number_prefix_market_<marketId>).
+ * They now live on the vendor and market (orderNumberPrefix). This copies each
+ * valid key onto its vendor or market and removes the key. Safe to run more
+ * than once.
+ *
+ * Usage:
+ *   node scripts/migrate-order-number-prefixes.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Settings = require('../models/Settings');
+const Vendor = require('../models/Vendor');
+const Market = require('../models/Market');
+
+const KEY_PATTERN = /^order_number_prefix_(vendor|market)_([a-f0-9]{24})$/;
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected successfully\n');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const migratePrefixes = async () => {
+  try {
+    console.log('========================================');
+    console.log('Migrate Order Number Prefixes');
+    console.log('========================================\n');
+
+    const settings = await Settings.find({ key: { $regex: '^order_number_prefix_(vendor|market)_' } });
+    console.log(`Found ${settings.length} prefix settings\n`);
+
+    let moved = 0;
+    let skipped = 0;
+
+    for (const setting of settings) {
+      const [, type, id] = setting.key.match(KEY_PATTERN) || [];
+      const prefix = String(setting.value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10);
+
+      if (!type || !prefix) {
+        console.log(`⚠️  Skipped ${setting.key}: not a valid key or prefix`);
+        skipped++;
+        continue;
+      }
+
+      const Model = type === 'vendor' ? Vendor : Market;
+      const result = await Model.updateOne({ _id: id }, { $set: { orderNumberPrefix: prefix } });
+
+      if (result.matchedCount === 0) {
+        console.log(`⚠️  Skipped ${setting.key}: ${type} not found`);
+        skipped++;
+        continue;
+      }
+
+      await Settings.deleteOne({ _id: setting._id });
+      console.log(`Moved ${setting.key} → ${type} ${id} (${prefix})`);
+      moved++;
+    }
+
+    console.log('\n========================================');
+    console.log(`✅ Moved ${moved} prefixes, skipped ${skipped}`);
+    console.log('========================================\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migrating order number prefixes failed:', error);
+    process.exit(1);
+  }
+};
+
+const runScript = async () => {
+  await connectDB();
+  await migratePrefixes();
+  mongoose.connection.close();
+};
+
+runScript();
@@ -0,0 +1,66 @@
+/**
+ * Script to Seed Price History
+ *
+ * Records a first price snapshot for every listing on sale that has none yet,
+ * so daily price statistics cover listings created before price history was
+ * recorded. Safe to run more than once: listings whose price hasn't changed
+ * since their last snapshot are skipped.
+ *
+ * Usage:
+ *   node scripts/seed-price-history.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Listing = require('../models/Listing');
+const PriceHistoryService = require('../services/priceHistoryService');
+
+const BATCH_SIZE = 200;
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected successfully\n');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const seedPriceHistory = async () => {
+  try {
+    console.log('========================================');
+    console.log('Seed Price History');
+    console.log('========================================\n');
+
+    const listingIds = (await Listing.find({ status: 'active' }).select('_id').lean())
+      .map(listing => listing._id);
+    console.log(`Found ${listingIds.length} active listings\n`);
+
+    let recorded = 0;
+    for (let start = 0; start < listingIds.length; start += BATCH_SIZE) {
+      recorded += await PriceHistoryService.recordListingPrices(
+        listingIds.slice(start, start + BATCH_SIZE),
+        'baseline'
+      );
+      console.log(`Processed ${Math.min(start + BATCH_SIZE, listingIds.length)}/${listingIds.length}`);
+    }
+
+    console.log('\n========================================');
+    console.log(`✅ Recorded ${recorded} price snapshots`);
+    console.log('========================================\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('Seeding price history failed:', error);
+    process.exit(1);
+  }
+};
+
+const runScript = async () => {
+  await connectDB();
+  await seedPriceHistory();
+  mongoose.connection.close();
+};
+
+runScript();
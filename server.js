@@ -110,10 +110,34 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, async () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
   
-  // MVP CONFIGURATION: Real-time features disabled for simplicity
+  // MVP CONFIGURATION:
   // - SLA Monitoring: Disabled by default (enable with ENABLE_SLA_MONITORING=true)
-  // - Notifications: Database-based only, no push notifications or WebSockets
-  // - Dashboard Updates: HTTP polling only, no real-time streaming
+  // - Real-time updates: Server-Sent Events at /api/v1/realtime/stream
+  //   (notifications, order status changes and stock changes; see services/realtimeService.js)
+
+  // Release stock held by orders nobody confirmed in time
+  // (set ENABLE_RESERVATION_EXPIRY=false to disable)
+  if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_RESERVATION_EXPIRY !== 'false') {
+    require('./services/stockReservationService').start();
+  }
+
+  // Generate orders from recurring standing orders
+  // (set ENABLE_STANDING_ORDERS=false to disable)
+  if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_STANDING_ORDERS !== 'false') {
+    require('./services/standingOrderService').start();
+  }
+
+  // Send queued email/SMS/push notifications, retrying failures
+  // (set ENABLE_NOTIFICATION_DELIVERY=false to disable)
+  if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_NOTIFICATION_DELIVERY !== 'false') {
+    require('./services/deliveryDispatcher').start();
+  }
+
+  // Build and email opted-in daily/weekly digests at each user's send time
+  // (set ENABLE_DIGESTS=false to disable)
+  if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_DIGESTS !== 'false') {
+    require('./services/digestService').start();
+  }
 
   // Initialize SLA Monitoring Service (disabled for MVP)
   if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_SLA_MONITORING === 'true') {
@@ -139,7 +163,8 @@ const server = app.listen(PORT, async () => {
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
-  // Close server & exit process
+  // Close open event streams so the server can close, then exit process
+  require('./services/realtimeService').closeAll();
   server.close(() => {
     process.exit(1);
   });
@@ -0,0 +1,233 @@
+const Market = require('../models/Market');
+const Vendor = require('../models/Vendor');
+const Buyer = require('../models/Buyer');
+const Listing = require('../models/Listing');
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/error');
+const { convertQuantity } = require('../utils/units');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Largest delivery radius a vendor can set (Vendor.deliveryRadius max)
+const MAX_DELIVERY_RADIUS_KM = 100;
+
+const DEFAULT_DELIVERY_FEE = 50;
+const DEFAULT_DELIVERY_FEE_PER_KM = 10;
+
+const hasCoordinates = (coordinates) => Array.isArray(coordinates) && coordinates.length === 2;
+
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+class DeliveryAreaService {
+  static get MAX_DELIVERY_RADIUS_KM() {
+    return MAX_DELIVERY_RADIUS_KM;
+  }
+
+  /**
+   * Where to search from: lat/lng in the query, else the buyer's saved address
+   * @returns {Promise<{coordinates: Number[], source: String}>} coordinates are [longitude, latitude]
+   */
+  static async resolveOrigin(query = {}, user = null) {
+    const origin = await this.findOrigin(query, user);
+    if (origin) {
+      return origin;
+    }
+
+    if (user?.buyerId) {
+      throw new ErrorResponse('Your saved address has no map location. Pass lat and lng, or add coordinates to your address', 400);
+    }
+    throw new ErrorResponse('lat and lng are required', 400);
+  }
+
+  /**
+   * Same as resolveOrigin, but null when there is no location to use
+   */
+  static async findOrigin({ lat, lng } = {}, user = null) {
+    if (lat !== undefined && lng !== undefined) {
+      return { coordinates: [parseFloat(lng), parseFloat(lat)], source: 'coordinates' };
+    }
+
+    if (user?.buyerId) {
+      const buyer = await Buyer.findById(user.buyerId).select('address.coordinates');
+      if (hasCoordinates(buyer?.address?.coordinates)) {
+        return { coordinates: buyer.address.coordinates.slice(), source: 'saved_address' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Great-circle distance in km between two [longitude, latitude] points
+   */
+  static distanceKm([lng1, lat1], [lng2, lat2]) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Delivery pricing from Settings: a flat fee plus a per-km charge
+   */
+  static async getFeeRates() {
+    const [baseFee, perKm, freeDeliveryThreshold] = await Promise.all([
+      Settings.getSetting('delivery_fee', DEFAULT_DELIVERY_FEE),
+      Settings.getSetting('delivery_fee_per_km', DEFAULT_DELIVERY_FEE_PER_KM),
+      Settings.getSetting('free_delivery_threshold', null)
+    ]);
+
+    return { baseFee, perKm, freeDeliveryThreshold };
+  }
+
+  /**
+   * Estimated fee (BDT, whole taka) to deliver an order from a listing.
+   * The vendor's own fee and free-delivery quantity win over the platform
+   * rate; without a distance the platform flat fee is used.
+   * @param {Number|null} distanceKm - Distance to the buyer, if known
+   * @param {Object} rates - From getFeeRates()
+   * @param {Object} listing - Listing (deliveryOptions, pricing)
+   * @param {Number} quantity - Ordered quantity in the listing's unit, if known
+   * @returns {Number|null} null when the listing is pickup only
+   */
+  static estimateDeliveryFee(distanceKm, rates, listing = null, quantity = null) {
+    const delivery = listing?.deliveryOptions?.delivery;
+    if (delivery?.enabled === false) {
+      return null;
+    }
+
+    if (quantity !== null && delivery?.freeDeliveryMinimumQuantity) {
+      const unit = listing.pricing?.[0]?.unit;
+      const minimum = convertQuantity(
+        delivery.freeDeliveryMinimumQuantity,
+        delivery.freeDeliveryMinimumUnit || unit,
+        unit
+      );
+      if (minimum !== null && quantity >= minimum) {
+        return 0;
+      }
+    }
+
+    if (delivery?.fee > 0) {
+      return delivery.fee;
+    }
+
+    return Math.round(rates.baseFee + rates.perKm * (distanceKm || 0));
+  }
+
+  /**
+   * Point a listing ships from: its market, else the vendor's business address
+   * (listing must have marketId and vendorId populated with coordinates)
+   */
+  static shipsFrom(listing) {
+    if (hasCoordinates(listing.marketId?.location?.coordinates)) {
+      return listing.marketId.location.coordinates;
+    }
+    return hasCoordinates(listing.vendorId?.address?.coordinates) ? listing.vendorId.address.coordinates : null;
+  }
+
+  /**
+   * Active markets within maxDistanceKm, nearest first
+   */
+  static async findNearbyMarkets(coordinates, { maxDistanceKm = 25, limit = 20 } = {}) {
+    const markets = await Market.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates },
+          key: 'location.coordinates',
+          distanceField: 'distance',
+          maxDistance: maxDistanceKm * 1000,
+          spherical: true,
+          query: { isActive: true, isAvailable: true, isDeleted: { $ne: true } }
+        }
+      },
+      { $limit: limit },
+      { $project: { name: 1, slug: 1, image: 1, description: 1, location: 1, distance: 1 } }
+    ]);
+
+    return markets.map(({ distance, ...market }) => ({
+      ...market,
+      distanceKm: roundKm(distance / 1000)
+    }));
+  }
+
+  /**
+   * Active listings whose vendor delivers to the given point.
+   * A listing ships from its market; vendors without market coordinates
+   * fall back to their business address. Listings with neither are left out.
+   * @param {Number[]} coordinates - [longitude, latitude]
+   * @param {Object} filters - { productIds, category, marketId }
+   * @param {Object} [rates] - From getFeeRates(); fetched when not given
+   * @returns {Promise<Array>} listings with distanceKm and deliveryFee, nearest first
+   */
+  static async findDeliverableListings(coordinates, filters = {}, rates = null) {
+    const searchRadius = MAX_DELIVERY_RADIUS_KM / EARTH_RADIUS_KM;
+
+    const [markets, vendors] = await Promise.all([
+      Market.find({
+        'location.coordinates': { $geoWithin: { $centerSphere: [coordinates, searchRadius] } },
+        isActive: true
+      }).select('_id'),
+      Vendor.find({
+        'address.coordinates': { $geoWithin: { $centerSphere: [coordinates, searchRadius] } },
+        isActive: true
+      }).select('_id')
+    ]);
+
+    const query = {
+      status: 'active',
+      $or: [
+        { marketId: { $in: markets.map(market => market._id) } },
+        { vendorId: { $in: vendors.map(vendor => vendor._id) } }
+      ]
+    };
+    if (filters.productIds) query.productId = { $in: filters.productIds };
+    if (filters.marketId) query.marketId = filters.marketId;
+
+    const [listings, feeRates] = await Promise.all([
+      Listing.find(query)
+        .populate({
+          path: 'productId',
+          select: 'name description category images',
+          populate: { path: 'category', select: 'name' }
+        })
+        .populate('vendorId', 'businessName rating deliveryRadius address.coordinates isActive')
+        .populate('marketId', 'name location.address location.coordinates')
+        .select('productId vendorId marketId pricing qualityGrade availability images createdAt rating deliveryOptions')
+        .lean(),
+      rates || this.getFeeRates()
+    ]);
+
+    const results = [];
+    for (const listing of listings) {
+      const vendor = listing.vendorId;
+      if (!vendor?.isActive || !listing.productId) continue;
+      if (filters.category && listing.productId.category?._id?.toString() !== String(filters.category)) continue;
+
+      const from = this.shipsFrom(listing);
+      if (!from) continue;
+
+      const distanceKm = this.distanceKm(coordinates, from);
+      if (distanceKm > vendor.deliveryRadius) continue;
+
+      results.push({
+        ...listing,
+        vendorId: {
+          _id: vendor._id,
+          businessName: vendor.businessName,
+          rating: vendor.rating,
+          deliveryRadius: vendor.deliveryRadius
+        },
+        distanceKm: roundKm(distanceKm),
+        deliveryFee: this.estimateDeliveryFee(distanceKm, feeRates, listing)
+      });
+    }
+
+    return results.sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+}
+
+module.exports = DeliveryAreaService;
@@ -0,0 +1,419 @@
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const EmailTemplateService = require('./emailTemplateService');
+const { sendEmail } = require('../utils/email');
+const { sendSms } = require('../utils/sms');
+const { sendPush } = require('../utils/push');
+
+// Channels delivered through the outbox; in-app is delivered by being stored
+// (its entry is recorded as sent straight away)
+const EXTERNAL_CHANNELS = ['email', 'sms', 'push'];
+
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const LOCK_MINUTES = 5;
+const MAX_PER_RUN = 200;
+
+/**
+ * A failure retrying won't fix (e.g. the recipient has no email address)
+ */
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+class DeliveryDispatcher {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.intervalId = null;
+    this.checkInterval = 60 * 1000; // Check every minute (in milliseconds)
+  }
+
+  /**
+   * Start the outbox worker
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Notification delivery dispatcher is already running');
+      return;
+    }
+
+    console.log('Starting notification delivery dispatcher...');
+    this.isRunning = true;
+
+    // Run initial pass
+    this.processDue();
+
+    // Schedule regular passes
+    this.intervalId = setInterval(() => {
+      this.processDue();
+    }, this.checkInterval);
+
+    console.log(`Notification delivery dispatcher started. Checking every ${this.checkInterval / 1000} seconds.`);
+  }
+
+  /**
+   * Stop the outbox worker
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log('Notification delivery dispatcher is not running');
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+    console.log('Notification delivery dispatcher stopped');
+  }
+
+  maxAttempts() {
+    return parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Record a delivery entry per channel: in-app as sent (it is in the inbox),
+   * external channels queued in the outbox. Sets the notification's status.
+   * @returns {Promise<Array>} Created delivery entries
+   */
+  async enqueue(notification) {
+    if (notification.deliveryChannel.length === 0) {
+      return [];
+    }
+
+    const now = new Date();
+    const entries = await NotificationDelivery.insertMany(notification.deliveryChannel.map(channel => (
+      EXTERNAL_CHANNELS.includes(channel)
+        ? {
+          notificationId: notification._id,
+          recipient: notification.recipient,
+          channel,
+          maxAttempts: this.maxAttempts()
+        }
+        : {
+          notificationId: notification._id,
+          recipient: notification.recipient,
+          channel,
+          status: 'sent',
+          attempts: 1,
+          sentAt: now
+        }
+    )));
+
+    const status = await this.refreshNotificationStatus(notification._id);
+    if (status) {
+      notification.set(status);
+    }
+
+    // Try right away; the interval picks up anything left behind
+    if (this.isRunning && entries.some(entry => entry.status === 'pending')) {
+      setImmediate(() => this.processDue());
+    }
+
+    return entries;
+  }
+
+  /**
+   * Claim the next due entry. Entries whose worker died mid-send are
+   * picked up again once their lock runs out.
+   */
+  claimNext() {
+    const now = new Date();
+
+    return NotificationDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000)
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Work through due outbox entries
+   */
+  async processDue() {
+    if (this.isProcessing) {
+      return { processed: 0 };
+    }
+
+    this.isProcessing = true;
+    let processed = 0;
+
+    try {
+      while (processed < MAX_PER_RUN) {
+        const entry = await this.claimNext();
+        if (!entry) break;
+
+        await this.attempt(entry);
+        processed++;
+      }
+    } catch (error) {
+      console.error('Error processing notification outbox:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Send one outbox entry and record the outcome
+   */
+  async attempt(entry) {
+    try {
+      const notification = await Notification.findById(entry.notificationId);
+      if (!notification) {
+        throw permanentError('Notification no longer exists');
+      }
+
+      const user = await User.findById(entry.recipient).select('name email phone isActive preferredLanguage');
+      if (!user || !user.isActive) {
+        throw permanentError('Recipient is missing or deactivated');
+      }
+
+      const result = await this.send(entry.channel, notification, user);
+
+      await NotificationDelivery.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: 'sent',
+            sentAt: new Date(),
+            provider: result.provider,
+            providerMessageId: result.messageId
+          },
+          $unset: { lockedUntil: 1, lastError: 1 }
+        }
+      );
+    } catch (error) {
+      await this.recordFailure(entry, error);
+    }
+
+    await this.refreshNotificationStatus(entry.notificationId);
+  }
+
+  /**
+   * Hand a notification to the channel's provider
+   * @returns {Promise<{provider: string, messageId: string}>}
+   */
+  async send(channel, notification, user) {
+    switch (channel) {
+      case 'email':
+        if (!user.email) {
+          throw permanentError('Recipient has no email address');
+        }
+        return sendEmail({
+          email: user.email,
+          ...this.emailContent(notification, user),
+          language: EmailTemplateService.languageFor(user),
+          notification: true
+        });
+
+      case 'sms':
+        if (!user.phone) {
+          throw permanentError('Recipient has no phone number');
+        }
+        return sendSms({ phone: user.phone, message: `${notification.title}: ${notification.message}` });
+
+      case 'push':
+        return this.sendPushToUser(notification, user);
+
+      default:
+        throw permanentError(`Unknown delivery channel "${channel}"`);
+    }
+  }
+
+  /**
+   * Template and variables for a notification email: the template the
+   * notification was created with, else the generic notification template
+   */
+  emailContent(notification, user) {
+    const emailTemplate = notification.metadata?.emailTemplate;
+
+    if (!emailTemplate) {
+      return {
+        template: 'notification',
+        data: {
+          title: notification.title,
+          message: notification.message,
+          actionUrl: notification.actionUrl,
+          actionText: notification.actionText
+        }
+      };
+    }
+
+    if (!EmailTemplateService.TEMPLATES.includes(emailTemplate.name)) {
+      throw permanentError(`Email template "${emailTemplate.name}" does not exist`);
+    }
+
+    return {
+      template: emailTemplate.name,
+      data: { recipientName: user.name, actionUrl: notification.actionUrl, ...emailTemplate.data }
+    };
+  }
+
+  /**
+   * Push to every browser the user subscribed; subscriptions the push
+   * service reports as gone (404/410) are removed
+   */
+  async sendPushToUser(notification, user) {
+    const subscriptions = await PushSubscription.find({ userId: user._id });
+    if (subscriptions.length === 0) {
+      throw permanentError('Recipient has no push subscriptions');
+    }
+
+    const payload = {
+      title: notification.title,
+      body: notification.message,
+      url: notification.actionUrl,
+      notificationId: notification._id,
+      type: notification.type
+    };
+
+    let delivered = null;
+    let lastError = null;
+
+    for (const subscription of subscriptions) {
+      try {
+        delivered = await sendPush({
+          subscription: { endpoint: subscription.endpoint, keys: subscription.keys },
+          payload
+        });
+        await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastUsedAt: new Date() } });
+      } catch (error) {
+        if ([404, 410].includes(error.statusCode)) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+        } else {
+          lastError = error;
+        }
+      }
+    }
+
+    if (delivered) {
+      return delivered;
+    }
+    throw lastError || permanentError('All push subscriptions have expired');
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the entry
+   */
+  async recordFailure(entry, error) {
+    const message = error.message || String(error);
+
+    if (error.permanent || entry.attempts >= entry.maxAttempts) {
+      await NotificationDelivery.updateOne(
+        { _id: entry._id },
+        {
+          $set: { status: 'dead', deadLetteredAt: new Date(), lastError: message },
+          $unset: { lockedUntil: 1 }
+        }
+      );
+      console.error(`Notification delivery ${entry._id} (${entry.channel}) dead-lettered: ${message}`);
+      return;
+    }
+
+    // 30s, 1m, 2m, 4m... capped, with +/-20% jitter so failures don't retry in lockstep
+    const delaySeconds = Math.min(BASE_RETRY_SECONDS * 2 ** (entry.attempts - 1), MAX_RETRY_SECONDS);
+    const jitter = 0.8 + Math.random() * 0.4;
+
+    await NotificationDelivery.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: 'retrying',
+          nextAttemptAt: new Date(Date.now() + delaySeconds * jitter * 1000),
+          lastError: message
+        },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * Derive Notification.deliveryStatus from its per-channel entries: delivered
+   * when every channel was sent, failed when every one was dead-lettered,
+   * partial when they all finished with a mix, pending otherwise.
+   * deliveredAt is the first success. Read stays read.
+   * @returns {Promise<Object|null>} The fields set, or null if nothing changed
+   */
+  async refreshNotificationStatus(notificationId) {
+    try {
+      const entries = await NotificationDelivery.find({ notificationId }).select('status sentAt');
+      if (entries.length === 0) {
+        return null;
+      }
+
+      const sentTimes = entries.filter(entry => entry.status === 'sent').map(entry => entry.sentAt);
+      const dead = entries.filter(entry => entry.status === 'dead').length;
+
+      let deliveryStatus = 'pending';
+      if (sentTimes.length === entries.length) {
+        deliveryStatus = 'delivered';
+      } else if (dead === entries.length) {
+        deliveryStatus = 'failed';
+      } else if (sentTimes.length + dead === entries.length) {
+        deliveryStatus = 'partial';
+      }
+
+      const fields = {
+        deliveryStatus,
+        deliveredAt: sentTimes.length > 0 ? new Date(Math.min(...sentTimes)) : undefined
+      };
+
+      const result = await Notification.updateOne(
+        { _id: notificationId, deliveryStatus: { $ne: 'read' } },
+        fields.deliveredAt
+          ? { $set: fields }
+          : { $set: { deliveryStatus }, $unset: { deliveredAt: 1 } }
+      );
+
+      return result.matchedCount > 0 ? fields : null;
+    } catch (error) {
+      console.error('Error updating notification delivery status:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Put a dead-lettered entry back in the queue
+   */
+  async retry(deliveryId) {
+    const entry = await NotificationDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'dead' },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { deadLetteredAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (entry) {
+      await this.refreshNotificationStatus(entry.notificationId);
+
+      if (this.isRunning) {
+        setImmediate(() => this.processDue());
+      }
+    }
+
+    return entry;
+  }
+}
+
+// Create singleton instance
+const deliveryDispatcher = new DeliveryDispatcher();
+
+module.exports = deliveryDispatcher;
@@ -0,0 +1,486 @@
+const Order = require('../models/Order');
+const Budget = require('../models/Budget');
+const Listing = require('../models/Listing');
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const Digest = require('../models/Digest');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationService = require('./notificationService');
+const inventoryMonitoringService = require('./inventoryMonitoringService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+// Roles a digest can be built for
+const DIGEST_ROLES = ['buyerOwner', 'buyerManager', 'vendor'];
+
+// How far back "usual products" are looked for, and how many are checked
+const USUAL_PRODUCTS_DAYS = 60;
+const USUAL_PRODUCTS_LIMIT = 20;
+
+// Rows listed per section; totals still cover everything
+const SECTION_LIMIT = 10;
+
+// Vendor digest sections and the staff permission each needs (same as the dashboard routes)
+const VENDOR_SECTION_PERMISSIONS = {
+  newOrders: 'view_orders',
+  stockAlerts: 'manage_inventory',
+  overduePayments: 'view_finance',
+  ratings: 'view_analytics'
+};
+const MAX_PER_RUN = 100;
+
+const orderRow = (order, counterparty) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  counterparty,
+  totalAmount: order.totalAmount,
+  status: order.status
+});
+
+/**
+ * Count and value of orders plus the first few rows; cancelled orders are
+ * listed but don't count towards the total
+ */
+const summarizeOrders = (orders, counterpartyOf) => {
+  const byStatus = {};
+  orders.forEach(order => { byStatus[order.status] = (byStatus[order.status] || 0) + 1; });
+
+  return {
+    count: orders.length,
+    totalAmount: orders
+      .filter(order => order.status !== 'cancelled')
+      .reduce((total, order) => total + (order.totalAmount || 0), 0),
+    byStatus,
+    items: orders.slice(0, SECTION_LIMIT).map(order => orderRow(order, counterpartyOf(order)))
+  };
+};
+
+class DigestService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.intervalId = null;
+    this.checkInterval = 5 * 60 * 1000; // Check every 5 minutes (in milliseconds)
+  }
+
+  /**
+   * Start the digest scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Digest service is already running');
+      return;
+    }
+
+    console.log('Starting digest service...');
+    this.isRunning = true;
+
+    // Run initial check
+    this.processDueDigests();
+
+    // Schedule regular checks
+    this.intervalId = setInterval(() => {
+      this.processDueDigests();
+    }, this.checkInterval);
+
+    console.log(`Digest service started. Checking every ${this.checkInterval / 1000 / 60} minutes.`);
+  }
+
+  /**
+   * Stop the digest scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log('Digest service is not running');
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+    console.log('Digest service stopped');
+  }
+
+  /**
+   * Build and send every digest whose send time has come
+   */
+  async processDueDigests() {
+    if (this.isProcessing) {
+      return { checked: 0 };
+    }
+
+    this.isProcessing = true;
+    const summary = { checked: 0, queued: 0, skipped: 0, failed: 0 };
+
+    try {
+      const due = await NotificationPreference.find({
+        'digest.frequency': { $in: ['daily', 'weekly'] },
+        'digest.nextSendAt': { $lte: new Date() }
+      })
+        .sort({ 'digest.nextSendAt': 1 })
+        .limit(MAX_PER_RUN);
+
+      summary.checked = due.length;
+
+      for (const preference of due) {
+        try {
+          const digest = await this.runScheduledDigest(preference);
+          if (digest) {
+            summary[digest.status]++;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`Failed to build digest for user ${preference.userId}:`, error.message);
+        }
+      }
+
+      if (summary.checked > 0) {
+        console.log(`Digests processed: ${summary.queued} sent, ${summary.skipped} empty, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error processing digests:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Claim one due digest by moving its next send time forward, then build it.
+   * A period missed by more than a whole interval (scheduler down) is skipped
+   * rather than sent late; the next one goes out on time.
+   * @returns {Promise<Object|null>} The stored digest, or null if another worker claimed it or it was stale
+   */
+  async runScheduledDigest(preference) {
+    const scheduledAt = preference.digest.nextSendAt;
+    const now = new Date();
+
+    const claimed = await NotificationPreference.findOneAndUpdate(
+      { _id: preference._id, 'digest.nextSendAt': scheduledAt },
+      { $set: { 'digest.nextSendAt': preference.nextDigestTime(now), 'digest.lastSentAt': now } }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const frequency = preference.digest.frequency;
+    const intervalMs = PERIOD_DAYS[frequency] * DAY_MS;
+    if (now.getTime() - scheduledAt.getTime() > intervalMs) {
+      return null;
+    }
+
+    const user = await User.findById(preference.userId).select('name role vendorRole buyerId vendorId isActive');
+    if (!user || !user.isActive || !DIGEST_ROLES.includes(user.role)) {
+      return null;
+    }
+
+    const periodEnd = scheduledAt;
+    const periodStart = new Date(periodEnd.getTime() - intervalMs);
+
+    return this.generateDigest(user, { frequency, periodStart, periodEnd });
+  }
+
+  /**
+   * Build, store and (unless there is nothing to report) email a digest
+   * @returns {Promise<Object|null>} The stored digest, or null if this period was already done
+   */
+  async generateDigest(user, { frequency, periodStart, periodEnd }) {
+    const { audience, sections, isEmpty } = await this.buildDigest(user, { periodStart, periodEnd });
+
+    let digest;
+    try {
+      digest = await Digest.create({
+        userId: user._id,
+        audience,
+        buyerId: user.buyerId,
+        vendorId: user.vendorId,
+        frequency,
+        periodStart,
+        periodEnd,
+        sections,
+        status: isEmpty ? 'skipped' : 'queued'
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    if (isEmpty) {
+      return digest;
+    }
+
+    try {
+      const notification = await NotificationService.createNotification({
+        recipientId: user._id,
+        recipientType: user.role,
+        type: 'digest',
+        title: frequency === 'weekly' ? 'Your weekly summary' : 'Your daily summary',
+        message: this.headline(audience, sections),
+        priority: 'low',
+        actionUrl: audience === 'vendor' ? '/vendor-dashboard' : '/buyer-dashboard',
+        metadata: { digestId: digest._id },
+        deliveryChannel: ['email'],
+        emailTemplate: {
+          name: 'digest',
+          data: { audience, frequency, periodStart, periodEnd, ...sections }
+        }
+      });
+
+      digest.notificationId = notification?._id;
+    } catch (error) {
+      digest.status = 'failed';
+      digest.error = error.message;
+    }
+
+    await digest.save();
+    return digest;
+  }
+
+  /**
+   * Digest content for a user without storing or sending it
+   * @returns {Promise<{audience: String, sections: Object, isEmpty: Boolean}>}
+   */
+  async buildDigest(user, { periodStart, periodEnd }) {
+    if (user.role === 'vendor') {
+      const sections = await this.buildVendorSections(user, { periodStart, periodEnd });
+      return {
+        audience: 'vendor',
+        sections,
+        isEmpty: !sections.newOrders?.count &&
+          !sections.stockAlerts?.total &&
+          !sections.overduePayments?.count &&
+          !sections.ratings?.count
+      };
+    }
+
+    // req.user has buyerId populated (preview); aggregates need the bare id
+    const sections = await this.buildBuyerSections(user.buyerId._id, { periodStart, periodEnd });
+    return {
+      audience: 'buyer',
+      sections,
+      isEmpty: sections.orders.count === 0 &&
+        sections.priceChanges.length === 0 &&
+        sections.pendingApprovals.count === 0
+    };
+  }
+
+  /**
+   * Orders placed in the period, spending against the current budget,
+   * price moves on regularly ordered listings and orders awaiting an owner
+   */
+  async buildBuyerSections(buyerId, { periodStart, periodEnd }) {
+    const [orders, budget, priceChanges, pendingApprovals] = await Promise.all([
+      Order.find({ buyerId, createdAt: { $gte: periodStart, $lt: periodEnd } })
+        .populate('vendorId', 'businessName')
+        .sort({ createdAt: -1 }),
+      this.budgetStatus(buyerId),
+      this.priceChanges(buyerId),
+      Order.find({
+        buyerId,
+        status: 'pending_approval',
+        'ownerApproval.required': true,
+        approvedBy: null
+      })
+        .populate('vendorId', 'businessName')
+        .sort({ createdAt: 1 })
+    ]);
+
+    return {
+      orders: summarizeOrders(orders, order => order.vendorId?.businessName),
+      budget,
+      priceChanges,
+      pendingApprovals: {
+        count: pendingApprovals.length,
+        items: pendingApprovals.slice(0, SECTION_LIMIT)
+          .map(order => orderRow(order, order.vendorId?.businessName))
+      }
+    };
+  }
+
+  /**
+   * Spending so far against the buyer's active budget (monthly first)
+   */
+  async budgetStatus(buyerId) {
+    let budget = null;
+    for (const period of ['monthly', 'quarterly', 'yearly']) {
+      budget = await Budget.getCurrentBudget(buyerId, period);
+      if (budget) break;
+    }
+    if (!budget) {
+      return null;
+    }
+
+    const { start, end } = budget.getPeriodRange();
+    const [spending] = await Order.aggregate([
+      {
+        $match: {
+          buyerId: budget.buyerId,
+          createdAt: { $gte: start, $lte: end },
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $group: { _id: null, totalSpent: { $sum: '$totalAmount' } } }
+    ]);
+
+    const spent = spending?.totalSpent || 0;
+    return {
+      period: budget.budgetPeriod,
+      budget: budget.totalBudgetLimit,
+      spent,
+      percentageUsed: budget.totalBudgetLimit > 0 ? Math.round(spent / budget.totalBudgetLimit * 100) : 0,
+      overageAmount: Math.max(0, spent - budget.totalBudgetLimit)
+    };
+  }
+
+  /**
+   * Listings the buyer orders most whose current price differs from what they last paid
+   */
+  async priceChanges(buyerId) {
+    const since = new Date(Date.now() - USUAL_PRODUCTS_DAYS * DAY_MS);
+
+    const usual = await Order.aggregate([
+      { $match: { buyerId, createdAt: { $gte: since }, status: { $ne: 'cancelled' } } },
+      { $sort: { createdAt: -1 } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.listingId',
+          productName: { $first: '$items.productName' },
+          unit: { $first: '$items.unit' },
+          lastPaid: { $first: '$items.unitPrice' },
+          timesOrdered: { $sum: 1 }
+        }
+      },
+      { $sort: { timesOrdered: -1 } },
+      { $limit: USUAL_PRODUCTS_LIMIT }
+    ]);
+
+    if (usual.length === 0) {
+      return [];
+    }
+
+    const listings = await Listing.find({ _id: { $in: usual.map(item => item._id) } }).select('pricing');
+    const currentPrices = new Map(listings.map(listing => [
+      listing._id.toString(),
+      listing.pricing?.[0]?.pricePerBaseUnit
+    ]));
+
+    return usual
+      .map(item => {
+        const currentPrice = currentPrices.get(item._id.toString());
+        if (!currentPrice || !item.lastPaid || currentPrice === item.lastPaid) {
+          return null;
+        }
+        return {
+          listingId: item._id,
+          productName: item.productName,
+          unit: item.unit,
+          previousPrice: item.lastPaid,
+          currentPrice,
+          changePercent: Math.round((currentPrice - item.lastPaid) / item.lastPaid * 1000) / 10
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+      .slice(0, SECTION_LIMIT);
+  }
+
+  /**
+   * New orders in the period, current stock alerts, unpaid orders past
+   * their due date and ratings received in the period. Staff only get the
+   * sections their role can see on the dashboard.
+   */
+  async buildVendorSections(user, { periodStart, periodEnd }) {
+    const vendorId = user.vendorId;
+    const can = (section) => user.hasPermission(VENDOR_SECTION_PERMISSIONS[section]);
+
+    const [orders, stockAlerts, overdue, rated, vendor] = await Promise.all([
+      can('newOrders') && Order.find({ vendorId, createdAt: { $gte: periodStart, $lt: periodEnd } })
+        .populate('buyerId', 'name')
+        .sort({ createdAt: -1 }),
+      can('stockAlerts') && inventoryMonitoringService.getStockAlerts(vendorId, SECTION_LIMIT),
+      can('overduePayments') && Order.find({
+        vendorId,
+        status: { $nin: ['cancelled', 'refunded'] },
+        'paymentInfo.status': { $in: ['pending', 'partial', 'failed'] },
+        'paymentInfo.dueDate': { $lt: periodEnd }
+      })
+        .populate('buyerId', 'name')
+        .sort({ 'paymentInfo.dueDate': 1 }),
+      can('ratings') && Order.find({
+        vendorId,
+        'rating.vendorRating.ratedAt': { $gte: periodStart, $lt: periodEnd }
+      })
+        .populate('buyerId', 'name')
+        .select('orderNumber buyerId rating.vendorRating'),
+      can('ratings') && Vendor.findById(vendorId).select('rating')
+    ]);
+
+    const sections = {};
+
+    if (orders) {
+      sections.newOrders = summarizeOrders(orders, order => order.buyerId?.name);
+    }
+
+    if (stockAlerts) {
+      sections.stockAlerts = stockAlerts;
+    }
+
+    if (overdue) {
+      sections.overduePayments = {
+        count: overdue.length,
+        totalDue: overdue.reduce((total, order) => total + order.balanceDue, 0),
+        items: overdue.slice(0, SECTION_LIMIT).map(order => ({
+          ...orderRow(order, order.buyerId?.name),
+          balanceDue: order.balanceDue,
+          dueDate: order.paymentInfo.dueDate
+        }))
+      };
+    }
+
+    if (rated) {
+      const scores = rated.map(order => order.rating.vendorRating.score).filter(Boolean);
+      sections.ratings = {
+        count: scores.length,
+        averageScore: scores.length > 0
+          ? Math.round(scores.reduce((total, score) => total + score, 0) / scores.length * 10) / 10
+          : null,
+        overallAverage: vendor?.rating?.average || 0,
+        items: rated.slice(0, SECTION_LIMIT).map(order => ({
+          orderNumber: order.orderNumber,
+          buyerName: order.buyerId?.name,
+          score: order.rating.vendorRating.score,
+          comment: order.rating.vendorRating.comment
+        }))
+      };
+    }
+
+    return sections;
+  }
+
+  /**
+   * One-line summary used as the notification message
+   */
+  headline(audience, sections) {
+    if (audience === 'vendor') {
+      return [
+        sections.newOrders && `${sections.newOrders.count} new orders`,
+        sections.stockAlerts && `${sections.stockAlerts.total} stock alerts`,
+        sections.overduePayments && `${sections.overduePayments.count} overdue payments`,
+        sections.ratings && `${sections.ratings.count} new ratings`
+      ].filter(Boolean).join(', ');
+    }
+    return `${sections.orders.count} orders, ${sections.priceChanges.length} price changes, ` +
+      `${sections.pendingApprovals.count} orders awaiting approval`;
+  }
+}
+
+// Create singleton instance
+const digestService = new DigestService();
+
+module.exports = digestService;
@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const NotificationService = require('./notificationService');
+const LedgerService = require('./ledgerService');
+const { ErrorResponse } = require('../middleware/error');
+
+class DisputeService {
+  /**
+   * Open a dispute on specific lines of a delivered order
+   * @param {Object} order - Order document
+   * @param {Object} user - Acting buyer user (req.user)
+   * @param {Object} data - { items, description, photos }
+   */
+  static async openDispute(order, user, { items, description, photos = [] }) {
+    if (!order.canBeDisputed()) {
+      throw new ErrorResponse(
+        order.status !== 'delivered'
+          ? 'Only delivered orders can be disputed'
+          : 'Receipt has already been confirmed for this order',
+        409,
+        { currentStatus: order.status, receiptConfirmedAt: order.receipt?.confirmedAt }
+      );
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ErrorResponse('At least one disputed item is required', 400);
+    }
+
+    // Lines already under an open dispute cannot be disputed twice
+    const openDisputes = await Dispute.find({
+      orderId: order._id,
+      status: { $in: ['open', 'escalated'] }
+    }).select('items.orderItemId');
+    const lockedItemIds = new Set(
+      openDisputes.flatMap(dispute => dispute.items.map(item => item.orderItemId.toString()))
+    );
+
+    const disputeItems = items.map(line => {
+      const orderItem = order.items.id(line.orderItemId);
+      if (!orderItem) {
+        throw new ErrorResponse(`Order item ${line.orderItemId} not found in this order`, 400);
+      }
+      if (lockedItemIds.has(orderItem._id.toString())) {
+        throw new ErrorResponse(`${orderItem.productName} already has an open dispute`, 409);
+      }
+
+      const receivedQuantity = orderItem.deliveredQuantity ?? orderItem.quantity;
+      const quantityAffected = Number(line.quantityAffected);
+      if (!(quantityAffected > 0) || quantityAffected > receivedQuantity) {
+        throw new ErrorResponse(
+          `${orderItem.productName}: Affected quantity must be between 0 and the delivered ${receivedQuantity} ${orderItem.unit}`,
+          400
+        );
+      }
+
+      return {
+        orderItemId: orderItem._id,
+        listingId: orderItem.listingId,
+        productName: orderItem.productName,
+        issueType: line.issueType,
+        quantityAffected,
+        claimedAmount: Math.round(quantityAffected * orderItem.unitPrice * 100) / 100,
+        description: line.description
+      };
+    });
+
+    const session = await mongoose.startSession();
+    let dispute;
+
+    try {
+      await session.withTransaction(async () => {
+        [dispute] = await Dispute.create([{
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          buyerId: order.buyerId,
+          vendorId: order.vendorId,
+          raisedBy: user.id,
+          items: disputeItems,
+          description,
+          photos
+        }], { session });
+
+        order.disputeStatus = 'open';
+        await order.save({ session });
+
+        await AuditLog.logAction({
+          userId: user.id,
+          userRole: user.role,
+          action: 'dispute_opened',
+          entityType: 'Dispute',
+          entityId: dispute._id,
+          description: `Dispute opened on order ${order.orderNumber} (${disputeItems.length} line(s))`,
+          changes: { after: { items: disputeItems } },
+          severity: 'medium',
+          impactLevel: 'minor'
+        }, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    await this.notifyVendor(order, 'Order Disputed',
+      `Buyer opened a dispute on order #${order.orderNumber}`, dispute);
+
+    return dispute;
+  }
+
+  /**
+   * Vendor response: credit, replacement or rejection
+   */
+  static async respondToDispute(dispute, user, { type, creditAmount, notes }) {
+    if (dispute.status !== 'open') {
+      throw new ErrorResponse(
+        `Dispute cannot be answered in its current status (${dispute.status})`,
+        409,
+        { currentStatus: dispute.status }
+      );
+    }
+
+    dispute.vendorResponse = {
+      type,
+      creditAmount: type === 'credit' ? creditAmount : undefined,
+      notes,
+      respondedBy: user.id,
+      respondedAt: new Date()
+    };
+
+    return this.resolveDispute(dispute, user, { outcome: type, creditAmount, notes }, 'dispute_responded');
+  }
+
+  /**
+   * Buyer escalation to admin arbitration
+   */
+  static async escalateDispute(dispute, user, reason) {
+    if (!dispute.canBeEscalated()) {
+      const deadline = dispute.escalationDeadline();
+      throw new ErrorResponse(
+        deadline && !dispute.isFinal() && dispute.status !== 'escalated'
+          ? `The ${Dispute.ESCALATION_WINDOW_DAYS}-day window to escalate this dispute has passed`
+          : `Dispute cannot be escalated in its current status (${dispute.status})`,
+        409,
+        { currentStatus: dispute.status, escalationDeadline: deadline }
+      );
+    }
+
+    const previousStatus = dispute.status;
+    dispute.status = 'escalated';
+    dispute.escalation = {
+      reason,
+      escalatedBy: user.id,
+      escalatedAt: new Date()
+    };
+    await dispute.save();
+
+    await AuditLog.logAction({
+      userId: user.id,
+      userRole: user.role,
+      action: 'dispute_escalated',
+      entityType: 'Dispute',
+      entityId: dispute._id,
+      description: `Dispute on order ${dispute.orderNumber} escalated to admin`,
+      reason,
+      changes: { before: { status: previousStatus }, after: { status: 'escalated' } },
+      severity: 'high',
+      impactLevel: 'moderate'
+    });
+
+    // Keep the order flagged while admin reviews
+    await Order.updateOne({ _id: dispute.orderId }, { disputeStatus: 'open' });
+
+    return dispute;
+  }
+
+  /**
+   * Admin arbitration (final)
+   */
+  static async arbitrateDispute(dispute, user, { outcome, creditAmount, notes }) {
+    if (dispute.isFinal()) {
+      throw new ErrorResponse('Dispute has already been arbitrated', 409, {
+        currentStatus: dispute.status,
+        resolution: dispute.resolution
+      });
+    }
+
+    return this.resolveDispute(dispute, user, { outcome, creditAmount, notes }, 'dispute_arbitrated');
+  }
+
+  /**
+   * Record an outcome and apply any credit difference to the order's paymentInfo
+   */
+  static async resolveDispute(dispute, user, { outcome, creditAmount, notes }, auditAction) {
+    const credit = outcome === 'credit' ? Number(creditAmount) : 0;
+
+    if (outcome === 'credit' && !(credit > 0)) {
+      throw new ErrorResponse('A positive credit amount is required', 400);
+    }
+    if (credit > dispute.totalClaimed) {
+      throw new ErrorResponse(
+        `Credit cannot exceed the claimed amount of ${dispute.totalClaimed}`,
+        400
+      );
+    }
+    if (outcome === 'rejection' && !notes) {
+      throw new ErrorResponse('A reason is required to reject a dispute', 400);
+    }
+
+    // An arbitration may replace an earlier vendor credit; only apply the difference
+    const previousCredit = dispute.resolution?.creditAmount || 0;
+    const previousStatus = dispute.status;
+
+    const session = await mongoose.startSession();
+    let order;
+
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.findById(dispute.orderId).session(session);
+        if (!order) {
+          throw new ErrorResponse('Order for this dispute no longer exists', 404);
+        }
+
+        dispute.status = outcome === 'rejection' ? 'rejected' : 'resolved';
+        dispute.resolution = {
+          outcome,
+          creditAmount: credit,
+          notes,
+          decidedBy: user.id,
+          decidedByRole: user.role === 'admin' ? 'admin' : 'vendor',
+          decidedAt: new Date()
+        };
+        await dispute.save({ session });
+
+        if (credit !== previousCredit) {
+          order.applyCredit(credit - previousCredit);
+        }
+        order.disputeStatus = await this.getOrderDisputeStatus(order._id, session);
+        await order.save({ session });
+
+        if (credit !== previousCredit) {
+          await LedgerService.postCredit(order, dispute, credit - previousCredit, user, session);
+        }
+
+        await AuditLog.logAction({
+          userId: user.id,
+          userRole: user.role,
+          action: auditAction,
+          entityType: 'Dispute',
+          entityId: dispute._id,
+          description: `Dispute on order ${dispute.orderNumber} resolved with ${outcome}`,
+          reason: notes,
+          changes: {
+            before: { status: previousStatus, creditAmount: previousCredit },
+            after: { status: dispute.status, creditAmount: credit, paymentInfo: order.paymentInfo }
+          },
+          severity: credit > 0 ? 'high' : 'medium',
+          impactLevel: credit > 0 ? 'moderate' : 'minor'
+        }, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    const deadline = dispute.escalationDeadline();
+    await this.notifyBuyer(order, 'Dispute Update',
+      `Your dispute on order #${order.orderNumber} was ${dispute.status} (${outcome})` +
+        (deadline ? `. If you don't agree, you can escalate it to admin until ${deadline.toDateString()}` : ''),
+      dispute);
+
+    return { dispute, order };
+  }
+
+  /**
+   * 'open' while any dispute on the order awaits action, otherwise 'resolved'
+   */
+  static async getOrderDisputeStatus(orderId, session = null) {
+    const openCount = await Dispute.countDocuments({
+      orderId,
+      status: { $in: ['open', 'escalated'] }
+    }).session(session);
+
+    return openCount > 0 ? 'open' : 'resolved';
+  }
+
+  static async notifyVendor(order, title, message, dispute) {
+    try {
+      const vendorUser = await User.findVendorOwner(order.vendorId);
+      if (!vendorUser) return;
+
+      await NotificationService.createNotification({
+        recipientId: vendorUser._id,
+        recipientType: 'vendor',
+        type: 'order',
+        title,
+        message,
+        priority: 'high',
+        isActionRequired: true,
+        actionUrl: `/vendor-dashboard/order-management?orderId=${order._id}`,
+        actionText: 'Review Dispute',
+        relatedEntity: {
+          entityType: 'order',
+          entityId: order._id,
+          entityData: { orderNumber: order.orderNumber, disputeId: dispute._id }
+        }
+      });
+    } catch (error) {
+      console.error('Error sending dispute notification to vendor:', error.message);
+    }
+  }
+
+  static async notifyBuyer(order, title, message, dispute) {
+    try {
+      const buyerUser = await User.findById(dispute.raisedBy);
+      if (!buyerUser) return;
+
+      await NotificationService.createNotification({
+        recipientId: buyerUser._id,
+        recipientType: buyerUser.role,
+        type: 'order',
+        title,
+        message,
+        priority: 'medium',
+        actionUrl: `/buyer-dashboard/order-history?orderId=${order._id}`,
+        actionText: 'View Dispute',
+        relatedEntity: {
+          entityType: 'order',
+          entityId: order._id,
+          entityData: { orderNumber: order.orderNumber, disputeId: dispute._id }
+        }
+      });
+    } catch (error) {
+      console.error('Error sending dispute notification to buyer:', error.message);
+    }
+  }
+}
+
+module.exports = DisputeService;
@@ -0,0 +1,249 @@
+const { ErrorResponse } = require('../middleware/error');
+
+const LOCALES = {
+  en: require('../templates/email/en'),
+  bn: require('../templates/email/bn')
+};
+
+const LANGUAGES = Object.keys(LOCALES);
+const DEFAULT_LANGUAGE = 'en';
+
+const BRAND_COLOR = '#006A4E';
+
+const escapeHtml = (text = '') =>
+  String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+
+/**
+ * Number/date/currency formatting for a template language
+ */
+const formatter = (language) => {
+  const locale = language === 'bn' ? 'bn-BD' : 'en-GB';
+  const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const amountFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  return {
+    number: (value) => numberFormat.format(Number(value) || 0),
+    amount: (value) => {
+      const amount = amountFormat.format(Number(value) || 0);
+      return language === 'bn' ? `৳${amount}` : `BDT ${amount}`;
+    },
+    date: (value) => new Date(value).toLocaleDateString(locale, {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    })
+  };
+};
+
+// Sample data for admin previews
+const SAMPLE_DATA = {
+  email_verification: {
+    name: 'Rahim Uddin',
+    verificationUrl: '/verify-email/sample-token',
+    expiresInHours: 24
+  },
+  password_reset: {
+    name: 'Rahim Uddin',
+    resetUrl: '/reset-password/sample-token',
+    expiresInMinutes: 10
+  },
+  order_placed: {
+    recipientName: 'Karim Traders',
+    orderNumber: 'ORD-000123',
+    buyerName: 'Dhanmondi Kitchen',
+    totalAmount: 12500,
+    itemCount: 8,
+    deliveryDate: new Date(),
+    actionUrl: '/vendor-dashboard/order-management'
+  },
+  order_confirmed: {
+    recipientName: 'Dhanmondi Kitchen',
+    orderNumber: 'ORD-000123',
+    vendorName: 'Karim Traders',
+    totalAmount: 12500,
+    deliveryDate: new Date(),
+    actionUrl: '/buyer-dashboard/order-history'
+  },
+  order_delivered: {
+    recipientName: 'Dhanmondi Kitchen',
+    orderNumber: 'ORD-000123',
+    vendorName: 'Karim Traders',
+    totalAmount: 12500,
+    actionUrl: '/buyer-dashboard/order-history'
+  },
+  approval_decision: {
+    recipientName: 'Karim Traders',
+    entityType: 'Vendor',
+    entityName: 'Karim Traders',
+    status: 'rejected',
+    reason: 'Trade license image is unreadable',
+    actionUrl: '/dashboard/profile'
+  },
+  sla_escalation: {
+    type: 'violation',
+    entityType: 'Vendor',
+    entityName: 'Karim Traders',
+    actionType: 'approval',
+    priority: 'high',
+    responseTime: 30,
+    targetTime: 24,
+    exceedanceHours: 6,
+    actionUrl: '/admin/approvals/sample'
+  },
+  budget_warning: {
+    recipientName: 'Dhanmondi Kitchen',
+    period: 'monthly',
+    percentageUsed: 85,
+    spent: 85000,
+    budget: 100000,
+    overageAmount: 0,
+    actionUrl: '/buyer-dashboard/budget'
+  },
+  digest: {
+    recipientName: 'Dhanmondi Kitchen',
+    audience: 'buyer',
+    frequency: 'daily',
+    periodStart: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    periodEnd: new Date(),
+    orders: {
+      count: 2,
+      totalAmount: 18200,
+      items: [
+        { orderNumber: 'ORD-000123', counterparty: 'Karim Traders', totalAmount: 12500, status: 'confirmed' },
+        { orderNumber: 'ORD-000124', counterparty: 'Green Basket', totalAmount: 5700, status: 'pending_approval' }
+      ]
+    },
+    budget: { period: 'monthly', budget: 100000, spent: 85000, percentageUsed: 85, overageAmount: 0 },
+    priceChanges: [
+      { productName: 'Tomato', unit: 'kg', previousPrice: 60, currentPrice: 72, changePercent: 20 }
+    ],
+    pendingApprovals: {
+      count: 1,
+      items: [
+        { orderNumber: 'ORD-000124', counterparty: 'Green Basket', totalAmount: 5700, status: 'pending_approval' }
+      ]
+    },
+    actionUrl: '/buyer-dashboard'
+  },
+  price_alert: {
+    recipientName: 'Dhanmondi Kitchen',
+    productName: 'Tomato',
+    marketName: 'Kawran Bazar',
+    condition: 'below',
+    targetPrice: 40,
+    currentPrice: 38,
+    unit: 'kg',
+    vendorName: 'Karim Traders',
+    actionUrl: '/public/products/sample/price-history'
+  },
+  notification: {
+    title: 'Listing back in stock',
+    message: 'Fresh tomatoes from Karim Traders are available again.',
+    actionUrl: '/listings/sample',
+    actionText: 'View Listing'
+  }
+};
+
+class EmailTemplateService {
+  static get LANGUAGES() {
+    return LANGUAGES;
+  }
+
+  static get TEMPLATES() {
+    return Object.keys(LOCALES[DEFAULT_LANGUAGE].templates);
+  }
+
+  /**
+   * Language to email a user in (their preference, else English)
+   */
+  static languageFor(user) {
+    return LANGUAGES.includes(user?.preferredLanguage) ? user.preferredLanguage : DEFAULT_LANGUAGE;
+  }
+
+  static sampleData(name) {
+    return SAMPLE_DATA[name] || {};
+  }
+
+  /**
+   * Links in templates may be app paths ("/orders/123"); emails need absolute URLs
+   */
+  static absoluteUrl(url) {
+    if (!url || /^https?:\/\//i.test(url)) {
+      return url;
+    }
+    const base = process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3001';
+    return `${base}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  /**
+   * Render a named template to HTML and plain text
+   * @param {String} name - Template name (see TEMPLATES)
+   * @param {Object} data - Template variables
+   * @param {String} language - 'en' or 'bn'; unknown languages fall back to English
+   * @param {Object} options - { notification: true } adds the notification-settings footer
+   * @returns {{subject: String, html: String, text: String, language: String}}
+   */
+  static render(name, data = {}, language = DEFAULT_LANGUAGE, options = {}) {
+    const lang = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+    const locale = LOCALES[lang];
+    const template = locale.templates[name];
+
+    if (!template) {
+      throw new ErrorResponse(`Email template "${name}" does not exist`, 404);
+    }
+
+    const content = template(data, formatter(lang));
+    const paragraphs = content.paragraphs.filter(Boolean);
+    const action = content.action?.url
+      ? { label: content.action.label, url: this.absoluteUrl(content.action.url) }
+      : null;
+    const footer = [locale.layout.footer, options.notification && locale.layout.notificationFooter]
+      .filter(Boolean);
+
+    return {
+      subject: content.subject,
+      html: this.renderHtml({ ...content, paragraphs, action, footer }, lang),
+      text: this.renderText({ ...content, paragraphs, action, footer }),
+      language: lang
+    };
+  }
+
+  static renderHtml({ subject, heading, paragraphs, action, footnote, footer }, language) {
+    const body = [
+      `<h2 style="color: ${BRAND_COLOR}; margin: 0 0 16px;">${escapeHtml(heading)}</h2>`,
+      ...paragraphs.map(paragraph => `<p style="margin: 0 0 12px;">${escapeHtml(paragraph)}</p>`),
+      action && `<p style="margin: 24px 0;"><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 20px; background-color: ${BRAND_COLOR}; color: #ffffff; text-decoration: none; border-radius: 5px;">${escapeHtml(action.label)}</a></p>`,
+      footnote && `<p style="margin: 0 0 12px; color: #666666; font-size: 13px;">${escapeHtml(footnote)}</p>`
+    ].filter(Boolean).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="UTF-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin: 0; padding: 24px; background-color: #f4f6f5; font-family: Arial, 'Noto Sans Bengali', sans-serif; color: #222222;">
+<div style="max-width: 560px; margin: 0 auto; padding: 24px; background-color: #ffffff; border-radius: 8px;">
+<p style="margin: 0 0 24px; font-size: 20px; font-weight: bold; color: ${BRAND_COLOR};">Aaroth Fresh</p>
+${body}
+</div>
+<div style="max-width: 560px; margin: 16px auto 0; color: #888888; font-size: 12px; text-align: center;">
+${footer.map(line => `<p style="margin: 0 0 4px;">${escapeHtml(line)}</p>`).join('\n')}
+</div>
+</body>
+</html>`;
+  }
+
+  static renderText({ heading, paragraphs, action, footnote, footer }) {
+    return [
+      heading,
+      '',
+      ...paragraphs.flatMap(paragraph => [paragraph, '']),
+      ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+      ...(footnote ? [footnote, ''] : []),
+      '--',
+      ...footer
+    ].join('\n');
+  }
+}
+
+module.exports = EmailTemplateService;
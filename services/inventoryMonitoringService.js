@@ -1,5 +1,6 @@
 const VendorInventory = require('../models/VendorInventory');
 const Notification = require('../models/Notification');
+const NotificationService = require('./notificationService');
 const User = require('../models/User');
 
 class InventoryMonitoringService {
@@ -139,12 +140,12 @@ class InventoryMonitoringService {
       const since = new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
       
       // Find vendor's user account
-      const vendorUser = await User.findOne({ vendorId, role: 'vendor' });
+      const vendorUser = await User.findVendorOwner(vendorId);
       if (!vendorUser) return false;
 
       const existingNotification = await Notification.findOne({
-        userId: vendorUser._id,
-        type: 'inventory_alert',
+        recipient: vendorUser._id,
+        type: 'inventory',
         'metadata.alertType': alertType,
         'metadata.inventoryId': inventoryId.toString(),
         createdAt: { $gte: since }
@@ -163,7 +164,7 @@ class InventoryMonitoringService {
   async createInventoryNotification(inventory, alert) {
     try {
       // Find the vendor's user account
-      const vendorUser = await User.findOne({ vendorId: inventory.vendorId._id, role: 'vendor' });
+      const vendorUser = await User.findVendorOwner(inventory.vendorId._id);
       if (!vendorUser) {
         console.log(`No user found for vendor ${inventory.vendorId.businessName}`);
         return;
@@ -174,8 +175,9 @@ class InventoryMonitoringService {
 
       // Create notification based on alert type
       let notificationData = {
-        userId: vendorUser._id,
-        type: 'inventory_alert',
+        recipientId: vendorUser._id,
+        recipientType: 'vendor',
+        type: 'inventory',
         title: this.getAlertTitle(alert.type, productName),
         message: alert.message,
         priority: this.mapSeverityToPriority(alert.severity),
@@ -199,8 +201,9 @@ class InventoryMonitoringService {
         }
       };
 
-      const notification = new Notification(notificationData);
-      await notification.save();
+      // Goes through NotificationService so the vendor's channel preferences apply
+      const notification = await NotificationService.createNotification(notificationData);
+      if (!notification) return null;
 
       console.log(`Created ${alert.type} notification for ${businessName} - ${productName}`);
       return notification;
@@ -342,6 +345,33 @@ class InventoryMonitoringService {
     }
   }
 
+  /**
+   * Items currently flagged low or out of stock for a vendor (worst first)
+   */
+  async getStockAlerts(vendorId, limit = 20) {
+    const query = { vendorId, status: { $in: ['low_stock', 'out_of_stock'] } };
+
+    const [items, total] = await Promise.all([
+      VendorInventory.find(query)
+        .populate('productId', 'name')
+        .sort({ 'currentStock.totalQuantity': 1 })
+        .limit(limit),
+      VendorInventory.countDocuments(query)
+    ]);
+
+    return {
+      total,
+      items: items.map(item => ({
+        inventoryId: item._id,
+        productName: item.productId?.name || 'Product',
+        status: item.status,
+        currentStock: item.currentStock.totalQuantity,
+        unit: item.currentStock.unit,
+        reorderLevel: item.inventorySettings.reorderLevel
+      }))
+    };
+  }
+
   /**
    * Get service status
    */
@@ -0,0 +1,435 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Buyer = require('../models/Buyer');
+const Payment = require('../models/Payment');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const AuditLog = require('../models/AuditLog');
+const { ErrorResponse } = require('../middleware/error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of credit granted by each Buyer.paymentTerms value
+const PAYMENT_TERM_DAYS = {
+  immediate: 0,
+  net7: 7,
+  net15: 15,
+  net30: 30
+};
+
+// Receivables aging buckets by days since the invoice was issued
+const AGING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity }
+];
+
+// Orders a payment can be recorded against (prepayment is allowed once confirmed)
+const PAYABLE_STATUSES = ['confirmed', 'processing', 'ready_for_pickup', 'out_for_delivery', 'delivered'];
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+class LedgerService {
+  /**
+   * Due date for an invoice issued on `fromDate` under the given payment terms
+   */
+  static calculateDueDate(paymentTerms, fromDate = new Date()) {
+    const days = PAYMENT_TERM_DAYS[paymentTerms] ?? 0;
+    return new Date(new Date(fromDate).getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Look up the buyer's payment terms and return the due date
+   */
+  static async resolveDueDate(buyerId, fromDate = new Date(), session = null) {
+    const buyer = await Buyer.findById(buyerId._id || buyerId)
+      .select('paymentTerms')
+      .session(session);
+
+    return this.calculateDueDate(buyer?.paymentTerms, fromDate);
+  }
+
+  /**
+   * Post a ledger entry and move the buyer-vendor balance.
+   * Entries with a `reference` are only ever posted once.
+   */
+  static async postEntry(data, session = null) {
+    if (data.reference) {
+      const existing = await LedgerEntry.findOne({ reference: data.reference }).session(session);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const buyerId = data.buyerId._id || data.buyerId;
+    const vendorId = data.vendorId._id || data.vendorId;
+    const amount = roundMoney(data.amount);
+
+    const account = await LedgerAccount.applyEntry(buyerId, vendorId, data.type, amount, session);
+
+    const [entry] = await LedgerEntry.create([{
+      ...data,
+      buyerId,
+      vendorId,
+      amount,
+      balanceAfter: roundMoney(account.balance)
+    }], { session });
+
+    return entry;
+  }
+
+  /**
+   * Bill a delivered order to the buyer-vendor account
+   */
+  static postInvoice(order, user, session) {
+    return this.postEntry({
+      buyerId: order.buyerId,
+      vendorId: order.vendorId,
+      type: 'invoice',
+      amount: order.totalAmount,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      dueDate: order.paymentInfo?.dueDate,
+      reference: `invoice:${order._id}`,
+      description: `Invoice ${order.invoiceNumber || order.orderNumber}`,
+      createdBy: user?.id
+    }, session);
+  }
+
+  /**
+   * Reverse what a refunded order still owed and return what the buyer paid
+   */
+  static async postRefund(order, fromStatus, user, session) {
+    const entries = [];
+    const payment = order.paymentInfo || {};
+
+    if (fromStatus === 'delivered') {
+      const owed = roundMoney((order.totalAmount || 0) - (payment.creditedAmount || 0));
+      if (owed > 0) {
+        entries.push(await this.postEntry({
+          buyerId: order.buyerId,
+          vendorId: order.vendorId,
+          type: 'invoice_reversal',
+          amount: -owed,
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          reference: `invoice_reversal:${order._id}`,
+          description: `Order ${order.orderNumber} refunded`,
+          createdBy: user?.id
+        }, session));
+      }
+    }
+
+    if (payment.paidAmount > 0) {
+      entries.push(await this.postEntry({
+        buyerId: order.buyerId,
+        vendorId: order.vendorId,
+        type: 'refund',
+        amount: payment.paidAmount,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        reference: `refund:${order._id}`,
+        description: `Payments on order ${order.orderNumber} returned to buyer`,
+        createdBy: user?.id
+      }, session));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Post a dispute credit (negative when an arbitration lowers an earlier credit)
+   */
+  static postCredit(order, dispute, creditDelta, user, session) {
+    return this.postEntry({
+      buyerId: order.buyerId,
+      vendorId: order.vendorId,
+      type: 'credit_note',
+      amount: -creditDelta,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      disputeId: dispute._id,
+      description: `Dispute credit on order ${order.orderNumber}`,
+      createdBy: user?.id
+    }, session);
+  }
+
+  /**
+   * Record a (partial) payment against an order
+   * @param {Object} data - { amount, method, walletProvider, reference, paidAt, notes }
+   * @returns {Promise<{payment: Object, order: Object, ledgerEntry: Object}>}
+   */
+  static async recordPayment(order, user, data) {
+    if (!PAYABLE_STATUSES.includes(order.status)) {
+      throw new ErrorResponse(
+        `Payments cannot be recorded for ${order.status} orders`,
+        409,
+        { currentStatus: order.status }
+      );
+    }
+
+    const amount = roundMoney(Number(data.amount));
+    const balanceDue = roundMoney(order.balanceDue);
+
+    if (!(amount > 0)) {
+      throw new ErrorResponse('Payment amount must be greater than 0', 400);
+    }
+    if (amount > balanceDue) {
+      throw new ErrorResponse(
+        `Payment of ${amount} exceeds the balance due of ${balanceDue}`,
+        400,
+        { balanceDue }
+      );
+    }
+    if (data.method === 'digital_wallet' && !data.walletProvider) {
+      throw new ErrorResponse('Wallet provider is required for digital wallet payments', 400);
+    }
+
+    const paidAt = data.paidAt ? new Date(data.paidAt) : new Date();
+    const paymentSnapshot = order.paymentInfo.toObject();
+
+    const session = await mongoose.startSession();
+    let payment;
+    let ledgerEntry;
+
+    try {
+      await session.withTransaction(async () => {
+        order.paymentInfo = { ...paymentSnapshot };
+
+        [payment] = await Payment.create([{
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          buyerId: order.buyerId,
+          vendorId: order.vendorId,
+          amount,
+          method: data.method,
+          walletProvider: data.method === 'digital_wallet' ? data.walletProvider : undefined,
+          reference: data.reference,
+          paidAt,
+          notes: data.notes,
+          recordedBy: user.id
+        }], { session });
+
+        order.applyPayment(amount, paidAt);
+        await order.save({ session });
+
+        ledgerEntry = await this.postEntry({
+          buyerId: order.buyerId,
+          vendorId: order.vendorId,
+          type: 'payment',
+          amount: -amount,
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          paymentId: payment._id,
+          reference: `payment:${payment._id}`,
+          description: `Payment on order ${order.orderNumber} (${data.method.replace(/_/g, ' ')})`,
+          entryDate: paidAt,
+          createdBy: user.id
+        }, session);
+
+        await AuditLog.logAction({
+          userId: user.id,
+          userRole: user.role,
+          action: 'payment_recorded',
+          entityType: 'Payment',
+          entityId: payment._id,
+          description: `Payment of ${amount} recorded on order ${order.orderNumber}`,
+          changes: {
+            before: { paidAmount: paymentSnapshot.paidAmount, status: paymentSnapshot.status },
+            after: { paidAmount: order.paymentInfo.paidAmount, status: order.paymentInfo.status }
+          },
+          severity: 'medium',
+          impactLevel: 'minor'
+        }, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    return { payment, order, ledgerEntry };
+  }
+
+  /**
+   * Delivered orders with money still owed
+   */
+  static findOutstandingOrders(filter) {
+    return Order.find({
+      ...filter,
+      status: 'delivered',
+      'paymentInfo.status': { $nin: ['paid', 'refunded'] }
+    })
+      .select('orderNumber invoiceNumber invoiceIssuedAt actualDeliveryDate orderDate buyerId vendorId totalAmount paymentInfo')
+      .sort({ invoiceIssuedAt: 1, actualDeliveryDate: 1 });
+  }
+
+  /**
+   * Describe one outstanding invoice as of a date
+   */
+  static describeInvoice(order, asOf) {
+    const issuedAt = order.invoiceIssuedAt || order.actualDeliveryDate || order.orderDate;
+    const dueDate = order.paymentInfo?.dueDate;
+    const ageDays = Math.max(0, Math.floor((asOf - issuedAt) / DAY_MS));
+    const daysOverdue = dueDate ? Math.max(0, Math.floor((asOf - dueDate) / DAY_MS)) : 0;
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      invoiceNumber: order.invoiceNumber,
+      issuedAt,
+      dueDate,
+      totalAmount: order.totalAmount,
+      paidAmount: order.paymentInfo?.paidAmount || 0,
+      creditedAmount: order.paymentInfo?.creditedAmount || 0,
+      balanceDue: roundMoney(order.balanceDue),
+      ageDays,
+      daysOverdue,
+      isOverdue: daysOverdue > 0,
+      bucket: AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key
+    };
+  }
+
+  static emptyBuckets() {
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  }
+
+  /**
+   * Vendor receivables aging (0-30, 31-60, 61-90, 90+ days since invoicing) grouped by buyer
+   */
+  static async getReceivablesAging(vendorId, asOf = new Date()) {
+    const [orders, accounts] = await Promise.all([
+      this.findOutstandingOrders({ vendorId }).populate('buyerId', 'name phone paymentTerms'),
+      LedgerAccount.find({ vendorId }).select('buyerId balance')
+    ]);
+
+    const balances = new Map(accounts.map(account => [account.buyerId.toString(), roundMoney(account.balance)]));
+    const summary = { totalOutstanding: 0, totalOverdue: 0, buckets: this.emptyBuckets() };
+    const byBuyer = new Map();
+
+    for (const order of orders) {
+      const invoice = this.describeInvoice(order, asOf);
+      if (invoice.balanceDue <= 0) continue;
+
+      const buyer = order.buyerId;
+      const key = (buyer?._id || order.buyerId).toString();
+
+      if (!byBuyer.has(key)) {
+        byBuyer.set(key, {
+          buyer,
+          paymentTerms: buyer?.paymentTerms,
+          ledgerBalance: balances.get(key) || 0,
+          totalOutstanding: 0,
+          totalOverdue: 0,
+          buckets: this.emptyBuckets(),
+          invoices: []
+        });
+      }
+
+      const row = byBuyer.get(key);
+      row.invoices.push(invoice);
+      row.totalOutstanding = roundMoney(row.totalOutstanding + invoice.balanceDue);
+      row.buckets[invoice.bucket] = roundMoney(row.buckets[invoice.bucket] + invoice.balanceDue);
+      summary.totalOutstanding = roundMoney(summary.totalOutstanding + invoice.balanceDue);
+      summary.buckets[invoice.bucket] = roundMoney(summary.buckets[invoice.bucket] + invoice.balanceDue);
+
+      if (invoice.isOverdue) {
+        row.totalOverdue = roundMoney(row.totalOverdue + invoice.balanceDue);
+        summary.totalOverdue = roundMoney(summary.totalOverdue + invoice.balanceDue);
+      }
+    }
+
+    return {
+      asOf,
+      summary,
+      buyers: [...byBuyer.values()].sort((a, b) => b.totalOutstanding - a.totalOutstanding)
+    };
+  }
+
+  /**
+   * Buyer's outstanding payables grouped by vendor, soonest due first
+   */
+  static async getOutstandingPayables(buyerId, asOf = new Date()) {
+    const [orders, accounts] = await Promise.all([
+      this.findOutstandingOrders({ buyerId }).populate('vendorId', 'businessName phone'),
+      LedgerAccount.find({ buyerId }).select('vendorId balance')
+    ]);
+
+    const balances = new Map(accounts.map(account => [account.vendorId.toString(), roundMoney(account.balance)]));
+    const weekAhead = new Date(asOf.getTime() + 7 * DAY_MS);
+    const summary = { totalDue: 0, totalOverdue: 0, dueWithinWeek: 0 };
+    const byVendor = new Map();
+
+    for (const order of orders) {
+      const invoice = this.describeInvoice(order, asOf);
+      if (invoice.balanceDue <= 0) continue;
+
+      const vendor = order.vendorId;
+      const key = (vendor?._id || order.vendorId).toString();
+
+      if (!byVendor.has(key)) {
+        byVendor.set(key, {
+          vendor,
+          ledgerBalance: balances.get(key) || 0,
+          totalDue: 0,
+          totalOverdue: 0,
+          nextDueDate: null,
+          invoices: []
+        });
+      }
+
+      const row = byVendor.get(key);
+      row.invoices.push(invoice);
+      row.totalDue = roundMoney(row.totalDue + invoice.balanceDue);
+      summary.totalDue = roundMoney(summary.totalDue + invoice.balanceDue);
+
+      if (invoice.isOverdue) {
+        row.totalOverdue = roundMoney(row.totalOverdue + invoice.balanceDue);
+        summary.totalOverdue = roundMoney(summary.totalOverdue + invoice.balanceDue);
+      } else if (invoice.dueDate && invoice.dueDate <= weekAhead) {
+        summary.dueWithinWeek = roundMoney(summary.dueWithinWeek + invoice.balanceDue);
+      }
+
+      if (invoice.dueDate && (!row.nextDueDate || invoice.dueDate < row.nextDueDate)) {
+        row.nextDueDate = invoice.dueDate;
+      }
+    }
+
+    const vendors = [...byVendor.values()];
+    vendors.forEach(row => row.invoices.sort((a, b) => (a.dueDate || 0) - (b.dueDate || 0)));
+    vendors.sort((a, b) => (a.nextDueDate || Infinity) - (b.nextDueDate || Infinity));
+
+    return { asOf, summary, vendors };
+  }
+
+  /**
+   * Ledger statement (newest first) for one buyer-vendor pair
+   */
+  static async getStatement(buyerId, vendorId, { page = 1, limit = 50 } = {}) {
+    const query = { buyerId, vendorId };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total, account] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ entryDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LedgerEntry.countDocuments(query),
+      LedgerAccount.findOne(query)
+    ]);
+
+    return {
+      balance: roundMoney(account?.balance),
+      totalInvoiced: roundMoney(account?.totalInvoiced),
+      totalPaid: roundMoney(account?.totalPaid),
+      entries,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+}
+
+module.exports = LedgerService;
@@ -1,11 +1,21 @@
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const realtimeService = require('./realtimeService');
+const deliveryDispatcher = require('./deliveryDispatcher');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const Listing = require('../models/Listing');
+const Vendor = require('../models/Vendor');
+const EmailTemplateService = require('./emailTemplateService');
 
 class NotificationService {
   /**
-   * Create and send a notification
+   * Create and send a notification.
+   * Channels are narrowed to the recipient's preferences for the type;
+   * nothing is created when they turned off every requested channel.
+   * emailTemplate ({ name, data }) picks the template the email channel is
+   * rendered with; without one the generic notification template is used.
+   * @returns {Promise<Object|null>} The notification, or null when skipped
    */
   static async createNotification({
     recipientId,
@@ -20,9 +30,15 @@ class NotificationService {
     relatedEntity,
     metadata = {},
     deliveryChannel = ['in-app'],
+    emailTemplate,
     createdBy
   }) {
     try {
+      const channels = await NotificationPreference.filterChannels(recipientId, type, deliveryChannel);
+      if (channels.length === 0) {
+        return null;
+      }
+
       const notification = await Notification.createNotification({
         recipient: recipientId,
         recipientType,
@@ -34,13 +50,18 @@ class NotificationService {
         actionUrl,
         actionText,
         relatedEntity,
-        metadata,
-        deliveryChannel,
+        metadata: emailTemplate ? { ...metadata, emailTemplate } : metadata,
+        deliveryChannel: channels,
         createdBy
       });
 
-      // Here you could integrate with external services for email/SMS/push notifications
-      // await this.sendExternalNotifications(notification);
+      // Record the in-app delivery and queue email/SMS/push in the outbox
+      await deliveryDispatcher.enqueue(notification);
+
+      // Push in-app notifications to the recipient's open connections
+      if (channels.includes('in-app')) {
+        await realtimeService.publishNotification(notification);
+      }
 
       return notification;
     } catch (error) {
@@ -58,26 +79,40 @@ class NotificationService {
     switch (event) {
       case 'order_placed':
         // Notify vendor
-        notifications.push({
-          recipientId: order.vendorId,
-          recipientType: 'vendor',
-          type: 'order',
-          title: 'New Order Received',
-          message: `New order #${order.orderNumber} from ${additionalData.buyerName || 'buyer'}`,
-          priority: 'high',
-          isActionRequired: true,
-          actionUrl: `/vendor-dashboard/order-management?orderId=${order._id}`,
-          actionText: 'View Order',
-          relatedEntity: {
-            entityType: 'order',
-            entityId: order._id,
-            entityData: {
-              orderNumber: order.orderNumber,
-              amount: order.totalAmount,
-              status: order.status
+        const placedVendorUser = await User.findVendorOwner(order.vendorId);
+        if (placedVendorUser) {
+          notifications.push({
+            recipientId: placedVendorUser._id,
+            recipientType: 'vendor',
+            type: 'order',
+            title: 'New Order Received',
+            message: `New order #${order.orderNumber} from ${additionalData.buyerName || 'buyer'}`,
+            priority: 'high',
+            isActionRequired: true,
+            actionUrl: `/vendor-dashboard/order-management?orderId=${order._id}`,
+            actionText: 'View Order',
+            relatedEntity: {
+              entityType: 'order',
+              entityId: order._id,
+              entityData: {
+                orderNumber: order.orderNumber,
+                amount: order.totalAmount,
+                status: order.status
+              }
+            },
+            deliveryChannel: ['in-app', 'email'],
+            emailTemplate: {
+              name: 'order_placed',
+              data: {
+                orderNumber: order.orderNumber,
+                buyerName: additionalData.buyerName,
+                totalAmount: order.totalAmount,
+                itemCount: order.items?.length,
+                deliveryDate: order.estimatedDeliveryDate
+              }
             }
-          }
-        });
+          });
+        }
         break;
 
       case 'order_confirmed':
@@ -101,6 +136,16 @@ class NotificationService {
                 amount: order.totalAmount,
                 status: order.status
               }
+            },
+            deliveryChannel: ['in-app', 'email'],
+            emailTemplate: {
+              name: 'order_confirmed',
+              data: {
+                orderNumber: order.orderNumber,
+                vendorName: additionalData.vendorName || await this.vendorName(order.vendorId),
+                totalAmount: order.totalAmount,
+                deliveryDate: order.estimatedDeliveryDate
+              }
             }
           });
         }
@@ -127,6 +172,42 @@ class NotificationService {
                 amount: order.totalAmount,
                 status: order.status
               }
+            },
+            deliveryChannel: ['in-app', 'email'],
+            emailTemplate: {
+              name: 'order_delivered',
+              data: {
+                orderNumber: order.orderNumber,
+                vendorName: additionalData.vendorName || await this.vendorName(order.vendorId),
+                totalAmount: order.totalAmount
+              }
+            }
+          });
+        }
+        break;
+
+      case 'order_amended':
+        // Notify vendor
+        const amendedVendorUser = await User.findVendorOwner(order.vendorId);
+        if (amendedVendorUser) {
+          notifications.push({
+            recipientId: amendedVendorUser._id,
+            recipientType: 'vendor',
+            type: 'order',
+            title: 'Order Updated',
+            message: `Order #${order.orderNumber} was changed by the buyer`,
+            priority: 'medium',
+            actionUrl: `/vendor-dashboard/order-management?orderId=${order._id}`,
+            actionText: 'View Order',
+            relatedEntity: {
+              entityType: 'order',
+              entityId: order._id,
+              entityData: {
+                orderNumber: order.orderNumber,
+                amount: order.totalAmount,
+                previousAmount: additionalData.previousAmount,
+                status: order.status
+              }
             }
           });
         }
@@ -134,7 +215,7 @@ class NotificationService {
 
       case 'order_cancelled':
         // Notify both parties
-        const vendorUser = await User.findOne({ vendorId: order.vendorId });
+        const vendorUser = await User.findVendorOwner(order.vendorId);
         const buyerOwner = await User.findOne({ buyerId: order.buyerId });
 
         if (vendorUser) {
@@ -179,6 +260,34 @@ class NotificationService {
           });
         }
         break;
+
+      case 'owner_approval_required':
+        // Notify every owner of the buyer; the vendor can't confirm until one approves
+        const owners = await User.find({ buyerId: order.buyerId, role: 'buyerOwner', isActive: true });
+
+        for (const owner of owners) {
+          notifications.push({
+            recipientId: owner._id,
+            recipientType: owner.role,
+            type: 'order',
+            title: 'Order Needs Your Approval',
+            message: `Order #${order.orderNumber} placed by ${additionalData.placedByName || 'a manager'} needs approval: ${order.ownerApproval?.reason || 'manager limit exceeded'}`,
+            priority: 'high',
+            isActionRequired: true,
+            actionUrl: `/buyer-dashboard/order-history?orderId=${order._id}`,
+            actionText: 'Review Order',
+            relatedEntity: {
+              entityType: 'order',
+              entityId: order._id,
+              entityData: {
+                orderNumber: order.orderNumber,
+                amount: order.totalAmount,
+                status: order.status
+              }
+            }
+          });
+        }
+        break;
     }
 
     // Create all notifications
@@ -189,11 +298,16 @@ class NotificationService {
     return notifications;
   }
 
+  static async vendorName(vendorId) {
+    const vendor = await Vendor.findById(vendorId).select('businessName');
+    return vendor?.businessName;
+  }
+
   /**
    * Create inventory-related notifications
    */
   static async createInventoryNotification(listing, event, additionalData = {}) {
-    const vendorUser = await User.findOne({ vendorId: listing.vendorId });
+    const vendorUser = await User.findVendorOwner(listing.vendorId);
     if (!vendorUser) return;
 
     let notificationData = {
@@ -260,7 +374,9 @@ class NotificationService {
       recipientId: buyerOwner._id,
       recipientType: 'buyerOwner',
       type: 'budget',
-      metadata: data
+      metadata: data,
+      deliveryChannel: ['in-app', 'email'],
+      emailTemplate: { name: 'budget_warning', data }
     };
 
     switch (event) {
@@ -531,6 +647,22 @@ class NotificationService {
     return await Notification.markMultipleAsRead(userId, notificationIds);
   }
 
+  static async markAllAsRead(userId, type) {
+    return await Notification.markAllAsRead(userId, type);
+  }
+
+  /**
+   * Dismiss, archive or unarchive notifications
+   * @param {String} state - 'dismiss' | 'archive' | 'unarchive'
+   */
+  static async setInboxState(userId, notificationIds, state) {
+    return await Notification.setInboxState(userId, notificationIds, state);
+  }
+
+  static async getUnreadCounts(userId) {
+    return await Notification.getUnreadCounts(userId);
+  }
+
   /**
    * Get user notifications with filtering and pagination
    */
@@ -543,28 +675,14 @@ class NotificationService {
    */
   static async sendSLANotificationEmail(recipient, data) {
     try {
-      const emailService = require('../utils/email');
-      
-      const subject = data.type === 'warning' 
-        ? `⚠️ SLA Warning: ${data.entityType} ${data.actionType}` 
-        : `🚨 SLA Violation: ${data.entityType} ${data.actionType}`;
-      
-      const message = `
-        <h3>${subject}</h3>
-        <p><strong>Entity:</strong> ${data.entityName} (${data.entityType})</p>
-        <p><strong>Action Required:</strong> ${data.actionType}</p>
-        <p><strong>Priority:</strong> ${data.priority}</p>
-        <p><strong>Response Time:</strong> ${data.responseTime} hours</p>
-        <p><strong>Target Time:</strong> ${data.targetTime} hours</p>
-        ${data.exceedanceHours ? `<p><strong>Exceeded by:</strong> ${data.exceedanceHours} hours</p>` : ''}
-        <p><strong>Action Required:</strong> Please review and take appropriate action immediately.</p>
-        <p><a href="${process.env.FRONTEND_URL}/admin/approvals/${data.entityId}" style="background-color: #006A4E; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Take Action</a></p>
-      `;
-
-      await emailService.sendEmail({
+      const { sendEmail } = require('../utils/email');
+      const user = await User.findOne({ email: recipient }).select('preferredLanguage');
+
+      await sendEmail({
         email: recipient,
-        subject,
-        message
+        template: 'sla_escalation',
+        data: { ...data, actionUrl: `/admin/approvals/${data.entityId}` },
+        language: EmailTemplateService.languageFor(user)
       });
 
       console.log(`SLA notification email sent to ${recipient}`);
@@ -703,7 +821,17 @@ class NotificationService {
             roleRequired: escalationData.roleRequired,
             priority: escalationData.priority
           },
-          deliveryChannel: ['in-app', 'email', 'sms']
+          deliveryChannel: ['in-app', 'email', 'sms'],
+          emailTemplate: {
+            name: 'sla_escalation',
+            data: {
+              type: 'escalation',
+              entityType: escalationData.entityType,
+              entityName: escalationData.entityName,
+              priority: escalationData.priority,
+              escalationLevel: escalationData.escalationLevel
+            }
+          }
         });
       }
 
@@ -734,9 +862,12 @@ class NotificationService {
         pending: 'medium'
       };
 
+      const user = await User.findById(userId).select('role');
+      if (!user) return;
+
       await this.createNotification({
         recipientId: userId,
-        recipientType: entityType === 'Vendor' ? 'vendor' : 'buyer',
+        recipientType: user.role,
         type: 'system',
         title: titleMap[status] || `${entityType} Verification Update`,
         message: messageMap[status] || `Your ${entityType.toLowerCase()} verification status has been updated to ${status}.`,
@@ -752,6 +883,11 @@ class NotificationService {
         metadata: {
           verificationStatus: status,
           reason
+        },
+        deliveryChannel: ['in-app', 'email'],
+        emailTemplate: {
+          name: 'approval_decision',
+          data: { entityType, entityName, status, reason }
         }
       });
     } catch (error) {
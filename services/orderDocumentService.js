@@ -0,0 +1,565 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/error');
+
+// Noto Sans Bengali ships Bengali glyphs only, so Latin text is set in Helvetica
+const FONTS = {
+  latin: 'Helvetica',
+  latinBold: 'Helvetica-Bold',
+  bangla: require.resolve('@fontsource/noto-sans-bengali/files/noto-sans-bengali-bengali-400-normal.woff'),
+  banglaBold: require.resolve('@fontsource/noto-sans-bengali/files/noto-sans-bengali-bengali-700-normal.woff')
+};
+
+// Runs of Bengali script (including the spaces and dandas between Bengali words)
+const BENGALI_RUN = /([\u0980-\u09FF\u200C\u200D]+(?:[\s\u0964\u0965]+[\u0980-\u09FF\u200C\u200D]+)*)/;
+
+// Orders that have been handed over (or are about to be) get a delivery challan
+const CHALLAN_STATUSES = ['confirmed', 'processing', 'ready_for_pickup', 'out_for_delivery', 'delivered'];
+
+const PAGE_MARGIN = 40;
+
+const ADDRESS_POPULATE = [
+  { path: 'address.division', select: 'name' },
+  { path: 'address.district', select: 'name' },
+  { path: 'address.upazila', select: 'name' },
+  { path: 'address.union', select: 'name' }
+];
+
+class OrderDocumentService {
+  /**
+   * Load an order with everything the documents print
+   */
+  static async loadOrder(orderId) {
+    const order = await Order.findById(orderId)
+      .populate({
+        path: 'vendorId',
+        select: 'businessName ownerName email phone address tradeLicenseNo',
+        populate: ADDRESS_POPULATE
+      })
+      .populate({
+        path: 'buyerId',
+        select: 'name ownerName email phone address tradeLicenseNo',
+        populate: ADDRESS_POPULATE
+      })
+      .populate('placedBy', 'name phone')
+      .populate('deliveryInfo.address.division deliveryInfo.address.district deliveryInfo.address.upazila deliveryInfo.address.union', 'name');
+
+    if (!order) {
+      throw new ErrorResponse(`Order not found with id of ${orderId}`, 404);
+    }
+
+    return order;
+  }
+
+  /**
+   * Return the order's invoice number, issuing it for delivered orders that predate numbering.
+   * Issued numbers are never changed.
+   */
+  static async ensureInvoiceNumber(order) {
+    if (order.invoiceNumber) {
+      return order.invoiceNumber;
+    }
+
+    if (order.status !== 'delivered') {
+      throw new ErrorResponse('An invoice is issued once the order has been delivered', 409, {
+        currentStatus: order.status
+      });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        await order.issueInvoiceNumber(session);
+        await Order.updateOne(
+          { _id: order._id, invoiceNumber: { $exists: false } },
+          { $set: { invoiceNumber: order.invoiceNumber, invoiceIssuedAt: order.invoiceIssuedAt } },
+          { session }
+        );
+      });
+    } finally {
+      session.endSession();
+    }
+
+    return order.invoiceNumber;
+  }
+
+  /**
+   * Build the invoice PDF for an order
+   * @returns {Promise<{buffer: Buffer, filename: String}>}
+   */
+  static async generateInvoice(order) {
+    const invoiceNumber = await this.ensureInvoiceNumber(order);
+    const appName = await Settings.getSetting('app_name', 'Aaroth Fresh');
+
+    const buffer = await this.render(`Invoice ${invoiceNumber}`, (doc) => {
+      this.drawHeader(doc, appName, 'INVOICE', [
+        ['Invoice No', invoiceNumber],
+        ['Invoice Date', this.formatDate(order.invoiceIssuedAt || order.actualDeliveryDate)],
+        ['Order No', order.orderNumber],
+        ['Order Date', this.formatDate(order.orderDate)]
+      ]);
+      this.drawParties(doc, [
+        { label: 'Sold By', party: order.vendorId, name: order.vendorId?.businessName },
+        { label: 'Bill To', party: order.buyerId, name: order.buyerId?.name }
+      ]);
+      this.drawInvoiceItems(doc, order);
+      this.drawInvoiceTotals(doc, order);
+      this.drawFooter(doc, `Generated by ${appName}. This is a computer-generated invoice.`);
+    });
+
+    return { buffer, filename: `${invoiceNumber}.pdf` };
+  }
+
+  /**
+   * Build the delivery challan (delivery note) PDF for an order
+   * @returns {Promise<{buffer: Buffer, filename: String}>}
+   */
+  static async generateChallan(order) {
+    if (!CHALLAN_STATUSES.includes(order.status)) {
+      throw new ErrorResponse('A delivery challan is available once the order is confirmed', 409, {
+        currentStatus: order.status
+      });
+    }
+
+    const appName = await Settings.getSetting('app_name', 'Aaroth Fresh');
+    const slot = order.deliveryInfo?.preferredTimeSlot;
+
+    const buffer = await this.render(`Delivery Challan ${order.orderNumber}`, (doc) => {
+      this.drawHeader(doc, appName, 'DELIVERY CHALLAN', [
+        ['Challan No', `DC-${order.orderNumber}`],
+        ['Order No', order.orderNumber],
+        ['Order Date', this.formatDate(order.orderDate)],
+        ['Delivery Date', this.formatDate(order.actualDeliveryDate || slot?.date || order.estimatedDeliveryDate)]
+      ]);
+      this.drawParties(doc, [
+        { label: 'From', party: order.vendorId, name: order.vendorId?.businessName },
+        { label: 'Deliver To', party: order.buyerId, name: order.buyerId?.name }
+      ]);
+      this.drawDeliveryInfo(doc, order);
+      this.drawChallanItems(doc, order);
+      this.drawSignatures(doc, ['Dispatched By', 'Delivered By', 'Received By (name, signature & date)']);
+      this.drawFooter(doc, `Generated by ${appName}. Please check goods before signing.`);
+    });
+
+    return { buffer, filename: `DC-${order.orderNumber}.pdf` };
+  }
+
+  /**
+   * Send a generated document (attachment by default, inline with ?disposition=inline)
+   */
+  static sendPdf(req, res, { buffer, filename }) {
+    const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${disposition}; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.status(200).send(buffer);
+  }
+
+  // ================================
+  // RENDERING
+  // ================================
+
+  static render(title, build) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: title }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        doc.registerFont('bangla', FONTS.bangla);
+        doc.registerFont('banglaBold', FONTS.banglaBold);
+        build(doc);
+        this.drawPageNumbers(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Write text that may mix Bengali and Latin script, switching fonts per run
+   */
+  static writeText(doc, text, x, y, { bold = false, size = 9, color = '#222222', ...options } = {}) {
+    const value = text === undefined || text === null ? '' : String(text);
+    const runs = value.split(BENGALI_RUN).filter(run => run.length > 0);
+
+    doc.fontSize(size).fillColor(color);
+
+    if (runs.length === 0) {
+      runs.push('');
+    }
+
+    runs.forEach((run, index) => {
+      const isBengali = BENGALI_RUN.test(run);
+      doc.font(isBengali ? (bold ? 'banglaBold' : 'bangla') : (bold ? FONTS.latinBold : FONTS.latin));
+
+      const runOptions = { ...options, continued: index < runs.length - 1 };
+      if (index === 0) {
+        doc.text(run, x, y, runOptions);
+      } else {
+        doc.text(run, runOptions);
+      }
+    });
+
+    return doc.y;
+  }
+
+  static drawHeader(doc, appName, title, metaRows) {
+    const top = PAGE_MARGIN;
+    const right = doc.page.width - PAGE_MARGIN;
+
+    this.writeText(doc, appName, PAGE_MARGIN, top, { bold: true, size: 18, color: '#2E7D32' });
+    this.writeText(doc, 'B2B Fresh Produce Marketplace', PAGE_MARGIN, top + 22, { size: 9, color: '#666666' });
+    this.writeText(doc, title, PAGE_MARGIN, top, { bold: true, size: 16, width: right - PAGE_MARGIN, align: 'right' });
+
+    let y = top + 24;
+    for (const [label, value] of metaRows) {
+      this.writeText(doc, `${label}: ${value || '-'}`, PAGE_MARGIN, y, { size: 9, width: right - PAGE_MARGIN, align: 'right' });
+      y += 13;
+    }
+
+    y = Math.max(y, top + 40) + 6;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(right, y).lineWidth(1).strokeColor('#2E7D32').stroke();
+    doc.y = y + 10;
+  }
+
+  /**
+   * Vendor and buyer blocks side by side
+   */
+  static drawParties(doc, parties) {
+    const top = doc.y;
+    const columnWidth = (doc.page.width - PAGE_MARGIN * 2 - 20) / 2;
+    let bottom = top;
+
+    parties.forEach(({ label, party, name }, index) => {
+      const x = PAGE_MARGIN + index * (columnWidth + 20);
+      let y = this.writeText(doc, label.toUpperCase(), x, top, { bold: true, size: 8, color: '#666666' }) + 2;
+
+      if (!party) {
+        y = this.writeText(doc, 'Details unavailable', x, y, { width: columnWidth });
+        bottom = Math.max(bottom, y);
+        return;
+      }
+
+      y = this.writeText(doc, name, x, y, { bold: true, size: 11, width: columnWidth }) + 1;
+      const lines = [
+        party.ownerName && `Attn: ${party.ownerName}`,
+        party.address && party.fullAddress,
+        party.address && party.fullAddressBn !== party.fullAddress && party.fullAddressBn,
+        party.phone && `Phone: ${party.phone}`,
+        party.email && `Email: ${party.email}`,
+        party.tradeLicenseNo && `Trade License: ${party.tradeLicenseNo}`
+      ].filter(Boolean);
+
+      for (const line of lines) {
+        y = this.writeText(doc, line, x, y, { width: columnWidth }) + 1;
+      }
+      bottom = Math.max(bottom, y);
+    });
+
+    doc.y = bottom + 14;
+  }
+
+  static drawDeliveryInfo(doc, order) {
+    const info = order.deliveryInfo || {};
+    const slot = info.preferredTimeSlot;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const address = info.address || {};
+    const addressLine = [
+      address.street,
+      address.landmark,
+      address.union?.name?.en,
+      address.upazila?.name?.en,
+      address.district?.name?.en,
+      address.postalCode
+    ].filter(Boolean).join(', ');
+
+    const lines = [
+      `Method: ${info.type === 'pickup' ? 'Pickup from vendor' : 'Delivery'}`,
+      info.type === 'delivery' && addressLine && `Address: ${addressLine}`,
+      info.contactPerson?.name && `Contact: ${info.contactPerson.name}${info.contactPerson.phone ? ` (${info.contactPerson.phone})` : ''}`,
+      slot && (slot.startTime || slot.endTime) &&
+        `Time Slot: ${[slot.startTime, slot.endTime].filter(Boolean).join(' - ')}`,
+      info.instructions && `Instructions: ${info.instructions}`
+    ].filter(Boolean);
+
+    let y = this.writeText(doc, 'DELIVERY DETAILS', PAGE_MARGIN, doc.y, { bold: true, size: 8, color: '#666666' }) + 2;
+    for (const line of lines) {
+      y = this.writeText(doc, line, PAGE_MARGIN, y, { width }) + 1;
+    }
+    doc.y = y + 12;
+  }
+
+  /**
+   * Draw a table, repeating the header row on new pages
+   * @param {Array} columns - [{ header, width, align }]
+   * @param {Array<Array>} rows - Cell values per row
+   */
+  static drawTable(doc, columns, rows) {
+    const tableWidth = columns.reduce((total, column) => total + column.width, 0);
+    const bottomLimit = doc.page.height - PAGE_MARGIN - 60;
+
+    const drawRow = (cells, { header = false, shade = false } = {}) => {
+      const heights = cells.map((cell, index) => {
+        doc.font(header ? FONTS.latinBold : FONTS.latin).fontSize(header ? 8 : 9);
+        return doc.heightOfString(String(cell ?? ''), { width: columns[index].width - 8 });
+      });
+      const rowHeight = Math.max(...heights) + 8;
+
+      if (doc.y + rowHeight > bottomLimit) {
+        doc.addPage();
+        doc.y = PAGE_MARGIN;
+        if (!header) {
+          drawRow(columns.map(column => column.header), { header: true });
+        }
+      }
+
+      const top = doc.y;
+      if (header || shade) {
+        doc.rect(PAGE_MARGIN, top, tableWidth, rowHeight).fill(header ? '#E8F5E9' : '#FAFAFA');
+      }
+
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, index) => {
+        this.writeText(doc, cell, x + 4, top + 4, {
+          bold: header,
+          size: header ? 8 : 9,
+          width: columns[index].width - 8,
+          align: columns[index].align || 'left'
+        });
+        x += columns[index].width;
+      });
+
+      doc.moveTo(PAGE_MARGIN, top + rowHeight).lineTo(PAGE_MARGIN + tableWidth, top + rowHeight)
+        .lineWidth(0.5).strokeColor('#DDDDDD').stroke();
+      doc.y = top + rowHeight;
+    };
+
+    drawRow(columns.map(column => column.header), { header: true });
+    rows.forEach((row, index) => drawRow(row, { shade: index % 2 === 1 }));
+    doc.y += 10;
+  }
+
+  static drawInvoiceItems(doc, order) {
+    const columns = [
+      { header: '#', width: 22 },
+      { header: 'Item', width: 163 },
+      { header: 'Grade', width: 55 },
+      { header: 'Quantity', width: 105, align: 'right' },
+      { header: 'Unit Price', width: 85, align: 'right' },
+      { header: 'Amount', width: 85, align: 'right' }
+    ];
+
+    const rows = order.items.map((item, index) => {
+      const billedQuantity = item.deliveredQuantity ?? item.quantity;
+      const notes = [];
+      if (item.deliveredQuantity !== undefined && item.deliveredQuantity !== null && item.deliveredQuantity !== item.quantity) {
+        notes.push(`Ordered ${this.formatQuantity(item.quantity)} ${item.unit}`);
+      }
+      if (item.substitutedWith) {
+        notes.push(`Substituted: ${item.substitutedWith}`);
+      }
+
+      return [
+        index + 1,
+        [item.productName, ...notes].join('\n'),
+        item.qualityGrade || '-',
+        this.describeQuantity(item, billedQuantity),
+        item.isPackBased
+          ? `${this.formatMoney(item.pricePerPack)}/pack\n(${this.formatMoney(item.unitPrice)}/${item.unit})`
+          : `${this.formatMoney(item.unitPrice)}/${item.unit}`,
+        this.formatMoney(item.totalPrice)
+      ];
+    });
+
+    this.drawTable(doc, columns, rows);
+  }
+
+  static drawInvoiceTotals(doc, order) {
+    const payment = order.paymentInfo || {};
+    const credited = payment.creditedAmount || 0;
+    const paid = payment.paidAmount || 0;
+    const balanceDue = order.balanceDue;
+
+    const rows = [
+      ['Subtotal', this.formatMoney(order.subtotal)],
+      ['Delivery Fee', this.formatMoney(order.deliveryFee)],
+      ['Tax', this.formatMoney(order.tax)],
+      ['Discount', `- ${this.formatMoney(order.discount)}`],
+      ['Total', this.formatMoney(order.totalAmount), true],
+      credited > 0 && ['Credits (disputes)', `- ${this.formatMoney(credited)}`],
+      ['Paid', `- ${this.formatMoney(paid)}`],
+      ['Balance Due', this.formatMoney(balanceDue), true],
+      payment.refundDue > 0 && ['Refund Due', this.formatMoney(payment.refundDue)]
+    ].filter(Boolean);
+
+    const labelX = doc.page.width - PAGE_MARGIN - 230;
+    let y = doc.y;
+
+    if (y + rows.length * 15 + 60 > doc.page.height - PAGE_MARGIN - 60) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    // Payment block on the left, totals on the right
+    const paymentLines = [
+      `Payment Method: ${this.humanize(payment.method)}`,
+      `Payment Status: ${this.humanize(payment.status)}`,
+      payment.dueDate && `Due Date: ${this.formatDate(payment.dueDate)}`,
+      payment.transactionId && `Transaction ID: ${payment.transactionId}`
+    ].filter(Boolean);
+    let paymentY = this.writeText(doc, 'PAYMENT', PAGE_MARGIN, y, { bold: true, size: 8, color: '#666666' }) + 2;
+    for (const line of paymentLines) {
+      paymentY = this.writeText(doc, line, PAGE_MARGIN, paymentY, { width: 220 }) + 1;
+    }
+
+    for (const [label, value, bold] of rows) {
+      this.writeText(doc, label, labelX, y, { bold, size: bold ? 10 : 9, width: 120 });
+      this.writeText(doc, value, labelX + 120, y, { bold, size: bold ? 10 : 9, width: 110, align: 'right' });
+      y += bold ? 17 : 14;
+    }
+
+    doc.y = Math.max(y, paymentY) + 10;
+
+    if (order.notes) {
+      const noteY = this.writeText(doc, 'NOTES', PAGE_MARGIN, doc.y, { bold: true, size: 8, color: '#666666' }) + 2;
+      doc.y = this.writeText(doc, order.notes, PAGE_MARGIN, noteY, { width: doc.page.width - PAGE_MARGIN * 2 }) + 10;
+    }
+  }
+
+  static drawChallanItems(doc, order) {
+    const isDelivered = order.status === 'delivered';
+    const columns = [
+      { header: '#', width: 22 },
+      { header: 'Item', width: 173 },
+      { header: 'Grade', width: 55 },
+      { header: 'Ordered', width: 95, align: 'right' },
+      { header: 'Delivered', width: 95, align: 'right' },
+      { header: 'Received', width: 75, align: 'center' }
+    ];
+
+    const rows = order.items.map((item, index) => {
+      const delivered = isDelivered ? (item.deliveredQuantity ?? item.quantity) : null;
+
+      return [
+        index + 1,
+        [
+          item.productName,
+          item.substitutedWith && `Substituted: ${item.substitutedWith}`,
+          item.specialInstructions && `Note: ${item.specialInstructions}`
+        ].filter(Boolean).join('\n'),
+        item.qualityGrade || '-',
+        this.describeQuantity(item, item.quantity),
+        delivered === null ? '' : this.describeQuantity(item, delivered),
+        '[   ]'
+      ];
+    });
+
+    this.drawTable(doc, columns, rows);
+  }
+
+  static drawSignatures(doc, labels) {
+    const width = (doc.page.width - PAGE_MARGIN * 2 - 20 * (labels.length - 1)) / labels.length;
+    let y = doc.y + 30;
+
+    if (y + 40 > doc.page.height - PAGE_MARGIN - 30) {
+      doc.addPage();
+      y = PAGE_MARGIN + 30;
+    }
+
+    labels.forEach((label, index) => {
+      const x = PAGE_MARGIN + index * (width + 20);
+      doc.moveTo(x, y).lineTo(x + width, y).lineWidth(0.5).strokeColor('#999999').stroke();
+      this.writeText(doc, label, x, y + 4, { size: 8, color: '#666666', width });
+    });
+
+    doc.y = y + 30;
+  }
+
+  static drawFooter(doc, text) {
+    const y = doc.page.height - PAGE_MARGIN - 20;
+    // Writing below the bottom margin would add a page, so lift the margin for the footer
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    this.writeText(doc, text, PAGE_MARGIN, y, {
+      size: 8,
+      color: '#888888',
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center'
+    });
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  static drawPageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      this.writeText(doc, `Page ${i + 1} of ${range.count}`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN, {
+        size: 7,
+        color: '#888888',
+        width: doc.page.width - PAGE_MARGIN * 2,
+        align: 'right'
+      });
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  // ================================
+  // FORMATTING
+  // ================================
+
+  /**
+   * Quantity with pack breakdown, e.g. "50 kg\n(5 packs x 10 kg)"
+   */
+  static describeQuantity(item, quantity) {
+    const base = `${this.formatQuantity(quantity)} ${item.unit || ''}`.trim();
+
+    if (!item.isPackBased || !item.packSize) {
+      return base;
+    }
+
+    const packs = quantity / item.packSize;
+    return `${base}\n(${this.formatQuantity(packs)} packs x ${this.formatQuantity(item.packSize)} ${item.unit})`;
+  }
+
+  static formatQuantity(value) {
+    return Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+
+  static formatMoney(value) {
+    return `BDT ${Number(value || 0).toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }
+
+  static formatDate(date) {
+    if (!date) return '-';
+    return new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  static humanize(value) {
+    if (!value) return '-';
+    return value.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+}
+
+module.exports = OrderDocumentService;
@@ -0,0 +1,628 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const AuditLog = require('../models/AuditLog');
+const ListingAnalytics = require('../models/ListingAnalytics');
+const { ErrorResponse } = require('../middleware/error');
+const { assertTransition } = require('./orderStateMachine');
+const stockReservationService = require('./stockReservationService');
+const LedgerService = require('./ledgerService');
+const realtimeService = require('./realtimeService');
+const NotificationService = require('./notificationService');
+
+class OrderService {
+  /**
+   * Check whether a user may see an order (admin, its buyer or its vendor)
+   */
+  static canAccessOrder(order, user) {
+    const buyerId = order.buyerId._id || order.buyerId;
+    const vendorId = order.vendorId._id || order.vendorId;
+
+    if (user.role === 'admin') {
+      return true;
+    }
+    if (user.role === 'buyerOwner' || user.role === 'buyerManager') {
+      return buyerId.toString() === user.buyerId._id.toString();
+    }
+    if (user.role === 'vendor') {
+      return vendorId.toString() === user.vendorId._id.toString();
+    }
+    return false;
+  }
+
+  /**
+   * Load a listing and make sure it can currently be ordered
+   */
+  static async getOrderableListing(listingId) {
+    const listing = await Listing.findById(listingId)
+      .populate('productId', 'name category')
+      .populate('marketId', 'name isActive isAvailable');
+
+    if (!listing) {
+      throw new ErrorResponse(`Listing with ID ${listingId} not found`, 404);
+    }
+
+    // Validate market exists and is available
+    if (!listing.marketId) {
+      throw new ErrorResponse('Listing does not have a valid market assigned', 400);
+    }
+
+    if (!listing.marketId.isActive || !listing.marketId.isAvailable) {
+      throw new ErrorResponse(`Market "${listing.marketId.name}" is currently unavailable for orders`, 400);
+    }
+
+    // Check if listing is active and available
+    if (listing.status !== 'active') {
+      throw new ErrorResponse(`Listing "${listing.productId.name}" is not currently available`, 400);
+    }
+
+    return listing;
+  }
+
+  /**
+   * Validate a requested quantity against pack rules and availability
+   * and return the enriched order item (pack-based selling aware)
+   * @param {Number} heldQuantity - Stock already reserved by the order being amended
+   */
+  static buildOrderItem(listing, item, heldQuantity = 0) {
+    const productName = listing.productId.name;
+    const pricing = listing.pricing && listing.pricing[0];
+    // Stock held by other orders' reservations cannot be ordered
+    const freeQuantity = listing.freeQuantity + heldQuantity;
+
+    if (pricing && pricing.enablePackSelling) {
+      const packSize = pricing.packSize;
+
+      // Check if quantity is a multiple of packSize
+      const numberOfPacks = item.quantity / packSize;
+      if (!Number.isInteger(numberOfPacks)) {
+        throw new ErrorResponse(
+          `${productName}: Quantity must be in multiples of ${packSize} ${pricing.unit}. ` +
+          `You can order ${Math.floor(numberOfPacks)} or ${Math.ceil(numberOfPacks)} pack(s).`,
+          400
+        );
+      }
+
+      // Validate against minimum packs
+      if (pricing.minimumPacks && numberOfPacks < pricing.minimumPacks) {
+        throw new ErrorResponse(
+          `${productName}: Minimum order is ${pricing.minimumPacks} pack(s) (${pricing.minimumPacks * packSize} ${pricing.unit})`,
+          400
+        );
+      }
+
+      // Validate against maximum packs
+      if (pricing.maximumPacks && numberOfPacks > pricing.maximumPacks) {
+        throw new ErrorResponse(
+          `${productName}: Maximum order is ${pricing.maximumPacks} pack(s) (${pricing.maximumPacks * packSize} ${pricing.unit})`,
+          400
+        );
+      }
+
+      // Check inventory availability
+      if (item.quantity > freeQuantity) {
+        throw new ErrorResponse(
+          `${productName}: Only ${freeQuantity} ${pricing.unit} available ` +
+          `(${Math.floor(freeQuantity / packSize)} packs)`,
+          400
+        );
+      }
+
+      return {
+        ...item,
+        listingId: listing._id,
+        productId: listing.productId._id,
+        productName,
+        isPackBased: true,
+        numberOfPacks,
+        packSize,
+        pricePerPack: pricing.pricePerBaseUnit * packSize,
+        unitPrice: pricing.pricePerBaseUnit,
+        unit: pricing.unit,
+        qualityGrade: listing.qualityGrade
+      };
+    }
+
+    // Standard non-pack based item
+    if (item.quantity > freeQuantity) {
+      throw new ErrorResponse(
+        `${productName}: Only ${freeQuantity} ${listing.availability.unit} available`,
+        400
+      );
+    }
+
+    return {
+      ...item,
+      listingId: listing._id,
+      productId: listing.productId._id,
+      productName,
+      isPackBased: false,
+      unitPrice: pricing ? pricing.pricePerBaseUnit || pricing.pricePerUnit : item.unitPrice,
+      unit: pricing ? pricing.unit : listing.availability.unit,
+      qualityGrade: listing.qualityGrade
+    };
+  }
+
+  /**
+   * Validate and enrich a list of requested items
+   * @param {Map} heldQuantities - listingId -> quantity already reserved by this order
+   * @returns {Promise<Array<{listing: Object, orderItem: Object}>>}
+   */
+  static async prepareOrderItems(items, heldQuantities = new Map()) {
+    const prepared = [];
+
+    for (const item of items) {
+      const listing = await this.getOrderableListing(item.listingId);
+      prepared.push({
+        listing,
+        orderItem: this.buildOrderItem(listing, item, heldQuantities.get(listing._id.toString()) || 0)
+      });
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Subtotal of enriched order items, priced the same way as the Order pre-save hook
+   */
+  static estimateSubtotal(orderItems) {
+    return orderItems.reduce((total, item) => {
+      if (item.isPackBased && item.numberOfPacks && item.pricePerPack) {
+        return total + item.numberOfPacks * item.pricePerPack;
+      }
+      return total + item.quantity * item.unitPrice;
+    }, 0);
+  }
+
+  /**
+   * Throw 403 if a buyer manager may not buy these listings (allowed vendors / categories)
+   * @param {Array<Object>} listings - Listings from getOrderableListing
+   */
+  static assertManagerCatalogAccess(user, vendorId, listings) {
+    if (!user || user.role !== 'buyerManager') {
+      return;
+    }
+
+    const permissions = user.managerPermissions || {};
+    const allowedVendors = (permissions.allowedVendors || []).map(id => id.toString());
+    const allowedCategories = (permissions.allowedCategories || []).map(id => id.toString());
+    const vendorKey = (vendorId._id || vendorId).toString();
+
+    if (allowedVendors.length > 0 && !allowedVendors.includes(vendorKey)) {
+      throw new ErrorResponse('You are not permitted to order from this vendor', 403);
+    }
+
+    if (allowedCategories.length > 0) {
+      for (const listing of listings) {
+        const category = listing.productId.category;
+        if (!category || !allowedCategories.includes((category._id || category).toString())) {
+          throw new ErrorResponse(
+            `You are not permitted to order "${listing.productId.name}" (category not allowed)`,
+            403
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Enforce a buyer manager's permissions on an order they are placing.
+   * Disallowed vendors or categories are rejected outright; going over the
+   * spend limit, or a buyer that requires owner approval (requiresOrderApproval),
+   * only sends the order to the owner for approval.
+   * @param {Object} user - Ordering user (anyone but a buyerManager passes)
+   * @param {Array<{listing: Object, orderItem: Object}>} preparedItems - From prepareOrderItems
+   * @returns {{required: Boolean, reason?: String}} Owner approval requirement for the order
+   */
+  static checkManagerPermissions(user, vendorId, preparedItems) {
+    if (!user || user.role !== 'buyerManager') {
+      return { required: false };
+    }
+
+    this.assertManagerCatalogAccess(user, vendorId, preparedItems.map(({ listing }) => listing));
+
+    const permissions = user.managerPermissions || {};
+    const limit = permissions.spendLimitPerOrder;
+    const subtotal = this.estimateSubtotal(preparedItems.map(({ orderItem }) => orderItem));
+
+    if (limit !== null && limit !== undefined && subtotal > limit) {
+      return {
+        required: true,
+        reason: `Order subtotal ${subtotal.toFixed(2)} exceeds the manager's spend limit of ${limit.toFixed(2)}`
+      };
+    }
+
+    if (user.buyerId?.requiresOrderApproval) {
+      return { required: true, reason: 'Buyer requires owner approval for orders' };
+    }
+
+    return { required: false };
+  }
+
+  /**
+   * Move an order to a new status through the transition table.
+   * Applies stock/invoice side effects, writes statusHistory (via the Order
+   * pre-save hook) and an AuditLog entry in a single transaction.
+   *
+   * @param {Object} order - Order document
+   * @param {String} toStatus - Requested status
+   * @param {Object} user - Acting user (req.user)
+   * @param {Object} options - { reason, notes, deliveries, ipAddress, userAgent }
+   * @returns {Promise<{order: Object, listingUpdates: Array, stockReservations: Array}>}
+   */
+  static async transitionOrder(order, toStatus, user, options = {}) {
+    const { reason, notes, deliveries, ipAddress, userAgent } = options;
+    const fromStatus = order.status;
+
+    assertTransition(order, toStatus, user.role, reason, user);
+
+    if (toStatus === 'delivered') {
+      this.applyDeliveredQuantities(order, deliveries);
+    }
+
+    // Snapshot in-memory state so a retried transaction starts from scratch
+    const reservationSnapshot = order.stockReservation
+      ? order.stockReservation.toObject()
+      : undefined;
+
+    const session = await mongoose.startSession();
+    let listingUpdates = [];
+    let affectedListings = [];
+
+    try {
+      await session.withTransaction(async () => {
+        order.stockReservation = reservationSnapshot;
+        listingUpdates = [];
+        affectedListings = [];
+
+        order.status = toStatus;
+        order.updatedBy = user.id;
+        order.updatedByRole = user.role;
+        order.updatedByStaffRole = user.role === 'vendor' ? user.vendorRole || 'owner' : undefined;
+        order.statusChangeReason = reason || `Status changed from ${fromStatus} to ${toStatus}`;
+        order.statusChangeNotes = notes;
+
+        switch (toStatus) {
+          case 'confirmed':
+            // Confirmed orders must hold stock (re-reserve if the reservation expired)
+            affectedListings = await stockReservationService.ensureReservation(order, session);
+            if (fromStatus === 'pending_approval' && user.role === 'buyerOwner') {
+              order.approvedBy = user.id;
+              order.approvalDate = new Date();
+            }
+            break;
+
+          case 'cancelled':
+            affectedListings = await stockReservationService.releaseForOrder(order, reason, session);
+            order.cancellation = {
+              ...(order.cancellation ? order.cancellation.toObject() : {}),
+              reason,
+              cancelledBy: user.id,
+              cancelledAt: new Date()
+            };
+            break;
+
+          case 'delivered':
+            // Take delivered stock off the listings and issue the invoice number
+            // in the same transaction so the accounting sequence never has gaps
+            listingUpdates = await stockReservationService.consumeForOrder(order, session);
+            await order.issueInvoiceNumber(session);
+            order.paymentInfo.dueDate = await LedgerService.resolveDueDate(order.buyerId, new Date(), session);
+            break;
+
+          case 'refunded':
+            if (['paid', 'partial'].includes(order.paymentInfo?.status)) {
+              order.paymentInfo.status = 'refunded';
+            }
+            if (fromStatus === 'cancelled' && order.cancellation) {
+              order.cancellation.refundStatus = 'processed';
+            }
+            break;
+        }
+
+        await order.save({ session });
+
+        // Bill delivered orders to the buyer-vendor ledger; reverse them on refund
+        if (toStatus === 'delivered') {
+          await LedgerService.postInvoice(order, user, session);
+        } else if (toStatus === 'refunded') {
+          await LedgerService.postRefund(order, fromStatus, user, session);
+        }
+
+        let action = 'order_status_changed';
+        if (toStatus === 'cancelled') {
+          action = 'order_cancelled';
+        } else if (toStatus === 'confirmed' && user.role === 'buyerOwner') {
+          action = 'order_approved';
+        }
+
+        await AuditLog.logAction({
+          userId: user.id,
+          userRole: user.role,
+          action,
+          entityType: 'Order',
+          entityId: order._id,
+          description: `Order ${order.orderNumber} moved from ${fromStatus} to ${toStatus}`,
+          reason,
+          changes: {
+            before: { status: fromStatus },
+            after: { status: toStatus }
+          },
+          ipAddress,
+          userAgent,
+          ...(user.role === 'vendor' && { metadata: { additionalData: { staffRole: user.vendorRole || 'owner' } } }),
+          severity: ['cancelled', 'refunded'].includes(toStatus) ? 'high' : 'low',
+          impactLevel: ['cancelled', 'refunded'].includes(toStatus) ? 'moderate' : 'minor'
+        }, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (toStatus === 'delivered') {
+      await this.recordDeliveredSales(order);
+    }
+
+    await realtimeService.publishOrderEvent(order, 'order.status_changed', { previousStatus: fromStatus });
+    await realtimeService.publishStockChanges([
+      ...affectedListings.map(listing => listing._id),
+      ...listingUpdates.filter(update => update.success).map(update => update.listingId)
+    ]);
+
+    if (['confirmed', 'delivered'].includes(toStatus)) {
+      try {
+        await NotificationService.createOrderNotification(order, `order_${toStatus}`);
+      } catch (notificationError) {
+        console.error(`Failed to send order ${toStatus} notification:`, notificationError.message);
+      }
+    }
+
+    return {
+      order,
+      listingUpdates,
+      stockReservations: stockReservationService.summarizeStock(affectedListings, order.items)
+    };
+  }
+
+  /**
+   * Record what was actually delivered on each line.
+   * Lines not mentioned in `deliveries` are treated as delivered in full.
+   *
+   * @param {Object} order - Order document
+   * @param {Array} deliveries - [{ itemId | listingId, deliveredQuantity, reason, substitutedWith }]
+   */
+  static applyDeliveredQuantities(order, deliveries = []) {
+    const findItem = (delivery) => order.items.find(item => {
+      if (delivery.itemId) {
+        return item._id.toString() === delivery.itemId.toString();
+      }
+      const listingId = item.listingId._id || item.listingId;
+      return delivery.listingId && listingId.toString() === delivery.listingId.toString();
+    });
+
+    const recorded = new Map();
+    for (const delivery of deliveries || []) {
+      const item = findItem(delivery);
+      if (!item) {
+        throw new ErrorResponse(
+          `Order item ${delivery.itemId || delivery.listingId} not found in this order`,
+          400
+        );
+      }
+
+      const deliveredQuantity = Number(delivery.deliveredQuantity);
+      if (!Number.isFinite(deliveredQuantity) || deliveredQuantity < 0) {
+        throw new ErrorResponse(`${item.productName}: Delivered quantity must be zero or more`, 400);
+      }
+      if (deliveredQuantity > item.quantity) {
+        throw new ErrorResponse(
+          `${item.productName}: Delivered quantity cannot exceed the ordered ${item.quantity} ${item.unit}`,
+          400
+        );
+      }
+
+      const isSubstituted = !!delivery.substitutedWith;
+      if ((deliveredQuantity < item.quantity || isSubstituted) && !delivery.reason) {
+        throw new ErrorResponse(
+          `${item.productName}: A shortage or substitution reason is required`,
+          400
+        );
+      }
+
+      recorded.set(item._id.toString(), { deliveredQuantity, isSubstituted, delivery });
+    }
+
+    for (const item of order.items) {
+      const entry = recorded.get(item._id.toString());
+
+      if (!entry) {
+        item.deliveredQuantity = item.quantity;
+        item.fulfillmentStatus = 'full';
+        continue;
+      }
+
+      const { deliveredQuantity, isSubstituted, delivery } = entry;
+      item.deliveredQuantity = deliveredQuantity;
+      item.fulfillmentReason = delivery.reason;
+      item.substitutedWith = delivery.substitutedWith;
+
+      if (isSubstituted) {
+        item.fulfillmentStatus = 'substituted';
+      } else if (deliveredQuantity === 0) {
+        item.fulfillmentStatus = 'not_delivered';
+      } else if (deliveredQuantity < item.quantity) {
+        item.fulfillmentStatus = 'short';
+      } else {
+        item.fulfillmentStatus = 'full';
+      }
+    }
+
+    if (order.items.every(item => item.deliveredQuantity === 0)) {
+      throw new ErrorResponse('Nothing was delivered on this order. Cancel it instead.', 400);
+    }
+  }
+
+  /**
+   * Feed delivered quantities and billed amounts into listing analytics.
+   * Best effort: analytics failures never fail the delivery itself.
+   */
+  static async recordDeliveredSales(order) {
+    for (const item of order.items) {
+      if (!item.deliveredQuantity) continue;
+
+      const listingId = item.listingId._id || item.listingId;
+
+      try {
+        let analytics = await ListingAnalytics.findOne({ vendorId: order.vendorId, listingId });
+
+        if (!analytics) {
+          const listing = await Listing.findById(listingId).select('productId listingType');
+          if (!listing) continue;
+
+          analytics = new ListingAnalytics({
+            listingId,
+            vendorId: order.vendorId,
+            productId: listing.productId,
+            listingType: listing.listingType
+          });
+        }
+
+        await analytics.recordSale({
+          quantity: item.deliveredQuantity,
+          revenue: item.totalPrice,
+          customerId: order.buyerId,
+          orderId: order._id
+        });
+      } catch (error) {
+        console.error(`Failed to record sale analytics for item ${item._id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Replace the items of an order that is still pending approval.
+   * Items are revalidated like a new order, the old reservation is swapped
+   * for a new one and totals are recalculated by the Order pre-save hook.
+   *
+   * @param {Object} order - Order document
+   * @param {Array} items - Requested items [{ listingId, quantity, specialInstructions }]
+   * @param {Object} user - Acting user (req.user)
+   * @param {Object} options - { notes, ipAddress, userAgent }
+   * @returns {Promise<{order: Object, ownerApprovalRequested: Boolean, stockReservations: Array}>}
+   */
+  static async amendOrder(order, items, user, options = {}) {
+    const { notes, ipAddress, userAgent } = options;
+
+    if (!order.canBeModified()) {
+      throw new ErrorResponse(
+        `Order can only be modified while pending approval (current status: ${order.status})`,
+        409,
+        { currentStatus: order.status }
+      );
+    }
+
+    // This order's own reservation counts as available for the amendment
+    const hasReservation = order.stockReservation?.status === 'active';
+    const heldQuantities = hasReservation
+      ? stockReservationService.groupQuantities(order.items)
+      : new Map();
+
+    const preparedItems = await this.prepareOrderItems(items, heldQuantities);
+
+    // Amended items must stay with the order's vendor and market
+    const orderMarketId = preparedItems[0].listing.marketId._id.toString();
+    for (const { listing } of preparedItems) {
+      if (listing.vendorId.toString() !== order.vendorId.toString()) {
+        throw new ErrorResponse(
+          `Item "${listing.productId.name}" is sold by a different vendor and cannot be added to this order`,
+          400
+        );
+      }
+      if (listing.marketId._id.toString() !== orderMarketId) {
+        throw new ErrorResponse(
+          `All items in an order must be from the same market. Item "${listing.productId.name}" is from a different market.`,
+          400
+        );
+      }
+    }
+
+    // A manager can't amend their way past their own limits
+    const ownerApproval = this.checkManagerPermissions(user, order.vendorId, preparedItems);
+    const ownerApprovalRequested = ownerApproval.required && !order.ownerApproval?.required;
+
+    const newItems = preparedItems.map(({ orderItem }) => orderItem);
+    const before = {
+      items: order.items.map(item => ({ listingId: item.listingId, quantity: item.quantity })),
+      totalAmount: order.totalAmount
+    };
+
+    // Snapshot in-memory state so a retried transaction starts from scratch
+    const reservationSnapshot = order.stockReservation.toObject();
+
+    const session = await mongoose.startSession();
+    let reservedListings = [];
+
+    try {
+      await session.withTransaction(async () => {
+        order.stockReservation = reservationSnapshot;
+
+        if (hasReservation) {
+          await stockReservationService.releaseForOrder(order, 'Order amended', session);
+        }
+        reservedListings = await stockReservationService.reserveItems(newItems, session);
+
+        // Keep the original expiry so amending cannot extend how long stock is held
+        const freshReservation = await stockReservationService.createReservationInfo();
+        order.stockReservation = {
+          status: 'active',
+          reservedAt: new Date(),
+          expiresAt: reservationSnapshot.expiresAt || freshReservation.expiresAt
+        };
+
+        order.items = newItems;
+        if (ownerApprovalRequested) {
+          order.ownerApproval = ownerApproval;
+        }
+        if (notes !== undefined) {
+          order.notes.buyer = notes;
+        }
+        await order.save({ session });
+
+        await AuditLog.logAction({
+          userId: user.id,
+          userRole: user.role,
+          action: 'order_amended',
+          entityType: 'Order',
+          entityId: order._id,
+          description: `Order ${order.orderNumber} items amended`,
+          changes: {
+            before,
+            after: {
+              items: order.items.map(item => ({ listingId: item.listingId, quantity: item.quantity })),
+              totalAmount: order.totalAmount
+            }
+          },
+          ipAddress,
+          userAgent,
+          severity: 'low',
+          impactLevel: 'minor'
+        }, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // Stock moved off the old lines and onto the new ones
+    await realtimeService.publishOrderEvent(order, 'order.amended');
+    await realtimeService.publishStockChanges(
+      [...before.items, ...order.items].map(item => item.listingId._id || item.listingId)
+    );
+
+    return {
+      order,
+      ownerApprovalRequested,
+      stockReservations: stockReservationService.summarizeStock(reservedListings, order.items)
+    };
+  }
+}
+
+module.exports = OrderService;
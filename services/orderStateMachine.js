@@ -0,0 +1,104 @@
+const { ErrorResponse } = require('../middleware/error');
+
+const BUYER_ROLES = ['buyerOwner', 'buyerManager'];
+
+/**
+ * Central order transition table.
+ *
+ * ORDER_TRANSITIONS[from][to] = {
+ *   roles:          roles allowed to make the move
+ *   reasonRequired: whether a reason must be supplied
+ *   deliveryType:   only allowed for orders with this deliveryInfo.type
+ *   ownerApproval:  orders flagged for owner approval need a buyer owner
+ *                   (or admin) to make this move first
+ *   staffPermission: permission vendor staff need for the move (default 'manage_orders')
+ * }
+ *
+ * Any move not listed here is illegal.
+ */
+const ORDER_TRANSITIONS = {
+  pending_approval: {
+    confirmed: { roles: ['buyerOwner', 'vendor', 'admin'], reasonRequired: false, ownerApproval: true },
+    cancelled: { roles: [...BUYER_ROLES, 'vendor', 'admin'], reasonRequired: true }
+  },
+  confirmed: {
+    processing: { roles: ['vendor', 'admin'], reasonRequired: false, staffPermission: 'dispatch_orders' },
+    cancelled: { roles: ['vendor', 'admin'], reasonRequired: true }
+  },
+  processing: {
+    ready_for_pickup: {
+      roles: ['vendor', 'admin'], reasonRequired: false, deliveryType: 'pickup', staffPermission: 'dispatch_orders'
+    },
+    out_for_delivery: {
+      roles: ['vendor', 'admin'], reasonRequired: false, deliveryType: 'delivery', staffPermission: 'dispatch_orders'
+    },
+    cancelled: { roles: ['vendor', 'admin'], reasonRequired: true }
+  },
+  ready_for_pickup: {
+    delivered: { roles: ['vendor', 'admin'], reasonRequired: false, staffPermission: 'dispatch_orders' },
+    cancelled: { roles: ['vendor', 'admin'], reasonRequired: true }
+  },
+  out_for_delivery: {
+    delivered: { roles: ['vendor', 'admin'], reasonRequired: false, staffPermission: 'dispatch_orders' },
+    cancelled: { roles: ['vendor', 'admin'], reasonRequired: true }
+  },
+  delivered: {
+    refunded: { roles: ['vendor', 'admin'], reasonRequired: true }
+  },
+  cancelled: {
+    refunded: { roles: ['admin'], reasonRequired: true }
+  },
+  refunded: {}
+};
+
+/**
+ * List the states a role may move an order to from its current state
+ * @param {Object} [user] - Acting user; vendor staff are limited by their sub-role permissions
+ */
+const getAllowedTransitions = (order, role, user = null) => {
+  const transitions = ORDER_TRANSITIONS[order.status] || {};
+  const awaitingOwner = Boolean(order.ownerApproval?.required && !order.approvedBy);
+
+  return Object.entries(transitions)
+    .filter(([, rule]) => rule.roles.includes(role))
+    .filter(([, rule]) => !rule.deliveryType || rule.deliveryType === order.deliveryInfo?.type)
+    .filter(([, rule]) => !rule.ownerApproval || !awaitingOwner || role !== 'vendor')
+    .filter(([, rule]) => role !== 'vendor' || !user || user.hasPermission(rule.staffPermission || 'manage_orders'))
+    .map(([status, rule]) => ({ status, reasonRequired: rule.reasonRequired }));
+};
+
+/**
+ * Throw a structured 409 (or 400 for a missing reason) unless the move is legal
+ */
+const assertTransition = (order, toStatus, role, reason, user = null) => {
+  const allowed = getAllowedTransitions(order, role, user);
+  const rule = allowed.find(transition => transition.status === toStatus);
+
+  if (!rule) {
+    throw new ErrorResponse(
+      `Cannot change order status from "${order.status}" to "${toStatus}"`,
+      409,
+      {
+        currentStatus: order.status,
+        requestedStatus: toStatus,
+        role,
+        allowedTransitions: allowed
+      }
+    );
+  }
+
+  if (rule.reasonRequired && (!reason || !reason.trim())) {
+    throw new ErrorResponse(`A reason is required to move an order to "${toStatus}"`, 400);
+  }
+
+  return rule;
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  assertTransition
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const { ErrorResponse } = require('../middleware/error');
+const { sendSms } = require('../utils/sms');
+
+const OTP_LENGTH = 6;
+
+const MESSAGES = {
+  login: (code, minutes) =>
+    `Your Aaroth Fresh login code is ${code}. It expires in ${minutes} minutes. Never share this code.`,
+  verify_phone: (code, minutes) =>
+    `Your Aaroth Fresh phone verification code is ${code}. It expires in ${minutes} minutes.`
+};
+
+class OtpService {
+  static config() {
+    return {
+      expireMinutes: parseInt(process.env.OTP_EXPIRE_MINUTES) || 5,
+      maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+      resendSeconds: parseInt(process.env.OTP_RESEND_SECONDS) || 60,
+      maxPerHour: parseInt(process.env.OTP_MAX_PER_HOUR) || 5,
+      maxPerHourPerIp: parseInt(process.env.OTP_MAX_PER_HOUR_PER_IP) || 20
+    };
+  }
+
+  /**
+   * Codes are HMAC'd with a server secret so a leaked table can't be brute-forced offline
+   */
+  static hashCode(phone, code) {
+    return crypto
+      .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+      .update(`${phone}:${code}`)
+      .digest('hex');
+  }
+
+  static generateCode() {
+    return String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+  }
+
+  /**
+   * Latest code for a phone and purpose that can still be used
+   */
+  static findActiveCode(phone, purpose) {
+    return PhoneOtp.findOne({
+      phone,
+      purpose,
+      consumedAt: null,
+      invalidatedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('+codeHash')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Reject a request while the phone is inside its resend window or over its
+   * hourly cap, or the IP address has asked for too many codes this hour
+   */
+  static async checkThrottle(phone, purpose, ipAddress) {
+    const { resendSeconds, maxPerHour, maxPerHourPerIp } = this.config();
+    const now = Date.now();
+    const hourAgo = new Date(now - 60 * 60 * 1000);
+
+    const [latest, sentLastHour, sentToIpLastHour] = await Promise.all([
+      PhoneOtp.findOne({ phone, purpose }).sort({ createdAt: -1 }),
+      PhoneOtp.countDocuments({ phone, purpose, createdAt: { $gt: hourAgo } }),
+      ipAddress
+        ? PhoneOtp.countDocuments({ ipAddress, purpose, createdAt: { $gt: hourAgo } })
+        : 0
+    ]);
+
+    if (latest && now - latest.createdAt.getTime() < resendSeconds * 1000) {
+      const retryAfter = Math.ceil((latest.createdAt.getTime() + resendSeconds * 1000 - now) / 1000);
+      throw new ErrorResponse(`Please wait ${retryAfter} seconds before requesting another code`, 429, {
+        retryAfter
+      });
+    }
+
+    if (sentLastHour >= maxPerHour) {
+      throw new ErrorResponse('Too many codes requested for this number. Try again later.', 429, {
+        retryAfter: 60 * 60
+      });
+    }
+
+    if (sentToIpLastHour >= maxPerHourPerIp) {
+      throw new ErrorResponse('Too many codes requested. Try again later.', 429, {
+        retryAfter: 60 * 60
+      });
+    }
+  }
+
+  /**
+   * Expiry and resend times reported for a request made at `now`
+   */
+  static timing(now) {
+    const { expireMinutes, resendSeconds } = this.config();
+
+    return {
+      expiresAt: new Date(now + expireMinutes * 60 * 1000),
+      resendAfter: new Date(now + resendSeconds * 1000)
+    };
+  }
+
+  /**
+   * Throttle, then generate, store and text a new code, replacing any earlier one.
+   * @returns {Promise<{expiresAt: Date, resendAfter: Date}>}
+   */
+  static async sendCode(phone, purpose, { userId, ipAddress } = {}) {
+    await this.checkThrottle(phone, purpose, ipAddress);
+    return this.issueCode(phone, purpose, { userId, ipAddress });
+  }
+
+  /**
+   * Generate, store and text a new code without checking throttles
+   * (callers run checkThrottle first)
+   */
+  static async issueCode(phone, purpose, { userId, ipAddress } = {}) {
+    const { expireMinutes } = this.config();
+    const now = Date.now();
+    const { expiresAt, resendAfter } = this.timing(now);
+
+    await PhoneOtp.updateMany(
+      { phone, purpose, consumedAt: null, invalidatedAt: null },
+      { $set: { invalidatedAt: new Date() } }
+    );
+
+    const code = this.generateCode();
+    const otp = await PhoneOtp.create({
+      phone,
+      userId,
+      purpose,
+      codeHash: this.hashCode(phone, code),
+      expiresAt,
+      ipAddress
+    });
+
+    try {
+      await sendSms({ phone, message: MESSAGES[purpose](code, expireMinutes) });
+    } catch (error) {
+      // Don't leave an undelivered code counting against the resend window
+      await PhoneOtp.deleteOne({ _id: otp._id });
+      console.error('SMS send error:', error.message);
+      throw new ErrorResponse('Verification code could not be sent', 502);
+    }
+
+    return { expiresAt, resendAfter };
+  }
+
+  /**
+   * Record a request for a number with no account so it counts against the
+   * same throttles as a real one. No code is generated or sent.
+   * @returns {Promise<{expiresAt: Date, resendAfter: Date}>} As if a code had been sent
+   */
+  static async recordUnsentRequest(phone, purpose, { ipAddress } = {}) {
+    const now = Date.now();
+    const { expiresAt, resendAfter } = this.timing(now);
+
+    await PhoneOtp.create({
+      phone,
+      purpose,
+      expiresAt,
+      invalidatedAt: new Date(now),
+      ipAddress
+    });
+
+    return { expiresAt, resendAfter };
+  }
+
+  /**
+   * Check a code; each wrong guess counts against the attempt limit.
+   * A correct code is consumed and cannot be used again.
+   */
+  static async verifyCode(phone, purpose, code) {
+    const { maxAttempts } = this.config();
+    const otp = await this.findActiveCode(phone, purpose);
+
+    if (!otp) {
+      throw new ErrorResponse('Code has expired or was not requested. Please request a new code.', 400);
+    }
+
+    if (otp.attempts >= maxAttempts) {
+      throw new ErrorResponse('Too many incorrect attempts. Please request a new code.', 429);
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const presented = Buffer.from(this.hashCode(phone, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, presented)) {
+      const updated = await PhoneOtp.findOneAndUpdate(
+        { _id: otp._id },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+      const attemptsRemaining = Math.max(0, maxAttempts - updated.attempts);
+
+      throw new ErrorResponse(
+        attemptsRemaining > 0
+          ? 'Incorrect code'
+          : 'Too many incorrect attempts. Please request a new code.',
+        attemptsRemaining > 0 ? 400 : 429,
+        { attemptsRemaining }
+      );
+    }
+
+    // Conditional update so the same code can't be redeemed twice concurrently
+    const result = await PhoneOtp.updateOne(
+      { _id: otp._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new ErrorResponse('Code has already been used. Please request a new code.', 400);
+    }
+
+    return otp;
+  }
+}
+
+module.exports = OtpService;
@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const DeliveryAreaService = require('./deliveryAreaService');
+const { ErrorResponse } = require('../middleware/error');
+const { comparisonUnit, convertQuantity } = require('../utils/units');
+
+// On-time delivery rate looks at orders delivered in this window
+const ON_TIME_WINDOW_DAYS = 90;
+
+// Above this many candidate vendors the basket is optimised greedily instead of exhaustively
+const MAX_EXACT_VENDORS = 12;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const freeQuantityOf = (listing) => Math.max(
+  0,
+  (listing.availability?.quantityAvailable || 0) - (listing.availability?.quantityReserved || 0)
+);
+
+class PriceComparisonService {
+  /**
+   * Smallest quantity (listing unit) that can be ordered to cover `wanted`:
+   * rounded up to whole packs and to the minimum order
+   * @param {Object} options - { ignoreStock: true } skips the free-stock check
+   * @returns {Number|null} null when the listing can't supply it
+   */
+  static orderQuantity(listing, wanted = 0, { ignoreStock = false } = {}) {
+    const pricing = listing.pricing[0];
+    let quantity;
+
+    if (pricing.enablePackSelling && pricing.packSize) {
+      const packs = Math.max(Math.ceil(wanted / pricing.packSize - 1e-9), pricing.minimumPacks || 1);
+      if (pricing.maximumPacks && packs > pricing.maximumPacks) return null;
+      quantity = packs * pricing.packSize;
+    } else {
+      quantity = Math.max(wanted, listing.minimumOrderQuantity || 0);
+      if (listing.maximumOrderQuantity && quantity > listing.maximumOrderQuantity) return null;
+    }
+
+    if (quantity <= 0) return null;
+    return ignoreStock || quantity <= freeQuantityOf(listing) ? quantity : null;
+  }
+
+  /**
+   * Discount that applies to an order of `quantity` (same rule as Listing#effectivePrice,
+   * plus the discount's own minimum quantity)
+   */
+  static activeDiscount(listing, quantity) {
+    const discount = listing.discount;
+    if (!discount?.type || !discount.value || !(discount.validUntil > new Date())) return null;
+    if (discount.minimumQuantity && quantity < discount.minimumQuantity) return null;
+    return discount;
+  }
+
+  /**
+   * Price per listing unit after any discount
+   */
+  static unitPrice(listing, quantity) {
+    const basePrice = listing.pricing[0].pricePerBaseUnit;
+    const discount = this.activeDiscount(listing, quantity);
+
+    if (discount?.type === 'percentage') return basePrice * (1 - discount.value / 100);
+    if (discount?.type === 'fixed') return Math.max(0, basePrice - discount.value);
+    return basePrice;
+  }
+
+  /**
+   * Share of each vendor's recent deliveries made on or before the estimated day
+   * @returns {Promise<Map<string, {onTimeDeliveryRate: Number, deliveredOrders: Number}>>}
+   */
+  static async onTimeRates(vendorIds) {
+    const since = new Date(Date.now() - ON_TIME_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const rows = await Order.aggregate([
+      {
+        $match: {
+          vendorId: { $in: vendorIds.map(id => new mongoose.Types.ObjectId(id)) },
+          status: 'delivered',
+          actualDeliveryDate: { $gte: since },
+          estimatedDeliveryDate: { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: '$vendorId',
+          deliveredOrders: { $sum: 1 },
+          onTime: {
+            $sum: {
+              $cond: [
+                { $lte: [{ $dateTrunc: { date: '$actualDeliveryDate', unit: 'day' } }, '$estimatedDeliveryDate'] },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), {
+      onTimeDeliveryRate: Math.round((row.onTime / row.deliveredOrders) * 1000) / 10,
+      deliveredOrders: row.deliveredOrders
+    }]));
+  }
+
+  /**
+   * Active listings for the given products with vendor, market and delivery data
+   */
+  static async loadListings(productIds) {
+    return Listing.find({ productId: { $in: productIds }, status: 'active' })
+      .populate('vendorId', 'businessName rating deliveryRadius address.coordinates isActive')
+      .populate('marketId', 'name location.coordinates')
+      .select('productId vendorId marketId pricing qualityGrade availability discount minimumOrderQuantity maximumOrderQuantity deliveryOptions')
+      .lean();
+  }
+
+  /**
+   * What buying `wanted` (listing unit) from one listing would cost, delivered
+   */
+  static quote(listing, wanted, { origin, rates, reliability }) {
+    const pricing = listing.pricing[0];
+    const unit = pricing.unit;
+    const baseUnit = comparisonUnit(unit);
+    const perComparisonUnit = (price) => roundMoney(price / convertQuantity(1, unit, baseUnit));
+
+    const from = origin ? DeliveryAreaService.shipsFrom(listing) : null;
+    const distanceKm = from ? DeliveryAreaService.distanceKm(origin.coordinates, from) : null;
+    const deliversToYou = origin
+      ? distanceKm !== null && distanceKm <= listing.vendorId.deliveryRadius
+      : null;
+
+    const orderable = this.orderQuantity(listing, wanted, { ignoreStock: true });
+    const quantity = orderable !== null && orderable <= freeQuantityOf(listing) ? orderable : null;
+    const priceQuantity = orderable ?? wanted;
+    const unitPrice = this.unitPrice(listing, priceQuantity);
+    const discount = this.activeDiscount(listing, priceQuantity);
+    const subtotal = quantity !== null ? roundMoney(unitPrice * quantity) : null;
+    const deliveryFee = DeliveryAreaService.estimateDeliveryFee(distanceKm, rates, listing, quantity);
+    const total = subtotal !== null ? roundMoney(subtotal + (deliveryFee || 0)) : null;
+    const vendorId = listing.vendorId._id.toString();
+
+    return {
+      listingId: listing._id,
+      productId: listing.productId,
+      vendor: {
+        _id: listing.vendorId._id,
+        businessName: listing.vendorId.businessName,
+        rating: listing.vendorId.rating,
+        onTimeDeliveryRate: reliability.get(vendorId)?.onTimeDeliveryRate ?? null,
+        deliveredOrders: reliability.get(vendorId)?.deliveredOrders || 0
+      },
+      market: listing.marketId ? { _id: listing.marketId._id, name: listing.marketId.name } : null,
+      qualityGrade: listing.qualityGrade,
+      unit,
+      comparisonUnit: baseUnit,
+      listPrice: perComparisonUnit(pricing.pricePerBaseUnit),
+      effectivePrice: perComparisonUnit(unitPrice),
+      discount: discount
+        ? { type: discount.type, value: discount.value, validUntil: discount.validUntil, minimumQuantity: discount.minimumQuantity }
+        : null,
+      pack: pricing.enablePackSelling && pricing.packSize
+        ? { size: pricing.packSize, unit: pricing.packUnit, price: roundMoney(unitPrice * pricing.packSize) }
+        : null,
+      minimumOrderQuantity: this.orderQuantity(listing, 0, { ignoreStock: true }),
+      quantity,
+      subtotal,
+      deliveryFee,
+      pickupOnly: deliveryFee === null,
+      total,
+      // Delivered cost per kg/liter/piece/bunch for the quantity quoted
+      landedPrice: total !== null ? perComparisonUnit(total / quantity) : null,
+      distanceKm: distanceKm !== null ? Math.round(distanceKm * 10) / 10 : null,
+      deliversToYou,
+      available: quantity !== null
+    };
+  }
+
+  /**
+   * Compare every active listing of a product
+   * @param {String} productId
+   * @param {Object} options - { quantity, unit } to price a specific amount; origin from DeliveryAreaService.findOrigin
+   */
+  static async compareProduct(productId, { quantity = 0, unit = null, origin = null } = {}) {
+    const product = await Product.findById(productId).select('name images category');
+    if (!product) {
+      throw new ErrorResponse(`Product not found with id of ${productId}`, 404);
+    }
+
+    const listings = (await this.loadListings([product._id])).filter(listing => listing.vendorId?.isActive);
+    const [rates, reliability] = await Promise.all([
+      DeliveryAreaService.getFeeRates(),
+      this.onTimeRates(listings.map(listing => listing.vendorId._id.toString()))
+    ]);
+
+    const quotes = [];
+    for (const listing of listings) {
+      const wanted = quantity ? convertQuantity(quantity, unit || listing.pricing[0].unit, listing.pricing[0].unit) : 0;
+      if (wanted === null) continue;
+      quotes.push(this.quote(listing, wanted, { origin, rates, reliability }));
+    }
+
+    // Buyable offers first, then cheapest delivered price per unit
+    const rank = (q) => (q.available ? 0 : 2) + (q.deliversToYou === false ? 1 : 0);
+    quotes.sort((a, b) =>
+      rank(a) - rank(b) ||
+      (a.landedPrice ?? a.effectivePrice) - (b.landedPrice ?? b.effectivePrice)
+    );
+
+    const cheapest = {};
+    for (const q of quotes) {
+      if (q.available && q.deliversToYou !== false && !cheapest[q.comparisonUnit]) {
+        cheapest[q.comparisonUnit] = q.listingId;
+      }
+    }
+
+    return { product, cheapest, listings: quotes };
+  }
+
+  /**
+   * Cheapest way to buy a whole shopping list, splitting it across vendors.
+   * Each vendor used adds one delivery fee (the highest among its lines), so
+   * fewer vendors can beat the cheapest line-by-line picks.
+   * @param {Array<{productId: String, quantity: Number, unit?: String}>} items
+   * @param {Object} options - { origin } from DeliveryAreaService.findOrigin
+   */
+  static async optimizeBasket(items, { origin = null } = {}) {
+    const productIds = [...new Set(items.map(item => item.productId.toString()))];
+    const listings = (await this.loadListings(productIds)).filter(listing => listing.vendorId?.isActive);
+    const [rates, reliability, products] = await Promise.all([
+      DeliveryAreaService.getFeeRates(),
+      this.onTimeRates([...new Set(listings.map(listing => listing.vendorId._id.toString()))]),
+      Product.find({ _id: { $in: productIds } }).select('name')
+    ]);
+    const productNames = new Map(products.map(product => [product._id.toString(), product.name]));
+
+    // Buyable, deliverable quotes for each line of the list
+    const lines = items.map(item => {
+      const options = [];
+      for (const listing of listings) {
+        if (listing.productId.toString() !== item.productId.toString()) continue;
+
+        const listingUnit = listing.pricing[0].unit;
+        const wanted = convertQuantity(item.quantity, item.unit || listingUnit, listingUnit);
+        if (wanted === null) continue;
+
+        const quote = this.quote(listing, wanted, { origin, rates, reliability });
+        if (quote.available && !quote.pickupOnly && quote.deliversToYou !== false) {
+          options.push({ ...quote, vendorKey: quote.vendor._id.toString() });
+        }
+      }
+      return {
+        item: { ...item, productName: productNames.get(item.productId.toString()) || null },
+        options: options.sort((a, b) => a.subtotal - b.subtotal)
+      };
+    });
+
+    const buyable = lines.filter(line => line.options.length > 0);
+    const unavailable = lines.filter(line => line.options.length === 0).map(line => line.item);
+    const vendorKeys = [...new Set(buyable.flatMap(line => line.options.map(option => option.vendorKey)))];
+
+    const plan = vendorKeys.length <= MAX_EXACT_VENDORS
+      ? this.bestPlanExact(buyable, vendorKeys)
+      : this.bestPlanGreedy(buyable);
+
+    return {
+      method: vendorKeys.length <= MAX_EXACT_VENDORS ? 'exact' : 'greedy',
+      ...this.describePlan(plan, buyable),
+      unavailable
+    };
+  }
+
+  /**
+   * Cost of buying each line from the cheapest option among allowed vendors
+   * @returns {{choices: Array, total: Number}|null} null if a line can't be bought
+   */
+  static evaluatePlan(lines, allowed) {
+    const choices = [];
+    const fees = new Map();
+    let total = 0;
+
+    for (const line of lines) {
+      const option = line.options.find(candidate => allowed.has(candidate.vendorKey));
+      if (!option) return null;
+
+      choices.push(option);
+      total += option.subtotal;
+      fees.set(option.vendorKey, Math.max(fees.get(option.vendorKey) || 0, option.deliveryFee || 0));
+    }
+
+    for (const fee of fees.values()) total += fee;
+    return { choices, total };
+  }
+
+  /**
+   * Try every set of vendors (fine for up to MAX_EXACT_VENDORS of them)
+   */
+  static bestPlanExact(lines, vendorKeys) {
+    let best = null;
+
+    for (let mask = 1; mask < (1 << vendorKeys.length); mask++) {
+      const allowed = new Set(vendorKeys.filter((_, i) => mask & (1 << i)));
+      const plan = this.evaluatePlan(lines, allowed);
+      if (plan && (!best || plan.total < best.total)) best = plan;
+    }
+
+    return best || { choices: [], total: 0 };
+  }
+
+  /**
+   * Start from the cheapest line-by-line picks, then keep dropping whichever
+   * vendor saves the most (its delivery fee outweighing dearer lines elsewhere)
+   */
+  static bestPlanGreedy(lines) {
+    let allowed = new Set(lines.map(line => line.options[0].vendorKey));
+    let best = this.evaluatePlan(lines, allowed);
+
+    for (;;) {
+      let improved = null;
+      for (const vendorKey of allowed) {
+        const candidate = new Set([...allowed].filter(key => key !== vendorKey));
+        const plan = candidate.size > 0 ? this.evaluatePlan(lines, candidate) : null;
+        if (plan && plan.total < best.total && (!improved || plan.total < improved.plan.total)) {
+          improved = { allowed: candidate, plan };
+        }
+      }
+      if (!improved) break;
+      allowed = improved.allowed;
+      best = improved.plan;
+    }
+
+    return best;
+  }
+
+  /**
+   * Group a plan's lines by vendor with per-vendor delivery fees
+   */
+  static describePlan(plan, lines) {
+    const vendors = new Map();
+
+    plan.choices.forEach((option, index) => {
+      if (!vendors.has(option.vendorKey)) {
+        vendors.set(option.vendorKey, { vendor: option.vendor, items: [], subtotal: 0, deliveryFee: 0 });
+      }
+      const group = vendors.get(option.vendorKey);
+      const { vendorKey, ...quote } = option;
+      group.items.push({ requested: lines[index].item, ...quote });
+      group.subtotal = roundMoney(group.subtotal + option.subtotal);
+      group.deliveryFee = Math.max(group.deliveryFee, option.deliveryFee || 0);
+    });
+
+    const groups = [...vendors.values()].map(group => ({
+      ...group,
+      total: roundMoney(group.subtotal + group.deliveryFee)
+    }));
+
+    return {
+      vendorCount: groups.length,
+      itemsTotal: roundMoney(groups.reduce((sum, group) => sum + group.subtotal, 0)),
+      deliveryTotal: roundMoney(groups.reduce((sum, group) => sum + group.deliveryFee, 0)),
+      total: roundMoney(plan.total),
+      vendors: groups
+    };
+  }
+}
+
+module.exports = PriceComparisonService;
@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const Product = require('../models/Product');
+const Market = require('../models/Market');
+const PriceSnapshot = require('../models/PriceSnapshot');
+const PriceAlert = require('../models/PriceAlert');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const PriceComparisonService = require('./priceComparisonService');
+const { ErrorResponse } = require('../middleware/error');
+const { comparisonUnit, convertQuantity } = require('../utils/units');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest window the daily price statistics cover
+const MAX_HISTORY_DAYS = 180;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const isOnSale = (listing) => listing.status === 'active' && !listing.isDeleted;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const dayKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Price a snapshot stood at, at a given moment (its discount may have ended since)
+ */
+const priceAt = (snapshot, at) => (
+  snapshot.discountedPrice != null && snapshot.discountEndsAt > at ? snapshot.discountedPrice : snapshot.price
+);
+
+// Fields that make a new snapshot worth recording
+const sameSnapshot = (a, b) => (
+  idOf(a.meta.marketId) === idOf(b.meta.marketId) &&
+  a.meta.qualityGrade === b.meta.qualityGrade &&
+  a.unit === b.unit &&
+  a.pricePerBaseUnit === b.pricePerBaseUnit &&
+  (a.discountedPrice ?? null) === (b.discountedPrice ?? null) &&
+  (a.discountEndsAt ? a.discountEndsAt.getTime() : null) === (b.discountEndsAt ? b.discountEndsAt.getTime() : null) &&
+  a.isActive === b.isActive
+);
+
+class PriceHistoryService {
+  /**
+   * Listing units in one comparison unit (1000 for a price per g)
+   */
+  static perComparisonUnit(unit) {
+    return convertQuantity(1, comparisonUnit(unit), unit) || 1;
+  }
+
+  /**
+   * Snapshot of a listing's price as it stands now
+   */
+  static snapshotOf(listing, reason) {
+    const pricing = listing.pricing[0];
+    const factor = this.perComparisonUnit(pricing.unit);
+    const discount = PriceComparisonService.activeDiscount(listing, 0);
+
+    return {
+      recordedAt: new Date(),
+      meta: {
+        productId: idOf(listing.productId),
+        marketId: idOf(listing.marketId),
+        vendorId: idOf(listing.vendorId),
+        qualityGrade: listing.qualityGrade,
+        listingId: idOf(listing._id)
+      },
+      unit: pricing.unit,
+      pricePerBaseUnit: pricing.pricePerBaseUnit,
+      comparisonUnit: comparisonUnit(pricing.unit),
+      price: roundMoney(pricing.pricePerBaseUnit * factor),
+      ...(discount && {
+        discountedPrice: roundMoney(PriceComparisonService.unitPrice(listing, 0) * factor),
+        discountEndsAt: discount.validUntil
+      }),
+      isActive: isOnSale(listing),
+      reason
+    };
+  }
+
+  /**
+   * Snapshot the listings whose price, discount, grade or sale status changed
+   * since their last snapshot, then check price alerts on their products.
+   * Failures are logged rather than thrown so the listing update still succeeds.
+   * @param {Array} listingIds
+   * @param {String} reason - created | updated | status_changed | baseline
+   * @returns {Promise<Number>} snapshots recorded
+   */
+  static async recordListingPrices(listingIds, reason = 'updated') {
+    try {
+      const listings = await Listing.findWithDeleted({ _id: { $in: listingIds } })
+        .select('productId marketId vendorId qualityGrade pricing discount status isDeleted')
+        .lean();
+
+      return await this.recordSnapshots(listings, reason);
+    } catch (error) {
+      console.error('Error recording price snapshots:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Close the price series of a listing that is being removed outright
+   */
+  static async recordRemoval(listing) {
+    try {
+      return await this.recordSnapshots([{ ...listing.toObject(), isDeleted: true }], 'status_changed');
+    } catch (error) {
+      console.error('Error recording price snapshots:', error);
+      return 0;
+    }
+  }
+
+  static async recordSnapshots(listings, reason) {
+    if (listings.length === 0) return 0;
+
+    const latest = await PriceSnapshot.aggregate([
+      { $match: { 'meta.listingId': { $in: listings.map(listing => listing._id) } } },
+      { $sort: { recordedAt: -1 } },
+      { $group: { _id: '$meta.listingId', snapshot: { $first: '$$ROOT' } } }
+    ]);
+    const latestByListing = new Map(latest.map(row => [row._id.toString(), row.snapshot]));
+
+    const snapshots = listings
+      .filter(listing => listing.pricing?.[0]?.pricePerBaseUnit != null)
+      .map(listing => this.snapshotOf(listing, reason))
+      .filter(snapshot => {
+        const previous = latestByListing.get(snapshot.meta.listingId);
+        // A listing that was never on sale has no history to start
+        if (!previous) return snapshot.isActive;
+        return !sameSnapshot(previous, snapshot);
+      });
+
+    if (snapshots.length === 0) return 0;
+
+    await PriceSnapshot.insertMany(snapshots);
+    await this.checkAlerts([...new Set(snapshots.map(snapshot => snapshot.meta.productId))]);
+
+    return snapshots.length;
+  }
+
+  /**
+   * Daily minimum, median and maximum price of a product in each market, built
+   * from each listing's closing price that day. Prices are per comparison unit,
+   * so a market can have one series per unit (kg and piece).
+   * @param {String} productId
+   * @param {Object} options - { marketId, qualityGrade, days }
+   */
+  static async dailyStats(productId, { marketId, qualityGrade, days = 30 } = {}) {
+    const product = await Product.findById(productId).select('name');
+    if (!product) {
+      throw new ErrorResponse(`Product not found with id of ${productId}`, 404);
+    }
+
+    const dayCount = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_HISTORY_DAYS);
+    const now = new Date();
+    const from = startOfDay(new Date(now.getTime() - (dayCount - 1) * DAY_MS));
+
+    // Market and grade are filtered per snapshot, not in the query, so a listing
+    // that moved market or changed grade drops out of the old series
+    const match = { 'meta.productId': new mongoose.Types.ObjectId(productId) };
+    const inScope = (snapshot) => snapshot.isActive &&
+      (!marketId || snapshot.meta.marketId.toString() === marketId.toString()) &&
+      (!qualityGrade || snapshot.meta.qualityGrade === qualityGrade);
+
+    // Where every listing stood when the window opened, then every change inside it
+    const [opening, changes] = await Promise.all([
+      PriceSnapshot.aggregate([
+        { $match: { ...match, recordedAt: { $lt: from } } },
+        { $sort: { recordedAt: -1 } },
+        { $group: { _id: '$meta.listingId', snapshot: { $first: '$$ROOT' } } }
+      ]),
+      PriceSnapshot.find({ ...match, recordedAt: { $gte: from } }).sort({ recordedAt: 1 }).lean()
+    ]);
+
+    const current = new Map(opening.map(row => [row._id.toString(), row.snapshot]));
+    const series = new Map();
+    let next = 0;
+
+    for (let dayStart = from; dayStart <= now; dayStart = new Date(dayStart.getTime() + DAY_MS)) {
+      const dayEnd = new Date(Math.min(dayStart.getTime() + DAY_MS, now.getTime()));
+
+      while (next < changes.length && changes[next].recordedAt < dayEnd) {
+        current.set(changes[next].meta.listingId.toString(), changes[next]);
+        next += 1;
+      }
+
+      const pricesByMarket = new Map();
+      for (const snapshot of current.values()) {
+        if (!inScope(snapshot)) continue;
+
+        const key = `${snapshot.meta.marketId}:${snapshot.comparisonUnit}`;
+        if (!pricesByMarket.has(key)) pricesByMarket.set(key, []);
+        pricesByMarket.get(key).push(priceAt(snapshot, dayEnd));
+      }
+
+      for (const [key, prices] of pricesByMarket) {
+        if (!series.has(key)) {
+          const [market, unit] = key.split(':');
+          series.set(key, { marketId: market, unit, days: [] });
+        }
+        series.get(key).days.push({
+          date: dayKey(dayStart),
+          min: roundMoney(Math.min(...prices)),
+          median: roundMoney(median(prices)),
+          max: roundMoney(Math.max(...prices)),
+          listings: prices.length
+        });
+      }
+    }
+
+    const markets = await Market.find({ _id: { $in: [...series.values()].map(entry => entry.marketId) } })
+      .setOptions({ includeSoftDeleted: true })
+      .select('name location.city')
+      .lean();
+    const marketById = new Map(markets.map(market => [market._id.toString(), market]));
+
+    return {
+      product: { _id: product._id, name: product.name },
+      from,
+      to: now,
+      markets: [...series.values()].map(entry => ({
+        marketId: entry.marketId,
+        marketName: marketById.get(entry.marketId)?.name || null,
+        city: marketById.get(entry.marketId)?.location?.city || null,
+        unit: entry.unit,
+        days: entry.days
+      }))
+    };
+  }
+
+  /**
+   * Lowest price a buyer could pay right now for what an alert watches
+   * @returns {Promise<Object|null>} { price, listing } or null when nothing is on sale
+   */
+  static async bestPriceFor(alert, listings = null) {
+    const candidates = listings || await this.listingsOnSale([idOf(alert.productId)]);
+    let best = null;
+
+    for (const listing of candidates) {
+      if (idOf(listing.productId) !== idOf(alert.productId)) continue;
+      if (alert.marketId && idOf(listing.marketId) !== idOf(alert.marketId)) continue;
+      if (alert.qualityGrade && listing.qualityGrade !== alert.qualityGrade) continue;
+      if (comparisonUnit(listing.pricing[0].unit) !== alert.unit) continue;
+
+      const price = roundMoney(
+        PriceComparisonService.unitPrice(listing, 0) * this.perComparisonUnit(listing.pricing[0].unit)
+      );
+      if (!best || price < best.price) best = { price, listing };
+    }
+
+    return best;
+  }
+
+  static listingsOnSale(productIds) {
+    return Listing.find({ productId: { $in: productIds }, status: 'active', isFlagged: { $ne: true } })
+      .select('productId marketId vendorId qualityGrade pricing discount')
+      .populate('marketId', 'name')
+      .populate('vendorId', 'businessName')
+      .lean();
+  }
+
+  /**
+   * Fire the active alerts on these products whose condition is now met, and
+   * re-arm the ones whose price has moved back past the target
+   * @returns {Promise<Number>} alerts triggered
+   */
+  static async checkAlerts(productIds, alerts = null) {
+    const watching = alerts || await PriceAlert.find({ productId: { $in: productIds }, isActive: true });
+    if (watching.length === 0) return 0;
+
+    const listings = await this.listingsOnSale(productIds);
+    let triggered = 0;
+
+    for (const alert of watching) {
+      try {
+        const best = await this.bestPriceFor(alert, listings);
+        if (!best) continue;
+
+        if (!alert.isMetBy(best.price)) {
+          if (alert.triggeredAt) {
+            alert.triggeredAt = undefined;
+            await alert.save();
+          }
+          continue;
+        }
+        if (alert.triggeredAt) continue;
+
+        alert.triggeredAt = new Date();
+        alert.lastTriggeredPrice = best.price;
+        alert.triggerCount += 1;
+        await alert.save();
+
+        await this.notifyAlert(alert, best);
+        triggered += 1;
+      } catch (error) {
+        console.error(`Error checking price alert ${alert._id}:`, error);
+      }
+    }
+
+    return triggered;
+  }
+
+  static async notifyAlert(alert, { price, listing }) {
+    const [user, product] = await Promise.all([
+      User.findById(alert.userId).select('name role'),
+      Product.findById(alert.productId).select('name')
+    ]);
+    if (!user) return null;
+
+    const marketName = alert.marketId ? listing.marketId?.name : null;
+    const where = marketName ? ` in ${marketName}` : '';
+    const direction = alert.condition === 'below' ? 'dropped below' : 'risen above';
+    const actionUrl = `/public/products/${alert.productId}/price-history${alert.marketId ? `?marketId=${alert.marketId}` : ''}`;
+    const data = {
+      recipientName: user.name,
+      productName: product?.name,
+      marketName,
+      qualityGrade: alert.qualityGrade,
+      condition: alert.condition,
+      targetPrice: alert.targetPrice,
+      currentPrice: price,
+      unit: alert.unit,
+      vendorName: listing.vendorId?.businessName,
+      actionUrl
+    };
+
+    return NotificationService.createNotification({
+      recipientId: user._id,
+      recipientType: user.role,
+      type: 'price_alert',
+      title: 'Price Alert',
+      message: `${product?.name || 'A product'}${where} has ${direction} ৳${alert.targetPrice}/${alert.unit}: now ৳${price}/${alert.unit}`,
+      priority: 'medium',
+      actionUrl,
+      actionText: 'View Prices',
+      relatedEntity: {
+        entityType: 'product',
+        entityId: alert.productId
+      },
+      metadata: {
+        alertId: alert._id,
+        listingId: listing._id,
+        price
+      },
+      deliveryChannel: ['in-app', 'email', 'push'],
+      emailTemplate: { name: 'price_alert', data }
+    });
+  }
+}
+
+module.exports = PriceHistoryService;
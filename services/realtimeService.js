@@ -0,0 +1,274 @@
+const Counter = require('../models/Counter');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const Listing = require('../models/Listing');
+const SessionService = require('./sessionService');
+
+const HEARTBEAT_MS = 25 * 1000;
+const REPLAY_LIMIT = 500;
+
+/**
+ * Pushes notifications, order changes and stock changes to connected clients
+ * over Server-Sent Events.
+ *
+ * Every event is stored in RealtimeEvent before it is sent, so a client that
+ * reconnects with its last event id gets what it missed. Live delivery only
+ * reaches clients connected to this process; with several instances, clients
+ * on another one pick the event up from the store when they reconnect.
+ */
+class RealtimeService {
+  constructor() {
+    this.clients = new Set();
+  }
+
+  /**
+   * Rooms a user receives events for
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Array} marketIds - Markets the client asked to follow for stock changes
+   */
+  roomsForUser(user, marketIds = []) {
+    const rooms = [`user:${user._id}`];
+
+    if (user.role === 'vendor' && user.vendorId) {
+      rooms.push(`vendor:${user.vendorId._id || user.vendorId}`);
+    }
+    if (['buyerOwner', 'buyerManager'].includes(user.role) && user.buyerId) {
+      rooms.push(`buyer:${user.buyerId._id || user.buyerId}`);
+    }
+
+    marketIds.forEach(marketId => rooms.push(`market:${marketId}`));
+
+    return rooms;
+  }
+
+  /**
+   * Open an event stream on the response and replay events after `cursor`
+   * @param {Object} req - Express request (authenticated)
+   * @param {Object} res - Express response, kept open until the client disconnects
+   * @param {Object} options - { cursor, marketIds }
+   */
+  async connect(req, res, { cursor, marketIds = [] } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      res,
+      userId: req.user._id,
+      sessionId: req.sessionId,
+      rooms: new Set(this.roomsForUser(req.user, marketIds)),
+      // Live events arriving while the backlog is replayed wait here
+      pending: [],
+      replayed: new Set(),
+      ready: false
+    };
+
+    this.clients.add(client);
+    client.heartbeat = setInterval(() => this.heartbeat(client), HEARTBEAT_MS);
+    req.on('close', () => this.disconnect(client));
+
+    this.write(client, 'connected', { rooms: [...client.rooms], cursor: cursor ?? null });
+
+    if (cursor !== undefined) {
+      try {
+        await this.replay(client, cursor);
+      } catch (error) {
+        console.error('Realtime replay error:', error.message);
+        this.write(client, 'resync', { reason: 'replay_failed' });
+      }
+    }
+
+    client.ready = true;
+    client.pending
+      .filter(event => !client.replayed.has(event.seq))
+      .forEach(event => this.deliver(client, event));
+    client.pending = [];
+    client.replayed.clear();
+  }
+
+  /**
+   * Send stored events after the cursor. When events may have been lost
+   * (cursor older than the retention window, or too many to replay) the
+   * client is told to resync, i.e. reload state over the REST API.
+   */
+  async replay(client, cursor) {
+    const oldest = await RealtimeEvent.findOne().sort({ seq: 1 }).select('seq').lean();
+
+    if (oldest && oldest.seq > cursor + 1) {
+      this.write(client, 'resync', { reason: 'cursor_expired' });
+      return;
+    }
+
+    const events = await RealtimeEvent.find({
+      seq: { $gt: cursor },
+      rooms: { $in: [...client.rooms] }
+    })
+      .sort({ seq: 1 })
+      .limit(REPLAY_LIMIT)
+      .lean();
+
+    events.forEach(event => {
+      client.replayed.add(event.seq);
+      this.deliver(client, event);
+    });
+
+    if (events.length === REPLAY_LIMIT) {
+      this.write(client, 'resync', { reason: 'too_many_missed_events' });
+    }
+  }
+
+  disconnect(client) {
+    clearInterval(client.heartbeat);
+    this.clients.delete(client);
+  }
+
+  /**
+   * End every open stream (lets server.close() finish on shutdown)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      this.disconnect(client);
+      client.res.end();
+    }
+  }
+
+  /**
+   * Keep the connection open through proxies and drop it once the session is signed out
+   */
+  async heartbeat(client) {
+    try {
+      // Legacy access tokens have no session to check; they simply run out
+      const session = !client.sessionId || await SessionService.findActiveSession(client.sessionId, client.userId);
+
+      if (!session) {
+        this.write(client, 'session_ended', { reason: 'Session has expired or was signed out' });
+        this.disconnect(client);
+        client.res.end();
+        return;
+      }
+
+      client.res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Realtime heartbeat error:', error.message);
+    }
+  }
+
+  write(client, type, data, id) {
+    let frame = id !== undefined ? `id: ${id}\n` : '';
+    frame += `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    client.res.write(frame);
+  }
+
+  /**
+   * Send a stored event; its sequence number is the id clients resume from
+   */
+  deliver(client, event) {
+    this.write(client, event.type, event.data, event.seq);
+  }
+
+  /**
+   * Store an event and push it to connected clients in any of its rooms.
+   * Best effort: failures are logged and never fail the caller.
+   * @returns {Promise<Object|null>} The stored event
+   */
+  async publish(type, data, rooms) {
+    try {
+      const event = {
+        seq: await Counter.nextSequence('realtime_event'),
+        type,
+        rooms,
+        data
+      };
+
+      await RealtimeEvent.create(event);
+
+      for (const client of this.clients) {
+        if (!rooms.some(room => client.rooms.has(room))) continue;
+
+        if (client.ready) {
+          this.deliver(client, event);
+        } else {
+          client.pending.push(event);
+        }
+      }
+
+      return event;
+    } catch (error) {
+      console.error(`Realtime publish error (${type}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * A notification for its recipient's inbox
+   */
+  publishNotification(notification) {
+    return this.publish('notification', notification.toObject(), [`user:${notification.recipient}`]);
+  }
+
+  /**
+   * An order event for the buyer and vendor on the order
+   * @param {String} type - e.g. 'order.created', 'order.status_changed', 'order.amended'
+   */
+  publishOrderEvent(order, type, extra = {}) {
+    const buyerId = order.buyerId._id || order.buyerId;
+    const vendorId = order.vendorId._id || order.vendorId;
+
+    return this.publish(type, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      totalAmount: order.totalAmount,
+      buyerId,
+      vendorId,
+      updatedAt: order.updatedAt,
+      ...extra
+    }, [`buyer:${buyerId}`, `vendor:${vendorId}`]);
+  }
+
+  /**
+   * Current stock of the given listings, for the listing's market and vendor
+   */
+  async publishStockChanges(listingIds) {
+    try {
+      const ids = [...new Set(listingIds.filter(Boolean).map(id => id.toString()))];
+      if (ids.length === 0) return;
+
+      const listings = await Listing.find({ _id: { $in: ids } })
+        .select('vendorId marketId productId availability status');
+
+      for (const listing of listings) {
+        await this.publish('listing.stock_changed', {
+          listingId: listing._id,
+          productId: listing.productId,
+          vendorId: listing.vendorId,
+          marketId: listing.marketId,
+          quantityAvailable: listing.availability.quantityAvailable,
+          quantityReserved: listing.availability.quantityReserved || 0,
+          quantityFree: listing.freeQuantity,
+          unit: listing.availability.unit,
+          status: listing.status
+        }, [`market:${listing.marketId}`, `vendor:${listing.vendorId}`]);
+      }
+    } catch (error) {
+      console.error('Realtime stock publish error:', error.message);
+    }
+  }
+
+  /**
+   * A newly placed order plus the stock it reserved
+   */
+  async publishOrderPlaced(order) {
+    await this.publishOrderEvent(order, 'order.created');
+    await this.publishStockChanges(order.items.map(item => item.listingId._id || item.listingId));
+  }
+}
+
+// Create singleton instance
+const realtimeService = new RealtimeService();
+
+module.exports = realtimeService;
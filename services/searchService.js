@@ -0,0 +1,373 @@
+const Product = require('../models/Product');
+const Listing = require('../models/Listing');
+const { tokenize, synonymsOf, editDistance } = require('../utils/transliteration');
+
+// How much a match in each field counts towards a document's score
+const FIELD_WEIGHTS = {
+  name: 10,
+  aliases: 8,
+  tags: 5,
+  variety: 4,
+  category: 4,
+  vendor: 3
+};
+
+// How closely a query token has to match an indexed term
+const MATCH_QUALITY = {
+  exact: 1,
+  synonym: 0.9,
+  prefix: 0.7,
+  typo: 0.6,
+  doubleTypo: 0.35
+};
+
+const PRICE_BANDS = [
+  { key: '0-50', min: 0, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-250', min: 100, max: 250 },
+  { key: '250-500', min: 250, max: 500 },
+  { key: '500+', min: 500, max: Infinity }
+];
+
+const FACETS = ['category', 'market', 'qualityGrade', 'priceBand', 'organic', 'inSeason'];
+
+const SEASONS_BY_MONTH = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'fall', 'fall', 'fall', 'winter'
+];
+
+const priceBandOf = (price) => {
+  if (typeof price !== 'number') return null;
+  const band = PRICE_BANDS.find(b => price >= b.min && price < b.max);
+  return band ? band.key : null;
+};
+
+// Typos allowed for a query token of this length
+const maxTyposFor = (length) => {
+  if (length <= 3) return 0;
+  if (length <= 5) return 1;
+  return 2;
+};
+
+class SearchService {
+  constructor() {
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+    this.ttl = (parseInt(process.env.SEARCH_INDEX_TTL_SECONDS, 10) || 60) * 1000;
+  }
+
+  get PRICE_BANDS() {
+    return PRICE_BANDS.map(band => band.key);
+  }
+
+  get FACETS() {
+    return FACETS;
+  }
+
+  /**
+   * Current index, rebuilt from Mongo once it is older than the TTL.
+   * Concurrent callers share one rebuild.
+   */
+  async getIndex() {
+    if (this.index && Date.now() - this.builtAt < this.ttl) {
+      return this.index;
+    }
+
+    if (!this.building) {
+      this.building = this.buildIndex()
+        .then(index => {
+          this.index = index;
+          this.builtAt = Date.now();
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Drop the cached index so the next search reloads it
+   */
+  invalidate() {
+    this.builtAt = 0;
+  }
+
+  async buildIndex() {
+    const [products, listings] = await Promise.all([
+      Product.find({ isActive: true, adminStatus: 'active' })
+        .populate('category', 'name')
+        .select('name aliases tags searchKeywords variety category isOrganic seasonality')
+        .lean(),
+      Listing.find({ status: 'active' })
+        .populate('vendorId', 'businessName rating')
+        .populate('marketId', 'name')
+        .select('productId vendorId marketId pricing qualityGrade availability.isInSeason featured')
+        .lean()
+    ]);
+
+    const currentSeason = SEASONS_BY_MONTH[new Date().getMonth()];
+    const productsById = new Map();
+
+    const productDocs = products.map(product => {
+      const seasonality = product.seasonality || [];
+      const doc = {
+        id: product._id.toString(),
+        fields: {
+          name: product.name,
+          aliases: (product.aliases || []).join(' '),
+          tags: [...(product.tags || []), ...(product.searchKeywords || [])].join(' '),
+          variety: product.variety,
+          category: product.category?.name
+        },
+        facets: {
+          category: product.category ? [product.category._id.toString()] : [],
+          market: [],
+          qualityGrade: [],
+          priceBand: [],
+          organic: [String(!!product.isOrganic)],
+          inSeason: [String(
+            seasonality.length === 0 || seasonality.includes('year-round') || seasonality.includes(currentSeason)
+          )]
+        },
+        labels: {
+          category: product.category ? { [product.category._id.toString()]: product.category.name } : {},
+          market: {}
+        },
+        rating: 0,
+        price: null
+      };
+      productsById.set(doc.id, doc);
+      return doc;
+    });
+
+    const listingDocs = [];
+    for (const listing of listings) {
+      const product = productsById.get(listing.productId?.toString());
+      if (!product) continue;
+
+      const price = listing.pricing?.[0]?.pricePerBaseUnit;
+      const band = priceBandOf(price);
+      const marketId = listing.marketId?._id?.toString();
+      const marketLabels = marketId ? { [marketId]: listing.marketId.name } : {};
+
+      listingDocs.push({
+        id: listing._id.toString(),
+        productId: product.id,
+        fields: {
+          ...product.fields,
+          vendor: listing.vendorId?.businessName
+        },
+        facets: {
+          category: product.facets.category,
+          market: marketId ? [marketId] : [],
+          qualityGrade: listing.qualityGrade ? [listing.qualityGrade] : [],
+          priceBand: band ? [band] : [],
+          organic: product.facets.organic,
+          inSeason: [String(listing.availability?.isInSeason !== false)]
+        },
+        labels: {
+          category: product.labels.category,
+          market: marketLabels
+        },
+        rating: listing.vendorId?.rating?.average || 0,
+        price: typeof price === 'number' ? price : null,
+        featured: !!listing.featured
+      });
+
+      // Products are filtered and faceted by what their listings offer
+      const add = (list, value) => {
+        if (value && !list.includes(value)) list.push(value);
+      };
+      add(product.facets.market, marketId);
+      add(product.facets.qualityGrade, listing.qualityGrade);
+      add(product.facets.priceBand, band);
+      Object.assign(product.labels.market, marketLabels);
+      if (typeof price === 'number' && (product.price === null || price < product.price)) {
+        product.price = price;
+      }
+      product.rating = Math.max(product.rating, listing.vendorId?.rating?.average || 0);
+    }
+
+    return {
+      products: this.buildCollection(productDocs),
+      listings: this.buildCollection(listingDocs)
+    };
+  }
+
+  /**
+   * Postings for one document type: phonetic term -> [{ doc, field }]
+   */
+  buildCollection(docs) {
+    const postings = new Map();
+
+    for (const doc of docs) {
+      for (const [field, text] of Object.entries(doc.fields)) {
+        if (!text) continue;
+        for (const term of new Set(tokenize(text))) {
+          if (!postings.has(term)) postings.set(term, []);
+          postings.get(term).push({ doc, field });
+        }
+      }
+    }
+
+    return { docs, postings, terms: [...postings.keys()] };
+  }
+
+  /**
+   * Indexed terms a query token can match, with how well each matches
+   * @returns {Map<string, number>} term -> match quality
+   */
+  expandToken(collection, token) {
+    const matches = new Map();
+    const consider = (term, quality) => {
+      if (collection.postings.has(term) && quality > (matches.get(term) || 0)) {
+        matches.set(term, quality);
+      }
+    };
+
+    consider(token, MATCH_QUALITY.exact);
+    for (const synonym of synonymsOf(token)) {
+      consider(synonym, MATCH_QUALITY.synonym);
+    }
+
+    const maxTypos = maxTyposFor(token.length);
+    for (const term of collection.terms) {
+      if (matches.get(term) === MATCH_QUALITY.exact) continue;
+
+      if (token.length >= 3 && term.startsWith(token)) {
+        consider(term, MATCH_QUALITY.prefix);
+      } else if (maxTypos > 0 && term[0] === token[0]) {
+        // Typos rarely hit the first letter, and allowing it pairs up words like potato/tomato
+        const distance = editDistance(token, term, maxTypos);
+        if (distance > maxTypos) continue;
+        consider(term, distance === 1 ? MATCH_QUALITY.typo : MATCH_QUALITY.doubleTypo);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Score every document matching all query tokens
+   * @returns {Map<Object, number>} doc -> score (every doc, score 0, for an empty query)
+   */
+  score(collection, q) {
+    const tokens = [...new Set(tokenize(q))];
+    if (tokens.length === 0) {
+      return new Map(collection.docs.map(doc => [doc, 0]));
+    }
+
+    let scores = null;
+    for (const token of tokens) {
+      const tokenScores = new Map();
+
+      for (const [term, quality] of this.expandToken(collection, token)) {
+        for (const { doc, field } of collection.postings.get(term)) {
+          const value = quality * FIELD_WEIGHTS[field];
+          if (value > (tokenScores.get(doc) || 0)) {
+            tokenScores.set(doc, value);
+          }
+        }
+      }
+
+      // Every token has to match somewhere
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        for (const [doc, value] of scores) {
+          if (tokenScores.has(doc)) scores.set(doc, value + tokenScores.get(doc));
+          else scores.delete(doc);
+        }
+      }
+
+      if (scores.size === 0) break;
+    }
+
+    return scores;
+  }
+
+  /**
+   * Ranked search with facet counts
+   * @param {Object} options
+   * @param {String} options.q - Free text (Bangla or English); empty to browse
+   * @param {String} options.type - 'listings' or 'products'
+   * @param {Object} options.filters - { category, market, qualityGrade, priceBand, organic, inSeason }
+   * @returns {{ total: Number, hits: Array<{id, score}>, facets: Object }}
+   */
+  async search({ q = '', type = 'listings', filters = {}, page = 1, limit = 20 }) {
+    const index = await this.getIndex();
+    const collection = index[type];
+    const scored = [...this.score(collection, q)];
+
+    const activeFilters = FACETS.filter(facet => filters[facet] !== undefined && filters[facet] !== '');
+    const passes = (doc, except) => activeFilters.every(facet =>
+      facet === except || doc.facets[facet].includes(String(filters[facet]))
+    );
+
+    const hits = scored
+      .filter(([doc]) => passes(doc))
+      .sort(([a, scoreA], [b, scoreB]) =>
+        scoreB - scoreA ||
+        (b.featured ? 1 : 0) - (a.featured ? 1 : 0) ||
+        b.rating - a.rating ||
+        (a.price ?? Infinity) - (b.price ?? Infinity)
+      );
+
+    return {
+      total: hits.length,
+      hits: hits
+        .slice((page - 1) * limit, page * limit)
+        .map(([doc, score]) => ({ id: doc.id, score: Math.round(score * 100) / 100 })),
+      facets: this.countFacets(scored, passes)
+    };
+  }
+
+  /**
+   * Facet counts; each dimension ignores its own filter so the other options stay visible
+   */
+  countFacets(scored, passes) {
+    const facets = {};
+
+    for (const facet of FACETS) {
+      const counts = new Map();
+      const labels = {};
+
+      for (const [doc] of scored) {
+        if (!passes(doc, facet)) continue;
+        for (const value of doc.facets[facet]) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        if (doc.labels[facet]) Object.assign(labels, doc.labels[facet]);
+      }
+
+      facets[facet] = [...counts]
+        .map(([value, count]) => ({
+          value,
+          ...(labels[value] && { label: labels[value] }),
+          count
+        }))
+        .sort((a, b) => b.count - a.count);
+    }
+
+    return facets;
+  }
+
+  /**
+   * IDs of active products matching free text, best match first
+   */
+  async matchProductIds(q) {
+    const index = await this.getIndex();
+    return [...this.score(index.products, q)]
+      .sort(([, a], [, b]) => b - a)
+      .map(([doc]) => doc.id);
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const StreamTicket = require('../models/StreamTicket');
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest lifetime (JWT_EXPIRE) of the access tokens issued before sessions existed
+const LEGACY_TOKEN_MAX_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Short label for the session list, e.g. "Chrome on Android"
+ */
+const describeDevice = (userAgent = '') => {
+  const platforms = [
+    [/android/i, 'Android'],
+    [/iphone|ipad|ipod/i, 'iOS'],
+    [/windows/i, 'Windows'],
+    [/mac os x|macintosh/i, 'macOS'],
+    [/linux/i, 'Linux']
+  ];
+  const clients = [
+    [/edg\//i, 'Edge'],
+    [/opr\/|opera/i, 'Opera'],
+    [/chrome\//i, 'Chrome'],
+    [/firefox\//i, 'Firefox'],
+    [/safari\//i, 'Safari'],
+    [/okhttp|dart|expo|reactnative/i, 'Mobile app'],
+    [/postman/i, 'Postman']
+  ];
+
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent));
+  const client = clients.find(([pattern]) => pattern.test(userAgent));
+
+  if (!platform && !client) {
+    return 'Unknown device';
+  }
+  if (!platform) return client[1];
+  if (!client) return platform[1];
+  return `${client[1]} on ${platform[1]}`;
+};
+
+class SessionService {
+  static refreshTokenDays() {
+    return parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  }
+
+  /**
+   * Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+   */
+  static issueRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(40).toString('hex');
+    const token = `${sessionId}.${secret}`;
+    return { token, hash: hashToken(token) };
+  }
+
+  static buildTokenResponse(user, session, refreshToken) {
+    return {
+      token: user.getSignedJwtToken(session._id),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Open a session for a freshly authenticated user
+   * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date, sessionId: string}>}
+   */
+  static async createSession(user, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { token, hash } = this.issueRefreshToken(sessionId);
+    const userAgent = req.get('User-Agent') || '';
+
+    const session = await AuthSession.create({
+      _id: sessionId,
+      userId: user._id,
+      refreshTokenHash: hash,
+      device: req.get('X-Device-Name') || describeDevice(userAgent),
+      userAgent,
+      ipAddress: req.ip,
+      expiresAt: new Date(Date.now() + this.refreshTokenDays() * DAY_MS)
+    });
+
+    return this.buildTokenResponse(user, session, token);
+  }
+
+  /**
+   * Swap a refresh token for a new access/refresh pair.
+   * Replaying an already rotated token revokes the session.
+   */
+  static async rotateRefreshToken(refreshToken, req) {
+    const [sessionId] = String(refreshToken).split('.');
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new ErrorResponse('Invalid refresh token', 401);
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const session = await AuthSession.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+
+    if (!session || !session.isActive) {
+      throw new ErrorResponse('Session has expired or was signed out. Please log in again.', 401);
+    }
+
+    if (presentedHash === session.previousTokenHash) {
+      await this.revokeSession(session._id, 'token_reuse');
+      throw new ErrorResponse('Refresh token was already used. Please log in again.', 401);
+    }
+
+    if (presentedHash !== session.refreshTokenHash) {
+      throw new ErrorResponse('Invalid refresh token', 401);
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive || user.isDeleted) {
+      await this.revokeSession(session._id, 'account_deactivated');
+      throw new ErrorResponse('Account has been deactivated', 401);
+    }
+
+    const { token, hash } = this.issueRefreshToken(session._id);
+
+    // Conditional swap so two concurrent refreshes with the same token can't both win
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hash,
+          previousTokenHash: presentedHash,
+          lastUsedAt: new Date(),
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent') || session.userAgent
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      throw new ErrorResponse('Refresh token was already used. Please log in again.', 401);
+    }
+
+    return this.buildTokenResponse(user, rotated, token);
+  }
+
+  /**
+   * Active (not revoked, not expired) session by id; used by the auth middleware
+   */
+  static findActiveSession(sessionId, userId) {
+    return AuthSession.findOne({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('_id');
+  }
+
+  /**
+   * Access tokens issued before sessions existed carry no sid. They keep
+   * working until they expire (at most LEGACY_TOKEN_MAX_DAYS) so deploying
+   * sessions doesn't sign everyone out, unless the user has since changed
+   * their password or signed out.
+   */
+  static acceptsLegacyToken(decoded, user) {
+    const issuedAt = (decoded.iat || 0) * 1000;
+
+    if (Date.now() - issuedAt > LEGACY_TOKEN_MAX_DAYS * DAY_MS) return false;
+    if (user.sessionsRevokedAt && issuedAt < user.sessionsRevokedAt.getTime()) return false;
+    return !user.changedPasswordAfter(decoded.iat);
+  }
+
+  /**
+   * Stop accepting legacy (pre-session) access tokens of these users
+   */
+  static revokeLegacyTokens(userIds) {
+    const ids = Array.isArray(userIds) ? userIds : [userIds];
+    // Whole seconds, like the tokens' iat, so a token issued this second is covered
+    const revokedAt = new Date(Math.ceil(Date.now() / 1000) * 1000);
+
+    return User.updateMany({ _id: { $in: ids } }, { $set: { sessionsRevokedAt: revokedAt } });
+  }
+
+  /**
+   * Short-lived, single-use ticket for opening the event stream
+   * @returns {Promise<{ticket: string, expiresAt: Date}>}
+   */
+  static async issueStreamTicket(userId, sessionId) {
+    const ticket = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + StreamTicket.TTL_SECONDS * 1000);
+
+    await StreamTicket.create({ ticketHash: hashToken(ticket), userId, sessionId, expiresAt });
+
+    return { ticket, expiresAt };
+  }
+
+  /**
+   * Use up a stream ticket; conditional update so it can't be redeemed twice
+   * @returns {Promise<Object|null>} The ticket ({ userId, sessionId }) or null if invalid, expired or used
+   */
+  static redeemStreamTicket(ticket) {
+    return StreamTicket.findOneAndUpdate(
+      { ticketHash: hashToken(String(ticket)), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  static listActiveSessions(userId) {
+    return AuthSession.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  static async revokeSession(sessionId, reason, userId = null) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.userId = userId;
+
+    const result = await AuthSession.updateOne(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Sign out every session of one or more users, optionally keeping the current one
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeUserSessions(userIds, reason, { exceptSessionId } = {}) {
+    const ids = Array.isArray(userIds) ? userIds : [userIds];
+    const filter = { userId: { $in: ids }, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await AuthSession.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    await this.revokeLegacyTokens(ids);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke sessions of every user matching a User query (e.g. all users of a deactivated buyer)
+   */
+  static async revokeSessionsWhere(userFilter, reason) {
+    const userIds = await User.find(userFilter).distinct('_id');
+
+    if (userIds.length === 0) return 0;
+    return this.revokeUserSessions(userIds, reason);
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,224 @@
+const Listing = require('../models/Listing');
+const Market = require('../models/Market');
+const Product = require('../models/Product');
+const OrderService = require('./orderService');
+const DeliveryAreaService = require('./deliveryAreaService');
+const PriceComparisonService = require('./priceComparisonService');
+const { ErrorResponse } = require('../middleware/error');
+const { comparisonUnit, convertQuantity } = require('../utils/units');
+
+// Alternatives offered for a line whose preferred vendor can't supply it
+const MAX_ALTERNATIVES = 3;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Trimmed quote for a resolved line
+ */
+const offerOf = (quote) => ({
+  listingId: quote.listingId,
+  vendor: { _id: quote.vendor._id, businessName: quote.vendor.businessName, rating: quote.vendor.rating },
+  market: quote.market,
+  qualityGrade: quote.qualityGrade,
+  unit: quote.unit,
+  quantity: quote.quantity,
+  effectivePrice: quote.effectivePrice,
+  comparisonUnit: quote.comparisonUnit,
+  subtotal: quote.subtotal,
+  deliveryFee: quote.deliveryFee,
+  distanceKm: quote.distanceKm
+});
+
+class ShoppingListService {
+  /**
+   * Whether the user may buy this product from this vendor (buyer manager limits)
+   */
+  static mayBuy(user, vendorId, product) {
+    try {
+      OrderService.assertManagerCatalogAccess(user, vendorId, [{ productId: product }]);
+      return true;
+    } catch (error) {
+      if (error instanceof ErrorResponse) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Rank alternatives by how closely they match what the buyer used to get:
+   * same market, same grade, then nearest price per kg/piece, then cheapest
+   */
+  static rankAlternatives(quotes, reference) {
+    const distance = (quote) => (reference.price != null && quote.comparisonUnit === reference.comparisonUnit
+      ? Math.abs(quote.effectivePrice - reference.price)
+      : Infinity);
+    const misses = (quote) =>
+      (reference.marketId && idOf(quote.market) !== reference.marketId ? 2 : 0) +
+      (reference.qualityGrade && quote.qualityGrade !== reference.qualityGrade ? 1 : 0);
+
+    return [...quotes].sort((a, b) =>
+      misses(a) - misses(b) ||
+      distance(a) - distance(b) ||
+      a.effectivePrice - b.effectivePrice
+    );
+  }
+
+  /**
+   * Resolve each list item against the listings on sale now.
+   * Status per line:
+   * - preferred: the preferred listing, or another listing from the preferred vendor
+   * - best_price: no preferred vendor; the cheapest listing that can supply it
+   * - alternative: the preferred vendor can't supply it; `alternatives` holds the closest matches
+   * - unavailable: nobody the user may buy from can supply it
+   * @param {Object} list - ShoppingList document
+   * @param {Object} user - Ordering user (manager limits apply)
+   * @param {Object} options - { origin } from DeliveryAreaService.findOrigin
+   */
+  static async resolve(list, user, { origin = null } = {}) {
+    const productIds = [...new Set(list.items.map(item => item.productId.toString()))];
+    const preferredListingIds = list.items.map(item => item.preferredListingId).filter(Boolean);
+
+    const [candidates, products, previousListings, rates] = await Promise.all([
+      PriceComparisonService.loadListings(productIds),
+      Product.find({ _id: { $in: productIds } }).select('name category'),
+      Listing.findWithDeleted({ _id: { $in: preferredListingIds } })
+        .select('marketId qualityGrade pricing discount')
+        .lean(),
+      DeliveryAreaService.getFeeRates()
+    ]);
+
+    // Orders can only be placed in markets that are open
+    const openMarkets = new Set((await Market.find({
+      _id: { $in: [...new Set(candidates.map(listing => idOf(listing.marketId)).filter(Boolean))] },
+      isActive: true,
+      isAvailable: true
+    }).select('_id')).map(market => market._id.toString()));
+
+    const listings = candidates.filter(listing =>
+      listing.vendorId?.isActive && openMarkets.has(idOf(listing.marketId)));
+    const reliability = await PriceComparisonService.onTimeRates(
+      [...new Set(listings.map(listing => listing.vendorId._id.toString()))]
+    );
+    const productById = new Map(products.map(product => [product._id.toString(), product]));
+    const previousById = new Map(previousListings.map(listing => [listing._id.toString(), listing]));
+
+    const lines = list.items.map(item => {
+      const product = productById.get(item.productId.toString());
+      const line = {
+        itemId: item._id,
+        productId: item.productId,
+        productName: product?.name || item.productName,
+        quantity: item.quantity,
+        unit: item.unit || null,
+        preferredVendorId: item.preferredVendorId || null,
+        qualityGrade: item.qualityGrade || null,
+        status: 'unavailable',
+        offer: null,
+        alternatives: []
+      };
+      if (!product) return line;
+
+      const quotes = [];
+      for (const listing of listings) {
+        if (listing.productId.toString() !== item.productId.toString()) continue;
+        if (!this.mayBuy(user, listing.vendorId._id, product)) continue;
+
+        const listingUnit = listing.pricing[0].unit;
+        const wanted = convertQuantity(item.quantity, item.unit || listingUnit, listingUnit);
+        if (wanted === null) continue;
+
+        const quote = PriceComparisonService.quote(listing, wanted, { origin, rates, reliability });
+        if (quote.available) quotes.push(quote);
+      }
+
+      // Cheapest offer, in the requested grade when there is one
+      const gradeMiss = (quote) => (item.qualityGrade && quote.qualityGrade !== item.qualityGrade ? 1 : 0);
+      const cheapest = (offers) => [...offers].sort((a, b) => gradeMiss(a) - gradeMiss(b) || a.subtotal - b.subtotal)[0];
+
+      if (item.preferredVendorId) {
+        const fromVendor = quotes.filter(quote => idOf(quote.vendor) === item.preferredVendorId.toString());
+        const offer = fromVendor.find(quote => idOf(quote.listingId) === idOf(item.preferredListingId)) ||
+          cheapest(fromVendor);
+
+        if (offer) {
+          return { ...line, status: 'preferred', offer: offerOf(offer) };
+        }
+
+        const previous = previousById.get(idOf(item.preferredListingId));
+        const reference = {
+          marketId: idOf(previous?.marketId),
+          qualityGrade: item.qualityGrade || previous?.qualityGrade,
+          comparisonUnit: previous ? comparisonUnit(previous.pricing[0].unit) : null,
+          price: previous
+            ? PriceComparisonService.unitPrice(previous, 0) / convertQuantity(1, previous.pricing[0].unit, comparisonUnit(previous.pricing[0].unit))
+            : null
+        };
+        const alternatives = this.rankAlternatives(quotes, reference).slice(0, MAX_ALTERNATIVES).map(offerOf);
+
+        return alternatives.length > 0 ? { ...line, status: 'alternative', alternatives } : line;
+      }
+
+      const offer = cheapest(quotes);
+      return offer ? { ...line, status: 'best_price', offer: offerOf(offer) } : line;
+    });
+
+    const count = (status) => lines.filter(line => line.status === status).length;
+
+    return {
+      list: { _id: list._id, name: list.name },
+      summary: {
+        items: lines.length,
+        preferred: count('preferred'),
+        bestPrice: count('best_price'),
+        alternative: count('alternative'),
+        unavailable: count('unavailable')
+      },
+      lines
+    };
+  }
+
+  /**
+   * Listing and quantity to order for each line: a substitution the user picked,
+   * the resolved offer, or (with acceptAlternatives) the closest alternative.
+   * Lines left without a listing are returned as skipped.
+   * @param {Object} resolution - From resolve()
+   * @param {Object} options - { substitutions: Map itemId -> listingId, acceptAlternatives }
+   */
+  static async chooseListings(resolution, list, { substitutions = new Map(), acceptAlternatives = false } = {}) {
+    const chosen = [];
+    const skipped = [];
+
+    for (const line of resolution.lines) {
+      const item = list.items.id(line.itemId);
+      const substitute = substitutions.get(line.itemId.toString());
+
+      if (substitute) {
+        const listing = await OrderService.getOrderableListing(substitute);
+        if (listing.productId._id.toString() !== line.productId.toString()) {
+          throw new ErrorResponse(`Listing ${substitute} is not for ${line.productName}`, 400);
+        }
+
+        const listingUnit = listing.pricing[0].unit;
+        const wanted = convertQuantity(item.quantity, item.unit || listingUnit, listingUnit);
+        const quantity = wanted !== null ? PriceComparisonService.orderQuantity(listing, wanted) : null;
+        if (quantity === null) {
+          throw new ErrorResponse(`Listing ${substitute} can't supply ${item.quantity} ${item.unit || listingUnit} of ${line.productName}`, 400);
+        }
+
+        chosen.push({ item, listing, quantity });
+        continue;
+      }
+
+      const offer = line.offer || (acceptAlternatives ? line.alternatives[0] : null);
+      if (!offer) {
+        skipped.push({ itemId: line.itemId, productName: line.productName, status: line.status, alternatives: line.alternatives });
+        continue;
+      }
+
+      chosen.push({ item, listing: await OrderService.getOrderableListing(offer.listingId), quantity: offer.quantity });
+    }
+
+    return { chosen, skipped };
+  }
+}
+
+module.exports = ShoppingListService;
@@ -8,6 +8,7 @@ const Product = require('../models/Product');
 const ProductCategory = require('../models/ProductCategory');
 const Listing = require('../models/Listing');
 const Order = require('../models/Order');
+const Dispute = require('../models/Dispute');
 const notificationService = require('./notificationService');
 const { ErrorResponse } = require('../middleware/error');
 
@@ -173,17 +174,16 @@ class SLAMonitorService {
   }
 
   /**
-   * Check pending order-related issues
+   * Check open order disputes (awaiting vendor response or admin arbitration)
    */
   async checkPendingOrderIssues() {
-    const disputedOrders = await Order.find({
-      status: 'disputed',
-      disputeDate: { $exists: true }
+    const openDisputes = await Dispute.find({
+      status: { $in: ['open', 'escalated'] }
     });
 
     await Promise.all(
-      disputedOrders.map(order => 
-        this.checkEntitySLA(order, 'order', 'dispute_resolution', 'high')
+      openDisputes.map(dispute => 
+        this.checkEntitySLA(dispute, 'dispute', 'dispute_resolution', 'high')
       )
     );
   }
@@ -205,8 +205,9 @@ class SLAMonitorService {
       let submittedAt = entity.createdAt;
       if (actionType === 'review') {
         submittedAt = entity.lastReviewDate || entity.createdAt;
-      } else if (entityType === 'order' && actionType === 'dispute_resolution') {
-        submittedAt = entity.disputeDate || entity.createdAt;
+      } else if (entityType === 'dispute') {
+        // Escalated disputes restart the clock for admin arbitration
+        submittedAt = entity.escalation?.escalatedAt || entity.createdAt;
       }
 
       const now = new Date();
@@ -368,6 +369,11 @@ class SLAMonitorService {
         moderate: 1.5,
         significant: 2.0
       },
+      dispute: {
+        minor: 1.1,
+        moderate: 1.5,
+        significant: 2.0
+      },
       listing: {
         minor: 1.5,
         moderate: 2.5,
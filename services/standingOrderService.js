@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const StandingOrder = require('../models/StandingOrder');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const OrderService = require('./orderService');
+const stockReservationService = require('./stockReservationService');
+const realtimeService = require('./realtimeService');
+const { canUserPlaceOrders } = require('../middleware/approval');
+const { ErrorResponse } = require('../middleware/error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StandingOrderService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.checkInterval = 60 * 60 * 1000; // Check every hour (in milliseconds)
+  }
+
+  /**
+   * Start the standing order scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Standing order service is already running');
+      return;
+    }
+
+    console.log('Starting standing order service...');
+    this.isRunning = true;
+
+    // Run initial check
+    this.processDueStandingOrders();
+
+    // Schedule regular checks
+    this.intervalId = setInterval(() => {
+      this.processDueStandingOrders();
+    }, this.checkInterval);
+
+    console.log(`Standing order service started. Checking every ${this.checkInterval / 1000 / 60} minutes.`);
+  }
+
+  /**
+   * Stop the standing order scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log('Standing order service is not running');
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+    console.log('Standing order service stopped');
+  }
+
+  /**
+   * Generate orders for every active standing order whose run time has come
+   */
+  async processDueStandingOrders() {
+    try {
+      const dueStandingOrders = await StandingOrder.find({
+        status: 'active',
+        nextRunAt: { $lte: new Date() }
+      });
+
+      const summary = { checked: dueStandingOrders.length, generated: 0, skipped: 0, failed: 0 };
+
+      for (const standingOrder of dueStandingOrders) {
+        try {
+          const run = await this.generateOrder(standingOrder);
+          if (!run) continue;
+
+          if (['generated', 'partial'].includes(run.outcome)) {
+            summary.generated++;
+          } else {
+            summary[run.outcome]++;
+          }
+        } catch (error) {
+          summary.failed++;
+          console.error(`Failed to process standing order ${standingOrder._id}:`, error.message);
+        }
+      }
+
+      if (summary.checked > 0) {
+        console.log(`Standing orders processed: ${summary.generated} generated, ${summary.skipped} skipped, ${summary.failed} failed`);
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Error processing standing orders:', error);
+      return { checked: 0, generated: 0, skipped: 0, failed: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Turn the next scheduled delivery of a standing order into a real order.
+   * Lines that can no longer be ordered are dropped and the buyer owner is told.
+   * @returns {Promise<Object|null>} The recorded run, or null if another worker got there first
+   */
+  async generateOrder(standingOrder) {
+    const deliveryDate = standingOrder.nextDeliveryDate;
+
+    // Deliveries missed while the scheduler was down are skipped, not sent late
+    if (deliveryDate < StandingOrder.startOfDay(new Date())) {
+      return this.recordRun(standingOrder, {
+        outcome: 'skipped',
+        message: 'Delivery date passed before the order could be generated'
+      });
+    }
+
+    const placedBy = await User.findById(standingOrder.createdBy).populate('buyerId');
+
+    if (!placedBy || !placedBy.isActive || !canUserPlaceOrders(placedBy)) {
+      const run = await this.recordRun(standingOrder, {
+        outcome: 'failed',
+        message: 'The user who set up this standing order can no longer place orders'
+      });
+      if (run) {
+        await this.notifyBuyerOwners(standingOrder, 'Standing Order Not Placed',
+          `${this.describe(standingOrder)} for ${this.formatDate(deliveryDate)} was not placed: ${run.message}`);
+      }
+      return run;
+    }
+
+    const { prepared, unavailableItems } = await this.resolveItems(standingOrder);
+    const orderItems = prepared.map(({ orderItem }) => orderItem);
+
+    if (orderItems.length === 0) {
+      const run = await this.recordRun(standingOrder, {
+        outcome: 'failed',
+        message: 'None of the items can currently be ordered'
+      });
+      if (run) {
+        await this.notifyUnavailableItems(standingOrder, deliveryDate, unavailableItems, null);
+      }
+      return run;
+    }
+
+    // Manager permissions may have changed since the standing order was set up
+    let ownerApproval;
+    try {
+      ownerApproval = OrderService.checkManagerPermissions(placedBy, standingOrder.vendorId, prepared);
+    } catch (error) {
+      if (!(error instanceof ErrorResponse)) {
+        throw error;
+      }
+      const failedRun = await this.recordRun(standingOrder, { outcome: 'failed', message: error.message });
+      if (failedRun) {
+        await this.notifyBuyerOwners(standingOrder, 'Standing Order Not Placed',
+          `${this.describe(standingOrder)} for ${this.formatDate(deliveryDate)} was not placed: ${error.message}`);
+      }
+      return failedRun;
+    }
+
+    // checkManagerPermissions applies requiresOrderApproval to managers; generated
+    // orders follow it even when an owner set the standing order up, since
+    // nobody reviews them before they are placed
+    if (placedBy.buyerId.requiresOrderApproval && !ownerApproval.required) {
+      ownerApproval = { required: true, reason: 'Buyer requires owner approval for orders' };
+    }
+    const requiresApproval = ownerApproval.required;
+    const run = {
+      deliveryDate,
+      runAt: new Date(),
+      outcome: unavailableItems.length > 0 ? 'partial' : 'generated',
+      message: unavailableItems.length > 0
+        ? `${unavailableItems.length} item(s) unavailable and left out`
+        : undefined
+    };
+    const nextRun = this.computeNextRun(standingOrder, deliveryDate);
+
+    const session = await mongoose.startSession();
+    let order;
+    let alreadyProcessed = false;
+
+    try {
+      await session.withTransaction(async () => {
+        await stockReservationService.reserveItems(orderItems, session);
+
+        [order] = await Order.create([{
+          buyerId: standingOrder.buyerId,
+          vendorId: standingOrder.vendorId,
+          placedBy: placedBy._id,
+          standingOrderId: standingOrder._id,
+          items: orderItems,
+          deliveryInfo: {
+            ...standingOrder.deliveryInfo.toObject(),
+            preferredTimeSlot: {
+              date: deliveryDate,
+              startTime: standingOrder.deliverySlot?.startTime,
+              endTime: standingOrder.deliverySlot?.endTime
+            }
+          },
+          estimatedDeliveryDate: deliveryDate,
+          paymentInfo: {
+            method: standingOrder.paymentMethod || placedBy.buyerId.preferredPaymentMethod || 'cash'
+          },
+          notes: standingOrder.notes,
+          ownerApproval,
+          // Created as pending_approval either way; without owner approval the
+          // creator is recorded as approver so the vendor can confirm it straight away
+          ...(!requiresApproval && { approvedBy: placedBy._id, approvalDate: new Date() }),
+          stockReservation: await stockReservationService.createReservationInfo()
+        }], { session });
+
+        const claimed = await this.saveRun(standingOrder, deliveryDate, { ...run, orderId: order._id }, nextRun, session, {
+          lastGeneratedAt: run.runAt,
+          lastOrderId: order._id
+        });
+
+        // Another worker already handled this delivery; roll the order back
+        if (!claimed) {
+          alreadyProcessed = true;
+          throw new ErrorResponse('Standing order run was already processed', 409);
+        }
+      });
+    } catch (error) {
+      if (alreadyProcessed) {
+        return null;
+      }
+      if (error instanceof ErrorResponse && error.statusCode === 409) {
+        // Stock ran out between the availability check and the reservation
+        const failedRun = await this.recordRun(standingOrder, { outcome: 'failed', message: error.message });
+        if (failedRun) {
+          await this.notifyBuyerOwners(standingOrder, 'Standing Order Not Placed',
+            `${this.describe(standingOrder)} for ${this.formatDate(deliveryDate)} was not placed: ${error.message}`);
+        }
+        return failedRun;
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    await realtimeService.publishOrderPlaced(order);
+
+    if (unavailableItems.length > 0) {
+      await this.notifyUnavailableItems(standingOrder, deliveryDate, unavailableItems, order);
+    }
+    if (requiresApproval) {
+      await this.notifyBuyerOwners(standingOrder, 'Standing Order Awaiting Approval',
+        `Order #${order.orderNumber} from ${this.describe(standingOrder)} for ${this.formatDate(deliveryDate)} needs your approval`,
+        order);
+    }
+    await this.notifyVendor(order, placedBy.buyerId.name);
+
+    return { ...run, orderId: order._id };
+  }
+
+  /**
+   * Validate each standing order line against its listing as if it were ordered now
+   */
+  async resolveItems(standingOrder) {
+    const prepared = [];
+    const unavailableItems = [];
+
+    for (const item of standingOrder.items) {
+      try {
+        const listing = await OrderService.getOrderableListing(item.listingId);
+
+        if (listing.vendorId.toString() !== standingOrder.vendorId.toString()) {
+          throw new ErrorResponse(`Listing "${listing.productId.name}" is no longer sold by this vendor`, 400);
+        }
+
+        prepared.push({
+          listing,
+          orderItem: OrderService.buildOrderItem(listing, {
+            listingId: item.listingId,
+            quantity: item.quantity,
+            specialInstructions: item.specialInstructions
+          })
+        });
+      } catch (error) {
+        if (!(error instanceof ErrorResponse)) {
+          throw error;
+        }
+        unavailableItems.push({
+          listingId: item.listingId,
+          productName: item.productName,
+          reason: error.message
+        });
+      }
+    }
+
+    return { prepared, unavailableItems };
+  }
+
+  /**
+   * Work out the delivery after the given one without touching the stored document
+   */
+  computeNextRun(standingOrder, deliveryDate) {
+    const draft = new StandingOrder(standingOrder.toObject());
+    draft.scheduleNext(new Date(deliveryDate.getTime() + DAY_MS));
+
+    return {
+      nextDeliveryDate: draft.nextDeliveryDate || null,
+      nextRunAt: draft.nextRunAt || null,
+      status: draft.status,
+      endedAt: draft.endedAt || null
+    };
+  }
+
+  /**
+   * Record a run and advance the schedule, but only if this delivery is still pending.
+   * @returns {Promise<Boolean>} false when the run was already recorded elsewhere
+   */
+  async saveRun(standingOrder, deliveryDate, run, nextRun, session = null, extra = {}) {
+    const result = await StandingOrder.updateOne(
+      { _id: standingOrder._id, status: 'active', nextDeliveryDate: deliveryDate },
+      {
+        $set: { ...nextRun, ...extra },
+        $push: { runs: { $each: [run], $slice: -StandingOrder.MAX_RUNS } }
+      },
+      { session }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Record a run that did not produce an order and move on to the next delivery
+   */
+  async recordRun(standingOrder, { outcome, message }) {
+    const deliveryDate = standingOrder.nextDeliveryDate;
+    const run = { deliveryDate, runAt: new Date(), outcome, message };
+
+    const claimed = await this.saveRun(standingOrder, deliveryDate, run,
+      this.computeNextRun(standingOrder, deliveryDate));
+
+    return claimed ? run : null;
+  }
+
+  describe(standingOrder) {
+    return standingOrder.name ? `Standing order "${standingOrder.name}"` : 'Your standing order';
+  }
+
+  formatDate(date) {
+    return new Date(date).toDateString();
+  }
+
+  /**
+   * Tell the buyer owner which lines were left out and why
+   */
+  async notifyUnavailableItems(standingOrder, deliveryDate, unavailableItems, order) {
+    const lines = unavailableItems
+      .map(item => `${item.productName || item.listingId}: ${item.reason}`)
+      .join('; ');
+    const message = order
+      ? `Order #${order.orderNumber} for ${this.formatDate(deliveryDate)} was placed without ${unavailableItems.length} unavailable item(s). ${lines}`
+      : `${this.describe(standingOrder)} for ${this.formatDate(deliveryDate)} was not placed because no items are available. ${lines}`;
+
+    await this.notifyBuyerOwners(standingOrder, 'Standing Order Items Unavailable', message, order, {
+      unavailableItems
+    });
+  }
+
+  async notifyBuyerOwners(standingOrder, title, message, order = null, entityData = {}) {
+    try {
+      const owners = await User.find({
+        buyerId: standingOrder.buyerId,
+        role: 'buyerOwner',
+        isActive: true
+      }).select('_id role');
+
+      await Promise.all(owners.map(owner =>
+        NotificationService.createNotification({
+          recipientId: owner._id,
+          recipientType: owner.role,
+          type: 'order',
+          title,
+          message,
+          priority: 'high',
+          isActionRequired: true,
+          actionUrl: order
+            ? `/buyer-dashboard/order-history?orderId=${order._id}`
+            : `/buyer-dashboard/standing-orders/${standingOrder._id}`,
+          actionText: order ? 'View Order' : 'Review Standing Order',
+          relatedEntity: {
+            entityType: 'order',
+            entityId: order ? order._id : undefined,
+            entityData: {
+              standingOrderId: standingOrder._id,
+              orderNumber: order?.orderNumber,
+              ...entityData
+            }
+          }
+        })
+      ));
+    } catch (error) {
+      console.error('Error sending standing order notification:', error.message);
+    }
+  }
+
+  async notifyVendor(order, buyerName) {
+    try {
+      await NotificationService.createOrderNotification(order, 'order_placed', { buyerName });
+    } catch (error) {
+      console.error('Error sending standing order notification to vendor:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const standingOrderService = new StandingOrderService();
+
+module.exports = standingOrderService;
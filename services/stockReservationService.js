@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Listing = require('../models/Listing');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const { ErrorResponse } = require('../middleware/error');
+
+// Hours an unconfirmed order may hold stock (overridable via Settings)
+const DEFAULT_RESERVATION_TTL_HOURS = 24;
+
+class StockReservationService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.checkInterval = 15 * 60 * 1000; // Check every 15 minutes (in milliseconds)
+  }
+
+  /**
+   * Start the reservation expiry job
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Stock reservation service is already running');
+      return;
+    }
+
+    console.log('Starting stock reservation service...');
+    this.isRunning = true;
+
+    // Run initial sweep
+    this.expireStaleReservations();
+
+    // Schedule regular sweeps
+    this.intervalId = setInterval(() => {
+      this.expireStaleReservations();
+    }, this.checkInterval);
+
+    console.log(`Stock reservation service started. Checking every ${this.checkInterval / 1000 / 60} minutes.`);
+  }
+
+  /**
+   * Stop the reservation expiry job
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log('Stock reservation service is not running');
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+    console.log('Stock reservation service stopped');
+  }
+
+  /**
+   * Sum requested quantities per listing (the same listing may appear twice)
+   */
+  groupQuantities(items) {
+    const quantities = new Map();
+
+    for (const item of items) {
+      const listingId = (item.listingId._id || item.listingId).toString();
+      quantities.set(listingId, (quantities.get(listingId) || 0) + item.quantity);
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Build the stockReservation block for a newly reserved order
+   */
+  async createReservationInfo() {
+    const ttlHours = await Settings.getSetting('order_reservation_ttl_hours', DEFAULT_RESERVATION_TTL_HOURS);
+    const now = new Date();
+
+    return {
+      status: 'active',
+      reservedAt: now,
+      expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Atomically reserve stock for order items.
+   * Must run inside a transaction so a shortfall on one item rolls back the others.
+   * @returns {Promise<Array>} Updated listings
+   */
+  async reserveItems(items, session) {
+    const reservedListings = [];
+
+    for (const [listingId, quantity] of this.groupQuantities(items)) {
+      const listing = await Listing.reserveStock(listingId, quantity, session);
+
+      if (!listing) {
+        const current = await Listing.findById(listingId)
+          .populate('productId', 'name')
+          .session(session);
+
+        if (!current) {
+          throw new ErrorResponse(`Listing with ID ${listingId} not found`, 404);
+        }
+
+        throw new ErrorResponse(
+          `${current.productId.name}: Only ${current.freeQuantity} ${current.availability.unit} available to order`,
+          409
+        );
+      }
+
+      reservedListings.push(listing);
+    }
+
+    return reservedListings;
+  }
+
+  /**
+   * Release an order's reservation (e.g. on cancellation).
+   * The status flip is done atomically so stock is never released twice.
+   */
+  async releaseForOrder(order, reason, session = null, releaseStatus = 'released') {
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, 'stockReservation.status': 'active' },
+      {
+        $set: {
+          'stockReservation.status': releaseStatus,
+          'stockReservation.releasedAt': new Date(),
+          'stockReservation.releaseReason': reason
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      return [];
+    }
+
+    const releasedListings = [];
+    for (const [listingId, quantity] of this.groupQuantities(claimed.items)) {
+      const listing = await Listing.releaseStock(listingId, quantity, session);
+      if (listing) {
+        releasedListings.push(listing);
+      }
+    }
+
+    // Keep the in-memory document in sync so a later save doesn't undo the flip
+    order.stockReservation = claimed.stockReservation;
+
+    return releasedListings;
+  }
+
+  /**
+   * Make sure an order holds stock before it is confirmed.
+   * Orders whose reservation expired or was never taken are re-reserved.
+   */
+  async ensureReservation(order, session) {
+    if (order.stockReservation?.status === 'active') {
+      return [];
+    }
+
+    const reservedListings = await this.reserveItems(order.items, session);
+    order.stockReservation = {
+      status: 'active',
+      reservedAt: new Date()
+    };
+
+    return reservedListings;
+  }
+
+  /**
+   * Take delivered stock (deliveredQuantity, falling back to the ordered
+   * quantity) off the listings and release the reservation.
+   * Any failure throws so the surrounding transaction aborts (and retries on
+   * a write conflict) instead of delivering an order whose stock wasn't taken.
+   * @returns {Promise<Array>} Per-listing update results
+   */
+  async consumeForOrder(order, session = null) {
+    const hasReservation = order.stockReservation?.status === 'active';
+    const listingUpdates = [];
+
+    for (const item of order.items) {
+      const listingId = item.listingId._id || item.listingId;
+      // Short shipments only take the delivered amount off the shelf,
+      // but the full ordered reservation is released
+      const deliveredQuantity = item.deliveredQuantity ?? item.quantity;
+      const reservedQuantity = hasReservation ? item.quantity : 0;
+
+      let listing;
+      if (deliveredQuantity > 0) {
+        listing = await Listing.consumeStock(listingId, deliveredQuantity, reservedQuantity, session);
+      } else if (reservedQuantity > 0) {
+        listing = await Listing.releaseStock(listingId, reservedQuantity, session);
+      }
+
+      if (listing) {
+        // Let the pre-save hook flip the status to out_of_stock when needed
+        await listing.save({ session });
+
+        listingUpdates.push({
+          listingId: listing._id,
+          productName: item.productName,
+          quantityOrdered: item.quantity,
+          quantitySold: deliveredQuantity,
+          newAvailableQuantity: listing.availability.quantityAvailable,
+          reservedQuantity: listing.availability.quantityReserved,
+          freeQuantity: listing.freeQuantity,
+          success: true
+        });
+      }
+    }
+
+    if (hasReservation) {
+      order.stockReservation.status = 'consumed';
+      order.stockReservation.releasedAt = new Date();
+    }
+
+    return listingUpdates;
+  }
+
+  /**
+   * Report reserved and free quantity for the given listings
+   */
+  summarizeStock(listings, items = []) {
+    const ordered = this.groupQuantities(items);
+
+    return listings.map(listing => ({
+      listingId: listing._id,
+      orderedQuantity: ordered.get(listing._id.toString()) || 0,
+      quantityAvailable: listing.availability.quantityAvailable,
+      quantityReserved: listing.availability.quantityReserved || 0,
+      quantityFree: listing.freeQuantity,
+      unit: listing.availability.unit
+    }));
+  }
+
+  /**
+   * Release reservations of orders nobody confirmed in time
+   */
+  async expireStaleReservations() {
+    try {
+      const staleOrders = await Order.find({
+        status: 'pending_approval',
+        'stockReservation.status': 'active',
+        'stockReservation.expiresAt': { $lte: new Date() }
+      }).select('_id orderNumber items placedBy vendorId stockReservation');
+
+      let expiredCount = 0;
+
+      for (const order of staleOrders) {
+        const session = await mongoose.startSession();
+
+        try {
+          let released = [];
+          await session.withTransaction(async () => {
+            released = await this.releaseForOrder(
+              order,
+              'Reservation expired before the order was confirmed',
+              session,
+              'expired'
+            );
+          });
+
+          if (released.length > 0) {
+            expiredCount++;
+            await realtimeService.publishStockChanges(released.map(listing => listing._id));
+            await this.notifyExpiry(order);
+          }
+        } catch (error) {
+          console.error(`Failed to expire reservation for order ${order.orderNumber}:`, error.message);
+        } finally {
+          session.endSession();
+        }
+      }
+
+      if (expiredCount > 0) {
+        console.log(`Expired stock reservations for ${expiredCount} order(s)`);
+      }
+
+      return { checked: staleOrders.length, expired: expiredCount };
+    } catch (error) {
+      console.error('Error expiring stock reservations:', error);
+      return { checked: 0, expired: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Tell the buyer that an unconfirmed order no longer holds stock
+   */
+  async notifyExpiry(order) {
+    try {
+      const placedBy = await User.findById(order.placedBy).select('role');
+      if (!placedBy) return;
+
+      await NotificationService.createNotification({
+        recipientId: placedBy._id,
+        recipientType: placedBy.role,
+        type: 'order',
+        title: 'Order Reservation Expired',
+        message: `Stock held for order #${order.orderNumber} was released because the order was not confirmed in time`,
+        priority: 'medium',
+        actionUrl: `/buyer-dashboard/order-history?orderId=${order._id}`,
+        actionText: 'View Order',
+        relatedEntity: {
+          entityType: 'order',
+          entityId: order._id,
+          entityData: { orderNumber: order.orderNumber }
+        }
+      });
+    } catch (error) {
+      console.error('Error sending reservation expiry notification:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const stockReservationService = new StockReservationService();
+
+module.exports = stockReservationService;
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const AuditLog = require('../models/AuditLog');
+const { ErrorResponse } = require('../middleware/error');
+
+const ISSUER = 'Aaroth Fresh';
+const CHALLENGE_EXPIRE = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+// Roles that must always use 2FA, whatever two_factor_required_roles says
+const MANDATORY_ROLES = ['admin'];
+
+// Accept the previous and next 30s step to allow for clock drift
+const totp = authenticator.clone({ window: 1 });
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+
+class TwoFactorService {
+  /**
+   * Whether users with this role must use 2FA (admin always; others via Settings)
+   */
+  static async isRequiredFor(role) {
+    if (MANDATORY_ROLES.includes(role)) {
+      return true;
+    }
+    const roles = await Settings.getSetting('two_factor_required_roles', MANDATORY_ROLES);
+    return Array.isArray(roles) && roles.includes(role);
+  }
+
+  /**
+   * TOTP secrets are stored AES-256-GCM encrypted
+   */
+  static encryptionKey() {
+    return crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Short-lived token proving the password (or OTP) step passed; exchanged for a session after 2FA
+   */
+  static createChallenge(user) {
+    return jwt.sign({ id: user._id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_EXPIRE
+    });
+  }
+
+  static async verifyChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ErrorResponse('Two-factor challenge has expired. Please log in again.', 401);
+    }
+
+    if (decoded.purpose !== '2fa_challenge') {
+      throw new ErrorResponse('Invalid two-factor challenge', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      throw new ErrorResponse('Account has been deactivated', 401);
+    }
+
+    return user;
+  }
+
+  /**
+   * Start enrollment: a new secret is kept pending until a code from it is confirmed
+   * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+   */
+  static async beginEnrollment(user) {
+    if (user.twoFactor?.enabled) {
+      throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.keyuri(user.email || user.phone, ISSUER, secret);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': this.encryptSecret(secret) } }
+    );
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @returns {Promise<string[]>} Recovery codes (only ever shown once)
+   */
+  static async confirmEnrollment(user, code) {
+    const stored = await User.findById(user._id).select('+twoFactor.pendingSecret');
+
+    if (stored.twoFactor?.enabled) {
+      throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+    }
+    if (!stored.twoFactor?.pendingSecret) {
+      throw new ErrorResponse('Start two-factor setup first', 400);
+    }
+
+    const secret = this.decryptSecret(stored.twoFactor.pendingSecret);
+    const step = this.matchStep(secret, code);
+
+    if (step === null) {
+      throw new ErrorResponse('Invalid authentication code', 400);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': stored.twoFactor.pendingSecret,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': hashes,
+          'twoFactor.failedAttempts': 0
+        },
+        $unset: { 'twoFactor.pendingSecret': 1, 'twoFactor.lockedUntil': 1 }
+      }
+    );
+
+    return codes;
+  }
+
+  /**
+   * Time step a code belongs to, or null when it doesn't match
+   */
+  static matchStep(secret, code) {
+    const delta = totp.checkDelta(String(code), secret);
+    if (delta === null) {
+      return null;
+    }
+    return Math.floor(Date.now() / 1000 / 30) + delta;
+  }
+
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+    };
+  }
+
+  static async regenerateRecoveryCodes(user) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user with 2FA enabled.
+   * Codes can't be replayed and recovery codes are single-use.
+   * @returns {Promise<{method: string, recoveryCodesRemaining?: number}|null>}
+   */
+  static async verify(user, { code, recoveryCode }) {
+    const stored = await User.findById(user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!stored.twoFactor?.enabled) {
+      throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+    }
+
+    if (stored.twoFactor.lockedUntil && stored.twoFactor.lockedUntil > new Date()) {
+      const minutes = Math.ceil((stored.twoFactor.lockedUntil - Date.now()) / 60000);
+      throw new ErrorResponse(`Too many failed attempts. Try again in ${minutes} minutes.`, 429);
+    }
+
+    if (recoveryCode) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(String(recoveryCode)), usedAt: null } }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return null;
+      }
+
+      const remaining = stored.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length - 1;
+      return { method: 'recovery_code', recoveryCodesRemaining: remaining };
+    }
+
+    const step = this.matchStep(this.decryptSecret(stored.twoFactor.secret), code);
+    if (step === null) {
+      return null;
+    }
+
+    // Only accept a step newer than the last one used (blocks replaying an intercepted code)
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return result.modifiedCount > 0 ? { method: 'totp' } : null;
+  }
+
+  static async resetFailures(user) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } }
+    );
+  }
+
+  /**
+   * Count a failed 2FA attempt, lock after repeated failures and write login_failed + security_alert
+   */
+  static async recordFailure(user, req, context = 'login') {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true }
+    );
+    const failedAttempts = updated?.twoFactor?.failedAttempts || 1;
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+    if (locked) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'twoFactor.failedAttempts': 0,
+            'twoFactor.lockedUntil': new Date(Date.now() + LOCK_MINUTES * 60 * 1000)
+          }
+        }
+      );
+    }
+
+    const common = {
+      userId: user._id,
+      userRole: user.role,
+      entityType: 'User',
+      entityId: user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'failed',
+      metadata: { additionalData: { context, failedAttempts, locked } }
+    };
+
+    try {
+      await AuditLog.logAction({
+        ...common,
+        action: 'login_failed',
+        description: 'Failed two-factor authentication attempt',
+        reason: 'invalid_2fa_code',
+        severity: 'medium',
+        impactLevel: 'minor'
+      });
+      await AuditLog.logAction({
+        ...common,
+        action: 'security_alert',
+        description: locked
+          ? `Two-factor locked for ${LOCK_MINUTES} minutes after ${MAX_FAILED_ATTEMPTS} failed attempts`
+          : 'Correct password followed by a wrong two-factor code',
+        severity: locked || user.role === 'admin' ? 'critical' : 'high',
+        impactLevel: 'moderate'
+      });
+    } catch (auditError) {
+      console.error('Audit log error:', auditError);
+    }
+
+    return { failedAttempts, locked };
+  }
+
+  static async disable(user) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.enabledAt': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.lockedUntil': 1
+        }
+      }
+    );
+  }
+
+  static async getStatus(user) {
+    const stored = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+
+    return {
+      enabled: Boolean(stored.twoFactor?.enabled),
+      required: await this.isRequiredFor(user.role),
+      enabledAt: stored.twoFactor?.enabledAt,
+      recoveryCodesRemaining: (stored.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,271 @@
+/**
+ * Bangla email templates (same names and shape as en.js)
+ */
+
+const ACCOUNT_LABELS = {
+  Vendor: 'বিক্রেতা অ্যাকাউন্ট',
+  Buyer: 'ক্রেতা অ্যাকাউন্ট'
+};
+
+const PERIODS = {
+  daily: 'দৈনিক',
+  weekly: 'সাপ্তাহিক',
+  monthly: 'মাসিক',
+  quarterly: 'ত্রৈমাসিক',
+  yearly: 'বার্ষিক'
+};
+
+const PRIORITIES = {
+  low: 'কম',
+  medium: 'মাঝারি',
+  high: 'বেশি',
+  urgent: 'জরুরি',
+  critical: 'অতি জরুরি'
+};
+
+const ORDER_STATUSES = {
+  pending_approval: 'অনুমোদনের অপেক্ষায়',
+  confirmed: 'নিশ্চিত',
+  processing: 'প্রস্তুত হচ্ছে',
+  ready_for_pickup: 'পিকআপের জন্য প্রস্তুত',
+  out_for_delivery: 'ডেলিভারির পথে',
+  delivered: 'ডেলিভারি সম্পন্ন',
+  cancelled: 'বাতিল',
+  refunded: 'ফেরত দেওয়া হয়েছে'
+};
+
+const UNITS = {
+  kg: 'কেজি',
+  liter: 'লিটার',
+  piece: 'পিস',
+  bunch: 'আঁটি'
+};
+
+const greeting = (name) => (name ? `প্রিয় ${name},` : 'প্রিয় গ্রাহক,');
+
+module.exports = {
+  layout: {
+    footer: 'আপনার Aaroth Fresh অ্যাকাউন্ট থাকার কারণে আপনি এই ইমেইলটি পাচ্ছেন।',
+    notificationFooter: 'কোন ইমেইলগুলো পাবেন তা নোটিফিকেশন সেটিংস থেকে বেছে নিতে পারেন।'
+  },
+
+  templates: {
+    email_verification: (data, format) => ({
+      subject: 'Aaroth Fresh - আপনার ইমেইল ঠিকানা যাচাই করুন',
+      heading: 'ইমেইল যাচাইকরণ',
+      paragraphs: [
+        greeting(data.name),
+        'আপনার ইমেইল ঠিকানা যাচাই করতে নিচের বাটনে ক্লিক করুন।'
+      ],
+      action: { label: 'ইমেইল যাচাই করুন', url: data.verificationUrl },
+      footnote: `এই লিংকটি ${format.number(data.expiresInHours || 24)} ঘণ্টা পর মেয়াদোত্তীর্ণ হবে। আপনি কোনো অ্যাকাউন্ট না খুলে থাকলে এই ইমেইলটি উপেক্ষা করুন।`
+    }),
+
+    password_reset: (data, format) => ({
+      subject: 'Aaroth Fresh - পাসওয়ার্ড রিসেটের অনুরোধ',
+      heading: 'পাসওয়ার্ড রিসেটের অনুরোধ',
+      paragraphs: [
+        greeting(data.name),
+        'আপনি (অথবা অন্য কেউ) আপনার অ্যাকাউন্টের পাসওয়ার্ড রিসেট করার অনুরোধ করেছেন।',
+        'পাসওয়ার্ড রিসেট করতে নিচের বাটনে ক্লিক করুন।'
+      ],
+      action: { label: 'পাসওয়ার্ড রিসেট করুন', url: data.resetUrl },
+      footnote: `এই লিংকটি ${format.number(data.expiresInMinutes || 10)} মিনিট পর মেয়াদোত্তীর্ণ হবে। আপনি অনুরোধ না করে থাকলে এই ইমেইলটি উপেক্ষা করুন; আপনার পাসওয়ার্ড অপরিবর্তিত থাকবে।`
+    }),
+
+    order_placed: (data, format) => ({
+      subject: `নতুন অর্ডার #${data.orderNumber}`,
+      heading: 'নতুন অর্ডার এসেছে',
+      paragraphs: [
+        greeting(data.recipientName),
+        `${data.buyerName || 'একজন ক্রেতা'} ${format.amount(data.totalAmount)} মূল্যের অর্ডার #${data.orderNumber} দিয়েছেন।`,
+        data.itemCount && `পণ্যের সংখ্যা: ${format.number(data.itemCount)}`,
+        data.deliveryDate && `অনুরোধকৃত ডেলিভারি: ${format.date(data.deliveryDate)}।`,
+        'অনুগ্রহ করে অর্ডারটি দেখে নিশ্চিত করুন।'
+      ],
+      action: { label: 'অর্ডার দেখুন', url: data.actionUrl }
+    }),
+
+    order_confirmed: (data, format) => ({
+      subject: `অর্ডার #${data.orderNumber} নিশ্চিত হয়েছে`,
+      heading: 'অর্ডার নিশ্চিত হয়েছে',
+      paragraphs: [
+        greeting(data.recipientName),
+        `${data.vendorName || 'বিক্রেতা'} আপনার অর্ডার #${data.orderNumber} (${format.amount(data.totalAmount)}) নিশ্চিত করেছেন।`,
+        data.deliveryDate && `প্রত্যাশিত ডেলিভারি: ${format.date(data.deliveryDate)}।`
+      ],
+      action: { label: 'অর্ডার দেখুন', url: data.actionUrl }
+    }),
+
+    order_delivered: (data, format) => ({
+      subject: `অর্ডার #${data.orderNumber} ডেলিভারি হয়েছে`,
+      heading: 'অর্ডার ডেলিভারি সম্পন্ন',
+      paragraphs: [
+        greeting(data.recipientName),
+        `${data.vendorName || 'বিক্রেতা'}-এর কাছ থেকে আপনার অর্ডার #${data.orderNumber} ডেলিভারি করা হয়েছে।`,
+        `মোট মূল্য: ${format.amount(data.totalAmount)}।`,
+        'কোনো পণ্য কম বা নষ্ট থাকলে অর্ডার পেজ থেকে অভিযোগ জানাতে পারেন।'
+      ],
+      action: { label: 'অর্ডার দেখুন', url: data.actionUrl }
+    }),
+
+    approval_decision: (data) => {
+      const account = ACCOUNT_LABELS[data.entityType] || 'অ্যাকাউন্ট';
+      const reason = data.reason && `কারণ: ${data.reason}`;
+
+      switch (data.status) {
+        case 'approved':
+          return {
+            subject: `আপনার ${account} অনুমোদিত হয়েছে`,
+            heading: 'যাচাই অনুমোদিত',
+            paragraphs: [
+              greeting(data.recipientName),
+              `আপনার ${account} "${data.entityName}" যাচাই করে অনুমোদন দেওয়া হয়েছে। এখন আপনি প্ল্যাটফর্মের সব সুবিধা ব্যবহার করতে পারবেন।`
+            ],
+            action: { label: 'ড্যাশবোর্ডে যান', url: data.actionUrl }
+          };
+        case 'rejected':
+          return {
+            subject: `আপনার ${account} যাচাই অনুমোদিত হয়নি`,
+            heading: 'যাচাই প্রত্যাখ্যাত',
+            paragraphs: [
+              greeting(data.recipientName),
+              `আপনার ${account} "${data.entityName}"-এর যাচাই প্রত্যাখ্যান করা হয়েছে।`,
+              reason,
+              'অনুগ্রহ করে মতামতটি দেখে আবার জমা দিন।'
+            ],
+            action: { label: 'মতামত দেখুন', url: data.actionUrl }
+          };
+        default:
+          return {
+            subject: `আপনার ${account} আবার পর্যালোচনায় আছে`,
+            heading: 'যাচাইয়ের অবস্থা পরিবর্তিত',
+            paragraphs: [
+              greeting(data.recipientName),
+              `আপনার ${account} "${data.entityName}" আবার পর্যালোচনার অপেক্ষায় রাখা হয়েছে।`,
+              reason
+            ],
+            action: { label: 'ড্যাশবোর্ডে যান', url: data.actionUrl }
+          };
+      }
+    },
+
+    sla_escalation: (data, format) => {
+      const headings = {
+        warning: 'এসএলএ সতর্কতা',
+        violation: 'এসএলএ লঙ্ঘন',
+        escalation: 'এসক্যালেশন প্রয়োজন'
+      };
+      const heading = headings[data.type] || headings.violation;
+
+      return {
+        subject: `${heading}: ${data.entityType}${data.actionType ? ` ${data.actionType}` : ''}`,
+        heading,
+        paragraphs: [
+          `${data.entityName} (${data.entityType})`,
+          data.actionType && `প্রয়োজনীয় পদক্ষেপ: ${data.actionType}`,
+          data.priority && `অগ্রাধিকার: ${PRIORITIES[data.priority] || data.priority}`,
+          data.responseTime !== undefined &&
+            `প্রতিক্রিয়ার সময়: ${format.number(data.responseTime)} ঘণ্টা (লক্ষ্য ${format.number(data.targetTime)} ঘণ্টা)`,
+          data.exceedanceHours && `সীমা ছাড়িয়েছে: ${format.number(data.exceedanceHours)} ঘণ্টা`,
+          data.escalationLevel && `এসক্যালেশন স্তর: ${format.number(data.escalationLevel)}`,
+          'অনুগ্রহ করে এখনই পর্যালোচনা করে প্রয়োজনীয় ব্যবস্থা নিন।'
+        ],
+        action: { label: 'ব্যবস্থা নিন', url: data.actionUrl }
+      };
+    },
+
+    budget_warning: (data, format) => {
+      const exceeded = data.overageAmount > 0;
+      const period = PERIODS[data.period] || data.period;
+      const scope = data.categoryName ? `${data.categoryName} খাতের ` : '';
+
+      return {
+        subject: exceeded
+          ? `বাজেট অতিক্রম: ${scope}${period} বাজেট`
+          : `বাজেট সতর্কতা: ${scope}${period} বাজেটের ${format.number(data.percentageUsed)}% ব্যবহৃত`,
+        heading: exceeded ? 'বাজেট অতিক্রম করেছে' : 'বাজেট সতর্কতা',
+        paragraphs: [
+          greeting(data.recipientName),
+          `আপনি ${scope}${period} বাজেটের ${format.number(data.percentageUsed)}% ব্যবহার করেছেন।`,
+          data.budget && `ব্যয়: ${format.amount(data.budget)}-এর মধ্যে ${format.amount(data.spent)}।`,
+          exceeded && `বাজেটের চেয়ে ${format.amount(data.overageAmount)} বেশি ব্যয় হয়েছে।`
+        ],
+        action: { label: 'বাজেট দেখুন', url: data.actionUrl }
+      };
+    },
+
+    digest: (data, format) => {
+      const period = data.frequency === 'weekly' ? 'সাপ্তাহিক' : 'দৈনিক';
+      const range = `${format.date(data.periodStart)} - ${format.date(data.periodEnd)}`;
+      const status = (value) => ORDER_STATUSES[value] || value;
+      const orderLine = (order) =>
+        `#${order.orderNumber} · ${order.counterparty || '-'} · ${format.amount(order.totalAmount)} · ${status(order.status)}`;
+      let sections;
+
+      if (data.audience === 'vendor') {
+        const { newOrders, stockAlerts, overduePayments, ratings } = data;
+        sections = [
+          newOrders && `নতুন অর্ডার: ${format.number(newOrders.count)}টি, মোট ${format.amount(newOrders.totalAmount)}`,
+          ...(newOrders?.items || []).map(orderLine),
+          stockAlerts?.total > 0 && `স্টক সতর্কতা: ${format.number(stockAlerts.total)}টি পণ্যের স্টক কম বা শেষ`,
+          ...(stockAlerts?.items || []).map(item =>
+            `${item.productName}: ${format.number(item.currentStock)} ${item.unit} বাকি (রিঅর্ডার লেভেল ${format.number(item.reorderLevel)})`),
+          overduePayments?.count > 0 &&
+            `বকেয়া পেমেন্ট: ${format.number(overduePayments.count)}টি অর্ডার, মোট ${format.amount(overduePayments.totalDue)} পাওনা`,
+          ...(overduePayments?.items || []).map(order =>
+            `#${order.orderNumber} · ${order.counterparty || '-'} · ${format.amount(order.balanceDue)}, পরিশোধের তারিখ ছিল ${format.date(order.dueDate)}`),
+          ratings?.count > 0 &&
+            `নতুন রেটিং: ${format.number(ratings.count)}টি, গড় ${format.number(ratings.averageScore)} / ৫ (সামগ্রিক ${format.number(ratings.overallAverage)})`
+        ];
+      } else {
+        const { orders, budget, priceChanges, pendingApprovals } = data;
+        sections = [
+          `অর্ডার: ${format.number(orders.count)}টি, মোট ${format.amount(orders.totalAmount)}`,
+          ...orders.items.map(orderLine),
+          budget && `বাজেট: ${PERIODS[budget.period] || budget.period} বাজেট ${format.amount(budget.budget)}-এর মধ্যে ${format.amount(budget.spent)} ব্যয় হয়েছে (${format.number(budget.percentageUsed)}%)`,
+          priceChanges.length > 0 && 'আপনার নিয়মিত পণ্যের দামে পরিবর্তন:',
+          ...priceChanges.map(change =>
+            `${change.productName}: প্রতি ${change.unit} ${format.amount(change.previousPrice)} → ${format.amount(change.currentPrice)} (${change.changePercent > 0 ? '+' : ''}${format.number(change.changePercent)}%)`),
+          pendingApprovals.count > 0 && `মালিকের অনুমোদনের অপেক্ষায় অর্ডার: ${format.number(pendingApprovals.count)}টি`,
+          ...pendingApprovals.items.map(orderLine)
+        ];
+      }
+
+      return {
+        subject: `আপনার Aaroth Fresh ${period} সারসংক্ষেপ`,
+        heading: `আপনার ${period} সারসংক্ষেপ`,
+        paragraphs: [greeting(data.recipientName), `${range} সময়ের হালনাগাদ নিচে দেওয়া হলো।`, ...sections],
+        action: { label: 'ড্যাশবোর্ড খুলুন', url: data.actionUrl },
+        footnote: 'এই সারসংক্ষেপ কত ঘন ঘন পাবেন তা নোটিফিকেশন সেটিংস থেকে পরিবর্তন করতে পারেন।'
+      };
+    },
+
+    price_alert: (data, format) => {
+      const direction = data.condition === 'above' ? 'ছাড়িয়ে গেছে' : 'এর নিচে নেমেছে';
+      const unit = UNITS[data.unit] || data.unit;
+      const where = data.marketName ? `${data.marketName}-এ ` : '';
+
+      return {
+        subject: `দামের সতর্কতা: ${where}${data.productName} এখন ${format.amount(data.currentPrice)}/${unit}`,
+        heading: 'দামের সতর্কতা',
+        paragraphs: [
+          greeting(data.recipientName),
+          `${where}${data.productName}-এর দাম আপনার নির্ধারিত ${format.amount(data.targetPrice)}/${unit} ${direction}।`,
+          `এখনকার সর্বনিম্ন দাম: ${format.amount(data.currentPrice)}/${unit}${data.vendorName ? ` (${data.vendorName})` : ''}।`,
+          data.qualityGrade && `মান: ${data.qualityGrade}।`
+        ],
+        action: { label: 'দাম দেখুন', url: data.actionUrl },
+        footnote: 'দাম আবার আপনার লক্ষ্যের অন্য পাশে গেলে তবেই পরবর্তী সতর্কতা পাঠানো হবে।'
+      };
+    },
+
+    // Any notification without a dedicated template
+    notification: (data) => ({
+      subject: data.title,
+      heading: data.title,
+      paragraphs: [data.message],
+      action: data.actionUrl && { label: data.actionText || 'বিস্তারিত দেখুন', url: data.actionUrl }
+    })
+  }
+};
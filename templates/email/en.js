@@ -0,0 +1,237 @@
+/**
+ * English email templates.
+ * Each template takes (data, format) and returns
+ *   { subject, heading, paragraphs: [String], action?: { label, url }, footnote? }
+ * which EmailTemplateService renders to HTML and plain text.
+ */
+
+const ACCOUNT_LABELS = {
+  Vendor: 'vendor account',
+  Buyer: 'buyer account'
+};
+
+const greeting = (name) => (name ? `Hello ${name},` : 'Hello,');
+
+module.exports = {
+  layout: {
+    footer: 'You are receiving this email because you have an Aaroth Fresh account.',
+    notificationFooter: 'You can choose which emails you receive in your notification settings.'
+  },
+
+  templates: {
+    email_verification: (data) => ({
+      subject: 'Aaroth Fresh - Verify your email address',
+      heading: 'Email Verification',
+      paragraphs: [
+        greeting(data.name),
+        'Please click the button below to verify your email address.'
+      ],
+      action: { label: 'Verify Email', url: data.verificationUrl },
+      footnote: `This link will expire in ${data.expiresInHours || 24} hours. If you did not create an account, please ignore this email.`
+    }),
+
+    password_reset: (data) => ({
+      subject: 'Aaroth Fresh - Password Reset Request',
+      heading: 'Password Reset Request',
+      paragraphs: [
+        greeting(data.name),
+        'You are receiving this email because you (or someone else) has requested a password reset.',
+        'Please click the button below to reset your password.'
+      ],
+      action: { label: 'Reset Password', url: data.resetUrl },
+      footnote: `This link will expire in ${data.expiresInMinutes || 10} minutes. If you did not request this, please ignore this email and your password will remain unchanged.`
+    }),
+
+    order_placed: (data, format) => ({
+      subject: `New order #${data.orderNumber}`,
+      heading: 'New Order Received',
+      paragraphs: [
+        greeting(data.recipientName),
+        `${data.buyerName || 'A buyer'} placed order #${data.orderNumber} for ${format.amount(data.totalAmount)}.`,
+        data.itemCount && `Items: ${format.number(data.itemCount)}`,
+        data.deliveryDate && `Requested delivery: ${format.date(data.deliveryDate)}.`,
+        'Please review and confirm the order.'
+      ],
+      action: { label: 'View Order', url: data.actionUrl }
+    }),
+
+    order_confirmed: (data, format) => ({
+      subject: `Order #${data.orderNumber} confirmed`,
+      heading: 'Order Confirmed',
+      paragraphs: [
+        greeting(data.recipientName),
+        `${data.vendorName || 'The vendor'} has confirmed your order #${data.orderNumber} (${format.amount(data.totalAmount)}).`,
+        data.deliveryDate && `Expected delivery: ${format.date(data.deliveryDate)}.`
+      ],
+      action: { label: 'View Order', url: data.actionUrl }
+    }),
+
+    order_delivered: (data, format) => ({
+      subject: `Order #${data.orderNumber} delivered`,
+      heading: 'Order Delivered',
+      paragraphs: [
+        greeting(data.recipientName),
+        `Your order #${data.orderNumber} from ${data.vendorName || 'the vendor'} has been delivered.`,
+        `Order total: ${format.amount(data.totalAmount)}.`,
+        'If anything is missing or damaged, you can raise a dispute from the order page.'
+      ],
+      action: { label: 'View Order', url: data.actionUrl }
+    }),
+
+    approval_decision: (data) => {
+      const account = ACCOUNT_LABELS[data.entityType] || 'account';
+      const reason = data.reason && `Reason: ${data.reason}`;
+
+      switch (data.status) {
+        case 'approved':
+          return {
+            subject: `Your ${account} has been approved`,
+            heading: 'Verification Approved',
+            paragraphs: [
+              greeting(data.recipientName),
+              `Your ${account} "${data.entityName}" has been verified and approved. You now have full access to platform features.`
+            ],
+            action: { label: 'Go to Dashboard', url: data.actionUrl }
+          };
+        case 'rejected':
+          return {
+            subject: `Your ${account} verification was not approved`,
+            heading: 'Verification Rejected',
+            paragraphs: [
+              greeting(data.recipientName),
+              `Your ${account} "${data.entityName}" verification has been rejected.`,
+              reason,
+              'Please review the feedback and resubmit.'
+            ],
+            action: { label: 'Review Feedback', url: data.actionUrl }
+          };
+        default:
+          return {
+            subject: `Your ${account} is back under review`,
+            heading: 'Verification Status Updated',
+            paragraphs: [
+              greeting(data.recipientName),
+              `Your ${account} "${data.entityName}" has been reset to pending review.`,
+              reason
+            ],
+            action: { label: 'Go to Dashboard', url: data.actionUrl }
+          };
+      }
+    },
+
+    sla_escalation: (data, format) => {
+      const headings = {
+        warning: 'SLA Warning',
+        violation: 'SLA Violation',
+        escalation: 'Escalation Required'
+      };
+      const heading = headings[data.type] || headings.violation;
+
+      return {
+        subject: `${heading}: ${data.entityType}${data.actionType ? ` ${data.actionType}` : ''}`,
+        heading,
+        paragraphs: [
+          `${data.entityName} (${data.entityType})`,
+          data.actionType && `Action required: ${data.actionType}`,
+          data.priority && `Priority: ${data.priority}`,
+          data.responseTime !== undefined &&
+            `Response time: ${format.number(data.responseTime)} hours (target ${format.number(data.targetTime)} hours)`,
+          data.exceedanceHours && `Exceeded by: ${format.number(data.exceedanceHours)} hours`,
+          data.escalationLevel && `Escalation level: ${data.escalationLevel}`,
+          'Please review and take appropriate action immediately.'
+        ],
+        action: { label: 'Take Action', url: data.actionUrl }
+      };
+    },
+
+    budget_warning: (data, format) => {
+      const exceeded = data.overageAmount > 0;
+      const scope = data.categoryName ? ` for ${data.categoryName}` : '';
+
+      return {
+        subject: exceeded
+          ? `Budget exceeded: your ${data.period} budget${scope}`
+          : `Budget warning: ${format.number(data.percentageUsed)}% of your ${data.period} budget${scope} used`,
+        heading: exceeded ? 'Budget Exceeded' : 'Budget Warning',
+        paragraphs: [
+          greeting(data.recipientName),
+          `You've used ${format.number(data.percentageUsed)}% of your ${data.period} budget${scope}.`,
+          data.budget && `Spent: ${format.amount(data.spent)} of ${format.amount(data.budget)}.`,
+          exceeded && `Over budget by ${format.amount(data.overageAmount)}.`
+        ],
+        action: { label: 'View Budget', url: data.actionUrl }
+      };
+    },
+
+    digest: (data, format) => {
+      const period = data.frequency === 'weekly' ? 'weekly' : 'daily';
+      const range = `${format.date(data.periodStart)} - ${format.date(data.periodEnd)}`;
+      const orderLine = (order) =>
+        `#${order.orderNumber} · ${order.counterparty || '-'} · ${format.amount(order.totalAmount)} · ${order.status.replace(/_/g, ' ')}`;
+      let sections;
+
+      if (data.audience === 'vendor') {
+        const { newOrders, stockAlerts, overduePayments, ratings } = data;
+        sections = [
+          newOrders && `New orders: ${format.number(newOrders.count)} worth ${format.amount(newOrders.totalAmount)}`,
+          ...(newOrders?.items || []).map(orderLine),
+          stockAlerts?.total > 0 && `Stock alerts: ${format.number(stockAlerts.total)} items low or out of stock`,
+          ...(stockAlerts?.items || []).map(item =>
+            `${item.productName}: ${format.number(item.currentStock)} ${item.unit} left (reorder at ${format.number(item.reorderLevel)})`),
+          overduePayments?.count > 0 &&
+            `Overdue payments: ${format.number(overduePayments.count)} orders, ${format.amount(overduePayments.totalDue)} outstanding`,
+          ...(overduePayments?.items || []).map(order =>
+            `#${order.orderNumber} · ${order.counterparty || '-'} · ${format.amount(order.balanceDue)} due ${format.date(order.dueDate)}`),
+          ratings?.count > 0 &&
+            `New ratings: ${format.number(ratings.count)}, averaging ${format.number(ratings.averageScore)} / 5 (overall ${format.number(ratings.overallAverage)})`
+        ];
+      } else {
+        const { orders, budget, priceChanges, pendingApprovals } = data;
+        sections = [
+          `Orders: ${format.number(orders.count)} worth ${format.amount(orders.totalAmount)}`,
+          ...orders.items.map(orderLine),
+          budget && `Budget: ${format.amount(budget.spent)} of your ${budget.period} budget of ${format.amount(budget.budget)} spent (${format.number(budget.percentageUsed)}%)`,
+          priceChanges.length > 0 && 'Price changes on products you usually order:',
+          ...priceChanges.map(change =>
+            `${change.productName}: ${format.amount(change.previousPrice)} → ${format.amount(change.currentPrice)} per ${change.unit} (${change.changePercent > 0 ? '+' : ''}${format.number(change.changePercent)}%)`),
+          pendingApprovals.count > 0 && `Orders awaiting owner approval: ${format.number(pendingApprovals.count)}`,
+          ...pendingApprovals.items.map(orderLine)
+        ];
+      }
+
+      return {
+        subject: `Your Aaroth Fresh ${period} summary`,
+        heading: `Your ${period} summary`,
+        paragraphs: [greeting(data.recipientName), `Here is what happened between ${range}.`, ...sections],
+        action: { label: 'Open Dashboard', url: data.actionUrl },
+        footnote: 'You can change how often you get this summary in your notification settings.'
+      };
+    },
+
+    price_alert: (data, format) => {
+      const direction = data.condition === 'above' ? 'risen above' : 'dropped below';
+      const where = data.marketName ? ` in ${data.marketName}` : '';
+
+      return {
+        subject: `Price alert: ${data.productName}${where} is now ${format.amount(data.currentPrice)}/${data.unit}`,
+        heading: 'Price Alert',
+        paragraphs: [
+          greeting(data.recipientName),
+          `${data.productName}${where} has ${direction} your target of ${format.amount(data.targetPrice)}/${data.unit}.`,
+          `Best price now: ${format.amount(data.currentPrice)}/${data.unit}${data.vendorName ? ` from ${data.vendorName}` : ''}.`,
+          data.qualityGrade && `Quality grade: ${data.qualityGrade}.`
+        ],
+        action: { label: 'View Prices', url: data.actionUrl },
+        footnote: 'You will be alerted again only after the price moves back past your target.'
+      };
+    },
+
+    // Any notification without a dedicated template
+    notification: (data) => ({
+      subject: data.title,
+      heading: data.title,
+      paragraphs: [data.message],
+      action: data.actionUrl && { label: data.actionText || 'View Details', url: data.actionUrl }
+    })
+  }
+};
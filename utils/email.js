@@ -1,25 +1,129 @@
-const SibApiV3Sdk = require('@getbrevo/brevo');
+const fs = require('fs').promises;
+const path = require('path');
+const EmailTemplateService = require('../services/emailTemplateService');
 
-const sendEmail = async (options) => {
-  const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+/**
+ * Email providers share one interface:
+ *   { name: string, send: async ({ to, subject, html, text }) => ({ messageId }) }
+ * Pick one with EMAIL_PROVIDER (default brevo); others plug in via registerEmailProvider.
+ * Providers throw when the message can't be handed over, so callers can retry.
+ */
+const providers = new Map();
 
-  const apiKey = apiInstance.authentications['apiKey'];
-  apiKey.apiKey = process.env.BREVO_API_KEY;
+const sender = () => ({
+  name: process.env.EMAIL_FROM_NAME || process.env.BREVO_FROM_NAME,
+  email: process.env.EMAIL_FROM_EMAIL || process.env.BREVO_FROM_EMAIL
+});
 
-  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+const brevoProvider = {
+  name: 'brevo',
+  send: async ({ to, subject, html, text }) => {
+    const SibApiV3Sdk = require('@getbrevo/brevo');
+    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
 
-  sendSmtpEmail.subject = options.subject;
-  sendSmtpEmail.htmlContent = `<html><body><p>${options.message}</p></body></html>`;
-  sendSmtpEmail.sender = { name: process.env.BREVO_FROM_NAME, email: process.env.BREVO_FROM_EMAIL };
-  sendSmtpEmail.to = [{ email: options.email }];
-  sendSmtpEmail.replyTo = { email: process.env.BREVO_FROM_EMAIL, name: process.env.BREVO_FROM_NAME };
+    const apiKey = apiInstance.authentications['apiKey'];
+    apiKey.apiKey = process.env.BREVO_API_KEY;
 
-  try {
-    await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log('Email sent successfully with Brevo');
-  } catch (error) {
-    console.error('Error sending email with Brevo:', error);
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+    sendSmtpEmail.subject = subject;
+    sendSmtpEmail.htmlContent = html;
+    sendSmtpEmail.textContent = text;
+    sendSmtpEmail.sender = sender();
+    sendSmtpEmail.to = [{ email: to }];
+    sendSmtpEmail.replyTo = sender();
+
+    const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
+    return { messageId: result?.body?.messageId };
+  }
+};
+
+const sesProvider = {
+  name: 'ses',
+  send: async ({ to, subject, html, text }) => {
+    const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+    const client = new SESClient({ region: process.env.AWS_REGION });
+    const { name, email } = sender();
+
+    const result = await client.send(new SendEmailCommand({
+      Source: name ? `${name} <${email}>` : email,
+      Destination: { ToAddresses: [to] },
+      Message: {
+        Subject: { Data: subject, Charset: 'UTF-8' },
+        Body: {
+          Html: { Data: html, Charset: 'UTF-8' },
+          Text: { Data: text, Charset: 'UTF-8' }
+        }
+      }
+    }));
+    return { messageId: result.MessageId };
+  }
+};
+
+/**
+ * Development provider: prints the message to the server console
+ */
+const consoleProvider = {
+  name: 'console',
+  send: async ({ to, subject }) => {
+    console.log(`[Email -> ${to}] ${subject}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Development provider: appends messages to a local file (EMAIL_LOG_FILE, default logs/email.log)
+ */
+const fileProvider = {
+  name: 'file',
+  send: async ({ to, subject, text }) => {
+    const file = process.env.EMAIL_LOG_FILE || path.join(__dirname, '..', 'logs', 'email.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${new Date().toISOString()}\t${to}\t${subject}\t${text.replace(/\s+/g, ' ')}\n`);
+    return { messageId: `file-${Date.now()}` };
   }
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+/**
+ * Register (or replace) an email provider
+ * @param {Object} provider - { name, send }
+ */
+const registerEmailProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('Email provider must have a name and a send({ to, subject, html, text }) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getEmailProvider = () => {
+  const name = process.env.EMAIL_PROVIDER || 'brevo';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Email provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+/**
+ * Render a named template (see EmailTemplateService) and send it through the configured provider
+ * @param {Object} options - { email, template, data, language, notification }
+ * @returns {Promise<{provider: string, messageId: string}>}
+ */
+const sendEmail = async ({ email, template, data, language, notification = false }) => {
+  const { subject, html, text } = EmailTemplateService.render(template, data, language, { notification });
+  const provider = getEmailProvider();
+  const result = await provider.send({ to: email, subject, html, text });
+  return { provider: provider.name, messageId: result?.messageId };
+};
+
+registerEmailProvider(brevoProvider);
+registerEmailProvider(sesProvider);
+registerEmailProvider(consoleProvider);
+registerEmailProvider(fileProvider);
+
+module.exports = {
+  sendEmail,
+  registerEmailProvider,
+  getEmailProvider
+};
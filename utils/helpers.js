@@ -46,6 +46,21 @@ const isValidPhone = (phone) => {
   return phoneRegex.test(phone);
 };
 
+/**
+ * Normalize a phone number to the stored E.164 form.
+ * Bangladeshi numbers may be given as 01XXXXXXXXX, 8801XXXXXXXXX or +8801XXXXXXXXX.
+ * @param {string} phone - Phone number as typed
+ * @returns {string} Phone number with country code (e.g. +8801712345678)
+ */
+const normalizePhone = (phone) => {
+  const cleaned = String(phone || '').replace(/[\s\-()]/g, '');
+
+  if (cleaned.startsWith('+')) return cleaned;
+  if (/^880\d{10}$/.test(cleaned)) return `+${cleaned}`;
+  if (/^0\d{10}$/.test(cleaned)) return `+88${cleaned}`;
+  return `+880${cleaned}`;
+};
+
 /**
  * Sanitize filename by removing special characters
  * @param {string} filename - Filename to sanitize
@@ -283,6 +298,7 @@ module.exports = {
   generateUniqueFilename,
   isValidEmail,
   isValidPhone,
+  normalizePhone,
   sanitizeFilename,
   formatPrice,
   calculatePercentage,
@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Push providers share one interface:
+ *   { name: string, send: async ({ subscription, payload }) => ({ messageId }) }
+ * `subscription` is a browser PushSubscription ({ endpoint, keys: { p256dh, auth } }).
+ * Pick one with PUSH_PROVIDER (default webpush); others plug in via registerPushProvider.
+ * Errors carry `statusCode` 404/410 when the subscription no longer exists.
+ */
+const providers = new Map();
+
+/**
+ * Web Push (VAPID) provider
+ */
+const webPushProvider = {
+  name: 'webpush',
+  send: async ({ subscription, payload }) => {
+    const webpush = require('web-push');
+
+    const result = await webpush.sendNotification(subscription, JSON.stringify(payload), {
+      vapidDetails: {
+        subject: process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM_EMAIL || process.env.BREVO_FROM_EMAIL}`,
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY
+      },
+      TTL: 24 * 60 * 60
+    });
+    return { messageId: result.headers?.location };
+  }
+};
+
+/**
+ * Development provider: prints the message to the server console
+ */
+const consoleProvider = {
+  name: 'console',
+  send: async ({ subscription, payload }) => {
+    console.log(`[Push -> ${subscription.endpoint}] ${payload.title}: ${payload.body}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Development provider: appends messages to a local file (PUSH_LOG_FILE, default logs/push.log)
+ */
+const fileProvider = {
+  name: 'file',
+  send: async ({ subscription, payload }) => {
+    const file = process.env.PUSH_LOG_FILE || path.join(__dirname, '..', 'logs', 'push.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${new Date().toISOString()}\t${subscription.endpoint}\t${JSON.stringify(payload)}\n`);
+    return { messageId: `file-${Date.now()}` };
+  }
+};
+
+/**
+ * Register (or replace) a push provider
+ * @param {Object} provider - { name, send }
+ */
+const registerPushProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('Push provider must have a name and a send({ subscription, payload }) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getPushProvider = () => {
+  const name = process.env.PUSH_PROVIDER || 'webpush';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Push provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+/**
+ * Send a push message to one subscription through the configured provider
+ * @param {Object} options - { subscription, payload: { title, body, url, ... } }
+ * @returns {Promise<{provider: string, messageId: string}>}
+ */
+const sendPush = async ({ subscription, payload }) => {
+  const provider = getPushProvider();
+  const result = await provider.send({ subscription, payload });
+  return { provider: provider.name, messageId: result?.messageId };
+};
+
+registerPushProvider(webPushProvider);
+registerPushProvider(consoleProvider);
+registerPushProvider(fileProvider);
+
+module.exports = {
+  sendPush,
+  registerPushProvider,
+  getPushProvider
+};
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * SMS providers share one interface:
+ *   { name: string, send: async ({ to, message }) => ({ messageId }) }
+ * Pick one with SMS_PROVIDER; gateways (e.g. SSL Wireless, BulkSMSBD) plug in via registerSmsProvider.
+ */
+const providers = new Map();
+
+/**
+ * Development provider: prints the message to the server console
+ */
+const consoleProvider = {
+  name: 'console',
+  send: async ({ to, message }) => {
+    console.log(`[SMS -> ${to}] ${message}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Development provider: appends messages to a local file (SMS_LOG_FILE, default logs/sms.log)
+ */
+const fileProvider = {
+  name: 'file',
+  send: async ({ to, message }) => {
+    const file = process.env.SMS_LOG_FILE || path.join(__dirname, '..', 'logs', 'sms.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${new Date().toISOString()}\t${to}\t${message}\n`);
+    return { messageId: `file-${Date.now()}` };
+  }
+};
+
+/**
+ * Register (or replace) an SMS provider
+ * @param {Object} provider - { name, send }
+ */
+const registerSmsProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must have a name and a send({ to, message }) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`SMS provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+/**
+ * Send a text message through the configured provider
+ * @param {Object} options - { phone, message }
+ * @returns {Promise<{provider: string, messageId: string}>}
+ */
+const sendSms = async ({ phone, message }) => {
+  const provider = getSmsProvider();
+  const result = await provider.send({ to: phone, message });
+  return { provider: provider.name, messageId: result?.messageId };
+};
+
+registerSmsProvider(consoleProvider);
+registerSmsProvider(fileProvider);
+
+module.exports = {
+  sendSms,
+  registerSmsProvider,
+  getSmsProvider
+};
@@ -0,0 +1,76 @@
+/**
+ * Wall-clock times in a user's time zone. The server runs in UTC, so a send
+ * time like "08:00" has to be turned into the right instant for the user.
+ */
+const DEFAULT_TIME_ZONE = 'Asia/Dhaka';
+
+/**
+ * Whether the runtime knows this IANA time zone name
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Calendar date and time of `date` as seen in the time zone
+ * @returns {{year: Number, month: Number, day: Number, hours: Number, minutes: Number}} month is 0-based
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+};
+
+/**
+ * Milliseconds the time zone is ahead of UTC at this instant
+ */
+const offsetAt = (time, timeZone) => {
+  const local = zonedParts(new Date(time), timeZone);
+  const asUtc = Date.UTC(local.year, local.month, local.day, local.hours, local.minutes, local.seconds);
+  return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Instant at which the clock in the time zone shows this date and time.
+ * Out-of-range days roll over (day 32 is the 1st of the next month).
+ */
+const zonedTime = ({ year, month, day, hours = 0, minutes = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  let time = wallClock - offsetAt(wallClock, timeZone);
+
+  // Around a DST change the offset at the result can differ from the first guess
+  const offset = offsetAt(time, timeZone);
+  if (wallClock - offset !== time) {
+    time = wallClock - offset;
+  }
+
+  return new Date(time);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zonedParts,
+  zonedTime
+};
@@ -0,0 +1,247 @@
+/**
+ * Search text normalisation for Bangla and English product names.
+ *
+ * Bangla script is romanised, then every token is reduced to a phonetic key
+ * so the common spellings of a word meet: "aloo", "alu" and "আলু" all become
+ * "alu"; "peyaj", "piyaj", "pyaj" and "পেঁয়াজ" all become "piaj".
+ */
+
+const BN_INDEPENDENT_VOWELS = {
+  'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri',
+  'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou'
+};
+
+const BN_VOWEL_SIGNS = {
+  'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri',
+  'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou'
+};
+
+const BN_CONSONANTS = {
+  'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng',
+  'চ': 'ch', 'ছ': 'chh', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+  'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n',
+  'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+  'প': 'p', 'ফ': 'ph', 'ব': 'b', 'ভ': 'bh', 'ম': 'm',
+  'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh', 'স': 's', 'হ': 'h', 'ৎ': 't'
+};
+
+// ড়, ঢ় and য় are written as the base letter followed by a nukta
+const BN_NUKTA_CONSONANTS = { '\u09A1': 'r', '\u09A2': 'rh', '\u09AF': 'y' };
+
+// Marks that add a sound without taking a vowel
+const BN_MARKS = { 'ং': 'ng', 'ঃ': 'h', 'ঁ': '' };
+
+const BN_DIGITS = '০১২৩৪৫৬৭৮৯';
+const HASANT = '্';
+const NUKTA = '়';
+const BANGLA_SCRIPT = /[\u0980-\u09FF]/;
+
+/**
+ * Spelling variants of the same produce/grocery word in English, romanised
+ * Bangla and Bangla script. A query for any of them finds the others.
+ */
+const SYNONYM_GROUPS = [
+  ['potato', 'alu', 'aloo', 'আলু'],
+  ['onion', 'peyaj', 'piyaj', 'pyaj', 'পেঁয়াজ'],
+  ['garlic', 'rosun', 'roshun', 'রসুন'],
+  ['ginger', 'ada', 'আদা'],
+  ['tomato', 'টমেটো'],
+  ['chili', 'chilli', 'morich', 'marich', 'মরিচ'],
+  ['eggplant', 'brinjal', 'aubergine', 'begun', 'বেগুন'],
+  ['cucumber', 'shosha', 'sasha', 'শসা'],
+  ['pumpkin', 'kumra', 'kumro', 'মিষ্টিকুমড়া', 'কুমড়া'],
+  ['karela', 'korola', 'করলা'],
+  ['lau', 'lauki', 'লাউ'],
+  ['okra', 'ladyfinger', 'dherosh', 'dheros', 'ঢেঁড়স'],
+  ['cauliflower', 'fulkopi', 'phulkopi', 'ফুলকপি'],
+  ['cabbage', 'bandhakopi', 'badhakopi', 'বাঁধাকপি'],
+  ['spinach', 'palong', 'পালং'],
+  ['lentil', 'dal', 'daal', 'ডাল'],
+  ['rice', 'chal', 'chaal', 'চাল'],
+  ['flour', 'atta', 'ata', 'আটা'],
+  ['egg', 'dim', 'ডিম'],
+  ['fish', 'mach', 'maach', 'মাছ'],
+  ['hilsa', 'ilish', 'ইলিশ'],
+  ['chicken', 'murgi', 'মুরগি'],
+  ['beef', 'goru', 'গরু'],
+  ['mutton', 'khasi', 'খাসি'],
+  ['milk', 'dudh', 'দুধ'],
+  ['salt', 'lobon', 'লবণ'],
+  ['sugar', 'chini', 'চিনি'],
+  ['oil', 'tel', 'তেল'],
+  ['mango', 'aam', 'আম'],
+  ['banana', 'kola', 'কলা'],
+  ['lemon', 'lime', 'lebu', 'লেবু'],
+  ['coriander', 'dhonia', 'dhoniya', 'ধনিয়া'],
+  ['turmeric', 'holud', 'হলুদ'],
+  ['carrot', 'gajor', 'গাজর'],
+  ['radish', 'mula', 'মুলা'],
+  ['papaya', 'pepe', 'পেঁপে'],
+  ['jackfruit', 'kathal', 'kanthal', 'কাঁঠাল'],
+  ['guava', 'peyara', 'পেয়ারা'],
+  ['coconut', 'narikel', 'narkel', 'নারকেল'],
+  ['apple', 'apel', 'আপেল']
+];
+
+const isBanglaConsonant = (char) => Object.prototype.hasOwnProperty.call(BN_CONSONANTS, char);
+
+/**
+ * Romanised consonant starting at chars[i] and how many characters it spans (null if none)
+ */
+const consonantAt = (chars, i) => {
+  if (chars[i + 1] === NUKTA && BN_NUKTA_CONSONANTS[chars[i]]) {
+    return { latin: BN_NUKTA_CONSONANTS[chars[i]], length: 2 };
+  }
+  return isBanglaConsonant(chars[i]) ? { latin: BN_CONSONANTS[chars[i]], length: 1 } : null;
+};
+
+/**
+ * Romanise Bangla script; other characters pass through unchanged.
+ * A consonant keeps its inherent "o" only before another consonant
+ * (word-final inherent vowels are silent).
+ */
+const banglaToLatin = (text = '') => {
+  // NFC keeps ো/ৌ whole but always splits ড় ঢ় য় into letter + nukta
+  const chars = Array.from(String(text).normalize('NFC'));
+  let output = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const consonant = consonantAt(chars, i);
+
+    if (consonant) {
+      output += consonant.latin;
+      i += consonant.length - 1;
+      if (consonantAt(chars, i + 1)) {
+        output += 'o';
+      }
+    } else if (BN_INDEPENDENT_VOWELS[char]) {
+      output += BN_INDEPENDENT_VOWELS[char];
+    } else if (BN_VOWEL_SIGNS[char]) {
+      output += BN_VOWEL_SIGNS[char];
+    } else if (Object.prototype.hasOwnProperty.call(BN_MARKS, char)) {
+      output += BN_MARKS[char];
+    } else if (char === HASANT) {
+      continue;
+    } else if (BN_DIGITS.includes(char)) {
+      output += String(BN_DIGITS.indexOf(char));
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Trim English plurals: tomatoes -> tomato, lentils -> lentil
+ */
+const singular = (token) => {
+  if (token.length > 5 && token.endsWith('oes')) return token.slice(0, -2);
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+/**
+ * Reduce a romanised token to a phonetic key: aspirates and sibilants
+ * merged, a/o and e/i/y treated alike, doubled letters collapsed
+ */
+const phoneticKey = (token, { plural = true } = {}) => {
+  if (/^\d+$/.test(token)) {
+    return token;
+  }
+
+  return (plural ? singular(token) : token)
+    .replace(/chh|ch/g, 'C')
+    .replace(/ck|c|q/g, 'k')
+    .replace(/C/g, 'c')
+    .replace(/ph/g, 'f')
+    .replace(/([bgkjtdr])h/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/z/g, 'j')
+    .replace(/v/g, 'b')
+    .replace(/w/g, 'u')
+    .replace(/x/g, 'ks')
+    .replace(/oo|ou/g, 'u')
+    .replace(/ee|ai|oi|ei/g, 'i')
+    .replace(/[ao]/g, 'a')
+    .replace(/[eiy]/g, 'i')
+    .replace(/(.)\1+/g, '$1');
+};
+
+/**
+ * Split text into phonetic keys (Bangla or English, any case).
+ * English plural trimming is skipped for Bangla words ("ঢেঁড়স" ends in s).
+ * @returns {string[]}
+ */
+const tokenize = (text = '') =>
+  String(text).toLowerCase()
+    .split(/\s+/)
+    .flatMap(word => {
+      const plural = !BANGLA_SCRIPT.test(word);
+      return banglaToLatin(word)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 0)
+        .map(token => phoneticKey(token, { plural }));
+    })
+    .filter(key => key.length > 0);
+
+// phonetic key -> keys of every spelling in its synonym group
+const synonymIndex = new Map();
+for (const group of SYNONYM_GROUPS) {
+  const keys = [...new Set(group.flatMap(word => tokenize(word)))];
+  for (const key of keys) {
+    synonymIndex.set(key, keys.filter(other => other !== key));
+  }
+}
+
+/**
+ * Other keys meaning the same thing (e.g. potato for alu)
+ * @returns {string[]}
+ */
+const synonymsOf = (key) => synonymIndex.get(key) || [];
+
+/**
+ * Edit distance counting adjacent swaps as one edit, giving up past maxDistance
+ */
+const editDistance = (a, b, maxDistance = 2) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+module.exports = {
+  banglaToLatin,
+  phoneticKey,
+  tokenize,
+  synonymsOf,
+  editDistance,
+  SYNONYM_GROUPS
+};
@@ -0,0 +1,34 @@
+/**
+ * Listing units and how they convert. Prices are compared per kg, per liter,
+ * per piece or per bunch; g and ml are scaled up to kg and liter.
+ */
+const UNITS = {
+  kg: { base: 'kg', factor: 1 },
+  g: { base: 'kg', factor: 0.001 },
+  liter: { base: 'liter', factor: 1 },
+  ml: { base: 'liter', factor: 0.001 },
+  piece: { base: 'piece', factor: 1 },
+  bunch: { base: 'bunch', factor: 1 }
+};
+
+/**
+ * Unit a price in this unit is compared in (g -> kg)
+ */
+const comparisonUnit = (unit) => UNITS[unit]?.base || unit;
+
+/**
+ * Convert a quantity between units of the same kind
+ * @returns {Number|null} null when the units can't be converted (kg -> piece)
+ */
+const convertQuantity = (value, from, to) => {
+  if (from === to) return value;
+  if (!UNITS[from] || !UNITS[to] || UNITS[from].base !== UNITS[to].base) return null;
+  return (value * UNITS[from].factor) / UNITS[to].factor;
+};
+
+module.exports = {
+  UNITS: Object.keys(UNITS),
+  COMPARISON_UNITS: [...new Set(Object.values(UNITS).map(unit => unit.base))],
+  comparisonUnit,
+  convertQuantity
+};